@@ -0,0 +1,320 @@
+/**
+ * B+Tree Module
+ *
+ * Sorted key-value map used by ordered indexes. Keys live in linked leaves,
+ * so range scans and in-order traversal (in either direction) read the
+ * leaves in sequence instead of sorting.
+ *
+ * Offers the parts of the Map interface the Index class uses (get, set,
+ * has, delete, keys, entries, size), so an index can hold either structure.
+ * Leaves emptied by deletes are unlinked from the tree, but nodes are not
+ * merged: the tree stays correct and balanced in depth, if less full.
+ */
+
+/**
+ * Default maximum number of keys in a node before it splits
+ */
+const DEFAULT_ORDER = 32;
+
+/**
+ * Finds the first position whose key is not less than the given key
+ * @private
+ * @param {Array<*>} keys - Sorted keys
+ * @param {*} key - Key to look for
+ * @param {Function} compare - Key comparator
+ * @returns {number} - Position
+ */
+function _lowerBound(keys, key, compare) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (compare(keys[mid], key) < 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Finds the first position whose key is greater than the given key
+ * @private
+ * @param {Array<*>} keys - Sorted keys
+ * @param {*} key - Key to look for
+ * @param {Function} compare - Key comparator
+ * @returns {number} - Position
+ */
+function _upperBound(keys, key, compare) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (compare(keys[mid], key) <= 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Creates an empty leaf node
+ * @private
+ * @returns {Object} - { leaf, keys, values, prev, next }
+ */
+function _createLeaf() {
+  return { leaf: true, keys: [], values: [], prev: null, next: null };
+}
+
+class BTree {
+  /**
+   * Creates an empty tree
+   * @param {Function} compare - Key comparator (negative, zero or positive)
+   * @param {number} order - Maximum number of keys in a node
+   */
+  constructor(compare, order = DEFAULT_ORDER) {
+    this.compare = compare;
+    this.order = order;
+    this.root = _createLeaf();
+    this.size = 0;
+  }
+
+  /**
+   * Finds the leaf that holds (or would hold) a key
+   * @private
+   * @param {*} key - Key
+   * @returns {Object} - Leaf node
+   */
+  _findLeaf(key) {
+    let node = this.root;
+    while (!node.leaf) {
+      // Keys equal to a separator live to its right
+      node = node.children[_upperBound(node.keys, key, this.compare)];
+    }
+    return node;
+  }
+
+  /**
+   * Finds the first or last leaf
+   * @private
+   * @param {boolean} last - True for the last leaf
+   * @returns {Object} - Leaf node
+   */
+  _edgeLeaf(last) {
+    let node = this.root;
+    while (!node.leaf) {
+      node = node.children[last ? node.children.length - 1 : 0];
+    }
+    return node;
+  }
+
+  /**
+   * Gets the value stored under a key
+   * @param {*} key - Key
+   * @returns {*} - Value, or undefined if the key is not in the tree
+   */
+  get(key) {
+    const leaf = this._findLeaf(key);
+    const i = _lowerBound(leaf.keys, key, this.compare);
+    return i < leaf.keys.length && this.compare(leaf.keys[i], key) === 0 ? leaf.values[i] : undefined;
+  }
+
+  /**
+   * Checks if a key is in the tree
+   * @param {*} key - Key
+   * @returns {boolean} - True if the key is present
+   */
+  has(key) {
+    const leaf = this._findLeaf(key);
+    const i = _lowerBound(leaf.keys, key, this.compare);
+    return i < leaf.keys.length && this.compare(leaf.keys[i], key) === 0;
+  }
+
+  /**
+   * Stores a value under a key, replacing any previous value
+   * @param {*} key - Key
+   * @param {*} value - Value
+   * @returns {BTree} - This tree
+   */
+  set(key, value) {
+    const split = this._insert(this.root, key, value);
+    if (split) {
+      this.root = { leaf: false, keys: [split.separator], children: [this.root, split.right] };
+    }
+    return this;
+  }
+
+  /**
+   * Inserts into a subtree, splitting nodes that overflow
+   * @private
+   * @param {Object} node - Subtree root
+   * @param {*} key - Key
+   * @param {*} value - Value
+   * @returns {Object|null} - { separator, right } if the node split, otherwise null
+   */
+  _insert(node, key, value) {
+    if (node.leaf) {
+      const i = _lowerBound(node.keys, key, this.compare);
+      if (i < node.keys.length && this.compare(node.keys[i], key) === 0) {
+        node.values[i] = value;
+        return null;
+      }
+      node.keys.splice(i, 0, key);
+      node.values.splice(i, 0, value);
+      this.size++;
+      if (node.keys.length <= this.order) {
+        return null;
+      }
+
+      // Move the upper half into a new leaf linked after this one
+      const mid = node.keys.length >> 1;
+      const right = _createLeaf();
+      right.keys = node.keys.splice(mid);
+      right.values = node.values.splice(mid);
+      right.prev = node;
+      right.next = node.next;
+      if (node.next) {
+        node.next.prev = right;
+      }
+      node.next = right;
+      return { separator: right.keys[0], right };
+    }
+
+    const i = _upperBound(node.keys, key, this.compare);
+    const split = this._insert(node.children[i], key, value);
+    if (!split) {
+      return null;
+    }
+    node.keys.splice(i, 0, split.separator);
+    node.children.splice(i + 1, 0, split.right);
+    if (node.keys.length <= this.order) {
+      return null;
+    }
+
+    // The middle separator moves up to the parent
+    const mid = node.keys.length >> 1;
+    const right = { leaf: false, keys: node.keys.splice(mid + 1), children: node.children.splice(mid + 1) };
+    const separator = node.keys.pop();
+    return { separator, right };
+  }
+
+  /**
+   * Removes a key
+   * @param {*} key - Key
+   * @returns {boolean} - True if the key was present
+   */
+  delete(key) {
+    const removed = this._remove(this.root, key);
+    if (!this.root.leaf) {
+      // Drop internal roots left with a single child (or none)
+      while (!this.root.leaf && this.root.children.length === 1) {
+        this.root = this.root.children[0];
+      }
+      if (!this.root.leaf && this.root.children.length === 0) {
+        this.root = _createLeaf();
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes a key from a subtree, unlinking nodes it leaves empty
+   * @private
+   * @param {Object} node - Subtree root
+   * @param {*} key - Key
+   * @returns {boolean} - True if the key was present
+   */
+  _remove(node, key) {
+    if (node.leaf) {
+      const i = _lowerBound(node.keys, key, this.compare);
+      if (i >= node.keys.length || this.compare(node.keys[i], key) !== 0) {
+        return false;
+      }
+      node.keys.splice(i, 1);
+      node.values.splice(i, 1);
+      this.size--;
+      return true;
+    }
+
+    const i = _upperBound(node.keys, key, this.compare);
+    const child = node.children[i];
+    const removed = this._remove(child, key);
+
+    const isEmpty = child.leaf ? child.keys.length === 0 : child.children.length === 0;
+    if (removed && isEmpty) {
+      if (child.leaf) {
+        if (child.prev) child.prev.next = child.next;
+        if (child.next) child.next.prev = child.prev;
+      }
+      // The neighbouring child takes over the removed child's key range
+      node.children.splice(i, 1);
+      node.keys.splice(i > 0 ? i - 1 : 0, 1);
+    }
+    return removed;
+  }
+
+  /**
+   * Iterates over entries in key order, optionally within bounds
+   * @param {Object} options - { low, high, lowInclusive, highInclusive, descending }; an
+   *   undefined bound leaves that end open (bounds are inclusive by default)
+   * @returns {Iterator<Array>} - [key, value] pairs
+   */
+  *entries(options = {}) {
+    const { low, high, lowInclusive = true, highInclusive = true, descending = false } = options;
+    const compare = this.compare;
+    const aboveLow = key => low === undefined || compare(key, low) > (lowInclusive ? -1 : 0);
+    const belowHigh = key => high === undefined || compare(key, high) < (highInclusive ? 1 : 0);
+
+    if (!descending) {
+      let leaf = low === undefined ? this._edgeLeaf(false) : this._findLeaf(low);
+      let i = low === undefined ? 0 : (lowInclusive ? _lowerBound : _upperBound)(leaf.keys, low, compare);
+      for (; leaf; leaf = leaf.next, i = 0) {
+        for (; i < leaf.keys.length; i++) {
+          if (!belowHigh(leaf.keys[i])) {
+            return;
+          }
+          yield [leaf.keys[i], leaf.values[i]];
+        }
+      }
+      return;
+    }
+
+    let leaf = high === undefined ? this._edgeLeaf(true) : this._findLeaf(high);
+    let i = high === undefined
+      ? leaf.keys.length - 1
+      : (highInclusive ? _upperBound : _lowerBound)(leaf.keys, high, compare) - 1;
+    while (leaf) {
+      for (; i >= 0; i--) {
+        if (!aboveLow(leaf.keys[i])) {
+          return;
+        }
+        yield [leaf.keys[i], leaf.values[i]];
+      }
+      leaf = leaf.prev;
+      i = leaf ? leaf.keys.length - 1 : -1;
+    }
+  }
+
+  /**
+   * Iterates over keys in ascending order
+   * @returns {Iterator<*>} - Keys
+   */
+  *keys() {
+    for (const [key] of this.entries()) {
+      yield key;
+    }
+  }
+
+  /**
+   * Iterates over entries in ascending order
+   * @returns {Iterator<Array>} - [key, value] pairs
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+module.exports = BTree;
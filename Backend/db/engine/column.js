@@ -5,77 +5,174 @@
  * Handles type validation and constraint checking.
  */
 
+const Sequence = require('./sequence');
+const { TYPES, parseType, formatType, typeOfValue, commonType, comparableValue } = require('./types');
+
+/**
+ * Turns the BLOB literals of an expression read back from JSON into Buffers again
+ * (JSON writes a Buffer as { type: 'Buffer', data: [...bytes] })
+ * @private
+ * @param {*} value - Expression, or part of one, as parsed from JSON
+ * @returns {*} - The expression with its Buffers restored
+ */
+function _reviveBuffers(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data);
+  }
+  if (Array.isArray(value)) {
+    return value.map(_reviveBuffers);
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, _reviveBuffers(item)]));
+}
+
 class Column {
   /**
    * Creates a new column definition
    * @param {string} name - Column name
-   * @param {string} type - Data type (INT, TEXT, BOOLEAN)
-   * @param {Object} constraints - Column constraints (primaryKey, unique)
+   * @param {string} type - Data type (see engine/types.js), with its parameters if any
+   *   (e.g., "INT", "VARCHAR(255)" or "DECIMAL(10, 2)")
+   * @param {Object} constraints - Column constraints (primaryKey, unique, notNull, defaultValue, check,
+   *   autoIncrement, sequence), where defaultValue is a value-side expression, check a condition tree
+   *   and sequence the Sequence of an autoIncrement column (a new one is started when left out)
+   * @throws {Error} - If the type is invalid, or AUTOINCREMENT is used on a non-INT column or with a DEFAULT
    */
   constructor(name, type, constraints = {}) {
     this.name = name;
-    this.type = type.toUpperCase();
+    // Base type (aliases resolved); length applies to VARCHAR, precision and scale to DECIMAL
+    const { type: baseType, length, precision, scale } = parseType(type);
+    this.type = baseType;
+    this.length = length;
+    this.precision = precision;
+    this.scale = scale;
     this.primaryKey = constraints.primaryKey || false;
     // Primary keys are always unique
     this.unique = constraints.unique || this.primaryKey || false;
-    
-    // Validate type
-    const validTypes = ['INT', 'TEXT', 'BOOLEAN'];
-    if (!validTypes.includes(this.type)) {
-      throw new Error(`Invalid column type: ${this.type}. Supported types: ${validTypes.join(', ')}`);
+    this.notNull = constraints.notNull || false;
+    // DEFAULT and CHECK expressions are evaluated by the table (DEFAULT NULL is no default)
+    this.defaultValue = constraints.defaultValue === undefined ? null : constraints.defaultValue;
+    this.check = constraints.check || null;
+    // An AUTOINCREMENT column takes its next value from its own sequence when none is given
+    this.autoIncrement = constraints.autoIncrement || false;
+    this.sequence = this.autoIncrement ? (constraints.sequence || new Sequence()) : null;
+
+    if (this.autoIncrement && this.type !== 'INT') {
+      throw new Error(`AUTOINCREMENT column "${name}" must be of type INT, got ${this.type}`);
+    }
+    if (this.autoIncrement && this.defaultValue !== null) {
+      throw new Error(`AUTOINCREMENT column "${name}" cannot have a DEFAULT`);
     }
   }
 
+  /**
+   * Writes the column's type with its parameters
+   * @returns {string} - e.g. "INT", "VARCHAR(255)" or "DECIMAL(10, 2)"
+   */
+  describeType() {
+    return formatType(this);
+  }
+
   /**
    * Validates a value against the column's type
    * @param {*} value - Value to validate
    * @returns {boolean} - True if valid
    */
   validateType(value) {
-    // NULL values are allowed (we'll handle this in the table layer)
+    // NULL values are allowed (NOT NULL is checked in the table layer)
     if (value === null || value === undefined) {
       return true;
     }
-
-    switch (this.type) {
-      case 'INT':
-        return Number.isInteger(value);
-      case 'TEXT':
-        return typeof value === 'string';
-      case 'BOOLEAN':
-        return typeof value === 'boolean';
-      default:
-        return false;
-    }
+    return TYPES[this.type].validate(value, this);
   }
 
   /**
    * Converts a value to the column's type
    * @param {*} value - Value to convert
+   * @param {boolean} strict - True to reject conversions that lose information
+   *   (e.g., '12abc' or 3.7 to INT, or a number to TEXT)
    * @returns {*} - Converted value
+   * @throws {Error} - If the value cannot be converted
    */
-  coerceType(value) {
+  coerceType(value, strict = false) {
     if (value === null || value === undefined) {
       return null;
     }
+    const { coerce, lossless } = TYPES[this.type];
+    const result = coerce(value, this);
+    if (strict && lossless && !lossless(value, result, this)) {
+      const text = typeof value === 'string' ? `"${value}"` : comparableValue(value);
+      throw new Error(
+        `${typeOfValue(value)} value ${text} cannot be stored as ${this.describeType()} without losing information`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Converts a value of the column to its form in the JSON dump
+   * @param {*} value - Value of the column's type
+   * @returns {*} - JSON value
+   */
+  encodeValue(value) {
+    const { encode } = TYPES[this.type];
+    return encode && value !== null && value !== undefined ? encode(value) : value;
+  }
+
+  /**
+   * Reads a value of the column from its form in the JSON dump
+   * @param {*} value - JSON value written by encodeValue
+   * @returns {*} - Value of the column's type
+   */
+  decodeValue(value) {
+    const { decode } = TYPES[this.type];
+    return decode && value !== null && value !== undefined ? decode(value) : value;
+  }
+
+  /**
+   * Checks whether the column holds numbers (usable with SUM and AVG)
+   * @returns {boolean} - True for numeric types
+   */
+  isNumeric() {
+    return Column.isNumericType(this.type);
+  }
+
+  /**
+   * Checks whether a type holds numbers
+   * @param {string} type - Column type
+   * @returns {boolean} - True for numeric types
+   */
+  static isNumericType(type) {
+    return !!TYPES[type] && !!TYPES[type].numeric;
+  }
 
-    switch (this.type) {
-      case 'INT':
-        const intValue = parseInt(value, 10);
-        if (isNaN(intValue)) {
-          throw new Error(`Cannot convert "${value}" to INT`);
-        }
-        return intValue;
-      case 'TEXT':
-        return String(value);
-      case 'BOOLEAN':
-        if (typeof value === 'boolean') return value;
-        if (value === 'true' || value === 1) return true;
-        if (value === 'false' || value === 0) return false;
-        throw new Error(`Cannot convert "${value}" to BOOLEAN`);
-      default:
-        return value;
+  /**
+   * Finds the type that values of two types can share (numeric types widen)
+   * @param {string} a - First type
+   * @param {string} b - Second type
+   * @returns {string|null} - Shared type, or null if there is none
+   */
+  static commonType(a, b) {
+    return commonType(a, b);
+  }
+
+  /**
+   * Compares two values of this column's type for ordering
+   * NULL placement follows the type's nullsFirst rule (DESC reverses it).
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} - Negative if a sorts first, positive if b sorts first, zero if equal
+   */
+  compare(a, b) {
+    const aNull = a === null || a === undefined;
+    const bNull = b === null || b === undefined;
+    if (aNull || bNull) {
+      if (aNull === bNull) return 0;
+      return (aNull ? 1 : -1) * (TYPES[this.type].nullsFirst ? -1 : 1);
     }
+
+    return TYPES[this.type].compare(a, b);
   }
 
   /**
@@ -85,12 +182,34 @@ class Column {
   toJSON() {
     return {
       name: this.name,
-      type: this.type,
+      type: this.describeType(),
       primaryKey: this.primaryKey,
-      unique: this.unique
+      unique: this.unique,
+      notNull: this.notNull,
+      defaultValue: this.defaultValue,
+      check: this.check,
+      autoIncrement: this.autoIncrement,
+      sequence: this.sequence ? this.sequence.toJSON() : null
     };
   }
 
+  /**
+   * Compares two values without type information (used for derived values)
+   * NULLs sort after every other value.
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} - Negative if a sorts first, positive if b sorts first, zero if equal
+   */
+  static compareValues(a, b) {
+    const aNull = a === null || a === undefined;
+    const bNull = b === null || b === undefined;
+    if (aNull || bNull) {
+      return aNull === bNull ? 0 : aNull ? 1 : -1;
+    }
+    const [x, y] = [comparableValue(a), comparableValue(b)];
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+
   /**
    * Creates a column from JSON
    * @param {Object} json - Serialized column
@@ -99,7 +218,12 @@ class Column {
   static fromJSON(json) {
     return new Column(json.name, json.type, {
       primaryKey: json.primaryKey,
-      unique: json.unique
+      unique: json.unique,
+      notNull: json.notNull,
+      defaultValue: _reviveBuffers(json.defaultValue),
+      check: _reviveBuffers(json.check),
+      autoIncrement: json.autoIncrement,
+      sequence: json.sequence ? Sequence.fromJSON(json.sequence) : undefined
     });
   }
 }
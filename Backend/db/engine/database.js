@@ -3,10 +3,20 @@
  * 
  * Main database class that manages tables and provides the high-level interface
  * for database operations. Acts as the central coordinator for all database activities.
+ *
+ * Foreign keys span tables, so the Database enforces them: writes go through
+ * insert, update and delete here, which check the rows a statement wrote
+ * against the tables they reference and apply the ON DELETE / ON UPDATE
+ * actions to the rows referencing them. A statement that fails part way
+ * (including in a cascade) leaves every table as it was.
+ *
+ * The database also holds the sequences made with CREATE SEQUENCE; like the
+ * sequences of AUTOINCREMENT columns, they are persisted with it.
  */
 
 const Table = require('./table');
 const Column = require('./column');
+const Sequence = require('./sequence');
 
 class Database {
   /**
@@ -16,43 +26,127 @@ class Database {
   constructor(name = 'default') {
     this.name = name;
     this.tables = {}; // Map of tableName -> Table instance
+    this.sequences = {}; // Map of sequenceName -> Sequence instance
+    this.dirty = false; // True when it changed since it was loaded or last saved (set by DB.execute and nextval)
   }
 
   /**
    * Creates a new table in the database
    * @param {string} tableName - Name of the table
    * @param {Array<Object>} columnDefs - Array of column definitions
+   * @param {Array<Object>} constraints - Table-level constraints, e.g.
+   *   { type: 'PRIMARY_KEY', columns: ['user_id', 'group_id'] } or
+   *   { type: 'FOREIGN_KEY', columns: ['user_id'], references: { table: 'users', columns: ['id'] } }
+   * @param {Object} options - Table options: { strict } (see Table)
    * @returns {Table} - Created table instance
    * @throws {Error} - If table creation fails
    */
-  createTable(tableName, columnDefs) {
+  createTable(tableName, columnDefs, constraints = [], options = {}) {
     if (this.tables[tableName]) {
       throw new Error(`Table "${tableName}" already exists`);
     }
 
     // Convert column definitions to Column objects
-    const columns = columnDefs.map(def => {
-      const constraints = {};
-      
-      // Parse constraints from column definition
-      if (def.constraints) {
-        constraints.primaryKey = def.constraints.includes('PRIMARY KEY') || def.constraints.includes('PRIMARY');
-        constraints.unique = def.constraints.includes('UNIQUE') || constraints.primaryKey;
-      } else {
-        constraints.primaryKey = def.primaryKey || false;
-        constraints.unique = def.unique || false;
-      }
+    const columns = columnDefs.map(def => this._createColumn(def));
 
-      return new Column(def.name, def.type, constraints);
-    });
+    // Column-level REFERENCES clauses become table-level foreign keys
+    const foreignKeys = columnDefs
+      .filter(def => def.references)
+      .map(def => ({ type: 'FOREIGN_KEY', columns: [def.name], references: def.references }));
 
     // Create table
-    const table = new Table(tableName, columns);
+    const table = new Table(tableName, columns, [...constraints, ...foreignKeys], options);
+    for (const foreignKey of table.foreignKeys) {
+      this._resolveForeignKey(table, foreignKey);
+    }
     this.tables[tableName] = table;
 
     return table;
   }
 
+  /**
+   * Checks what a foreign key references, filling in the referenced columns
+   * (the primary key) and actions when they were left out
+   * @private
+   * @param {Table} table - Table the foreign key belongs to (may not be registered yet)
+   * @param {Object} foreignKey - { columns, references: { table, columns, onDelete, onUpdate } }
+   * @param {Array<Column>} columns - The foreign key's columns (defaults to the table's columns of that name)
+   * @throws {Error} - If the referenced table or columns don't exist, are not a PRIMARY KEY
+   *   or UNIQUE constraint, or don't match the foreign key's columns
+   */
+  _resolveForeignKey(table, foreignKey, columns = foreignKey.columns.map(name => table.getColumn(name))) {
+    const { references } = foreignKey;
+    const target = references.table === table.name ? table : this.getTable(references.table);
+
+    if (!references.columns) {
+      const primaryKey = target.getPrimaryKeyColumns();
+      if (primaryKey.length === 0) {
+        throw new Error(`Table "${target.name}" has no PRIMARY KEY for FOREIGN KEY (${foreignKey.columns.join(', ')})`);
+      }
+      references.columns = primaryKey.map(column => column.name);
+    }
+    references.onDelete = references.onDelete || 'RESTRICT';
+    references.onUpdate = references.onUpdate || 'RESTRICT';
+
+    if (references.columns.length !== foreignKey.columns.length) {
+      throw new Error(
+        `FOREIGN KEY (${foreignKey.columns.join(', ')}) has ${foreignKey.columns.length} columns ` +
+        `but references ${references.columns.length}`
+      );
+    }
+    references.columns.forEach((columnName, i) => {
+      const column = target.getColumn(columnName);
+      if (!column) {
+        throw new Error(`Column "${columnName}" referenced by FOREIGN KEY not found in table "${target.name}"`);
+      }
+      const local = columns[i];
+      if (local.type !== column.type) {
+        throw new Error(
+          `FOREIGN KEY column "${local.name}" (${local.type}) cannot reference ` +
+          `"${target.name}.${columnName}" (${column.type})`
+        );
+      }
+    });
+
+    // Only constraint indexes, which cannot be dropped, can be referenced
+    const index = target.getUniqueIndex(references.columns);
+    if (!index || index.name) {
+      throw new Error(
+        `Columns (${references.columns.join(', ')}) of table "${target.name}" have no PRIMARY KEY or UNIQUE constraint`
+      );
+    }
+  }
+
+  /**
+   * Converts a column definition to a Column object
+   * @private
+   * @param {Object} def - { name, type, constraints, defaultValue, check } (constraints e.g. ['PRIMARY', 'KEY'],
+   *   ['NOT NULL'] or ['AUTOINCREMENT']) or { name, type, primaryKey, unique, notNull, autoIncrement,
+   *   defaultValue, check }
+   * @returns {Column} - Column object (a REFERENCES clause is handled by the caller)
+   * @throws {Error} - If the type is invalid
+   */
+  _createColumn(def) {
+    const constraints = {};
+
+    // Parse constraints from column definition
+    if (def.constraints) {
+      constraints.primaryKey = def.constraints.includes('PRIMARY KEY') || def.constraints.includes('PRIMARY');
+      constraints.unique = def.constraints.includes('UNIQUE') || constraints.primaryKey;
+      constraints.notNull = def.constraints.includes('NOT NULL');
+      constraints.autoIncrement = def.constraints.includes('AUTOINCREMENT');
+    } else {
+      constraints.primaryKey = def.primaryKey || false;
+      constraints.unique = def.unique || false;
+      constraints.notNull = def.notNull || false;
+      constraints.autoIncrement = def.autoIncrement || false;
+    }
+    constraints.defaultValue = def.defaultValue;
+    constraints.check = def.check;
+
+    return new Column(def.name, def.type, constraints);
+  }
+
   /**
    * Gets a table by name
    * @param {string} tableName - Table name
@@ -78,15 +172,387 @@ class Database {
   /**
    * Drops a table from the database
    * @param {string} tableName - Table name
-   * @throws {Error} - If table doesn't exist
+   * @throws {Error} - If table doesn't exist or another table's foreign key references it
    */
   dropTable(tableName) {
     if (!this.tables[tableName]) {
       throw new Error(`Table "${tableName}" not found`);
     }
+    const referencing = this._referencesTo(tableName).find(({ table }) => table.name !== tableName);
+    if (referencing) {
+      throw new Error(`Cannot drop table "${tableName}": it is referenced by a FOREIGN KEY of table "${referencing.table.name}"`);
+    }
     delete this.tables[tableName];
   }
 
+  /**
+   * Renames a table
+   * @param {string} tableName - Current table name
+   * @param {string} newName - New table name
+   * @throws {Error} - If the table doesn't exist or the new name is taken
+   */
+  renameTable(tableName, newName) {
+    const table = this.getTable(tableName);
+    if (this.tables[newName]) {
+      throw new Error(`Table "${newName}" already exists`);
+    }
+
+    // Foreign keys follow the table (including its own, if it references itself)
+    for (const { foreignKey } of this._referencesTo(tableName)) {
+      foreignKey.references.table = newName;
+    }
+
+    delete this.tables[tableName];
+    table.name = newName;
+    this.tables[newName] = table;
+  }
+
+  /**
+   * Adds a column to a table (existing rows get NULL)
+   * @param {string} tableName - Table name
+   * @param {Object} columnDef - Column definition, as for createTable
+   * @throws {Error} - If the table doesn't exist or the column cannot be added
+   */
+  addColumn(tableName, columnDef) {
+    const table = this.getTable(tableName);
+    const column = this._createColumn(columnDef);
+
+    // Existing rows get NULL, which satisfies a new foreign key
+    let foreignKey = null;
+    if (columnDef.references) {
+      foreignKey = { columns: [column.name], references: { ...columnDef.references } };
+      this._resolveForeignKey(table, foreignKey, [column]);
+    }
+
+    table.addColumn(column);
+    if (foreignKey) {
+      table.foreignKeys.push(foreignKey);
+    }
+  }
+
+  /**
+   * Drops a column from a table
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @throws {Error} - If the table or column doesn't exist, or the column cannot be dropped
+   */
+  dropColumn(tableName, columnName) {
+    const referencing = this._referencesTo(tableName)
+      .find(({ foreignKey }) => foreignKey.references.columns.includes(columnName));
+    if (referencing) {
+      throw new Error(
+        `Cannot drop column "${columnName}" of table "${tableName}": it is referenced by a FOREIGN KEY ` +
+        `of table "${referencing.table.name}"`
+      );
+    }
+    this.getTable(tableName).dropColumn(columnName);
+  }
+
+  /**
+   * Renames a column of a table
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Current column name
+   * @param {string} newName - New column name
+   * @throws {Error} - If the table or column doesn't exist, or the new name is taken
+   */
+  renameColumn(tableName, columnName, newName) {
+    this.getTable(tableName).renameColumn(columnName, newName);
+
+    for (const { foreignKey } of this._referencesTo(tableName)) {
+      const { references } = foreignKey;
+      references.columns = references.columns.map(name => (name === columnName ? newName : name));
+    }
+  }
+
+  /**
+   * Finds the foreign keys that reference a table
+   * @private
+   * @param {string} tableName - Referenced table name
+   * @returns {Array<Object>} - Array of { table, foreignKey }, the table being the referencing one
+   */
+  _referencesTo(tableName) {
+    return Object.values(this.tables).flatMap(table => table.foreignKeys
+      .filter(foreignKey => foreignKey.references.table === tableName)
+      .map(foreignKey => ({ table, foreignKey })));
+  }
+
+  /**
+   * Inserts rows into a table (see Table.insertMany), enforcing foreign keys
+   * @param {string} tableName - Table name
+   * @param {Array<Object>} rows - Row data objects
+   * @param {Object|null} onConflict - ON CONFLICT clause, or null to fail on conflicts
+   * @returns {Array<Object>} - Inserted or updated rows
+   * @throws {Error} - If the table doesn't exist or a row violates a constraint
+   */
+  insert(tableName, rows, onConflict = null) {
+    const table = this.getTable(tableName);
+    return this._writeRows(table, () => table.insertMany(rows, onConflict));
+  }
+
+  /**
+   * Updates rows of a table (see Table.update), enforcing foreign keys
+   * @param {string} tableName - Table name
+   * @param {Object} updates - Object with column: value pairs
+   * @param {Object} condition - Condition tree, or null for all rows
+   * @param {Object} context - Evaluation context for subqueries
+   * @returns {Array<Object>} - Updated rows
+   * @throws {Error} - If the table doesn't exist or a row violates a constraint
+   */
+  update(tableName, updates, condition, context = {}) {
+    const table = this.getTable(tableName);
+    return this._writeRows(table, () => table.update(updates, condition, context));
+  }
+
+  /**
+   * Deletes rows from a table (see Table.delete), enforcing foreign keys
+   * @param {string} tableName - Table name
+   * @param {Object} condition - Condition tree, or null for all rows
+   * @param {Object} context - Evaluation context for subqueries
+   * @returns {Array<Object>} - Deleted rows
+   * @throws {Error} - If the table doesn't exist or a deleted row is still referenced
+   */
+  delete(tableName, condition, context = {}) {
+    const table = this.getTable(tableName);
+    return this._writeRows(table, () => table.delete(condition, context), true);
+  }
+
+  /**
+   * Runs a write to a table as one statement, then enforces the foreign keys it touches
+   * Tables without foreign keys on either side skip the bookkeeping. Every table
+   * the statement writes to keeps an undo log of the rows it touches.
+   * @private
+   * @param {Table} table - Table written to
+   * @param {Function} write - Performs the write and returns its result
+   * @param {boolean} deletes - True if the write returns deleted rows (rather than
+   *   adding or changing rows in place)
+   * @returns {*} - Result of the write
+   * @throws {Error} - If the write fails or breaks a foreign key; every table is then restored
+   */
+  _writeRows(table, write, deletes = false) {
+    if (table.foreignKeys.length === 0 && this._referencesTo(table.name).length === 0) {
+      return write();
+    }
+
+    const logged = new Set();
+    this._startUndoLog(table, logged);
+    try {
+      const result = write();
+
+      // Pair each changed row's old values with its new ones (null for a deleted or new row)
+      const changes = deletes ? result.map(row => [row, null]) : table.loggedChanges();
+
+      this._enforceForeignKeys(table, changes, logged);
+      for (const loggedTable of logged) {
+        loggedTable.endUndoLog();
+      }
+      return result;
+    } catch (error) {
+      for (const loggedTable of logged) {
+        loggedTable.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Starts the undo log of a table about to change, once per statement
+   * @private
+   * @param {Table} table - Table about to change
+   * @param {Set} logged - Tables whose undo log the statement started
+   */
+  _startUndoLog(table, logged) {
+    if (!logged.has(table)) {
+      table.startUndoLog();
+      logged.add(table);
+    }
+  }
+
+  /**
+   * Checks changed rows against the foreign keys of their table, and applies the
+   * ON DELETE / ON UPDATE actions of the foreign keys that reference them
+   * @private
+   * @param {Table} table - Table whose rows changed
+   * @param {Array<Array<Object|null>>} changes - [oldRow, newRow] pairs (null for a new or deleted row)
+   * @param {Set} logged - Tables whose undo log the statement started
+   * @throws {Error} - If a row references a missing row, or a RESTRICT foreign key still
+   *   references a deleted or changed row
+   */
+  _enforceForeignKeys(table, changes, logged) {
+    const keyOf = (row, columns) => columns.map(column => row[column]);
+    const hasNull = key => key.some(value => value === null || value === undefined);
+
+    // The table as the referencing side: the keys of new and changed rows must exist
+    // in the referenced table (which may have lost rows in this statement)
+    for (const { columns, references } of table.foreignKeys) {
+      const target = this.getTable(references.table);
+      const index = target.getUniqueIndex(references.columns);
+      for (const [, newRow] of changes) {
+        const key = newRow && keyOf(newRow, columns);
+        if (!key || hasNull(key)) {
+          continue;
+        }
+        const lookup = Object.fromEntries(references.columns.map((column, i) => [column, key[i]]));
+        if (!index.has(index.keyOf(lookup))) {
+          throw new Error(
+            `FOREIGN KEY violation on table "${table.name}": key (${columns.join(', ')}) = ` +
+            `(${key.join(', ')}) is not present in table "${target.name}"`
+          );
+        }
+      }
+    }
+
+    // The table as the referenced side: rows referencing a removed or changed key
+    for (const { table: child, foreignKey } of this._referencesTo(table.name)) {
+      const { columns, references } = foreignKey;
+
+      // Old key -> new row (null when deleted)
+      const removed = new Map();
+      for (const [oldRow, newRow] of changes) {
+        const oldKey = oldRow && keyOf(oldRow, references.columns);
+        const oldJson = oldKey && JSON.stringify(oldKey);
+        if (oldKey && !hasNull(oldKey) && !(newRow && JSON.stringify(keyOf(newRow, references.columns)) === oldJson)) {
+          removed.set(oldJson, newRow);
+        }
+      }
+      if (removed.size === 0) {
+        continue;
+      }
+
+      const matches = [];
+      child.rows.forEach((row, i) => {
+        if (removed.has(JSON.stringify(keyOf(row, columns)))) {
+          matches.push(i);
+        }
+      });
+      if (matches.length === 0) {
+        continue;
+      }
+
+      const deleting = changes.every(([, newRow]) => newRow === null);
+      const action = deleting ? references.onDelete : references.onUpdate;
+      if (action === 'RESTRICT') {
+        const key = keyOf(child.rows[matches[0]], columns);
+        throw new Error(
+          `Cannot ${deleting ? 'delete from' : 'update'} table "${table.name}": key ` +
+          `(${references.columns.join(', ')}) = (${key.join(', ')}) is still referenced from table "${child.name}"`
+        );
+      }
+
+      this._startUndoLog(child, logged);
+      if (action === 'CASCADE' && deleting) {
+        const deleted = child.deleteRowsAt(matches);
+        this._enforceForeignKeys(child, deleted.map(row => [row, null]), logged);
+        continue;
+      }
+
+      // CASCADE (on update) copies the new key; SET NULL and SET DEFAULT replace it
+      const childChanges = matches.map(rowIndex => {
+        const oldRow = { ...child.rows[rowIndex] };
+        const newRow = removed.get(JSON.stringify(keyOf(oldRow, columns)));
+        const values = Object.fromEntries(columns.map((column, i) => {
+          if (action === 'CASCADE') {
+            return [column, newRow[references.columns[i]]];
+          }
+          return [column, action === 'SET DEFAULT' ? child.getDefaultValue(child.getColumn(column)) : null];
+        }));
+        return [oldRow, child.updateRowAt(rowIndex, values)];
+      });
+      this._enforceForeignKeys(child, childChanges, logged);
+    }
+  }
+
+  /**
+   * Creates a secondary index (index names are unique across the database)
+   * @param {string} indexName - Index name
+   * @param {string} tableName - Table name
+   * @param {string|Array<string>} columnNames - Column to index, or columns of a multi-column index
+   * @param {boolean} unique - Whether the index rejects duplicate values
+   * @param {boolean} ordered - True for an ordered (B+tree) index, false for a hash index
+   * @throws {Error} - If the name is taken or the table cannot index the columns
+   */
+  createIndex(indexName, tableName, columnNames, unique = false, ordered = false) {
+    if (this.hasIndex(indexName)) {
+      throw new Error(`Index "${indexName}" already exists`);
+    }
+    this.getTable(tableName).createIndex(indexName, columnNames, unique, ordered);
+  }
+
+  /**
+   * Checks if a secondary index exists in any table
+   * @param {string} indexName - Index name
+   * @returns {boolean} - True if index exists
+   */
+  hasIndex(indexName) {
+    return Object.values(this.tables).some(table => table.getIndex(indexName));
+  }
+
+  /**
+   * Drops a secondary index from whichever table has it
+   * @param {string} indexName - Index name
+   * @throws {Error} - If no table has the index
+   */
+  dropIndex(indexName) {
+    const table = Object.values(this.tables).find(t => t.getIndex(indexName));
+    if (!table) {
+      throw new Error(`Index "${indexName}" not found`);
+    }
+    table.dropIndex(indexName);
+  }
+
+  /**
+   * Creates a sequence
+   * @param {string} sequenceName - Sequence name
+   * @param {Object} options - { start, increment } (both default to 1)
+   * @throws {Error} - If the name is taken or the options are invalid
+   */
+  createSequence(sequenceName, options = {}) {
+    if (this.hasSequence(sequenceName)) {
+      throw new Error(`Sequence "${sequenceName}" already exists`);
+    }
+    try {
+      this.sequences[sequenceName] = new Sequence(options);
+    } catch (error) {
+      throw new Error(`Invalid sequence "${sequenceName}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks if a sequence exists
+   * @param {string} sequenceName - Sequence name
+   * @returns {boolean} - True if sequence exists
+   */
+  hasSequence(sequenceName) {
+    return !!this.sequences[sequenceName];
+  }
+
+  /**
+   * Drops a sequence
+   * @param {string} sequenceName - Sequence name
+   * @throws {Error} - If sequence doesn't exist
+   */
+  dropSequence(sequenceName) {
+    if (!this.hasSequence(sequenceName)) {
+      throw new Error(`Sequence "${sequenceName}" not found`);
+    }
+    delete this.sequences[sequenceName];
+  }
+
+  /**
+   * Hands out the next value of a sequence (nextval)
+   * @param {string} sequenceName - Sequence name
+   * @returns {number} - Value
+   * @throws {Error} - If sequence doesn't exist
+   */
+  nextval(sequenceName) {
+    if (!this.hasSequence(sequenceName)) {
+      throw new Error(`Sequence "${sequenceName}" not found`);
+    }
+    const value = this.sequences[sequenceName].next();
+    // A query may advance a sequence, which has to be saved like a write
+    this.dirty = true;
+    return value;
+  }
+
   /**
    * Lists all table names
    * @returns {Array<string>} - Array of table names
@@ -105,11 +571,19 @@ class Database {
     const table = this.getTable(tableName);
     return {
       name: table.name,
+      strict: table.strict,
       columns: table.columns.map(col => ({
         name: col.name,
-        type: col.type,
+        type: col.describeType(),
         primaryKey: col.primaryKey,
-        unique: col.unique
+        unique: col.unique,
+        notNull: col.notNull,
+        autoIncrement: col.autoIncrement
+      })),
+      constraints: table.constraints.map(constraint => ({ ...constraint, columns: [...constraint.columns] })),
+      foreignKeys: table.foreignKeys.map(({ columns, references }) => ({
+        columns: [...columns],
+        references: { ...references, columns: [...references.columns] }
       }))
     };
   }
@@ -123,6 +597,9 @@ class Database {
       name: this.name,
       tables: Object.fromEntries(
         Object.entries(this.tables).map(([name, table]) => [name, table.toJSON()])
+      ),
+      sequences: Object.fromEntries(
+        Object.entries(this.sequences).map(([name, sequence]) => [name, sequence.toJSON()])
       )
     };
   }
@@ -140,6 +617,11 @@ class Database {
       db.tables[tableName] = Table.fromJSON(tableJson);
     }
 
+    // Restore sequences (databases saved before sequences existed have none)
+    for (const [sequenceName, sequenceJson] of Object.entries(json.sequences || {})) {
+      db.sequences[sequenceName] = Sequence.fromJSON(sequenceJson);
+    }
+
     return db;
   }
 }
@@ -0,0 +1,597 @@
+/**
+ * Expression Module
+ *
+ * Evaluates expression trees (conditions and values) against rows.
+ * Shared by the table layer and the executors so that SELECT, UPDATE, DELETE,
+ * INSERT and JOIN all filter rows and compute values the same way.
+ *
+ * Expressions come in two positions. On the column side (select lists,
+ * ORDER BY, the left of a comparison) a plain string names a column; on the
+ * value side (VALUES, SET, the right of a comparison) any non-node value is
+ * a literal. Everything else is an AST node.
+ */
+
+const { callFunction, castValue, inferType } = require('./functions');
+const { comparableValue, decimalArithmetic, typeOfValue } = require('./types');
+
+/**
+ * Arithmetic operator implementations (operands are numbers)
+ */
+const ARITHMETIC_OPERATORS = {
+  // Exact on the operands' decimal digits (see engine/types.js)
+  '+': (a, b) => decimalArithmetic('+', a, b),
+  '-': (a, b) => decimalArithmetic('-', a, b),
+  '*': (a, b) => decimalArithmetic('*', a, b),
+  // INT operands divide like integers
+  '/': (a, b, integer) => (integer ? Math.trunc(a / b) : a / b),
+  '%': (a, b) => a % b
+};
+
+/**
+ * Resolves a column reference against a row
+ *
+ * Single-table rows are keyed by bare column names, joined rows by
+ * "table.column". A qualified reference falls back to its bare name and a
+ * bare reference matches a single "table.column" key. Aggregate references
+ * read the value stored under their result name by the grouping stage.
+ * @param {Object} row - Row to read from
+ * @param {string|Object} column - Column reference (may include table prefix) or aggregate node
+ * @returns {*} - Column value (null if the row has no value for it)
+ * @throws {Error} - If a bare reference matches columns of several tables
+ */
+function resolveColumn(row, column) {
+  if (typeof column !== 'string') {
+    return column.name in row ? row[column.name] : null;
+  }
+
+  if (column in row) {
+    return row[column];
+  }
+
+  if (column.includes('.')) {
+    const bareName = column.split('.').pop();
+    return bareName in row ? row[bareName] : null;
+  }
+
+  const matches = Object.keys(row).filter(key => key.endsWith(`.${column}`));
+  if (matches.length > 1) {
+    throw new Error(`Column reference "${column}" is ambiguous`);
+  }
+  return matches.length === 1 ? row[matches[0]] : null;
+}
+
+/**
+ * Checks whether a value is SQL NULL
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for null and undefined (a missing value)
+ */
+function _isNull(value) {
+  return value === null || value === undefined;
+}
+
+/**
+ * Translates a LIKE pattern into a regular expression
+ * % matches any run of characters, _ exactly one, and a backslash makes the next character literal.
+ * @private
+ * @param {string} pattern - LIKE pattern
+ * @param {boolean} ignoreCase - True for ILIKE
+ * @returns {RegExp} - Anchored regular expression
+ */
+function _likeToRegExp(pattern, ignoreCase) {
+  let source = '';
+  let escaped = false;
+  for (const char of pattern) {
+    if (escaped || (char !== '%' && char !== '_' && char !== '\\')) {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      escaped = false;
+    } else if (char === '\\') {
+      escaped = true;
+    } else {
+      source += char === '%' ? '.*' : '.';
+    }
+  }
+  return new RegExp(`^${source}$`, ignoreCase ? 'siu' : 'su');
+}
+
+/**
+ * Compares two values with a comparison operator
+ * Follows SQL three-valued logic: comparing with NULL gives NULL (unknown).
+ * JSON values compare by their text (see engine/types.js); BLOBs only compare with BLOBs.
+ * @param {*} left - Left value
+ * @param {string} operator - Comparison operator (=, !=, >, <, >=, <=, LIKE or ILIKE)
+ * @param {*} right - Right value
+ * @returns {boolean|null} - Comparison result, or null if unknown
+ * @throws {Error} - If operator is not supported, LIKE is used on non-text values or
+ *   a BLOB is compared with another type
+ */
+function compare(left, operator, right) {
+  if (_isNull(left) || _isNull(right)) {
+    return null;
+  }
+  if (Buffer.isBuffer(left) !== Buffer.isBuffer(right)) {
+    throw new Error(`Cannot compare ${typeOfValue(left)} with ${typeOfValue(right)}`);
+  }
+  left = comparableValue(left);
+  right = comparableValue(right);
+
+  switch (operator) {
+    case '=':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '>':
+      return left > right;
+    case '<':
+      return left < right;
+    case '>=':
+      return left >= right;
+    case '<=':
+      return left <= right;
+    case 'LIKE':
+    case 'ILIKE':
+      if (typeof left !== 'string' || typeof right !== 'string') {
+        throw new Error(`Operator ${operator} requires text, got ${typeof left} and ${typeof right}`);
+      }
+      return _likeToRegExp(right, operator === 'ILIKE').test(left);
+    default:
+      throw new Error(`Unsupported operator: ${operator}`);
+  }
+}
+
+/**
+ * Checks whether a comparison operand is an AST node rather than a literal value
+ * @private
+ * @param {*} operand - Operand to check
+ * @returns {boolean} - True for nodes (columns, aggregates, subqueries)
+ */
+function _isNode(operand) {
+  return operand !== null && typeof operand === 'object' && typeof operand.type === 'string';
+}
+
+/**
+ * Runs a subquery through the context supplied by the executor
+ * @private
+ * @param {SubqueryNode} subquery - Subquery node
+ * @param {Object} row - Row the subquery is evaluated for (its outer row)
+ * @param {Object} context - Evaluation context
+ * @returns {Array<Object>} - Subquery result rows
+ * @throws {Error} - If the context cannot run subqueries
+ */
+function _runSubquery(subquery, row, context) {
+  if (!context || !context.runSubquery) {
+    throw new Error('Subqueries are not supported here');
+  }
+  return context.runSubquery(subquery, row);
+}
+
+/**
+ * Reads the only value of a subquery result row
+ * @private
+ * @param {Object} row - Subquery result row
+ * @returns {*} - The row's single value
+ * @throws {Error} - If the subquery selects more than one column
+ */
+function _singleValue(row) {
+  const keys = Object.keys(row);
+  if (keys.length !== 1) {
+    throw new Error(`Subquery must return exactly one column, got ${keys.length}`);
+  }
+  return row[keys[0]];
+}
+
+/**
+ * Checks whether both operands of an arithmetic node are integers
+ * Goes by the operand types recorded when the query was checked, so a FLOAT
+ * or DECIMAL holding a whole number is not one; an operand whose type cannot
+ * be known before running (e.g., a subquery) goes by its value.
+ * @private
+ * @param {BinaryNode} node - Binary node
+ * @param {number} left - Left value
+ * @param {number} right - Right value
+ * @returns {boolean} - True if both operands are INT
+ */
+function _isIntegerOperation(node, left, right) {
+  const types = node.operandTypes || [node.left, node.right].map(operand => inferType(operand));
+  return [left, right].every((value, i) => (types[i] || typeOfValue(value)) === 'INT');
+}
+
+/**
+ * Evaluates an arithmetic or concatenation node against a row
+ * NULL on either side yields NULL.
+ * @private
+ * @param {BinaryNode} node - Binary node
+ * @param {Object} row - Row to read from
+ * @param {Object} context - Evaluation context
+ * @returns {*} - Result value
+ * @throws {Error} - If an arithmetic operand is not a number, or on division by zero
+ */
+function _evaluateBinary(node, row, context) {
+  const left = evaluateOperand(node.left, row, context);
+  const right = evaluateOperand(node.right, row, context);
+  if (_isNull(left) || _isNull(right)) {
+    return null;
+  }
+
+  if (node.operator === '||') {
+    return `${left}${right}`;
+  }
+
+  const operation = ARITHMETIC_OPERATORS[node.operator];
+  if (!operation) {
+    throw new Error(`Unsupported operator: ${node.operator}`);
+  }
+  if (typeof left !== 'number' || typeof right !== 'number') {
+    throw new Error(`Operator ${node.operator} requires numbers, got ${typeof left} and ${typeof right}`);
+  }
+  if ((node.operator === '/' || node.operator === '%') && right === 0) {
+    throw new Error('Division by zero');
+  }
+  return operation(left, right, _isIntegerOperation(node, left, right));
+}
+
+/**
+ * Evaluates a CASE expression against a row
+ * The first branch whose condition is true (or whose value equals the
+ * operand, in the simple form) gives the result.
+ * @private
+ * @param {CaseNode} node - Case node
+ * @param {Object} row - Row to read from
+ * @param {Object} context - Evaluation context
+ * @returns {*} - Result value (NULL when no branch matches and there is no ELSE)
+ */
+function _evaluateCase(node, row, context) {
+  const operand = node.operand ? evaluateOperand(node.operand, row, context) : null;
+
+  for (const branch of node.branches) {
+    const matched = node.operand
+      ? compare(operand, '=', evaluateOperand(branch.when, row, context))
+      : _evaluateLogic(branch.when, row, context);
+    if (matched === true) {
+      return evaluateOperand(branch.then, row, context);
+    }
+  }
+
+  return node.elseResult ? evaluateOperand(node.elseResult, row, context) : null;
+}
+
+/**
+ * Evaluates an expression node against a row
+ * @param {Object} node - Expression node (column, aggregate, literal, subquery,
+ *   arithmetic or condition node)
+ * @param {Object} row - Row to read from
+ * @param {Object} context - Evaluation context (see evaluateCondition)
+ * @returns {*} - Value (a scalar subquery without rows yields null)
+ * @throws {Error} - If a scalar subquery returns more than one row
+ */
+function evaluateOperand(node, row, context = {}) {
+  switch (node.type) {
+    case 'COLUMN':
+      return resolveColumn(row, node.name);
+    case 'AGGREGATE':
+    case 'WINDOW':
+      // Computed by the grouping and window stages, stored under the node's name
+      return resolveColumn(row, node);
+    case 'LITERAL':
+      return node.value;
+    case 'SUBQUERY': {
+      const rows = _runSubquery(node, row, context);
+      if (rows.length > 1) {
+        throw new Error('Scalar subquery returned more than one row');
+      }
+      return rows.length === 0 ? null : _singleValue(rows[0]);
+    }
+    case 'BINARY':
+      return _evaluateBinary(node, row, context);
+    case 'FUNCTION':
+      return callFunction(node.name, node.args.map(arg => evaluateOperand(arg, row, context)), context);
+    case 'CAST':
+      return castValue(evaluateOperand(node.expression, row, context), node.targetType);
+    case 'CASE':
+      return _evaluateCase(node, row, context);
+    case 'UNARY': {
+      const value = evaluateOperand(node.operand, row, context);
+      if (_isNull(value)) {
+        return null;
+      }
+      if (typeof value !== 'number') {
+        throw new Error(`Operator ${node.operator} requires a number, got ${typeof value}`);
+      }
+      return -value;
+    }
+    case 'COMPARISON':
+    case 'BETWEEN':
+    case 'LOGICAL':
+    case 'NOT':
+    case 'EXISTS':
+      return _evaluateLogic(node, row, context);
+    default:
+      throw new Error(`Unsupported operand type: ${node.type}`);
+  }
+}
+
+/**
+ * Evaluates a column-side expression (a string is a column name)
+ * @param {string|Object} expr - Column name or expression node
+ * @param {Object} row - Row to read from
+ * @param {Object} context - Evaluation context (see evaluateCondition)
+ * @returns {*} - Value
+ */
+function evaluateExpression(expr, row, context = {}) {
+  return typeof expr === 'string' ? resolveColumn(row, expr) : evaluateOperand(expr, row, context);
+}
+
+/**
+ * Evaluates a value-side expression (anything but a node is a literal)
+ * @param {*} value - Literal value or expression node
+ * @param {Object} row - Row to read from
+ * @param {Object} context - Evaluation context (see evaluateCondition)
+ * @returns {*} - Value
+ */
+function evaluateValue(value, row, context = {}) {
+  return _isNode(value) ? evaluateOperand(value, row, context) : value;
+}
+
+/**
+ * Evaluates [NOT] IN against the values of a list or subquery
+ * @private
+ * @param {*} left - Value to look for
+ * @param {SubqueryNode|ListNode} list - Subquery or value list
+ * @param {Object} row - Row being evaluated
+ * @param {Object} context - Evaluation context
+ * @returns {boolean|null} - True if found; null if not found but NULLs were involved
+ */
+function _evaluateIn(left, list, row, context) {
+  const values = list.type === 'SUBQUERY'
+    ? _runSubquery(list, row, context).map(_singleValue)
+    : list.items.map(item => evaluateValue(item, row, context));
+
+  if (values.length === 0) {
+    return false;
+  }
+  if (_isNull(left)) {
+    return null;
+  }
+  if (values.some(value => compare(left, '=', value) === true)) {
+    return true;
+  }
+  return values.some(_isNull) ? null : false;
+}
+
+/**
+ * Combines two truth values with AND (false wins over unknown)
+ * @private
+ * @param {boolean|null} left - Left truth value
+ * @param {boolean|null} right - Right truth value
+ * @returns {boolean|null} - Result
+ */
+function _and(left, right) {
+  if (left === false || right === false) {
+    return false;
+  }
+  return left === null || right === null ? null : true;
+}
+
+/**
+ * Combines two truth values with OR (true wins over unknown)
+ * @private
+ * @param {boolean|null} left - Left truth value
+ * @param {boolean|null} right - Right truth value
+ * @returns {boolean|null} - Result
+ */
+function _or(left, right) {
+  if (left === true || right === true) {
+    return true;
+  }
+  return left === null || right === null ? null : false;
+}
+
+/**
+ * Evaluates a condition tree with SQL three-valued logic
+ * @private
+ * @param {Object} condition - Condition node
+ * @param {Object} row - Row to test
+ * @param {Object} context - Evaluation context
+ * @returns {boolean|null} - True, false, or null for unknown
+ * @throws {Error} - If the condition contains an unknown node type
+ */
+function _evaluateLogic(condition, row, context) {
+  // Plain { column, operator, value } objects are treated as comparisons
+  const type = condition.type || 'COMPARISON';
+
+  switch (type) {
+    case 'COMPARISON': {
+      const left = evaluateExpression(condition.column, row, context);
+
+      switch (condition.operator) {
+        case 'IS':
+          return _isNull(left);
+        case 'IS NOT':
+          return !_isNull(left);
+        case 'IN':
+          return _evaluateIn(left, condition.value, row, context);
+        default:
+          return compare(left, condition.operator, evaluateValue(condition.value, row, context));
+      }
+    }
+    case 'BETWEEN': {
+      const value = evaluateExpression(condition.column, row, context);
+      const low = compare(value, '>=', evaluateValue(condition.low, row, context));
+      return low === false ? false : _and(low, compare(value, '<=', evaluateValue(condition.high, row, context)));
+    }
+    case 'LOGICAL': {
+      const left = _evaluateLogic(condition.left, row, context);
+      if (condition.operator === 'AND') {
+        return left === false ? false : _and(left, _evaluateLogic(condition.right, row, context));
+      }
+      if (condition.operator === 'OR') {
+        return left === true ? true : _or(left, _evaluateLogic(condition.right, row, context));
+      }
+      throw new Error(`Unsupported logical operator: ${condition.operator}`);
+    }
+    case 'NOT': {
+      const operand = _evaluateLogic(condition.operand, row, context);
+      return operand === null ? null : !operand;
+    }
+    case 'EXISTS':
+      return _runSubquery(condition.subquery, row, context).length > 0;
+    default: {
+      // Any other expression (e.g., a boolean column) is true only when it is TRUE
+      const value = evaluateOperand(condition, row, context);
+      return _isNull(value) ? null : value === true;
+    }
+  }
+}
+
+/**
+ * Evaluates a condition tree against a row
+ *
+ * Conditions follow SQL three-valued logic: a comparison involving NULL is
+ * unknown, NOT unknown stays unknown, and a row matches only when its
+ * condition is true (so "col = NULL" matches nothing; use IS NULL).
+ *
+ * The context lets executors plug in what the engine cannot do on its own:
+ * context.runSubquery(subqueryNode, row) returns the result rows of a subquery
+ * evaluated for the given (outer) row, and context.nextval(name) hands out the
+ * next value of a sequence.
+ * @param {Object|null} condition - Condition node, or null to match every row
+ * @param {Object} row - Row to test
+ * @param {Object} context - Evaluation context (optional)
+ * @returns {boolean} - True if the row matches
+ * @throws {Error} - If the condition contains an unknown node type
+ */
+function evaluateCondition(condition, row, context = {}) {
+  return !condition || _evaluateLogic(condition, row, context) === true;
+}
+
+/**
+ * Collects every column referenced by an expression or condition tree
+ * Subqueries are not searched: their columns are resolved when they run.
+ * @param {string|Object|null} expr - Column-side expression or condition node
+ * @returns {Array<string|Object>} - Column references (may include table prefixes), aggregate
+ *   nodes, and window nodes followed by the references they use
+ */
+function getConditionColumns(expr) {
+  if (typeof expr === 'string') {
+    return [expr];
+  }
+  if (!expr || typeof expr !== 'object') {
+    return [];
+  }
+
+  switch (expr.type || 'COMPARISON') {
+    case 'COLUMN':
+      return [expr.name];
+    case 'AGGREGATE':
+      return [expr];
+    case 'WINDOW':
+      return [
+        expr,
+        ...[...expr.args, ...expr.partitionBy, ...expr.orderBy.map(term => term.column)]
+          .filter(arg => arg !== '*')
+          .flatMap(getConditionColumns)
+      ];
+    case 'COMPARISON':
+      // On the value side strings are literals
+      return [
+        ...getConditionColumns(expr.column),
+        ...(_isNode(expr.value) ? getConditionColumns(expr.value) : [])
+      ];
+    case 'BETWEEN':
+      return [
+        ...getConditionColumns(expr.column),
+        ...[expr.low, expr.high].filter(_isNode).flatMap(getConditionColumns)
+      ];
+    case 'LIST':
+      return expr.items.filter(_isNode).flatMap(getConditionColumns);
+    case 'FUNCTION':
+      return expr.args.flatMap(getConditionColumns);
+    case 'CAST':
+      return getConditionColumns(expr.expression);
+    case 'CASE':
+      return [
+        expr.operand,
+        ...expr.branches.flatMap(branch => [branch.when, branch.then]),
+        expr.elseResult
+      ].flatMap(getConditionColumns);
+    case 'BINARY':
+    case 'LOGICAL':
+      return [...getConditionColumns(expr.left), ...getConditionColumns(expr.right)];
+    case 'UNARY':
+    case 'NOT':
+      return getConditionColumns(expr.operand);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Copies an expression or condition tree, replacing its column references
+ * Follows the same positions as getConditionColumns; aggregates, windows and
+ * subqueries are kept as they are.
+ * @param {string|Object|null} expr - Column-side expression or condition node
+ * @param {Function} map - Maps a column reference to the one to use instead
+ * @returns {string|Object|null} - Expression with the references replaced
+ */
+function mapColumns(expr, map) {
+  if (typeof expr === 'string') {
+    return map(expr);
+  }
+  if (!expr || typeof expr !== 'object') {
+    return expr;
+  }
+
+  // On the value side strings are literals
+  const mapValue = value => (_isNode(value) ? mapColumns(value, map) : value);
+
+  switch (expr.type || 'COMPARISON') {
+    case 'COLUMN':
+      return { ...expr, name: map(expr.name) };
+    case 'COMPARISON':
+      return { ...expr, column: mapColumns(expr.column, map), value: mapValue(expr.value) };
+    case 'BETWEEN':
+      return { ...expr, column: mapColumns(expr.column, map), low: mapValue(expr.low), high: mapValue(expr.high) };
+    case 'LIST':
+      return { ...expr, items: expr.items.map(mapValue) };
+    case 'FUNCTION':
+      return { ...expr, args: expr.args.map(arg => mapColumns(arg, map)) };
+    case 'CAST':
+      return { ...expr, expression: mapColumns(expr.expression, map) };
+    case 'CASE':
+      return {
+        ...expr,
+        operand: mapColumns(expr.operand, map),
+        branches: expr.branches.map(branch => ({ when: mapColumns(branch.when, map), then: mapColumns(branch.then, map) })),
+        elseResult: mapColumns(expr.elseResult, map)
+      };
+    case 'BINARY':
+    case 'LOGICAL':
+      return { ...expr, left: mapColumns(expr.left, map), right: mapColumns(expr.right, map) };
+    case 'UNARY':
+    case 'NOT':
+      return { ...expr, operand: mapColumns(expr.operand, map) };
+    default:
+      return expr;
+  }
+}
+
+/**
+ * Describes an aggregate or window function call for error messages
+ * @param {Object} ref - Aggregate or window node
+ * @returns {string} - E.g. 'Aggregate function COUNT(*)'
+ */
+function describeFunctionCall(ref) {
+  return `${ref.type === 'WINDOW' ? 'Window' : 'Aggregate'} function ${ref.name}`;
+}
+
+module.exports = {
+  evaluateCondition,
+  evaluateOperand,
+  evaluateExpression,
+  evaluateValue,
+  getConditionColumns,
+  mapColumns,
+  resolveColumn,
+  compare,
+  describeFunctionCall
+};
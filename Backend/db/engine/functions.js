@@ -0,0 +1,452 @@
+/**
+ * Functions Module
+ *
+ * Registry of the built-in scalar functions (UPPER, COALESCE, ROUND, ...)
+ * and the type rules for expressions.
+ *
+ * Each function declares the Column types of its parameters and result, so
+ * calls can be checked before anything runs: the parser checks arity and the
+ * types it can see (literals, nested calls, CAST), and the executors check
+ * column arguments against the schema. Values are checked again when a call
+ * is evaluated.
+ */
+
+const Column = require('./column');
+const { parseType, typeOfValue, castHex } = require('./types');
+
+/**
+ * Built-in scalar functions
+ *
+ * params lists the parameter types ('ANY' accepts every type, 'NUMERIC' any
+ * numeric type); the last `optional` parameters may be left out, and a
+ * variadic function repeats its last parameter. returns is the result type,
+ * or a function of the argument types. Unless nullSafe, a NULL argument
+ * makes the result NULL without calling apply. A function that usesContext
+ * gets the evaluation context as its first argument.
+ */
+const FUNCTIONS = {
+  UPPER: { params: ['TEXT'], returns: 'TEXT', apply: text => text.toUpperCase() },
+  LOWER: { params: ['TEXT'], returns: 'TEXT', apply: text => text.toLowerCase() },
+  LENGTH: { params: ['TEXT'], returns: 'INT', apply: text => Array.from(text).length },
+  SUBSTR: {
+    params: ['TEXT', 'INT', 'INT'],
+    optional: 1,
+    returns: 'TEXT',
+    apply: _substr
+  },
+  TRIM: { params: ['TEXT'], returns: 'TEXT', apply: text => text.trim() },
+  REPLACE: {
+    params: ['TEXT', 'TEXT', 'TEXT'],
+    returns: 'TEXT',
+    apply: (text, from, to) => (from === '' ? text : text.split(from).join(to))
+  },
+  COALESCE: {
+    params: ['ANY'],
+    variadic: true,
+    sameTypes: true,
+    nullSafe: true,
+    returns: types => types.find(type => type !== null) || null,
+    apply: (...values) => {
+      const value = values.find(v => v !== null && v !== undefined);
+      return value === undefined ? null : value;
+    }
+  },
+  NULLIF: {
+    params: ['ANY', 'ANY'],
+    sameTypes: true,
+    nullSafe: true,
+    returns: types => types[0],
+    apply: (value, other) => (value === other ? null : value)
+  },
+  ABS: { params: ['NUMERIC'], returns: types => types[0] || 'INT', apply: Math.abs },
+  ROUND: {
+    params: ['NUMERIC', 'INT'],
+    optional: 1,
+    returns: types => types[0] || 'INT',
+    apply: _round
+  },
+  NOW: { params: [], returns: 'TIMESTAMP', apply: () => new Date().toISOString() },
+  NEXTVAL: { params: ['TEXT'], returns: 'INT', usesContext: true, apply: _nextval }
+};
+
+/**
+ * Hands out the next value of a sequence through the evaluation context
+ * @private
+ * @param {Object} context - Evaluation context (see engine/expression.js)
+ * @param {string} name - Sequence name
+ * @returns {number} - Value
+ * @throws {Error} - If the context has no sequences
+ */
+function _nextval(context, name) {
+  if (!context || !context.nextval) {
+    throw new Error('nextval() is not supported here');
+  }
+  return context.nextval(name);
+}
+
+/**
+ * Extracts part of a string (SQL positions start at 1)
+ * @private
+ * @param {string} text - Source string
+ * @param {number} start - Position of the first character
+ * @param {number} length - Number of characters (optional, defaults to the rest)
+ * @returns {string} - Substring
+ * @throws {Error} - If length is negative
+ */
+function _substr(text, start, length) {
+  if (length < 0) {
+    throw new Error('SUBSTR length must not be negative');
+  }
+  const chars = Array.from(text);
+  const end = length === undefined ? chars.length : start - 1 + length;
+  return chars.slice(Math.max(start - 1, 0), Math.max(end, 0)).join('');
+}
+
+/**
+ * Rounds a number half away from zero
+ * @private
+ * @param {number} value - Number to round
+ * @param {number} digits - Decimal places to keep (optional, defaults to 0)
+ * @returns {number} - Rounded number
+ */
+function _round(value, digits = 0) {
+  const factor = 10 ** digits;
+  return (Math.sign(value) * Math.round(Math.abs(value) * factor)) / factor;
+}
+
+/**
+ * Checks whether a name is a built-in scalar function
+ * @param {string} name - Function name (any case)
+ * @returns {boolean} - True if the function exists
+ */
+function isFunction(name) {
+  return Object.prototype.hasOwnProperty.call(FUNCTIONS, name.toUpperCase());
+}
+
+/**
+ * Gets the declared type of a function's parameter
+ * @private
+ * @param {Object} fn - Function definition
+ * @param {number} position - Zero-based argument position
+ * @returns {string} - Parameter type
+ */
+function _paramType(fn, position) {
+  return fn.params[Math.min(position, fn.params.length - 1)];
+}
+
+/**
+ * Checks whether a parameter type accepts an argument type
+ * @private
+ * @param {string} paramType - Declared parameter type
+ * @param {string|null} argType - Argument type, or null when unknown (e.g., NULL)
+ * @returns {boolean} - True if accepted
+ */
+function _accepts(paramType, argType) {
+  if (argType === null || paramType === 'ANY') {
+    return true;
+  }
+  return paramType === 'NUMERIC' ? Column.isNumericType(argType) : paramType === argType;
+}
+
+/**
+ * Infers the type of an expression
+ * @param {*} expr - Column-side expression (a string is a column name)
+ * @param {Function} getColumnType - Maps a column reference to its type (null when unknown)
+ * @returns {string|null} - Column type, or null when it cannot be known before running
+ */
+function inferType(expr, getColumnType = () => null) {
+  if (typeof expr === 'string') {
+    return getColumnType(expr);
+  }
+  if (expr === null || typeof expr !== 'object' || Buffer.isBuffer(expr)) {
+    return typeOfValue(expr);
+  }
+
+  switch (expr.type) {
+    case 'COLUMN':
+      return getColumnType(expr.name);
+    case 'LITERAL':
+      // A number written with a fraction or an exponent is FLOAT even when it is whole (7.0)
+      return expr.text && /[.e]/i.test(expr.text) ? 'FLOAT' : typeOfValue(expr.value);
+    case 'AGGREGATE':
+      return _aggregateType(expr.func, expr.argument === '*' ? null : inferType(expr.argument, getColumnType));
+    case 'WINDOW':
+      if (expr.func === 'LAG' || expr.func === 'LEAD') {
+        // The default (third argument) must match the value's type
+        const types = [expr.args[0], expr.args[2]].map(arg => inferType(arg, getColumnType));
+        return _commonType(types, expr.func);
+      }
+      if (['ROW_NUMBER', 'RANK', 'DENSE_RANK'].includes(expr.func)) {
+        return 'INT';
+      }
+      return _aggregateType(expr.func, expr.args[0] === '*' ? null : inferType(expr.args[0], getColumnType));
+    case 'BINARY':
+      if (expr.operator === '||') {
+        return 'TEXT';
+      }
+      return _numericType([expr.left, expr.right].map(operand => inferType(operand, getColumnType)));
+    case 'UNARY':
+      return _numericType([inferType(expr.operand, getColumnType)]);
+    case 'FUNCTION': {
+      const { returns } = FUNCTIONS[expr.name];
+      return typeof returns === 'function'
+        ? returns(expr.args.map(arg => inferType(arg, getColumnType)))
+        : returns;
+    }
+    case 'CAST':
+      return parseType(expr.targetType).type;
+    case 'CASE':
+      return _commonType(_caseResults(expr).map(result => inferType(result, getColumnType)), 'CASE');
+    case 'COMPARISON':
+    case 'BETWEEN':
+    case 'LOGICAL':
+    case 'NOT':
+    case 'EXISTS':
+      return 'BOOLEAN';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Gets the result type of an aggregate
+ * @private
+ * @param {string} func - COUNT, SUM, AVG, MIN or MAX
+ * @param {string|null} argumentType - Type of the argument (null when unknown or for *)
+ * @returns {string|null} - Result type
+ */
+function _aggregateType(func, argumentType) {
+  switch (func) {
+    case 'COUNT':
+      return 'INT';
+    case 'SUM':
+      return _numericType([argumentType]);
+    case 'AVG':
+      // The mean of whole numbers has a fraction; DECIMAL keeps exact digits
+      return argumentType === 'DECIMAL' ? 'DECIMAL' : 'FLOAT';
+    default:
+      return argumentType;
+  }
+}
+
+/**
+ * Gets the result type of arithmetic on operands of the given types
+ * @private
+ * @param {Array<string|null>} types - Operand types (null when unknown)
+ * @returns {string} - Widest numeric type among them (INT when none is known)
+ */
+function _numericType(types) {
+  return types
+    .filter(type => Column.isNumericType(type))
+    .reduce((result, type) => Column.commonType(result, type), 'INT');
+}
+
+/**
+ * Gets the result expressions of a CASE (each THEN and the ELSE)
+ * @private
+ * @param {CaseNode} expr - CASE node
+ * @returns {Array<Object>} - Result expressions
+ */
+function _caseResults(expr) {
+  const results = expr.branches.map(branch => branch.then);
+  return expr.elseResult ? [...results, expr.elseResult] : results;
+}
+
+/**
+ * Finds the one type shared by a set of expressions (numeric types widen)
+ * @private
+ * @param {Array<string|null>} types - Types (null when unknown)
+ * @param {string} construct - Name used in error messages
+ * @returns {string|null} - Shared type, or null if none is known
+ * @throws {Error} - If two known types differ
+ */
+function _commonType(types, construct) {
+  const known = types.filter(type => type !== null);
+  return known.reduce((result, type) => {
+    const common = Column.commonType(result, type);
+    if (!common) {
+      throw new Error(`${construct} types ${result} and ${type} cannot be matched`);
+    }
+    return common;
+  }, known.length > 0 ? known[0] : null);
+}
+
+/**
+ * Checks the arity and argument types of a function call
+ * @param {string} name - Function name (upper case)
+ * @param {Array<Object>} args - Argument expressions
+ * @param {Function} getColumnType - Maps a column reference to its type (null when unknown)
+ * @throws {Error} - If the call does not match the function's signature
+ */
+function validateCall(name, args, getColumnType = () => null) {
+  const fn = FUNCTIONS[name];
+  const max = fn.params.length;
+  const min = fn.variadic ? 1 : max - (fn.optional || 0);
+
+  if (args.length < min || (!fn.variadic && args.length > max)) {
+    const expected = fn.variadic ? `at least ${min}` : min === max ? `${max}` : `${min} to ${max}`;
+    throw new Error(`Function ${name} expects ${expected} argument(s), got ${args.length}`);
+  }
+
+  const types = args.map(arg => inferType(arg, getColumnType));
+  types.forEach((type, i) => {
+    if (!_accepts(_paramType(fn, i), type)) {
+      throw new Error(`Function ${name} expects ${_paramType(fn, i)} for argument ${i + 1}, got ${type}`);
+    }
+  });
+  if (fn.sameTypes) {
+    _commonType(types, name);
+  }
+}
+
+/**
+ * Checks the target type of a CAST
+ * @param {string} type - Target type, with its parameters if any (e.g., "DECIMAL(10, 2)")
+ * @returns {string} - Normalized type (upper case, aliases resolved)
+ * @throws {Error} - If the type is not a column type
+ */
+function validateCastType(type) {
+  // The Column constructor rejects unknown types and invalid parameters
+  return new Column('CAST', type).describeType();
+}
+
+/**
+ * Comparison operators that compare values by their type's order
+ */
+const ORDERING_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+/**
+ * Converts the text literals compared with a DATE or TIMESTAMP to that type
+ * Stored dates and timestamps are canonical text, so a literal written any
+ * other way ('2024-01-01 10:00') has to be converted before it can match,
+ * order against them or look them up in an index.
+ * @private
+ * @param {ComparisonNode|BetweenNode} expr - Comparison or BETWEEN node (changed in place)
+ * @param {Function} getColumnType - Maps a column reference to its type (null when unknown)
+ * @throws {Error} - If a literal is not a valid date or timestamp
+ */
+function _coerceTimeLiterals(expr, getColumnType) {
+  const isTime = type => type === 'DATE' || type === 'TIMESTAMP';
+  const coerceTo = type => value => (typeof value === 'string' ? castValue(value, type) : value);
+
+  // Strings on the value side are literals
+  const type = inferType(expr.column, getColumnType);
+  if (isTime(type)) {
+    const coerce = coerceTo(type);
+    if (expr.type === 'BETWEEN') {
+      expr.low = coerce(expr.low);
+      expr.high = coerce(expr.high);
+    } else if (expr.operator === 'IN' && expr.value.type === 'LIST') {
+      expr.value.items = expr.value.items.map(coerce);
+    } else if (ORDERING_OPERATORS.includes(expr.operator)) {
+      expr.value = coerce(expr.value);
+    }
+    return;
+  }
+
+  // A literal compared with a date or timestamp on the value side ('2024-01-01' < made)
+  if (expr.type === 'COMPARISON' && expr.column.type === 'LITERAL' && ORDERING_OPERATORS.includes(expr.operator) &&
+    expr.value !== null && typeof expr.value === 'object') {
+    const valueType = inferType(expr.value, getColumnType);
+    if (isTime(valueType)) {
+      expr.column = { ...expr.column, value: coerceTo(valueType)(expr.column.value) };
+    }
+  }
+}
+
+/**
+ * Checks every function call and CASE in an expression against a schema
+ * Also records the operand types of each arithmetic node on it (operandTypes),
+ * which decide whether a division divides integers, and converts text
+ * literals compared with dates and timestamps to their type.
+ * @param {*} expr - Column-side expression (a string is a column name)
+ * @param {Function} getColumnType - Maps a column reference to its type (null when unknown)
+ * @throws {Error} - If a call does not match its function's signature, or a
+ *   literal compared with a date or timestamp is not one
+ */
+function checkTypes(expr, getColumnType) {
+  if (expr === null || typeof expr !== 'object') {
+    return;
+  }
+
+  switch (expr.type) {
+    case 'FUNCTION':
+      validateCall(expr.name, expr.args, getColumnType);
+      break;
+    case 'CASE':
+    case 'WINDOW':
+      inferType(expr, getColumnType);
+      break;
+    case 'BINARY':
+      expr.operandTypes = [expr.left, expr.right].map(operand => inferType(operand, getColumnType));
+      break;
+    case 'COMPARISON':
+    case 'BETWEEN':
+      _coerceTimeLiterals(expr, getColumnType);
+      break;
+    default:
+      break;
+  }
+
+  // Strings in value positions are literals, so only nodes are searched
+  const children = [
+    expr.column, expr.value, expr.low, expr.high, expr.left, expr.right, expr.operand,
+    expr.argument, expr.expression, expr.elseResult,
+    ...(expr.items || []), ...(expr.args || []), ...(expr.partitionBy || []),
+    ...(expr.orderBy || []).map(term => term.column),
+    ...(expr.branches || []).flatMap(branch => [branch.when, branch.then])
+  ];
+  for (const child of children) {
+    if (child !== null && typeof child === 'object') {
+      checkTypes(child, getColumnType);
+    }
+  }
+}
+
+/**
+ * Calls a built-in function
+ * @param {string} name - Function name (upper case)
+ * @param {Array<*>} args - Argument values
+ * @param {Object} context - Evaluation context (see engine/expression.js)
+ * @returns {*} - Result value
+ * @throws {Error} - If an argument has the wrong type
+ */
+function callFunction(name, args, context = {}) {
+  const fn = FUNCTIONS[name];
+  const isNull = value => value === null || value === undefined;
+
+  if (!fn.nullSafe && args.some(isNull)) {
+    return null;
+  }
+
+  args.forEach((value, i) => {
+    const type = _paramType(fn, i);
+    if (!isNull(value) && !_accepts(type, typeOfValue(value))) {
+      throw new Error(`Function ${name} expects ${type} for argument ${i + 1}, got ${typeof value}`);
+    }
+  });
+
+  return fn.usesContext ? fn.apply(context, ...args) : fn.apply(...args);
+}
+
+/**
+ * Converts a value to a column type (CAST)
+ * @param {*} value - Value to convert
+ * @param {string} type - Target column type
+ * @returns {*} - Converted value
+ * @throws {Error} - If the type is unknown or the value cannot be converted
+ */
+function castValue(value, type) {
+  const column = new Column('CAST', type);
+  return column.coerceType(castHex(value, column.type));
+}
+
+module.exports = {
+  isFunction,
+  inferType,
+  validateCall,
+  validateCastType,
+  checkTypes,
+  callFunction,
+  castValue
+};
@@ -1,26 +1,143 @@
 /**
  * Index Module
  * 
- * Manages indexes for fast lookups. Supports primary key indexes and unique indexes.
- * Uses Map data structure for O(1) lookups.
+ * Manages indexes for fast lookups. Supports primary key indexes, unique indexes
+ * and the non-unique secondary indexes created by CREATE INDEX.
+ * Hash indexes use a Map for O(1) lookups. Ordered indexes (CREATE INDEX ...
+ * USING BTREE) use a B+tree instead, which also answers range lookups and
+ * reads rows in key order.
+ *
+ * A multi-column index keys each row by the tuple of its values (an array)
+ * and is always ordered, so lookups on a leading prefix of its columns can
+ * use it too.
  */
 
+const BTree = require('./btree');
+const Column = require('./column');
+
+/**
+ * Key under which NULL values are stored
+ */
+const NULL_KEY = '__NULL__';
+
 class Index {
   /**
    * Creates a new index
-   * @param {string} columnName - Name of the column being indexed
+   * @param {string|Array<string>} columns - Name of the column being indexed, or the
+   *   names of the columns of a multi-column index
    * @param {boolean} isPrimaryKey - Whether this is a primary key index
    * @param {boolean} isUnique - Whether this is a unique index
+   * @param {string|null} name - Index name given by CREATE INDEX (null for constraint indexes)
+   * @param {Function|null} compare - Value comparator for an ordered index (null for a hash index);
+   *   required for a multi-column index, where it compares tuples (see tupleComparator)
    */
-  constructor(columnName, isPrimaryKey = false, isUnique = false) {
-    this.columnName = columnName;
+  constructor(columns, isPrimaryKey = false, isUnique = false, name = null, compare = null) {
+    this.columnNames = Array.isArray(columns) ? columns : [columns];
+    if (this.columnNames.length > 1 && !compare) {
+      throw new Error('A multi-column index must be ordered');
+    }
+    this.name = name;
     this.isPrimaryKey = isPrimaryKey;
     // Primary keys are always unique
     this.isUnique = isUnique || isPrimaryKey;
+    this.compare = compare;
+    this.ordered = compare !== null;
     
-    // Map: value -> Set of row indices
-    // For unique indexes, each value maps to a single row index
-    this.indexMap = new Map();
+    // Map (or B+tree): value -> Set of row indices
+    // For unique indexes, each value maps to a single row index, except keys
+    // holding a NULL, which never conflict and keep a Set like other indexes
+    this.clear();
+  }
+
+  /**
+   * Gets the indexed column's name (the column names, comma-separated, for a multi-column index)
+   * Tables register each index under this name.
+   * @returns {string} - Column name
+   */
+  get columnName() {
+    return this.columnNames.join(', ');
+  }
+
+  /**
+   * Builds a comparator for the tuple keys of a multi-column index
+   * A shorter tuple compares equal to the tuples it is a prefix of, which
+   * turns a range from a prefix to itself into a prefix lookup.
+   * @param {Array<Function>} compares - Value comparator of each column
+   * @returns {Function} - Tuple comparator
+   */
+  static tupleComparator(compares) {
+    return (a, b) => {
+      const length = Math.min(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        const result = compares[i](a[i], b[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Gets the key a row is indexed under
+   * @param {Object} row - Row object
+   * @returns {*} - Column value, tuple of values (missing ones are NULL) for a multi-column
+   *   index, or undefined if a single-column index's column is missing from the row
+   */
+  keyOf(row) {
+    if (this.columnNames.length === 1) {
+      return this.columnName in row ? row[this.columnName] : undefined;
+    }
+    return this.columnNames.map(name => (name in row ? row[name] : null));
+  }
+
+  /**
+   * Checks whether two keys are the same
+   * @param {*} a - First key
+   * @param {*} b - Second key
+   * @returns {boolean} - True if the keys are equal
+   */
+  sameKey(a, b) {
+    return Array.isArray(a) && Array.isArray(b) ? a.every((value, i) => value === b[i]) : a === b;
+  }
+
+  /**
+   * Checks whether a key holds a NULL (NULL never conflicts with a unique value)
+   * @param {*} key - Key
+   * @returns {boolean} - True if the key is or contains NULL
+   */
+  hasNull(key) {
+    return Array.isArray(key) ? key.some(value => value === null || value === undefined) : key === null || key === undefined;
+  }
+
+  /**
+   * Describes the indexed column(s) for error messages
+   * @returns {string} - e.g. column "email" or columns (tenant_id, email)
+   */
+  describeColumns() {
+    return this.columnNames.length === 1 ? `column "${this.columnName}"` : `columns (${this.columnName})`;
+  }
+
+  /**
+   * Formats a key for error messages
+   * @param {*} key - Key
+   * @returns {string} - e.g. 3 or (1, 2)
+   */
+  formatKey(key) {
+    return Array.isArray(key) ? `(${key.map(String).join(', ')})` : String(key);
+  }
+
+  /**
+   * Removes every entry from the index
+   */
+  clear() {
+    if (this.ordered) {
+      // NULL_KEY sorts where the comparator puts NULL
+      const toValue = key => (key === NULL_KEY ? null : key);
+      this.indexMap = new BTree((a, b) => this.compare(toValue(a), toValue(b)));
+    } else {
+      this.indexMap = new Map();
+    }
   }
 
   /**
@@ -31,13 +148,13 @@ class Index {
    */
   add(value, rowIndex) {
     // Handle null values (they can exist in indexes but we'll store them specially)
-    const key = value === null ? '__NULL__' : value;
+    const key = value === null ? NULL_KEY : value;
 
-    if (this.isUnique || this.isPrimaryKey) {
+    if (this.isUnique && !this.hasNull(value)) {
       // Check for duplicate
       if (this.indexMap.has(key)) {
         throw new Error(
-          `Duplicate value for ${this.isPrimaryKey ? 'PRIMARY KEY' : 'UNIQUE'} column "${this.columnName}": ${value}`
+          `Duplicate value for ${this.isPrimaryKey ? 'PRIMARY KEY' : 'UNIQUE'} ${this.describeColumns()}: ${this.formatKey(value)}`
         );
       }
       // Store single row index
@@ -57,18 +174,19 @@ class Index {
    * @param {number} rowIndex - Row index to remove
    */
   remove(value, rowIndex) {
-    const key = value === null ? '__NULL__' : value;
+    const key = value === null ? NULL_KEY : value;
 
     if (!this.indexMap.has(key)) {
       return;
     }
 
-    if (this.isUnique || this.isPrimaryKey) {
-      // For unique indexes, just delete the entry
+    const entry = this.indexMap.get(key);
+    if (!(entry instanceof Set)) {
+      // For a unique key, just delete the entry
       this.indexMap.delete(key);
     } else {
-      // For non-unique indexes, remove from set
-      const rowSet = this.indexMap.get(key);
+      // For other keys, remove from set
+      const rowSet = entry;
       rowSet.delete(rowIndex);
       if (rowSet.size === 0) {
         this.indexMap.delete(key);
@@ -99,21 +217,13 @@ class Index {
    * @returns {Array<number>} - Array of row indices
    */
   find(value) {
-    const key = value === null ? '__NULL__' : value;
+    const key = value === null ? NULL_KEY : value;
 
     if (!this.indexMap.has(key)) {
       return [];
     }
 
-    const result = this.indexMap.get(key);
-    
-    // For unique/primary key indexes, return single value as array
-    if (this.isUnique || this.isPrimaryKey) {
-      return [result];
-    }
-    
-    // For non-unique indexes, convert Set to Array
-    return Array.from(result);
+    return this._rowIndices(this.indexMap.get(key));
   }
 
   /**
@@ -122,7 +232,7 @@ class Index {
    * @returns {boolean} - True if value exists
    */
   has(value) {
-    const key = value === null ? '__NULL__' : value;
+    const key = value === null ? NULL_KEY : value;
     return this.indexMap.has(key);
   }
 
@@ -132,7 +242,77 @@ class Index {
    */
   getAllValues() {
     return Array.from(this.indexMap.keys())
-      .map(key => key === '__NULL__' ? null : key);
+      .map(key => key === NULL_KEY ? null : key);
+  }
+
+  /**
+   * Gets the row indices stored under a key, in row order
+   * @private
+   * @param {number|Set<number>} entry - Index entry
+   * @returns {Array<number>} - Row indices
+   */
+  _rowIndices(entry) {
+    return entry instanceof Set ? Array.from(entry).sort((a, b) => a - b) : [entry];
+  }
+
+  /**
+   * Finds row indices by the values of the index's leading columns
+   * @param {Array<*>} values - Values of the first columns, in index order (at least one)
+   * @returns {Array<number>} - Row indices
+   */
+  findPrefix(values) {
+    if (this.columnNames.length === 1) {
+      return this.find(values[0]);
+    }
+    return this.range(values, values);
+  }
+
+  /**
+   * Finds row indices whose value lies within bounds (ordered indexes only)
+   * NULL never lies within bounds (nor does a tuple whose first value is NULL).
+   * Bounds of a multi-column index are tuples, possibly prefixes.
+   * @param {*} low - Lower bound, or undefined for none
+   * @param {*} high - Upper bound, or undefined for none
+   * @param {boolean} lowInclusive - Whether the lower bound itself matches
+   * @param {boolean} highInclusive - Whether the upper bound itself matches
+   * @returns {Array<number>} - Row indices, in value order
+   */
+  range(low, high, lowInclusive = true, highInclusive = true) {
+    const rowIndices = [];
+    for (const [key, entry] of this.indexMap.entries({ low, high, lowInclusive, highInclusive })) {
+      if (key !== NULL_KEY && !(Array.isArray(key) && key[0] === null)) {
+        rowIndices.push(...this._rowIndices(entry));
+      }
+    }
+    return rowIndices;
+  }
+
+  /**
+   * Lists every indexed row in value order (ordered indexes only)
+   * Rows with equal values keep their row order in either direction.
+   * @param {boolean} descending - True for descending value order
+   * @returns {Array<number>} - Row indices
+   */
+  scan(descending = false) {
+    const rowIndices = [];
+    for (const [, entry] of this.indexMap.entries({ descending })) {
+      rowIndices.push(...this._rowIndices(entry));
+    }
+    return rowIndices;
+  }
+
+  /**
+   * Gets the smallest or largest non-NULL value (ordered indexes only)
+   * @param {boolean} largest - True for the largest value
+   * @returns {*} - Value, or null if there are no non-NULL values
+   */
+  extreme(largest = false) {
+    for (const [key] of this.indexMap.entries({ descending: largest })) {
+      if (key !== NULL_KEY) {
+        return key;
+      }
+    }
+    return null;
   }
 
   /**
@@ -141,19 +321,20 @@ class Index {
    */
   toJSON() {
     // Convert Map to object for JSON serialization
+    // (tuple keys are stored as JSON text)
     const indexData = {};
     for (const [key, value] of this.indexMap.entries()) {
-      if (this.isUnique || this.isPrimaryKey) {
-        indexData[key] = value;
-      } else {
-        indexData[key] = Array.from(value);
-      }
+      const jsonKey = Array.isArray(key) ? JSON.stringify(key) : key;
+      indexData[jsonKey] = value instanceof Set ? Array.from(value) : value;
     }
 
     return {
       columnName: this.columnName,
+      columnNames: this.columnNames,
       isPrimaryKey: this.isPrimaryKey,
       isUnique: this.isUnique,
+      name: this.name,
+      ordered: this.ordered,
       indexMap: indexData
     };
   }
@@ -161,18 +342,29 @@ class Index {
   /**
    * Creates an index from JSON
    * @param {Object} json - Serialized index
+   * @param {Function} compare - Value comparator for an ordered index (defaults to untyped
+   *   comparison, of each value for a multi-column index)
    * @returns {Index} - Index instance
    */
-  static fromJSON(json) {
-    const index = new Index(json.columnName, json.isPrimaryKey, json.isUnique);
+  static fromJSON(json, compare = null) {
+    const columnNames = json.columnNames || [json.columnName];
+    const multiColumn = columnNames.length > 1;
+    const defaultCompare = multiColumn
+      ? Index.tupleComparator(columnNames.map(() => Column.compareValues))
+      : Column.compareValues;
+
+    const index = new Index(
+      multiColumn ? columnNames : columnNames[0],
+      json.isPrimaryKey,
+      json.isUnique,
+      json.name || null,
+      json.ordered ? compare || defaultCompare : null
+    );
     
     // Restore index map
-    for (const [key, value] of Object.entries(json.indexMap)) {
-      if (index.isUnique || index.isPrimaryKey) {
-        index.indexMap.set(key, value);
-      } else {
-        index.indexMap.set(key, new Set(value));
-      }
+    for (const [jsonKey, value] of Object.entries(json.indexMap)) {
+      const key = multiColumn ? JSON.parse(jsonKey) : jsonKey;
+      index.indexMap.set(key, Array.isArray(value) ? new Set(value) : value);
     }
 
     return index;
@@ -0,0 +1,82 @@
+/**
+ * Sequence Module
+ *
+ * Counter that hands out increasing (or, with a negative increment,
+ * decreasing) integers. Backs SERIAL / AUTOINCREMENT columns and the
+ * sequences made with CREATE SEQUENCE.
+ *
+ * A value, once handed out, is never handed out again: the counter only
+ * moves forward, even when the statement that took the value fails or its
+ * row is deleted later, and it is persisted with the database.
+ */
+
+class Sequence {
+  /**
+   * Creates a sequence
+   * @param {Object} options - { start, increment, lastValue }, where lastValue is the last
+   *   value handed out (null if none yet)
+   * @throws {Error} - If the increment is zero or a value is not an integer
+   */
+  constructor({ start = 1, increment = 1, lastValue = null } = {}) {
+    for (const [name, value] of [['START', start], ['INCREMENT', increment]]) {
+      if (!Number.isInteger(value)) {
+        throw new Error(`${name} of a sequence must be an integer, got ${value}`);
+      }
+    }
+    if (increment === 0) {
+      throw new Error('INCREMENT of a sequence cannot be zero');
+    }
+
+    this.start = start;
+    this.increment = increment;
+    this.lastValue = lastValue;
+  }
+
+  /**
+   * Hands out the next value
+   * @returns {number} - Value
+   */
+  next() {
+    this.lastValue = this.lastValue === null ? this.start : this.lastValue + this.increment;
+    return this.lastValue;
+  }
+
+  /**
+   * Moves the counter past a value that was used without asking the sequence
+   * (e.g., an id given explicitly), so next() does not hand it out later
+   * The counter never moves backwards.
+   * @param {number} value - Used value
+   */
+  advanceTo(value) {
+    if (!Number.isInteger(value)) {
+      return;
+    }
+    const current = this.lastValue === null ? this.start - this.increment : this.lastValue;
+    if ((value - current) * Math.sign(this.increment) > 0) {
+      this.lastValue = value;
+    }
+  }
+
+  /**
+   * Serializes the sequence to JSON for persistence
+   * @returns {Object} - Serialized sequence
+   */
+  toJSON() {
+    return {
+      start: this.start,
+      increment: this.increment,
+      lastValue: this.lastValue
+    };
+  }
+
+  /**
+   * Creates a sequence from JSON
+   * @param {Object} json - Serialized sequence
+   * @returns {Sequence} - Sequence instance
+   */
+  static fromJSON(json) {
+    return new Sequence(json);
+  }
+}
+
+module.exports = Sequence;
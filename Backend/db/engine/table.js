@@ -7,32 +7,58 @@
 
 const Column = require('./column');
 const Index = require('./index');
+const {
+  describeFunctionCall, evaluateCondition, evaluateExpression, evaluateValue, getConditionColumns, mapColumns
+} = require('./expression');
+const { checkTypes } = require('./functions');
+const { TypeCoercionError } = require('./types');
+
+/**
+ * Checks whether an update value is an expression node rather than a literal
+ * @param {*} value - Update value
+ * @returns {boolean} - True for nodes such as column references or arithmetic
+ */
+function _isOperandNode(value) {
+  return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
 
 class Table {
   /**
    * Creates a new table
    * @param {string} name - Table name
    * @param {Array<Column>} columns - Array of column definitions
+   * @param {Array<Object>} constraints - Table-level constraints:
+   *   { type: 'PRIMARY_KEY'|'UNIQUE', columns: Array<string> } or
+   *   { type: 'FOREIGN_KEY', columns: Array<string>, references: { table, columns, onDelete, onUpdate } }
+   * @param {Object} options - { strict }: a strict table rejects values that would lose
+   *   information when converted to their column's type
    */
-  constructor(name, columns) {
+  constructor(name, columns, constraints = [], { strict = false } = {}) {
     this.name = name;
+    this.strict = strict;
     this.columns = columns; // Array of Column objects
     this.rows = []; // Array of row objects
-    this.indexes = {}; // Map of columnName -> Index
+    this.indexes = {}; // Map of columnName (or "a, b" for several columns) -> Index
+    this.constraints = []; // Multi-column PRIMARY KEY / UNIQUE constraints
+    this.foreignKeys = []; // FOREIGN KEY constraints, enforced by the Database
+    this.undoLog = null; // What the current statement changed, while one is recorded (see startUndoLog)
     
     // Validate schema
-    this._validateSchema();
+    this._validateSchema(constraints);
     
     // Create indexes for primary key and unique columns
     this._createIndexes();
   }
 
   /**
-   * Validates the table schema
+   * Validates the table schema and records its table-level constraints
+   * A single-column constraint is recorded on the column itself, like a column constraint.
+   * Foreign keys are only checked against this table here; the Database checks what they reference.
    * @private
+   * @param {Array<Object>} constraints - Table-level constraints { type, columns }
    * @throws {Error} - If schema is invalid
    */
-  _validateSchema() {
+  _validateSchema(constraints = []) {
     if (!this.columns || this.columns.length === 0) {
       throw new Error('Table must have at least one column');
     }
@@ -44,9 +70,41 @@ class Table {
       throw new Error('Duplicate column names are not allowed');
     }
 
+    for (const column of this.columns) {
+      this._validateColumnConstraints(column);
+    }
+
+    for (const constraint of constraints) {
+      const kind = constraint.type.replace('_', ' ');
+      if (new Set(constraint.columns).size !== constraint.columns.length) {
+        throw new Error(`Duplicate column names in ${kind} constraint`);
+      }
+      const columns = constraint.columns.map(columnName => {
+        const column = this.getColumn(columnName);
+        if (!column) {
+          throw new Error(`Column "${columnName}" in ${kind} constraint not found`);
+        }
+        return column;
+      });
+
+      if (constraint.type === 'FOREIGN_KEY') {
+        this.foreignKeys.push({
+          columns: [...constraint.columns],
+          references: { ...constraint.references, columns: constraint.references.columns && [...constraint.references.columns] }
+        });
+      } else if (columns.length > 1) {
+        this.constraints.push({ type: constraint.type, columns: [...constraint.columns] });
+      } else if (constraint.type === 'PRIMARY_KEY') {
+        columns[0].primaryKey = true;
+      } else {
+        columns[0].unique = true;
+      }
+    }
+
     // Check for exactly one primary key
     const primaryKeys = this.columns.filter(col => col.primaryKey);
-    if (primaryKeys.length > 1) {
+    const compositeKeys = this.constraints.filter(constraint => constraint.type === 'PRIMARY_KEY');
+    if (primaryKeys.length + compositeKeys.length > 1) {
       throw new Error('Table can have at most one PRIMARY KEY');
     }
 
@@ -54,19 +112,329 @@ class Table {
     if (primaryKeys.length === 1) {
       primaryKeys[0].unique = true;
     }
+
+    // Primary key columns (of a single or multi-column key) cannot hold NULL
+    for (const column of this.getPrimaryKeyColumns()) {
+      column.notNull = true;
+    }
+  }
+
+  /**
+   * Validates a column's DEFAULT and CHECK expressions against the table
+   * @private
+   * @param {Column} column - Column of this table
+   * @throws {Error} - If the DEFAULT is not a constant of the column's type, or the CHECK
+   *   refers to unknown columns or uses aggregates
+   */
+  _validateColumnConstraints(column) {
+    if (column.defaultValue !== null) {
+      // On the value side a string is a literal
+      if (typeof column.defaultValue === 'object' && getConditionColumns(column.defaultValue).length > 0) {
+        throw new Error(`DEFAULT of column "${column.name}" must be a constant expression`);
+      }
+      const value = this.getDefaultValue(column);
+      if (!column.validateType(value)) {
+        throw new Error(
+          `Type mismatch for DEFAULT of column "${column.name}": expected ${column.describeType()}, got ${typeof value}`
+        );
+      }
+    }
+    if (column.check) {
+      this._validateCondition(column.check, this.name, 'CHECK');
+    }
+  }
+
+  /**
+   * Computes the DEFAULT value of a column, coerced to its type
+   * @param {Column} column - Column of this table
+   * @returns {*} - Value (NULL for a column without DEFAULT)
+   * @throws {Error} - If the value cannot be converted to the column's type
+   */
+  getDefaultValue(column) {
+    if (column.defaultValue === null) {
+      return null;
+    }
+    try {
+      return column.coerceType(evaluateValue(column.defaultValue, {}), this.strict);
+    } catch (error) {
+      throw new Error(`Type error for DEFAULT of column "${column.name}": ${error.message}`);
+    }
   }
 
   /**
-   * Creates indexes for primary key and unique columns
+   * Creates the missing indexes of primary key and unique columns
+   * (an ordered CREATE INDEX index can stand in for one, see createIndex)
    * @private
    */
   _createIndexes() {
     for (const column of this.columns) {
-      if (column.primaryKey) {
-        this.indexes[column.name] = new Index(column.name, true, true);
-      } else if (column.unique) {
-        this.indexes[column.name] = new Index(column.name, false, true);
+      if ((column.primaryKey || column.unique) && !this.indexes[column.name]) {
+        this.indexes[column.name] = this._createIndex([column.name], column.primaryKey, true);
+      }
+    }
+    for (const constraint of this.constraints) {
+      const index = this._createIndex(constraint.columns, constraint.type === 'PRIMARY_KEY', true);
+      if (!this.indexes[index.columnName]) {
+        this.indexes[index.columnName] = index;
+      }
+    }
+  }
+
+  /**
+   * Creates an empty index over columns of this table
+   * @private
+   * @param {Array<string>} columnNames - Indexed columns
+   * @param {boolean} isPrimaryKey - Whether this is a primary key index
+   * @param {boolean} isUnique - Whether this is a unique index
+   * @param {string|null} name - Index name given by CREATE INDEX
+   * @param {boolean} ordered - True for an ordered index (multi-column indexes always are)
+   * @returns {Index} - Index, not yet registered or filled
+   */
+  _createIndex(columnNames, isPrimaryKey, isUnique, name = null, ordered = false) {
+    // An ordered index sorts values the way ORDER BY does
+    const compares = columnNames.map(columnName => {
+      const column = this.getColumn(columnName);
+      // Index keys are compared by identity, which objects do not have
+      if (column.type === 'JSON' || column.type === 'BLOB') {
+        throw new Error(`Column "${columnName}" of type ${column.type} cannot be indexed`);
+      }
+      return (a, b) => column.compare(a, b);
+    });
+
+    if (columnNames.length > 1) {
+      return new Index(columnNames, isPrimaryKey, isUnique, name, Index.tupleComparator(compares));
+    }
+    return new Index(columnNames[0], isPrimaryKey, isUnique, name, ordered ? compares[0] : null);
+  }
+
+  /**
+   * Finds the index that can look up rows by one column's value: an index on
+   * the column, or else a multi-column index whose first column it is
+   * @param {string} columnName - Column name
+   * @returns {Index|undefined} - Index or undefined
+   */
+  getColumnIndex(columnName) {
+    return this.indexes[columnName] ||
+      Object.values(this.indexes).find(index => index.columnNames[0] === columnName);
+  }
+
+  /**
+   * Adds a column, setting it to its DEFAULT (or NULL, or the next value of an
+   * AUTOINCREMENT column) in every existing row
+   * @param {Column} column - Column to add
+   * @throws {Error} - If the name is taken or the existing rows cannot satisfy the column's constraints
+   */
+  addColumn(column) {
+    if (this.getColumn(column.name)) {
+      throw new Error(`Column "${column.name}" already exists in table "${this.name}"`);
+    }
+    if (column.primaryKey) {
+      if (this.getPrimaryKeyColumns().length > 0) {
+        throw new Error('Table can have at most one PRIMARY KEY');
+      }
+      if (this.rows.length > 0) {
+        throw new Error(`Cannot add PRIMARY KEY column "${column.name}" to table "${this.name}" because it has rows`);
+      }
+    }
+    if (column.unique && this.rows.length > 1) {
+      throw new Error(
+        `Cannot add UNIQUE column "${column.name}" to table "${this.name}": its existing rows would all be NULL`
+      );
+    }
+
+    this.columns.push(column);
+    let values;
+    try {
+      this._validateColumnConstraints(column);
+      // An AUTOINCREMENT column numbers the existing rows
+      values = this.rows.map(() => (column.autoIncrement ? column.sequence.next() : this.getDefaultValue(column)));
+      this.rows.forEach((row, i) => this._checkConstraints({ ...row, [column.name]: values[i] }));
+    } catch (error) {
+      this.columns.pop();
+      throw error;
+    }
+
+    this.rows.forEach((row, i) => {
+      row[column.name] = values[i];
+    });
+    this._createIndexes();
+    this._rebuildIndexes();
+  }
+
+  /**
+   * Drops a column, removing it from every row
+   * @param {string} columnName - Column name
+   * @throws {Error} - If the column doesn't exist, is the primary key or is the only column
+   */
+  dropColumn(columnName) {
+    const column = this.getColumn(columnName);
+    if (!column) {
+      throw new Error(`Column "${columnName}" not found in table "${this.name}"`);
+    }
+    if (column.primaryKey) {
+      throw new Error(`Cannot drop PRIMARY KEY column "${columnName}" of table "${this.name}"`);
+    }
+    if (this.columns.length === 1) {
+      throw new Error(`Cannot drop column "${columnName}": table "${this.name}" must have at least one column`);
+    }
+    const constraint = this.constraints.find(c => c.columns.includes(columnName));
+    if (constraint) {
+      throw new Error(
+        `Cannot drop column "${columnName}" of table "${this.name}": it is part of ` +
+        `${constraint.type === 'PRIMARY_KEY' ? 'PRIMARY KEY' : 'UNIQUE'} (${constraint.columns.join(', ')})`
+      );
+    }
+    const foreignKey = this.foreignKeys.find(fk => fk.columns.includes(columnName));
+    if (foreignKey) {
+      throw new Error(
+        `Cannot drop column "${columnName}" of table "${this.name}": it is part of ` +
+        `FOREIGN KEY (${foreignKey.columns.join(', ')})`
+      );
+    }
+    const checked = this.columns.find(col => col !== column && col.check &&
+      getConditionColumns(col.check).some(ref => this._localColumnName(ref) === columnName));
+    if (checked) {
+      throw new Error(
+        `Cannot drop column "${columnName}" of table "${this.name}": it is used by the CHECK constraint ` +
+        `of column "${checked.name}"`
+      );
+    }
+
+    this.columns = this.columns.filter(col => col !== column);
+    for (const row of this.rows) {
+      delete row[columnName];
+    }
+
+    // Indexes on the column go with it
+    for (const [key, index] of Object.entries(this.indexes)) {
+      if (index.columnNames.includes(columnName)) {
+        delete this.indexes[key];
+      }
+    }
+  }
+
+  /**
+   * Renames a column, rewriting every row and its index
+   * @param {string} columnName - Current column name
+   * @param {string} newName - New column name
+   * @throws {Error} - If the column doesn't exist or the new name is taken
+   */
+  renameColumn(columnName, newName) {
+    const column = this.getColumn(columnName);
+    if (!column) {
+      throw new Error(`Column "${columnName}" not found in table "${this.name}"`);
+    }
+    if (this.getColumn(newName)) {
+      throw new Error(`Column "${newName}" already exists in table "${this.name}"`);
+    }
+
+    column.name = newName;
+
+    // Keep each row's keys in column order
+    this.rows = this.rows.map(row => Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [key === columnName ? newName : key, value])
+    ));
+
+    const rename = name => (name === columnName ? newName : name);
+    for (const constraint of [...this.constraints, ...this.foreignKeys]) {
+      constraint.columns = constraint.columns.map(rename);
+    }
+    for (const col of this.columns.filter(c => c.check)) {
+      col.check = mapColumns(col.check, ref => rename(this._localColumnName(ref)));
+    }
+
+    // Indexes are registered under their column names
+    const indexes = Object.values(this.indexes);
+    this.indexes = {};
+    for (const index of indexes) {
+      index.columnNames = index.columnNames.map(rename);
+      this.indexes[index.columnName] = index;
+    }
+    this._rebuildIndexes();
+  }
+
+  /**
+   * Creates a secondary index on one or more columns (CREATE INDEX)
+   * An ordered index may be created on a PRIMARY KEY or UNIQUE column, whose
+   * hash index it then replaces (enforcing the constraint in its place)
+   * until it is dropped.
+   * @param {string} indexName - Index name
+   * @param {string|Array<string>} columnNames - Column to index, or columns of a multi-column index
+   * @param {boolean} unique - Whether the index rejects duplicate values
+   * @param {boolean} ordered - True for an ordered (B+tree) index, false for a hash index
+   *   (multi-column indexes are always ordered)
+   * @returns {Index} - The new index
+   * @throws {Error} - If a column doesn't exist, the columns are already indexed or a unique
+   *   index finds duplicates
+   */
+  createIndex(indexName, columnNames, unique = false, ordered = false) {
+    columnNames = Array.isArray(columnNames) ? columnNames : [columnNames];
+    for (const columnName of columnNames) {
+      if (!this.getColumn(columnName)) {
+        throw new Error(`Column "${columnName}" not found in table "${this.name}"`);
+      }
+    }
+    if (new Set(columnNames).size !== columnNames.length) {
+      throw new Error(`Index "${indexName}" names a column more than once`);
+    }
+
+    // Fill the index before registering it, so duplicates leave the table unchanged
+    let index = this._createIndex(columnNames, false, unique, indexName, ordered);
+    const existing = this.indexes[index.columnName];
+    if (existing) {
+      if (existing.name || existing.ordered || !index.ordered) {
+        const columns = columnNames.length === 1 ? `Column "${index.columnName}"` : `Columns (${index.columnName})`;
+        throw new Error(`${columns} of table "${this.name}" ${columnNames.length === 1 ? 'is' : 'are'} already indexed`);
+      }
+      index = this._createIndex(columnNames, existing.isPrimaryKey, true, indexName, true);
+    }
+    this._fillIndex(index);
+
+    this.indexes[index.columnName] = index;
+    return index;
+  }
+
+  /**
+   * Adds every row to an empty index
+   * @private
+   * @param {Index} index - Index over columns of this table
+   * @throws {Error} - If a unique index finds duplicates
+   */
+  _fillIndex(index) {
+    this.rows.forEach((row, i) => {
+      const key = index.keyOf(row);
+      if (key !== undefined) {
+        index.add(key, i);
       }
+    });
+  }
+
+  /**
+   * Finds a secondary index by name
+   * @param {string} indexName - Index name
+   * @returns {Index|undefined} - Index or undefined
+   */
+  getIndex(indexName) {
+    return Object.values(this.indexes).find(index => index.name === indexName);
+  }
+
+  /**
+   * Drops a secondary index (DROP INDEX)
+   * PRIMARY KEY and UNIQUE column indexes have no name, so they cannot be dropped;
+   * dropping an ordered index that stood in for one brings the hash index back.
+   * @param {string} indexName - Index name
+   * @throws {Error} - If the table has no index with that name
+   */
+  dropIndex(indexName) {
+    const index = this.getIndex(indexName);
+    if (!index) {
+      throw new Error(`Index "${indexName}" not found in table "${this.name}"`);
+    }
+    delete this.indexes[index.columnName];
+
+    this._createIndexes();
+    if (this.indexes[index.columnName]) {
+      this._fillIndex(this.indexes[index.columnName]);
     }
   }
 
@@ -81,52 +449,104 @@ class Table {
 
   /**
    * Gets the primary key column
-   * @returns {Column|undefined} - Primary key column or undefined
+   * @returns {Column|undefined} - Primary key column or undefined (also for a multi-column key)
    */
   getPrimaryKeyColumn() {
     return this.columns.find(col => col.primaryKey);
   }
 
   /**
-   * Validates a row against the table schema
-   * @param {Object} row - Row data
+   * Gets the columns of the primary key, whether one column or several
+   * @returns {Array<Column>} - Primary key columns (empty if there is no primary key)
+   */
+  getPrimaryKeyColumns() {
+    const column = this.getPrimaryKeyColumn();
+    if (column) {
+      return [column];
+    }
+    const constraint = this.constraints.find(c => c.type === 'PRIMARY_KEY');
+    return constraint ? constraint.columns.map(name => this.getColumn(name)) : [];
+  }
+
+  /**
+   * Validates a row against the table schema, filling in DEFAULT and AUTOINCREMENT values
+   * @param {Object} rowData - Row data (not modified)
+   * @returns {Object} - Row to store, with coerced values in schema column order
    * @throws {Error} - If row is invalid
    */
-  _validateRow(row) {
-    // Check that all required columns are present
+  _validateRow(rowData) {
+    // Columns left out get their DEFAULT value, AUTOINCREMENT columns left out or NULL their next value
+    const row = {};
     for (const column of this.columns) {
-      if (column.primaryKey && !(column.name in row)) {
+      const value = rowData[column.name];
+      if (column.autoIncrement && (value === null || value === undefined)) {
+        row[column.name] = column.sequence.next();
+      } else if (column.name in rowData) {
+        row[column.name] = value;
+      } else if (column.defaultValue !== null) {
+        row[column.name] = this.getDefaultValue(column);
+      }
+    }
+
+    // Check that all required columns are present
+    for (const column of this.getPrimaryKeyColumns()) {
+      if (!(column.name in row)) {
         throw new Error(`PRIMARY KEY column "${column.name}" is required`);
       }
     }
 
     // Validate types and coerce values
+    const given = { ...row };
     for (const column of this.columns) {
       if (column.name in row) {
-        const value = row[column.name];
-        
-        // Coerce type
-        try {
-          row[column.name] = column.coerceType(value);
-        } catch (error) {
-          throw new Error(`Type error for column "${column.name}": ${error.message}`);
-        }
-
-        // Validate type
-        if (!column.validateType(row[column.name])) {
-          throw new Error(
-            `Type mismatch for column "${column.name}": expected ${column.type}, got ${typeof value}`
-          );
-        }
+        row[column.name] = this._coerceValue(column, row[column.name], given);
       }
     }
 
     // Check for unknown columns
-    for (const key in row) {
+    for (const key in rowData) {
       if (!this.getColumn(key)) {
         throw new Error(`Unknown column: ${key}`);
       }
     }
+
+    this._checkConstraints(row);
+    this._advanceSequences(row);
+    return row;
+  }
+
+  /**
+   * Moves the sequences of AUTOINCREMENT columns past the values a row was given explicitly
+   * @private
+   * @param {Object} values - Row or updates with coerced values
+   */
+  _advanceSequences(values) {
+    for (const column of this.columns) {
+      if (column.autoIncrement && column.name in values) {
+        column.sequence.advanceTo(values[column.name]);
+      }
+    }
+  }
+
+  /**
+   * Checks a complete row against the NOT NULL and CHECK constraints of its columns
+   * A CHECK fails only when its condition is false (NULL passes, as in SQL).
+   * @private
+   * @param {Object} row - Row with coerced values
+   * @throws {Error} - If a constraint is violated
+   */
+  _checkConstraints(row) {
+    for (const column of this.columns) {
+      const value = row[column.name];
+      if (column.notNull && (value === null || value === undefined)) {
+        throw new Error(`NULL value in column "${column.name}" violates NOT NULL constraint`);
+      }
+    }
+    for (const column of this.columns) {
+      if (column.check && evaluateExpression(column.check, row) === false) {
+        throw new Error(`Row of table "${this.name}" violates the CHECK constraint of column "${column.name}"`);
+      }
+    }
   }
 
   /**
@@ -136,28 +556,23 @@ class Table {
    * @throws {Error} - If insertion fails
    */
   insert(rowData) {
-    // Create a copy to avoid mutating the input
-    const row = { ...rowData };
-    
-    // Validate row
-    this._validateRow(row);
+    // Validate row (a copy, so the input is not mutated)
+    const row = this._validateRow(rowData);
 
     // Check primary key constraint
-    const pkColumn = this.getPrimaryKeyColumn();
-    if (pkColumn && pkColumn.name in row) {
-      const pkValue = row[pkColumn.name];
-      if (this.indexes[pkColumn.name] && this.indexes[pkColumn.name].has(pkValue)) {
-        throw new Error(`Duplicate PRIMARY KEY value: ${pkValue}`);
+    const indexes = Object.values(this.indexes);
+    for (const index of indexes.filter(idx => idx.isPrimaryKey)) {
+      const key = index.keyOf(row);
+      if (key !== undefined && !index.hasNull(key) && index.has(key)) {
+        throw new Error(`Duplicate PRIMARY KEY value: ${index.formatKey(key)}`);
       }
     }
 
-    // Check unique constraints
-    for (const column of this.columns) {
-      if (column.unique && column.name in row) {
-        const value = row[column.name];
-        if (this.indexes[column.name] && this.indexes[column.name].has(value)) {
-          throw new Error(`Duplicate UNIQUE value for column "${column.name}": ${value}`);
-        }
+    // Check unique constraints (UNIQUE columns and unique indexes)
+    for (const index of indexes.filter(idx => idx.isUnique && !idx.isPrimaryKey)) {
+      const key = index.keyOf(row);
+      if (key !== undefined && !index.hasNull(key) && index.has(key)) {
+        throw new Error(`Duplicate UNIQUE value for ${index.describeColumns()}: ${index.formatKey(key)}`);
       }
     }
 
@@ -166,266 +581,713 @@ class Table {
     this.rows.push(row);
 
     // Update indexes
-    for (const columnName in this.indexes) {
-      if (columnName in row) {
-        this.indexes[columnName].add(row[columnName], rowIndex);
+    this._addToIndexes(row, rowIndex);
+
+    return { ...row };
+  }
+
+  /**
+   * Inserts several rows as one operation
+   *
+   * If any row fails validation or a constraint, none of them are inserted
+   * and rows changed by ON CONFLICT DO UPDATE get their old values back.
+   * A conflict is a proposed row whose value for a PRIMARY KEY or UNIQUE
+   * column (the conflict target, or any such column when none is given)
+   * is already in that column's index.
+   * @param {Array<Object>} rows - Row data objects
+   * @param {Object|null} onConflict - { columns, action: 'NOTHING'|'UPDATE', updates }, where
+   *   updates maps columns to operands that may read the proposed row as "excluded.column";
+   *   null to fail on conflicts
+   * @returns {Array<Object>} - Inserted or updated rows (rows skipped by DO NOTHING are left out)
+   * @throws {Error} - If any insertion fails
+   */
+  insertMany(rows, onConflict = null) {
+    if (onConflict) {
+      this._validateConflictClause(onConflict);
+    }
+
+    const start = this.rows.length;
+    const originals = new Map(); // Row index -> row before DO UPDATE changed it
+
+    try {
+      const results = [];
+      for (const rowData of rows) {
+        const result = onConflict ? this._upsert(rowData, onConflict, originals, start) : this.insert(rowData);
+        if (result) {
+          results.push(result);
+        }
+      }
+      return results;
+    } catch (error) {
+      // Roll back: drop the inserted rows and restore the updated ones
+      this.rows.length = start;
+      for (const [rowIndex, original] of originals) {
+        this.rows[rowIndex] = original;
       }
+      this._rebuildIndexes();
+      throw error;
     }
+  }
 
-    return { ...row };
+  /**
+   * Validates an ON CONFLICT clause against the schema
+   * @private
+   * @param {Object} onConflict - { columns, action, updates }
+   * @throws {Error} - If a target column has no unique index or an update names an unknown column
+   */
+  _validateConflictClause(onConflict) {
+    this._conflictIndexes(onConflict.columns);
+
+    if (onConflict.action !== 'UPDATE') {
+      return;
+    }
+    if (onConflict.columns.length === 0) {
+      throw new Error('ON CONFLICT DO UPDATE requires a conflict target column');
+    }
+    for (const [columnName, operand] of Object.entries(onConflict.updates)) {
+      if (!this.getColumn(columnName)) {
+        throw new Error(`Column "${columnName}" not found`);
+      }
+      for (const ref of getConditionColumns(_isOperandNode(operand) ? operand : null)) {
+        if (typeof ref !== 'string') {
+          throw new Error(`${describeFunctionCall(ref)} is not allowed in ON CONFLICT DO UPDATE`);
+        }
+        if (!this.getColumn(this._localColumnName(this._localColumnName(ref), 'excluded'))) {
+          throw new Error(`Column "${ref}" not found`);
+        }
+      }
+      if (_isOperandNode(operand)) {
+        checkTypes(operand, ref => this.getColumn(this._localColumnName(this._localColumnName(ref), 'excluded')).type);
+      }
+    }
+  }
+
+  /**
+   * Finds the unique indexes an ON CONFLICT target refers to
+   * The target names the columns of one unique index, in any order.
+   * @private
+   * @param {Array<string>} columns - Conflict target columns (empty for every unique index)
+   * @returns {Array<Index>} - Unique indexes to check for conflicts
+   * @throws {Error} - If no unique index has exactly the target columns
+   */
+  _conflictIndexes(columns) {
+    if (columns.length === 0) {
+      return Object.values(this.indexes).filter(index => index.isUnique);
+    }
+
+    const index = this.getUniqueIndex(columns);
+    if (!index) {
+      throw new Error(columns.length === 1
+        ? `ON CONFLICT column "${columns[0]}" has no PRIMARY KEY or UNIQUE constraint`
+        : `ON CONFLICT columns (${columns.join(', ')}) have no PRIMARY KEY or UNIQUE constraint`);
+    }
+    return [index];
+  }
+
+  /**
+   * Finds the unique index on exactly the given columns, in any order
+   * @param {Array<string>} columnNames - Column names
+   * @returns {Index|undefined} - Unique index or undefined
+   */
+  getUniqueIndex(columnNames) {
+    return Object.values(this.indexes).find(index => index.isUnique &&
+      index.columnNames.length === columnNames.length &&
+      columnNames.every(name => index.columnNames.includes(name)));
+  }
+
+  /**
+   * Inserts one row, or resolves its conflict with an existing row
+   * @private
+   * @param {Object} rowData - Proposed row
+   * @param {Object} onConflict - { columns, action, updates }
+   * @param {Map} originals - Rows changed so far by this statement (index -> old row), updated here
+   * @param {number} start - Number of rows the table had before the statement
+   * @returns {Object|null} - Inserted or updated row, or null if the row was skipped
+   * @throws {Error} - If the row is invalid or a row would be updated twice
+   */
+  _upsert(rowData, onConflict, originals, start) {
+    // Validate first so the conflict lookup sees coerced values
+    const row = this._validateRow(rowData);
+
+    // NULL never conflicts with anything
+    const conflict = this._conflictIndexes(onConflict.columns)
+      .map(index => ({ index, key: index.keyOf(row) }))
+      .find(({ index, key }) => !index.hasNull(key) && index.has(key));
+    if (!conflict) {
+      return this.insert(row);
+    }
+
+    if (onConflict.action === 'NOTHING') {
+      return null;
+    }
+
+    const rowIndex = conflict.index.find(conflict.key)[0];
+    if (rowIndex >= start || originals.has(rowIndex)) {
+      throw new Error('ON CONFLICT DO UPDATE cannot affect the same row twice in one statement');
+    }
+
+    // Update values may read the existing row (bare or table.column) and the proposed one (excluded.column)
+    const existing = this.rows[rowIndex];
+    const scope = {};
+    for (const column of this.columns) {
+      scope[column.name] = existing[column.name];
+      scope[`${this.name}.${column.name}`] = existing[column.name];
+      scope[`excluded.${column.name}`] = column.name in row ? row[column.name] : null;
+    }
+
+    const updates = {};
+    for (const [columnName, operand] of Object.entries(onConflict.updates)) {
+      updates[columnName] = evaluateValue(operand, scope);
+    }
+
+    originals.set(rowIndex, { ...existing });
+    this._updateRow(rowIndex, this._coerceUpdates(updates, existing));
+    return { ...this.rows[rowIndex] };
+  }
+
+  /**
+   * Strips this table's name (or alias) from a qualified column reference
+   * @private
+   * @param {string} column - Column reference (may be table.column)
+   * @param {string} alias - Name the query uses for this table
+   * @returns {string} - Column reference relative to this table
+   */
+  _localColumnName(column, alias = this.name) {
+    const prefix = `${alias}.`;
+    return column.startsWith(prefix) ? column.slice(prefix.length) : column;
+  }
+
+  /**
+   * Validates that every column referenced by a condition or expression exists
+   * @private
+   * @param {Object} condition - Condition or expression tree
+   * @param {string} alias - Name the query uses for this table
+   * @param {string} clause - Clause name used in error messages
+   * @throws {Error} - If a column is not found, an aggregate is used or a function
+   *   argument has the wrong type
+   */
+  _validateCondition(condition, alias = this.name, clause = 'WHERE') {
+    for (const column of getConditionColumns(condition)) {
+      if (typeof column !== 'string') {
+        throw new Error(`${describeFunctionCall(column)} is not allowed in ${clause}`);
+      }
+      if (!this.getColumn(this._localColumnName(column, alias))) {
+        throw new Error(`Column "${column}" not found`);
+      }
+    }
+
+    checkTypes(condition, ref => this.getColumn(this._localColumnName(ref, alias)).type);
+  }
+
+  /**
+   * Narrows the rows a condition can match using indexes
+   * @private
+   * @param {Object} condition - Condition tree
+   * @param {string} alias - Name the query uses for this table
+   * @returns {Array<number>|null} - Candidate row indices, or null if a full scan is needed
+   */
+  _findCandidates(condition, alias = this.name) {
+    const type = condition.type || 'COMPARISON';
+
+    if (type === 'COMPARISON') {
+      const index = typeof condition.column === 'string' &&
+        this.getColumnIndex(this._localColumnName(condition.column, alias));
+      if (!index) {
+        return null;
+      }
+
+      // <, <=, > and >=: the rows of a value range (ordered indexes only)
+      const { operator, value } = condition;
+      if (['<', '<=', '>', '>='].includes(operator)) {
+        const inclusive = operator.endsWith('=');
+        return operator.startsWith('>')
+          ? this._findRange(index, value, undefined, inclusive, true)
+          : this._findRange(index, undefined, value, true, inclusive);
+      }
+
+      // IN (a, b, ...) over literals: the rows of each value
+      let values = [condition.value];
+      if (condition.operator === 'IN') {
+        if (condition.value.type !== 'LIST') {
+          return null;
+        }
+        values = condition.value.items;
+      } else if (condition.operator !== '=') {
+        return null;
+      }
+      if (values.some(_isOperandNode)) {
+        return null;
+      }
+
+      // NULL equals nothing, so it needs no lookup
+      const candidates = new Set();
+      for (const value of values) {
+        if (value !== null && value !== undefined) {
+          index.findPrefix([value]).forEach(rowIndex => candidates.add(rowIndex));
+        }
+      }
+      return Array.from(candidates);
+    }
+
+    // BETWEEN: the rows of the range from low to high (ordered indexes only)
+    if (type === 'BETWEEN') {
+      const index = typeof condition.column === 'string' &&
+        this.getColumnIndex(this._localColumnName(condition.column, alias));
+      return index ? this._findRange(index, condition.low, condition.high) : null;
+    }
+
+    // Either side of an AND must hold, so the smaller candidate set is enough
+    if (type === 'LOGICAL' && condition.operator === 'AND') {
+      const left = this._findCandidates(condition.left, alias);
+      const right = this._findCandidates(condition.right, alias);
+      const prefix = this._findPrefixCandidates(condition, alias);
+      return [left, right, prefix]
+        .filter(Boolean)
+        .reduce((best, candidates) => (!best || candidates.length < best.length ? candidates : best), null);
+    }
+
+    return null;
+  }
+
+  /**
+   * Looks up rows in multi-column indexes using the equalities an AND requires
+   * (e.g., "a = 1 AND b = 2" on an index over (a, b, c) looks up the prefix (1, 2))
+   * @private
+   * @param {Object} condition - AND condition
+   * @param {string} alias - Name the query uses for this table
+   * @returns {Array<number>|null} - Candidate row indices, or null if no index has two leading
+   *   columns with equalities
+   */
+  _findPrefixCandidates(condition, alias) {
+    // Column = literal terms of the AND chain
+    const equalities = new Map();
+    const collect = term => {
+      if (term.type === 'LOGICAL' && term.operator === 'AND') {
+        collect(term.left);
+        collect(term.right);
+      } else if ((term.type || 'COMPARISON') === 'COMPARISON' && term.operator === '=' &&
+        typeof term.column === 'string' && !_isOperandNode(term.value)) {
+        equalities.set(this._localColumnName(term.column, alias), term.value);
+      }
+    };
+    collect(condition);
+
+    let best = null;
+    for (const index of Object.values(this.indexes)) {
+      const prefix = [];
+      for (const columnName of index.columnNames) {
+        const value = equalities.get(columnName);
+        if (value === undefined || !this.getColumn(columnName).validateType(value)) {
+          break;
+        }
+        prefix.push(value);
+      }
+
+      // Single leading columns are already looked up on their own
+      if (prefix.length >= 2) {
+        // NULL equals nothing
+        const candidates = prefix.includes(null) ? [] : index.findPrefix(prefix);
+        if (!best || candidates.length < best.length) {
+          best = candidates;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Looks up the rows whose value lies within bounds in an ordered index
+   * @private
+   * @param {Index} index - Index on the compared column
+   * @param {*} low - Lower bound, or undefined for none
+   * @param {*} high - Upper bound, or undefined for none
+   * @param {boolean} lowInclusive - Whether the lower bound itself matches
+   * @param {boolean} highInclusive - Whether the upper bound itself matches
+   * @returns {Array<number>|null} - Row indices, or null if the index cannot answer the range
+   */
+  _findRange(index, low, high, lowInclusive = true, highInclusive = true) {
+    if (!index.ordered) {
+      return null;
+    }
+
+    const column = this.getColumn(index.columnNames[0]);
+    for (const bound of [low, high]) {
+      if (bound === undefined) continue;
+      // Expressions are evaluated per row, and values of another type compare differently
+      if (_isOperandNode(bound) || (bound !== null && !column.validateType(bound))) {
+        return null;
+      }
+      // Nothing compares true with NULL
+      if (bound === null) {
+        return [];
+      }
+    }
+    // A multi-column index compares by its first column when given one-value prefixes
+    if (index.columnNames.length > 1) {
+      const wrap = bound => (bound === undefined ? bound : [bound]);
+      return index.range(wrap(low), wrap(high), lowInclusive, highInclusive);
+    }
+    return index.range(low, high, lowInclusive, highInclusive);
   }
 
   /**
    * Finds rows matching a condition
-   * @param {Object} condition - Condition object { column, operator, value }
+   * @param {Object} condition - Condition tree (see sql/ast.js), or null for all rows
+   * @param {string} alias - Name the condition uses to qualify this table's columns
+   * @param {Object} context - Evaluation context for subqueries (see engine/expression.js)
    * @returns {Array<Object>} - Array of matching rows
    */
-  find(condition) {
+  find(condition, alias = this.name, context = {}) {
     if (!condition) {
       // No condition: return all rows
       return this.rows.map(row => ({ ...row }));
     }
 
-    const { column, operator, value } = condition;
+    this._validateCondition(condition, alias);
 
-    // Check if column exists
-    const col = this.getColumn(column);
-    if (!col) {
-      throw new Error(`Column "${column}" not found`);
-    }
+    // Try to use an index to avoid scanning every row
+    const candidates = this._findCandidates(condition, alias);
+    const rows = candidates
+      ? candidates.sort((a, b) => a - b).map(idx => this.rows[idx])
+      : this.rows;
+
+    return rows
+      .filter(row => evaluateCondition(condition, row, context))
+      .map(row => ({ ...row }));
+  }
 
-    // Try to use index if available
-    if (operator === '=' && this.indexes[column]) {
-      const rowIndices = this.indexes[column].find(value);
-      return rowIndices.map(idx => ({ ...this.rows[idx] }));
+  /**
+   * Finds rows matching a condition, read in the order of an ordered index
+   *
+   * Used for ORDER BY on an indexed column, which then needs no sort. Gives
+   * up (returns null) when the column has no ordered index, when some rows
+   * are not in the index, or when the condition can use an index lookup
+   * (sorting the few rows it finds is cheaper than scanning the index).
+   * @param {Object} condition - Condition tree, or null for all rows
+   * @param {string} columnRef - ORDER BY column
+   * @param {string} direction - 'ASC' or 'DESC'
+   * @param {string} alias - Name the query uses for this table
+   * @param {Object} context - Evaluation context for subqueries
+   * @returns {Array<Object>|null} - Matching rows in ORDER BY order, or null
+   */
+  findOrdered(condition, columnRef, direction, alias = this.name, context = {}) {
+    const index = this.indexes[this._localColumnName(columnRef, alias)];
+    if (!index || !index.ordered) {
+      return null;
     }
 
-    // Fall back to table scan
-    return this.rows.filter(row => {
-      const rowValue = row[column];
-      
-      switch (operator) {
-        case '=':
-          return rowValue === value;
-        case '!=':
-          return rowValue !== value;
-        case '>':
-          return rowValue > value;
-        case '<':
-          return rowValue < value;
-        case '>=':
-          return rowValue >= value;
-        case '<=':
-          return rowValue <= value;
-        default:
-          throw new Error(`Unsupported operator: ${operator}`);
+    if (condition) {
+      this._validateCondition(condition, alias);
+      if (this._findCandidates(condition, alias)) {
+        return null;
       }
-    }).map(row => ({ ...row }));
+    }
+
+    // Rows without the column are not indexed
+    const rowIndices = index.scan(direction === 'DESC');
+    if (rowIndices.length !== this.rows.length) {
+      return null;
+    }
+
+    return rowIndices
+      .map(rowIndex => this.rows[rowIndex])
+      .filter(row => !condition || evaluateCondition(condition, row, context))
+      .map(row => ({ ...row }));
   }
 
   /**
    * Updates rows matching a condition
-   * @param {Object} updates - Object with column: value pairs
-   * @param {Object} condition - Condition object
-   * @returns {number} - Number of rows updated
+   * @param {Object} updates - Object with column: value pairs; a value may be an
+   *   expression node evaluated against the row's current values (e.g., views + 1)
+   * @param {Object} condition - Condition tree, or null for all rows
+   * @param {Object} context - Evaluation context for subqueries (see engine/expression.js)
+   * @returns {Array<Object>} - Updated rows, with their new values
    * @throws {Error} - If update fails
    */
-  update(updates, condition) {
-    // Validate update columns
+  update(updates, condition, context = {}) {
+    // Check columns and expressions up front, even if no row matches
+    const constants = {};
+    for (const [columnName, value] of Object.entries(updates)) {
+      if (!this.getColumn(columnName)) {
+        throw new Error(`Column "${columnName}" not found`);
+      }
+      if (!_isOperandNode(value)) {
+        constants[columnName] = value;
+      } else {
+        this._validateCondition(value, this.name, 'SET');
+      }
+    }
+
+    if (condition) {
+      this._validateCondition(condition);
+    }
+
+    // Compute every new row before changing any, so conditions, expressions
+    // and subqueries all see the table as it was
+    const changes = [];
+    this.rows.forEach((row, i) => {
+      if (evaluateCondition(condition, row, context)) {
+        const values = {};
+        for (const [columnName, value] of Object.entries(updates)) {
+          values[columnName] = evaluateValue(value, row, context);
+        }
+        changes.push([i, this._coerceUpdates(values, row)]);
+      }
+    });
+
+    // Constant values are checked with the rows they are given for; a value
+    // no row takes is still checked, so a bad statement fails either way
+    if (changes.length === 0) {
+      this._coerceUpdates(constants);
+    }
+
+    const updated = [];
+    for (const [rowIndex, values] of changes) {
+      this._updateRow(rowIndex, values);
+      updated.push({ ...this.rows[rowIndex] });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Updates one row by its position, checking types and unique constraints
+   * @param {number} rowIndex - Index of the row in this.rows
+   * @param {Object} values - Object with column: value pairs (literal values)
+   * @returns {Object} - The updated row
+   * @throws {Error} - If a value has the wrong type or duplicates a unique value
+   */
+  updateRowAt(rowIndex, values) {
+    this._updateRow(rowIndex, this._coerceUpdates({ ...values }, this.rows[rowIndex]));
+    return { ...this.rows[rowIndex] };
+  }
+
+  /**
+   * Validates the columns of an update and coerces its values (in place)
+   * @private
+   * @param {Object} updates - Object with column: value pairs
+   * @param {Object|null} row - Row being updated (null when not known), for errors
+   * @returns {Object} - The coerced updates
+   * @throws {Error} - If a column is missing or a value has the wrong type
+   */
+  _coerceUpdates(updates, row = null) {
     for (const columnName in updates) {
       const column = this.getColumn(columnName);
       if (!column) {
         throw new Error(`Column "${columnName}" not found`);
       }
-      
-      // Coerce and validate type
-      try {
-        updates[columnName] = column.coerceType(updates[columnName]);
-      } catch (error) {
-        throw new Error(`Type error for column "${columnName}": ${error.message}`);
-      }
-
-      if (!column.validateType(updates[columnName])) {
-        throw new Error(`Type mismatch for column "${columnName}"`);
-      }
-    }
-
-    // Find rows to update
-    const rowsToUpdate = condition ? this.find(condition) : this.rows;
-    let updatedCount = 0;
-
-    // Update each row
-    for (let i = 0; i < this.rows.length; i++) {
-      const row = this.rows[i];
-      
-      // Check if this row matches the condition
-      let matches = true;
-      if (condition) {
-        const { column, operator, value } = condition;
-        const rowValue = row[column];
-        
-        switch (operator) {
-          case '=':
-            matches = rowValue === value;
-            break;
-          case '!=':
-            matches = rowValue !== value;
-            break;
-          case '>':
-            matches = rowValue > value;
-            break;
-          case '<':
-            matches = rowValue < value;
-            break;
-          case '>=':
-            matches = rowValue >= value;
-            break;
-          case '<=':
-            matches = rowValue <= value;
-            break;
-          default:
-            matches = false;
-        }
-      }
+      updates[columnName] = this._coerceValue(column, updates[columnName], row && { ...row });
+    }
+    return updates;
+  }
 
-      if (matches) {
-        // Check unique constraints before updating
-        for (const columnName in updates) {
-          const column = this.getColumn(columnName);
-          if (column.unique || column.primaryKey) {
-            const newValue = updates[columnName];
-            const oldValue = row[columnName];
-            
-            // If value is changing, check for duplicates
-            if (newValue !== oldValue && this.indexes[columnName]) {
-              if (this.indexes[columnName].has(newValue)) {
-                throw new Error(
-                  `Duplicate ${column.primaryKey ? 'PRIMARY KEY' : 'UNIQUE'} value for column "${columnName}": ${newValue}`
-                );
-              }
-            }
-          }
-        }
+  /**
+   * Converts a value to its column's type (strictly in a strict table) and validates it
+   * @private
+   * @param {Column} column - Column of this table
+   * @param {*} value - Value to store
+   * @param {Object|null} row - Row the value is given for (null when not known), for errors
+   * @returns {*} - Converted value
+   * @throws {TypeCoercionError} - If the value cannot be converted, or not without losing
+   *   information in a strict table
+   */
+  _coerceValue(column, value, row) {
+    const details = { table: this.name, column: column.name, value, row };
+    let result;
+    try {
+      result = column.coerceType(value, this.strict);
+    } catch (error) {
+      throw new TypeCoercionError(`Type error for column "${column.name}": ${error.message}`, details);
+    }
 
-        // Store old values for index updates
-        const oldValues = {};
-        for (const columnName in updates) {
-          oldValues[columnName] = row[columnName];
-        }
+    if (!column.validateType(result)) {
+      throw new TypeCoercionError(
+        `Type mismatch for column "${column.name}": expected ${column.describeType()}, got ${typeof value}`,
+        details
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Applies coerced updates to one row, keeping indexes in sync
+   * @private
+   * @param {number} rowIndex - Index of the row in this.rows
+   * @param {Object} updates - Coerced column: value pairs
+   * @throws {Error} - If a PRIMARY KEY or UNIQUE value would be duplicated, or a NOT NULL
+   *   or CHECK constraint violated
+   */
+  _updateRow(rowIndex, updates) {
+    const row = this.rows[rowIndex];
+    this._checkConstraints({ ...row, ...updates });
 
-        // Update row
-        Object.assign(row, updates);
-        updatedCount++;
+    // Keys of the indexes that cover an updated column, before and after
+    const changes = Object.values(this.indexes)
+      .filter(index => index.columnNames.some(columnName => columnName in updates))
+      .map(index => ({ index, oldKey: index.keyOf(row), newKey: index.keyOf({ ...row, ...updates }) }));
 
-        // Update indexes
-        for (const columnName in updates) {
-          if (this.indexes[columnName]) {
-            this.indexes[columnName].update(oldValues[columnName], row[columnName], i);
-          }
-        }
+    // Check unique constraints before updating
+    for (const { index, oldKey, newKey } of changes) {
+      // If value is changing, check for duplicates
+      if (index.isUnique && !index.sameKey(oldKey, newKey) && !index.hasNull(newKey) && index.has(newKey)) {
+        throw new Error(
+          `Duplicate ${index.isPrimaryKey ? 'PRIMARY KEY' : 'UNIQUE'} value for ${index.describeColumns()}: ` +
+          index.formatKey(newKey)
+        );
       }
     }
 
-    return updatedCount;
+    // Update row (keeping its old values if the statement may be rolled back)
+    if (this.undoLog && !this.undoLog.originals.has(row)) {
+      this.undoLog.originals.set(row, { ...row });
+    }
+    Object.assign(row, updates);
+    this._advanceSequences(updates);
+
+    // Update indexes
+    for (const { index, oldKey, newKey } of changes) {
+      if (!index.sameKey(oldKey, newKey)) {
+        index.update(oldKey, newKey, rowIndex);
+      }
+    }
   }
 
   /**
    * Deletes rows matching a condition
-   * @param {Object} condition - Condition object
-   * @returns {number} - Number of rows deleted
+   * @param {Object} condition - Condition tree, or null for all rows
+   * @param {Object} context - Evaluation context for subqueries (see engine/expression.js)
+   * @returns {Array<Object>} - Deleted rows
    */
-  delete(condition) {
+  delete(condition, context = {}) {
     if (!condition) {
       // Delete all rows
-      const count = this.rows.length;
+      const deleted = this.rows;
       this.rows = [];
       // Clear all indexes
       for (const columnName in this.indexes) {
-        this.indexes[columnName] = new Index(
-          this.indexes[columnName].columnName,
-          this.indexes[columnName].isPrimaryKey,
-          this.indexes[columnName].isUnique
-        );
+        this.indexes[columnName].clear();
       }
-      return count;
+      return deleted;
     }
 
-    const { column, operator, value } = condition;
-    let deletedCount = 0;
+    this._validateCondition(condition);
 
-    // Find rows to delete (iterate backwards to avoid index issues)
-    for (let i = this.rows.length - 1; i >= 0; i--) {
-      const row = this.rows[i];
-      const rowValue = row[column];
-      
-      let matches = false;
-      switch (operator) {
-        case '=':
-          matches = rowValue === value;
-          break;
-        case '!=':
-          matches = rowValue !== value;
-          break;
-        case '>':
-          matches = rowValue > value;
-          break;
-        case '<':
-          matches = rowValue < value;
-          break;
-        case '>=':
-          matches = rowValue >= value;
-          break;
-        case '<=':
-          matches = rowValue <= value;
-          break;
+    // Match every row before removing any, so subqueries see the table as it was
+    const matches = [];
+    this.rows.forEach((row, i) => {
+      if (evaluateCondition(condition, row, context)) {
+        matches.push(i);
       }
+    });
 
-      if (matches) {
-        // Remove from indexes
-        for (const columnName in this.indexes) {
-          if (columnName in row) {
-            this.indexes[columnName].remove(row[columnName], i);
-          }
-        }
-
-        // Remove row
-        this.rows.splice(i, 1);
-        deletedCount++;
+    return this.deleteRowsAt(matches);
+  }
 
-        // Rebuild indexes for remaining rows (simplified approach)
-        // In a production system, we'd update indices more efficiently
-        this._rebuildIndexes();
-      }
+  /**
+   * Deletes rows by their positions
+   * @param {Array<number>} rowIndices - Indexes of the rows in this.rows
+   * @returns {Array<Object>} - Deleted rows, in table order
+   */
+  deleteRowsAt(rowIndices) {
+    if (rowIndices.length === 0) {
+      return [];
     }
 
-    return deletedCount;
+    const doomed = new Set(rowIndices);
+    const deleted = this.rows.filter((row, i) => doomed.has(i));
+    this.rows = this.rows.filter((row, i) => !doomed.has(i));
+
+    // Row positions shift, so every index is rebuilt
+    this._rebuildIndexes();
+    return deleted;
+  }
+
+  /**
+   * Starts recording the writes to this table, so they can be rolled back
+   *
+   * Only the rows an update touches are copied: inserts only append to the
+   * row array and deletes replace it, so the array and its length are kept
+   * as they were, and each updated row's values before its first change.
+   */
+  startUndoLog() {
+    this.undoLog = { rows: this.rows, length: this.rows.length, originals: new Map() };
+  }
+
+  /**
+   * Stops recording writes, keeping them
+   */
+  endUndoLog() {
+    this.undoLog = null;
+  }
+
+  /**
+   * Undoes every write since startUndoLog and stops recording
+   */
+  rollback() {
+    const { rows, length, originals } = this.undoLog;
+    this.rows = rows.slice(0, length).map(row => originals.get(row) || row);
+    this.undoLog = null;
+    this._rebuildIndexes();
   }
 
   /**
-   * Rebuilds all indexes (used after deletions)
+   * Gets the rows inserted or updated since startUndoLog (for writes that delete nothing)
+   * @returns {Array<Array<Object|null>>} - [oldRow, newRow] pairs, oldRow being null for a new row;
+   *   rows updated to the values they had are left out
+   */
+  loggedChanges() {
+    const { length, originals } = this.undoLog;
+    const updated = [...originals]
+      .map(([row, original]) => [original, row])
+      .filter(([original, row]) => Object.keys(row).some(key => original[key] !== row[key]));
+    return [...updated, ...this.rows.slice(length).map(row => [null, row])];
+  }
+
+  /**
+   * Rebuilds all indexes (used after deletions and schema changes)
    * @private
    */
   _rebuildIndexes() {
     for (const columnName in this.indexes) {
-      const index = this.indexes[columnName];
-      this.indexes[columnName] = new Index(
-        index.columnName,
-        index.isPrimaryKey,
-        index.isUnique
-      );
+      this.indexes[columnName].clear();
     }
 
     // Re-add all rows to indexes
-    for (let i = 0; i < this.rows.length; i++) {
-      const row = this.rows[i];
-      for (const columnName in this.indexes) {
-        if (columnName in row) {
-          this.indexes[columnName].add(row[columnName], i);
-        }
+    this.rows.forEach((row, i) => this._addToIndexes(row, i));
+  }
+
+  /**
+   * Adds a row to every index
+   * @private
+   * @param {Object} row - Row object
+   * @param {number} rowIndex - Index of the row in this.rows
+   * @throws {Error} - If a unique index already has the row's key
+   */
+  _addToIndexes(row, rowIndex) {
+    for (const index of Object.values(this.indexes)) {
+      const key = index.keyOf(row);
+      if (key !== undefined) {
+        index.add(key, rowIndex);
       }
     }
   }
 
+  /**
+   * Copies a row, passing each value through a function of its column
+   * @private
+   * @param {Object} row - Row object
+   * @param {Function} map - (column, value) => new value
+   * @returns {Object} - New row
+   */
+  _mapValues(row, map) {
+    const mapped = {};
+    for (const [columnName, value] of Object.entries(row)) {
+      const column = this.getColumn(columnName);
+      mapped[columnName] = column ? map(column, value) : value;
+    }
+    return mapped;
+  }
+
   /**
    * Serializes table to JSON for persistence
    * @returns {Object} - Serialized table
@@ -433,8 +1295,12 @@ class Table {
   toJSON() {
     return {
       name: this.name,
+      strict: this.strict,
       columns: this.columns.map(col => col.toJSON()),
-      rows: this.rows,
+      constraints: this.constraints,
+      foreignKeys: this.foreignKeys,
+      // Values are written in their dump form (e.g., BLOBs as base64)
+      rows: this.rows.map(row => this._mapValues(row, (column, value) => column.encodeValue(value))),
       indexes: Object.fromEntries(
         Object.entries(this.indexes).map(([name, index]) => [name, index.toJSON()])
       )
@@ -448,31 +1314,30 @@ class Table {
    */
   static fromJSON(json) {
     const columns = json.columns.map(colJson => Column.fromJSON(colJson));
-    const table = new Table(json.name, columns);
+    const table = new Table(json.name, columns, json.constraints || [], { strict: !!json.strict });
+    table.foreignKeys = json.foreignKeys || [];
     
     // Restore rows
-    table.rows = json.rows;
+    table.rows = json.rows.map(row => table._mapValues(row, (column, value) => column.decodeValue(value)));
     
     // Rebuild indexes from rows (more reliable than restoring from JSON)
-    // Clear existing indexes first
-    table.indexes = {};
-    for (const column of table.columns) {
-      if (column.primaryKey) {
-        table.indexes[column.name] = new Index(column.name, true, true);
-      } else if (column.unique) {
-        table.indexes[column.name] = new Index(column.name, false, true);
+    // The constructor created the constraint indexes; only the definitions
+    // of CREATE INDEX indexes (which may replace them) are taken from the JSON
+    for (const indexJson of Object.values(json.indexes || {})) {
+      if (indexJson.name) {
+        const index = table._createIndex(
+          indexJson.columnNames || [indexJson.columnName],
+          indexJson.isPrimaryKey,
+          indexJson.isUnique,
+          indexJson.name,
+          indexJson.ordered
+        );
+        table.indexes[index.columnName] = index;
       }
     }
     
     // Rebuild indexes by adding all rows
-    for (let i = 0; i < table.rows.length; i++) {
-      const row = table.rows[i];
-      for (const columnName in table.indexes) {
-        if (columnName in row) {
-          table.indexes[columnName].add(row[columnName], i);
-        }
-      }
-    }
+    table._rebuildIndexes();
 
     return table;
   }
@@ -0,0 +1,571 @@
+/**
+ * Types Module
+ *
+ * Registry of the column types: how values of each type are validated,
+ * converted (coerced), ordered and written to the JSON dump.
+ *
+ * Values are plain JavaScript values: numbers for INT, FLOAT and DECIMAL,
+ * booleans for BOOLEAN, strings for TEXT, DATE ('2024-01-31') and TIMESTAMP
+ * (ISO 8601 in UTC, '2024-01-31T12:00:00.000Z'), parsed JSON values for JSON
+ * and Buffers for BLOB. DATE and TIMESTAMP strings are canonical, so they
+ * sort and compare as text. A DECIMAL is rounded to its scale when stored;
+ * its precision is capped at MAX_DECIMAL_PRECISION digits, which a number
+ * always holds exactly.
+ *
+ * A type may take parameters: VARCHAR(n) is TEXT of at most n characters
+ * and DECIMAL(p, s) has p digits, s of them after the point.
+ *
+ * Conversions are lenient by default (3.7 rounds to the INT 4, 12 becomes
+ * the text '12'), though numeric text must be a number from start to end.
+ * Strict tables only take values that convert without losing anything.
+ */
+
+/**
+ * Other names accepted for the column types
+ */
+const TYPE_ALIASES = {
+  REAL: 'FLOAT',
+  NUMERIC: 'DECIMAL',
+  VARCHAR: 'TEXT'
+};
+
+/**
+ * Number of parameters each type name takes (names left out take none)
+ */
+const TYPE_PARAMS = {
+  VARCHAR: { min: 1, max: 1 },
+  DECIMAL: { min: 0, max: 2 },
+  NUMERIC: { min: 0, max: 2 }
+};
+
+/**
+ * Largest DECIMAL precision (significant digits survive a round trip through a number)
+ */
+const MAX_DECIMAL_PRECISION = 15;
+
+/**
+ * Date and time input: a date, optionally followed by a time and a UTC offset
+ * (a time without an offset is taken as UTC)
+ */
+const TIMESTAMP_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+/**
+ * Numeric text that is a number from start to end ('12', '-1.5', '2e3')
+ */
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Time with digits after the milliseconds that are not all zero (they are dropped when stored)
+ */
+const SUB_MILLISECOND_PATTERN = /:\d{2}\.\d{3}\d*[1-9]/;
+
+/**
+ * Hexadecimal text form of a BLOB ('\x00ff', the bytes of X'00ff'), which CAST converts from and to
+ */
+const HEX_PATTERN = /^\\x((?:[0-9a-f]{2})*)$/i;
+
+/**
+ * Compares two numbers or two strings
+ * @private
+ * @param {number|string} a - First value
+ * @param {number|string} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+function _compareScalars(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Reads a number from a number or numeric text
+ * Text must be a number from start to end ('12abc' is not one).
+ * @private
+ * @param {*} value - Value to read
+ * @param {string} type - Target type (for error messages)
+ * @returns {number} - Finite number
+ * @throws {Error} - If the value holds no number
+ */
+function _parseNumber(value, type) {
+  const number = typeof value === 'number'
+    ? value
+    : typeof value === 'string' && NUMBER_PATTERN.test(value.trim()) ? Number(value) : NaN;
+  if (!Number.isFinite(number)) {
+    throw new Error(`Cannot convert "${value}" to ${type}`);
+  }
+  return number;
+}
+
+/**
+ * Converts a value to an INT
+ * Numbers with a fraction round half away from zero, but text has to be a
+ * whole number ('3.7' is not converted, as the fraction would go unnoticed).
+ * @private
+ * @param {*} value - Value to convert
+ * @returns {number} - Integer
+ * @throws {Error} - If the value holds no number, is text with a fraction or is out of range
+ */
+function _toInt(value) {
+  if (typeof value === 'string' && !/^[-+]?\d+$/.test(value.trim())) {
+    throw new Error(`Cannot convert "${value}" to INT`);
+  }
+  const number = _parseNumber(value, 'INT');
+  const rounded = Math.sign(number) * Math.round(Math.abs(number));
+  if (!Number.isSafeInteger(rounded)) {
+    throw new Error(`Value ${value} is out of range for INT`);
+  }
+  return rounded === 0 ? 0 : rounded;
+}
+
+/**
+ * Writes a number as plain decimal text (no exponent)
+ * @private
+ * @param {string} text - Number as JavaScript writes it (e.g., "1.5e-7")
+ * @returns {string} - Plain text (e.g., "0.00000015")
+ */
+function _expandExponent(text) {
+  const [mantissa, exponentText] = text.toLowerCase().split('e');
+  if (exponentText === undefined) {
+    return mantissa;
+  }
+
+  const negative = mantissa.startsWith('-');
+  const [integer, fraction = ''] = mantissa.replace(/^[-+]/, '').split('.');
+  const digits = integer + fraction;
+  const point = integer.length + Number(exponentText);
+  const plain = point <= 0
+    ? `0.${'0'.repeat(-point)}${digits}`
+    : point >= digits.length
+      ? digits + '0'.repeat(point - digits.length)
+      : `${digits.slice(0, point)}.${digits.slice(point)}`;
+  return negative ? `-${plain}` : plain;
+}
+
+/**
+ * Converts a value to a DECIMAL of a column's precision and scale
+ * Text is read digit for digit, so '1.005' rounds to 1.01 at scale 2.
+ * @private
+ * @param {*} value - Value to convert
+ * @param {Column} column - DECIMAL column (precision and scale are null when not given)
+ * @returns {number} - Number rounded to the scale
+ * @throws {Error} - If the value holds no number or has too many digits before the point
+ */
+function _toDecimal(value, column) {
+  const { precision, scale } = column;
+  const number = _parseNumber(value, 'DECIMAL');
+  if (scale === null) {
+    return Number(number.toPrecision(MAX_DECIMAL_PRECISION)) || 0;
+  }
+
+  const isText = typeof value === 'string' && NUMBER_PATTERN.test(value.trim());
+  const text = _expandExponent(isText ? value.trim() : number.toPrecision(MAX_DECIMAL_PRECISION));
+  const negative = text.startsWith('-');
+  const [integer, fraction = ''] = text.replace(/^[-+]/, '').split('.');
+
+  // Round half away from zero at the scale
+  let scaled = BigInt(`${integer}${fraction.slice(0, scale).padEnd(scale, '0')}` || '0');
+  if (fraction.length > scale && fraction[scale] >= '5') {
+    scaled += 1n;
+  }
+  const digits = scaled.toString().padStart(scale + 1, '0');
+  const integerDigits = digits.slice(0, digits.length - scale).replace(/^0+(?=\d)/, '');
+
+  if (integerDigits !== '0' && integerDigits.length > precision - scale) {
+    throw new Error(`Value ${value} is out of range for ${formatType(column)}`);
+  }
+  const result = Number(`${negative ? '-' : ''}${integerDigits}.${digits.slice(digits.length - scale)}`);
+  return result === 0 ? 0 : result;
+}
+
+/**
+ * Splits a number into the integer of its decimal digits and its scale
+ * @private
+ * @param {number} number - Finite number
+ * @returns {Object} - { digits, scale }, where number = digits / 10^scale (digits is a BigInt)
+ */
+function _decimalParts(number) {
+  const [integer, fraction = ''] = _expandExponent(String(number)).split('.');
+  return { digits: BigInt(integer + fraction), scale: fraction.length };
+}
+
+/**
+ * Adds, subtracts or multiplies two numbers as the decimals they are written as
+ * Doubles cannot hold most decimal fractions, so 0.1 * 3 would otherwise be
+ * 0.30000000000000004; here it is 0.3, and DECIMAL arithmetic stays exact.
+ * @param {string} operator - '+', '-' or '*'
+ * @param {number} a - Left operand
+ * @param {number} b - Right operand
+ * @returns {number} - Result (the nearest number to the exact decimal result)
+ */
+function decimalArithmetic(operator, a, b) {
+  if (Number.isInteger(a) && Number.isInteger(b)) {
+    return operator === '+' ? a + b : operator === '-' ? a - b : a * b;
+  }
+
+  const x = _decimalParts(a);
+  const y = _decimalParts(b);
+  let digits;
+  let scale;
+  if (operator === '*') {
+    digits = x.digits * y.digits;
+    scale = x.scale + y.scale;
+  } else {
+    scale = Math.max(x.scale, y.scale);
+    const left = x.digits * 10n ** BigInt(scale - x.scale);
+    const right = y.digits * 10n ** BigInt(scale - y.scale);
+    digits = operator === '+' ? left + right : left - right;
+  }
+
+  const negative = digits < 0n;
+  const text = (negative ? -digits : digits).toString().padStart(scale + 1, '0');
+  const result = Number(`${negative ? '-' : ''}${text.slice(0, text.length - scale)}.${text.slice(text.length - scale)}0`);
+  return result === 0 ? 0 : result;
+}
+
+/**
+ * Reads a point in time from a Date or date/time text
+ * @private
+ * @param {*} value - Value to read
+ * @param {string} type - Target type (for error messages)
+ * @returns {Date} - Valid date
+ * @throws {Error} - If the value is not a valid date or time
+ */
+function _parseTimestamp(value, type) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value;
+  }
+
+  const match = typeof value === 'string' ? TIMESTAMP_PATTERN.exec(value.trim()) : null;
+  if (match) {
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00', millis = '0', zone = 'Z'] = match;
+    // Dates that do not exist (e.g., February 30th) are rejected rather than rolled over
+    const calendarDay = new Date(`${year}-${month}-${day}T00:00:00Z`);
+    const exists = !Number.isNaN(calendarDay.getTime()) && calendarDay.getUTCDate() === Number(day) &&
+      Number(hours) < 24 && Number(minutes) < 60 && Number(seconds) < 60;
+    if (exists) {
+      // Offsets are written +hh:mm for the Date parser ("+05" and "+0530" are accepted too)
+      const offset = zone.toUpperCase() === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.slice(3).replace(':', '') || '00'}`;
+      const date = new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${millis.padEnd(3, '0')}${offset}`);
+      if (!Number.isNaN(date.getTime())) {
+        return date;
+      }
+    }
+  }
+  throw new Error(`Cannot convert "${value}" to ${type}`);
+}
+
+/**
+ * Checks that a number was stored as the value gave it: a number, or
+ * numeric text with nothing else in it, equal to the stored number
+ * @private
+ * @param {*} value - Value as given
+ * @param {number} result - Value as converted
+ * @returns {boolean} - True if nothing was lost
+ */
+function _isExactNumber(value, result) {
+  const number = typeof value === 'string' && NUMBER_PATTERN.test(value.trim()) ? Number(value) : value;
+  return number === result;
+}
+
+/**
+ * Converts between a BLOB and its hexadecimal text ('\x00ff'), as CAST does
+ * Storing a value never converts this way, so text is not mistaken for bytes
+ * nor bytes for text.
+ * @param {*} value - Value being cast
+ * @param {string} type - Target type (base type, e.g. 'TEXT')
+ * @returns {*} - The hexadecimal text of a BLOB cast to TEXT, the bytes of hexadecimal
+ *   text cast to BLOB, or the value as it is
+ */
+function castHex(value, type) {
+  if (type === 'TEXT' && Buffer.isBuffer(value)) {
+    return `\\x${value.toString('hex')}`;
+  }
+  const hex = type === 'BLOB' && typeof value === 'string' ? HEX_PATTERN.exec(value) : null;
+  return hex ? Buffer.from(hex[1], 'hex') : value;
+}
+
+/**
+ * Gets the form in which a value takes part in comparisons
+ * BLOB and JSON values compare by their text ('\x00ff' and JSON text); JSON
+ * text is also what converting JSON to TEXT gives, so JSON compares with text.
+ * @param {*} value - Value
+ * @returns {*} - Value to compare
+ */
+function comparableValue(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  return Buffer.isBuffer(value) ? `\\x${value.toString('hex')}` : JSON.stringify(value);
+}
+
+/**
+ * Checks a value by converting it: valid values are the ones that convert to themselves
+ * @private
+ * @param {Function} coerce - Type's conversion
+ * @param {*} value - Value to check
+ * @param {Column} column - Column of the type
+ * @returns {boolean} - True if valid
+ */
+function _convertsToItself(coerce, value, column) {
+  try {
+    return coerce(value, column) === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Column types
+ *
+ * validate(value, column) checks a non-NULL value, coerce(value, column)
+ * converts one (throwing if it cannot), and compare(a, b) orders two
+ * non-NULL values; NULLs sort before them in ascending order when nullsFirst
+ * is set, after them otherwise. lossless(value, result, column) tells whether a
+ * conversion kept everything the value said; types without it never lose
+ * anything. A type whose values are not JSON values has encode and
+ * decode to write them to the dump and read them back. Numeric types can be
+ * used with SUM, AVG and arithmetic functions.
+ */
+const TYPES = {
+  INT: {
+    numeric: true,
+    validate: value => Number.isInteger(value),
+    coerce: _toInt,
+    lossless: _isExactNumber,
+    compare: (a, b) => a - b,
+    nullsFirst: false
+  },
+  FLOAT: {
+    numeric: true,
+    validate: value => typeof value === 'number' && Number.isFinite(value),
+    coerce: value => _parseNumber(value, 'FLOAT'),
+    lossless: _isExactNumber,
+    compare: (a, b) => a - b,
+    nullsFirst: false
+  },
+  DECIMAL: {
+    numeric: true,
+    validate: (value, column) => typeof value === 'number' && _convertsToItself(_toDecimal, value, column),
+    coerce: _toDecimal,
+    lossless: _isExactNumber,
+    compare: (a, b) => a - b,
+    nullsFirst: false
+  },
+  TEXT: {
+    validate: (value, column) => typeof value === 'string' &&
+      (column.length === null || Array.from(value).length <= column.length),
+    coerce: (value, column) => {
+      if (Buffer.isBuffer(value)) {
+        throw new Error('Cannot convert binary data to TEXT');
+      }
+      const text = String(comparableValue(value));
+      if (column.length !== null && Array.from(text).length > column.length) {
+        throw new Error(`Value "${text}" is too long for ${formatType(column)}`);
+      }
+      return text;
+    },
+    // Any value can be written as text, but only text was meant to be stored as text
+    lossless: value => typeof value === 'string',
+    compare: _compareScalars,
+    nullsFirst: false
+  },
+  BOOLEAN: {
+    validate: value => typeof value === 'boolean',
+    coerce: value => {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      throw new Error(`Cannot convert "${value}" to BOOLEAN`);
+    },
+    compare: (a, b) => Number(a) - Number(b),
+    nullsFirst: false
+  },
+  DATE: {
+    validate: (value, column) => typeof value === 'string' && _convertsToItself(TYPES.DATE.coerce, value, column),
+    coerce: value => _parseTimestamp(value, 'DATE').toISOString().slice(0, 10),
+    // The time of day is dropped, so it has to be midnight (UTC)
+    lossless: (value, result) => _parseTimestamp(value, 'DATE').getTime() === Date.parse(`${result}T00:00:00Z`),
+    compare: _compareScalars,
+    nullsFirst: false
+  },
+  TIMESTAMP: {
+    validate: (value, column) => typeof value === 'string' && _convertsToItself(TYPES.TIMESTAMP.coerce, value, column),
+    coerce: value => _parseTimestamp(value, 'TIMESTAMP').toISOString(),
+    lossless: value => typeof value !== 'string' || !SUB_MILLISECOND_PATTERN.test(value),
+    compare: _compareScalars,
+    nullsFirst: false
+  },
+  JSON: {
+    validate: value => value !== undefined && typeof value !== 'function' && !Buffer.isBuffer(value) &&
+      (typeof value !== 'number' || Number.isFinite(value)),
+    coerce: value => {
+      if (Buffer.isBuffer(value)) {
+        throw new Error('Cannot convert binary data to JSON');
+      }
+      // Text is parsed; other values are copied, so rows never share them with callers
+      let result;
+      try {
+        result = JSON.parse(typeof value === 'string' ? value : JSON.stringify(value));
+      } catch (error) {
+        throw new Error(`Cannot convert "${value}" to JSON: ${error.message}`);
+      }
+      // A top-level JSON null would read back as SQL NULL
+      if (result === null) {
+        throw new Error(`Cannot convert "${value}" to JSON: a JSON null cannot be told apart from NULL`);
+      }
+      return result;
+    },
+    // JSON values have no natural order; their text gives a stable one
+    compare: (a, b) => _compareScalars(JSON.stringify(a), JSON.stringify(b)),
+    nullsFirst: false
+  },
+  BLOB: {
+    validate: value => Buffer.isBuffer(value),
+    coerce: value => {
+      if (Buffer.isBuffer(value)) {
+        return value;
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`Cannot convert "${value}" to BLOB`);
+      }
+      // Text is stored as its UTF-8 bytes
+      return Buffer.from(value, 'utf8');
+    },
+    // Text can be stored as bytes, but only binary data was meant to be stored as a BLOB
+    lossless: value => Buffer.isBuffer(value),
+    compare: (a, b) => Buffer.compare(a, b),
+    nullsFirst: false,
+    encode: value => value.toString('base64'),
+    decode: value => Buffer.from(value, 'base64')
+  }
+};
+
+/**
+ * Parses a type name with optional parameters
+ * @param {string} spec - Type, e.g. "INT", "varchar(255)" or "DECIMAL(10, 2)"
+ * @returns {Object} - { type, length, precision, scale }, where type is the base type
+ *   (aliases resolved) and unused parameters are null
+ * @throws {Error} - If the type is unknown or its parameters are invalid
+ */
+function parseType(spec) {
+  const match = /^\s*(\w+)\s*(?:\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\))?\s*$/.exec(spec);
+  const name = match ? match[1].toUpperCase() : String(spec).toUpperCase();
+  const type = TYPE_ALIASES[name] || name;
+  if (!match || !TYPES[type]) {
+    throw new Error(`Invalid column type: ${name}. Supported types: ${Object.keys(TYPES).join(', ')}`);
+  }
+
+  const params = match.slice(2).filter(param => param !== undefined).map(Number);
+  const { min, max } = TYPE_PARAMS[name] || { min: 0, max: 0 };
+  if (params.length < min || params.length > max) {
+    const expected = min === max ? `${max}` : `${min} to ${max}`;
+    throw new Error(`Type ${name} expects ${expected} parameter(s), got ${params.length}`);
+  }
+
+  const result = { type, length: null, precision: null, scale: null };
+  if (type === 'TEXT' && params.length > 0) {
+    if (params[0] < 1) {
+      throw new Error(`VARCHAR length must be at least 1, got ${params[0]}`);
+    }
+    result.length = params[0];
+  }
+  if (type === 'DECIMAL' && params.length > 0) {
+    const [precision, scale = 0] = params;
+    if (precision < 1 || precision > MAX_DECIMAL_PRECISION) {
+      throw new Error(`DECIMAL precision must be between 1 and ${MAX_DECIMAL_PRECISION}, got ${precision}`);
+    }
+    if (scale > precision) {
+      throw new Error(`DECIMAL scale must be between 0 and the precision (${precision}), got ${scale}`);
+    }
+    result.precision = precision;
+    result.scale = scale;
+  }
+  return result;
+}
+
+/**
+ * Writes a type with its parameters
+ * @param {Object} type - { type, length, precision, scale } (e.g., a Column)
+ * @returns {string} - e.g. "INT", "VARCHAR(255)" or "DECIMAL(10, 2)"
+ */
+function formatType({ type, length, precision, scale }) {
+  if (type === 'TEXT' && length !== null) {
+    return `VARCHAR(${length})`;
+  }
+  if (type === 'DECIMAL' && precision !== null) {
+    return `DECIMAL(${precision}, ${scale})`;
+  }
+  return type;
+}
+
+/**
+ * Gets the type of a value
+ * @param {*} value - Value
+ * @returns {string|null} - Type (INT for whole numbers, TEXT for any string), or null for NULL
+ */
+function typeOfValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (typeof value) {
+    case 'number':
+      return Number.isInteger(value) ? 'INT' : 'FLOAT';
+    case 'string':
+      return 'TEXT';
+    case 'boolean':
+      return 'BOOLEAN';
+    default:
+      return Buffer.isBuffer(value) ? 'BLOB' : 'JSON';
+  }
+}
+
+/**
+ * Finds the type that values of two types can share
+ * Numeric types widen: INT and DECIMAL to DECIMAL, either with FLOAT to FLOAT.
+ * @param {string} a - First type
+ * @param {string} b - Second type
+ * @returns {string|null} - Shared type, or null if there is none
+ */
+function commonType(a, b) {
+  if (a === b) {
+    return a;
+  }
+  if (!TYPES[a] || !TYPES[b] || !TYPES[a].numeric || !TYPES[b].numeric) {
+    return null;
+  }
+  return a === 'FLOAT' || b === 'FLOAT' ? 'FLOAT' : 'DECIMAL';
+}
+
+/**
+ * Error for a value a column cannot take
+ * Besides the message, it tells which value was rejected, and where, so
+ * callers can point at it without reading the message.
+ */
+class TypeCoercionError extends Error {
+  /**
+   * Creates the error
+   * @param {string} message - Error message
+   * @param {Object} details - { table, column, value, row }: the column's table and name,
+   *   the value as given, and the row it was given for (null when not known)
+   */
+  constructor(message, { table, column, value, row = null }) {
+    super(message);
+    this.name = 'TypeCoercionError';
+    this.table = table;
+    this.column = column;
+    this.value = value;
+    this.row = row;
+  }
+}
+
+module.exports = {
+  TYPES,
+  TypeCoercionError,
+  MAX_DECIMAL_PRECISION,
+  parseType,
+  formatType,
+  typeOfValue,
+  commonType,
+  comparableValue,
+  castHex,
+  decimalArithmetic
+};
@@ -0,0 +1,265 @@
+/**
+ * Aggregate Executor Module
+ *
+ * Implements the grouping stage of SELECT: GROUP BY, aggregate functions
+ * (COUNT, SUM, AVG, MIN, MAX) and HAVING.
+ * Works on single-table rows and joined rows alike.
+ */
+
+const Column = require('../engine/column');
+const {
+  evaluateCondition,
+  evaluateExpression,
+  getConditionColumns,
+  resolveColumn
+} = require('../engine/expression');
+const { castValue } = require('../engine/functions');
+const { decimalArithmetic } = require('../engine/types');
+const { findColumn, qualifyColumn } = require('./columns');
+
+/**
+ * Aggregate function implementations
+ * Each receives the non-NULL argument values of a group and a comparator.
+ */
+const AGGREGATE_FUNCTIONS = {
+  COUNT: values => values.length,
+  SUM: values => (values.length === 0 ? null : _sum(values)),
+  AVG: values => (values.length === 0 ? null : _sum(values) / values.length),
+  MIN: (values, compare) => _pick(values, (a, b) => compare(a, b) < 0),
+  MAX: (values, compare) => _pick(values, (a, b) => compare(a, b) > 0)
+};
+
+/**
+ * Adds up numbers (exactly on their decimal digits, like the + operator)
+ * @private
+ * @param {Array<number>} values - Values to add
+ * @returns {number} - Sum
+ */
+function _sum(values) {
+  return values.reduce((sum, value) => decimalArithmetic('+', sum, value), 0);
+}
+
+/**
+ * Picks the value that wins every pairwise comparison
+ * @private
+ * @param {Array<*>} values - Candidate values
+ * @param {Function} beats - Returns true if the first value should replace the second
+ * @returns {*} - Winning value, or null if there are no values
+ */
+function _pick(values, beats) {
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((best, value) => (beats(value, best) ? value : best));
+}
+
+/**
+ * Checks whether a column reference is an aggregate function call
+ * @private
+ * @param {string|Object} ref - Column reference, aggregate or subquery
+ * @returns {boolean} - True for aggregate nodes
+ */
+function _isAggregate(ref) {
+  return typeof ref === 'object' && ref !== null && ref.type === 'AGGREGATE';
+}
+
+/**
+ * Collects the column references and aggregates of a SELECT's select list, HAVING and ORDER BY
+ * @private
+ * @param {SelectNode} ast - SELECT AST node
+ * @returns {Array<string|AggregateNode>} - Column references and aggregate nodes
+ */
+function _collectRefs(ast) {
+  return [
+    ...ast.columns.flatMap(getConditionColumns),
+    ...getConditionColumns(ast.having),
+    ...(ast.orderBy || []).flatMap(term => getConditionColumns(term.column))
+  ];
+}
+
+/**
+ * Checks whether a SELECT needs the grouping stage
+ * @param {SelectNode} ast - SELECT AST node
+ * @returns {boolean} - True if the query groups or aggregates rows
+ */
+function isAggregateQuery(ast) {
+  return (ast.groupBy && ast.groupBy.length > 0) ||
+    Boolean(ast.having) ||
+    _collectRefs(ast).some(_isAggregate);
+}
+
+/**
+ * Collects the distinct aggregates a SELECT computes (select list, HAVING, ORDER BY)
+ * @private
+ * @param {SelectNode} ast - SELECT AST node
+ * @returns {Array<AggregateNode>} - Aggregates, one per result name
+ */
+function _collectAggregates(ast) {
+  const aggregates = new Map();
+  for (const ref of _collectRefs(ast)) {
+    if (_isAggregate(ref) && !aggregates.has(ref.name)) {
+      aggregates.set(ref.name, ref);
+    }
+  }
+  return Array.from(aggregates.values());
+}
+
+/**
+ * Validates the column references of a grouped SELECT
+ * @private
+ * @param {SelectNode} ast - SELECT AST node
+ * @param {Array<AggregateNode>} aggregates - Aggregates computed by the query
+ * @param {Array<Object>} sources - Array of { alias, table } the query reads from
+ * @throws {Error} - If a reference is invalid for a grouped query
+ */
+function _validateGrouping(ast, aggregates, sources) {
+  const groupColumns = ast.groupBy.map(ref => {
+    const qualified = qualifyColumn(sources, ref);
+    if (!qualified) {
+      throw new Error(`Column "${ref}" not found`);
+    }
+    return qualified;
+  });
+
+  for (const aggregate of aggregates) {
+    if (aggregate.argument === '*') continue;
+
+    for (const ref of getConditionColumns(aggregate.argument)) {
+      if (typeof ref !== 'string') {
+        throw new Error(`Aggregate function calls cannot be nested: ${aggregate.name}`);
+      }
+      if (!findColumn(sources, ref)) {
+        throw new Error(`Column "${ref}" not found`);
+      }
+    }
+
+    // Expressions are checked when evaluated; a plain column must be numeric
+    const column = findColumn(sources, aggregate.argument);
+    if ((aggregate.func === 'SUM' || aggregate.func === 'AVG') && column && !column.isNumeric()) {
+      throw new Error(
+        `${aggregate.func} requires a numeric column, got ${column.type} column "${aggregate.argument}"`
+      );
+    }
+  }
+
+  if (ast.columns.includes('*')) {
+    throw new Error('SELECT * cannot be used with GROUP BY or aggregate functions');
+  }
+
+  // Plain columns must be constant within a group
+  const plainRefs = _collectRefs(ast).filter(ref => typeof ref === 'string');
+
+  for (const ref of plainRefs) {
+    const qualified = qualifyColumn(sources, ref);
+    if (!qualified) {
+      throw new Error(`Column "${ref}" not found`);
+    }
+    if (!groupColumns.includes(qualified)) {
+      throw new Error(
+        `Column "${ref}" must appear in the GROUP BY clause or be used in an aggregate function`
+      );
+    }
+  }
+}
+
+/**
+ * Computes one aggregate over the rows of a group
+ * @private
+ * @param {AggregateNode} aggregate - Aggregate to compute
+ * @param {Array<Object>} rows - Rows of the group
+ * @param {Array<Object>} sources - Array of { alias, table } the query reads from
+ * @param {Object} context - Evaluation context for subqueries in the argument
+ * @returns {*} - Aggregate value
+ */
+function _computeAggregate(aggregate, rows, sources, context) {
+  if (aggregate.argument === '*') {
+    return rows.length;
+  }
+
+  const values = rows
+    .map(row => evaluateExpression(aggregate.argument, row, context))
+    .filter(value => value !== null && value !== undefined);
+
+  if ((aggregate.func === 'SUM' || aggregate.func === 'AVG') && values.some(value => typeof value !== 'number')) {
+    throw new Error(`${aggregate.func} requires numeric values: ${aggregate.name}`);
+  }
+
+  const column = findColumn(sources, aggregate.argument);
+  const compare = column ? (a, b) => column.compare(a, b) : Column.compareValues;
+
+  const result = AGGREGATE_FUNCTIONS[aggregate.func](values, compare);
+  // Sums and means of DECIMAL values drop the binary noise of adding numbers
+  return column && column.type === 'DECIMAL' && typeof result === 'number' ? castValue(result, 'DECIMAL') : result;
+}
+
+/**
+ * Reads MIN or MAX of a whole table's column from an ordered index instead of scanning rows
+ * @private
+ * @param {AggregateNode} aggregate - Aggregate to compute
+ * @param {SelectNode} ast - SELECT AST node
+ * @param {Array<Object>} sources - Array of { alias, table } the query reads from
+ * @returns {Object|null} - { value }, or null if the aggregate cannot use an index
+ */
+function _indexedAggregate(aggregate, ast, sources) {
+  // Only an ungrouped query without WHERE or JOIN aggregates every row of the table
+  if ((aggregate.func !== 'MIN' && aggregate.func !== 'MAX') || typeof aggregate.argument !== 'string' ||
+    ast.where || ast.groupBy.length > 0 || sources.length !== 1) {
+    return null;
+  }
+
+  const column = findColumn(sources, aggregate.argument);
+  const index = column && sources[0].table.indexes[column.name];
+  if (!index || !index.ordered) {
+    return null;
+  }
+  return { value: index.extreme(aggregate.func === 'MAX') };
+}
+
+/**
+ * Groups rows and computes aggregates, then applies HAVING
+ *
+ * Each result row carries the values of the group's first row (so grouping
+ * columns resolve as usual) plus one entry per aggregate, keyed by its name.
+ * Without GROUP BY all rows form a single group, even when there are none.
+ * @param {Array<Object>} rows - Rows that passed WHERE
+ * @param {SelectNode} ast - SELECT AST node
+ * @param {Array<Object>} sources - Array of { alias, table } the query reads from
+ * @param {Object} context - Evaluation context for subqueries (optional)
+ * @returns {Array<Object>} - One row per group that passed HAVING
+ * @throws {Error} - If the query is not a valid grouped query
+ */
+function groupRows(rows, ast, sources, context = {}) {
+  const aggregates = _collectAggregates(ast);
+  _validateGrouping(ast, aggregates, sources);
+
+  // Bucket rows by the values of the grouping columns, keeping first-seen order
+  const groups = new Map();
+  if (ast.groupBy.length === 0) {
+    groups.set('', rows);
+  } else {
+    for (const row of rows) {
+      const key = JSON.stringify(ast.groupBy.map(ref => resolveColumn(row, ref)));
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    }
+  }
+
+  const results = [];
+  for (const members of groups.values()) {
+    const result = { ...(members[0] || {}) };
+    for (const aggregate of aggregates) {
+      const indexed = _indexedAggregate(aggregate, ast, sources);
+      result[aggregate.name] = indexed ? indexed.value : _computeAggregate(aggregate, members, sources, context);
+    }
+
+    if (!ast.having || evaluateCondition(ast.having, result, context)) {
+      results.push(result);
+    }
+  }
+
+  return results;
+}
+
+module.exports = { isAggregateQuery, groupRows };
@@ -0,0 +1,83 @@
+/**
+ * Column Reference Module
+ *
+ * Resolves column references in a query against the tables it reads from.
+ * Each table is a source { alias, table }; qualified references use the
+ * alias (which is the table name unless the query renamed it).
+ * Shared by the SELECT, JOIN and aggregate executors.
+ */
+
+/**
+ * Builds the source list of a SELECT (FROM table followed by JOINed tables)
+ * @param {SelectNode} ast - SELECT AST node
+ * @param {Database} database - Database instance
+ * @returns {Array<Object>} - Array of { alias, table }
+ * @throws {Error} - If a table is missing or an alias is used twice
+ */
+function getSources(ast, database) {
+  const refs = [{ table: ast.tableName, alias: ast.alias }, ...(ast.joins || [])];
+
+  const sources = [];
+  for (const ref of refs) {
+    const alias = ref.alias || ref.table;
+    if (sources.some(source => source.alias === alias)) {
+      throw new Error(`Table name "${alias}" specified more than once; use an alias`);
+    }
+    sources.push({ alias, table: database.getTable(ref.table) });
+  }
+  return sources;
+}
+
+/**
+ * Finds which source and column a reference points to
+ * @param {Array<Object>} sources - Array of { alias, table }
+ * @param {string|Object} columnRef - Column reference (may be alias.column) or aggregate node
+ * @returns {Object|undefined} - { source, column }, or undefined if not found (always for aggregates)
+ * @throws {Error} - If a bare reference matches columns of several sources
+ */
+function resolveColumnRef(sources, columnRef) {
+  if (typeof columnRef !== 'string') {
+    return undefined;
+  }
+
+  if (columnRef.includes('.')) {
+    const [prefix, name] = columnRef.split('.');
+    const source = sources.find(s => s.alias === prefix);
+    const column = source && source.table.getColumn(name);
+    return column ? { source, column } : undefined;
+  }
+
+  const matches = sources
+    .map(source => ({ source, column: source.table.getColumn(columnRef) }))
+    .filter(match => match.column !== undefined);
+  if (matches.length > 1) {
+    throw new Error(`Column reference "${columnRef}" is ambiguous`);
+  }
+  return matches[0];
+}
+
+/**
+ * Finds the column a reference points to
+ * @param {Array<Object>} sources - Array of { alias, table }
+ * @param {string|Object} columnRef - Column reference (may be alias.column) or aggregate node
+ * @returns {Column|undefined} - Column object, or undefined if not found (always for aggregates)
+ * @throws {Error} - If a bare reference matches columns of several sources
+ */
+function findColumn(sources, columnRef) {
+  const match = resolveColumnRef(sources, columnRef);
+  return match ? match.column : undefined;
+}
+
+/**
+ * Gets the fully qualified "alias.column" form of a reference
+ * @param {Array<Object>} sources - Array of { alias, table }
+ * @param {string|Object} columnRef - Column reference (may be alias.column) or aggregate node
+ * @returns {string|undefined} - Qualified name, or undefined if not found
+ * @throws {Error} - If a bare reference matches columns of several sources
+ */
+function qualifyColumn(sources, columnRef) {
+  const match = resolveColumnRef(sources, columnRef);
+  return match ? `${match.source.alias}.${match.column.name}` : undefined;
+}
+
+module.exports = { getSources, resolveColumnRef, findColumn, qualifyColumn };
@@ -0,0 +1,225 @@
+/**
+ * WITH Executor Module
+ *
+ * Executes common table expressions (WITH name AS (SELECT ...)).
+ * Each CTE is run once, in order, and its result is materialized as a
+ * temporary table that the later CTEs and the main query read like any
+ * other table. The temporary tables live in a scope layered over the
+ * database, so they shadow real tables of the same name and vanish with
+ * the statement.
+ *
+ * WITH RECURSIVE runs <non-recursive term> UNION [ALL] <recursive term>:
+ * the recursive term is re-run against the rows the previous step produced
+ * until it produces no new rows, up to MAX_RECURSIVE_ITERATIONS steps and
+ * MAX_RECURSIVE_ROWS rows in total.
+ */
+
+const Column = require('../engine/column');
+const Table = require('../engine/table');
+const { typeOfValue } = require('../engine/types');
+const { outputShape } = require('./projection');
+const { validateShapes, toTuples, tupleKey } = require('./setop');
+
+/**
+ * Maximum number of times the recursive term of a CTE may run
+ * Guards the server against runaway recursion (e.g., UNION ALL over a cycle).
+ */
+const MAX_RECURSIVE_ITERATIONS = 1000;
+
+/**
+ * Maximum number of rows a recursive CTE may produce in total
+ * A recursive term that fans out (each row joining several) can exhaust memory
+ * long before the iteration cap is reached.
+ */
+const MAX_RECURSIVE_ROWS = 100000;
+
+/**
+ * Checks whether a query reads a table directly (FROM or JOIN)
+ * @private
+ * @param {SelectNode|SetOperationNode|WithNode} query - Query AST node
+ * @param {string} tableName - Table name
+ * @returns {boolean} - True if the query reads the table
+ */
+function _readsTable(query, tableName) {
+  switch (query.type) {
+    case 'SET_OPERATION':
+      return _readsTable(query.left, tableName) || _readsTable(query.right, tableName);
+    case 'WITH':
+      return query.ctes.some(cte => _readsTable(cte.query, tableName)) || _readsTable(query.query, tableName);
+    default:
+      return query.tableName === tableName || (query.joins || []).some(join => join.table === tableName);
+  }
+}
+
+/**
+ * Creates a scope in which the CTEs of a WITH clause can be read as tables
+ * @private
+ * @param {WithNode} ast - WITH AST node
+ * @param {Database} database - Database instance (or an enclosing scope)
+ * @returns {Database} - Database whose getTable also finds the CTEs
+ */
+function _createScope(ast, database) {
+  // Table lookups fall through to the enclosing database
+  const scope = Object.create(database);
+  scope.tables = Object.create(database.tables);
+
+  for (const cte of ast.ctes) {
+    scope.tables[cte.name] = ast.recursive && _readsTable(cte.query, cte.name)
+      ? _materializeRecursive(cte, scope)
+      : _materialize(cte, scope);
+  }
+  return scope;
+}
+
+/**
+ * Runs a query and works out its result columns
+ * @private
+ * @param {SelectNode|SetOperationNode|WithNode} query - Query AST node
+ * @param {Database} database - Database instance (or scope)
+ * @returns {Object} - { shape: { names, types }, tuples }
+ */
+function _runQuery(query, database) {
+  if (query.type === 'WITH') {
+    return _runQuery(query.query, _createScope(query, database));
+  }
+
+  // Required here to avoid a circular dependency with the SELECT executor
+  const { executeSelect } = require('./select');
+
+  const shape = outputShape(query, database);
+  return { shape, tuples: toTuples(executeSelect(query, database), shape.names) };
+}
+
+/**
+ * Builds the columns of a CTE's temporary table
+ * @private
+ * @param {Object} cte - CTE { name, columns, query }
+ * @param {Object} shape - { names, types } of the CTE's query
+ * @param {Array<Array<*>>} tuples - Rows of the query, used when a type is not known up front
+ * @returns {Array<Column>} - Columns
+ * @throws {Error} - If the CTE names a different number of columns than its query returns
+ */
+function _cteColumns(cte, shape, tuples) {
+  if (cte.columns && cte.columns.length !== shape.names.length) {
+    throw new Error(
+      `WITH query "${cte.name}" has ${shape.names.length} columns available but ${cte.columns.length} columns specified`
+    );
+  }
+
+  return shape.names.map((name, i) => {
+    // A qualified column keeps its bare name (u.name -> name)
+    const columnName = cte.columns ? cte.columns[i] : (/^\w+\.\w+$/.test(name) ? name.split('.')[1] : name);
+
+    let type = shape.types[i];
+    if (!type) {
+      const sample = tuples.map(tuple => tuple[i]).find(value => value !== null && value !== undefined);
+      type = typeOfValue(sample) || 'TEXT';
+    }
+    return new Column(columnName, type);
+  });
+}
+
+/**
+ * Builds a temporary table holding the given rows
+ * @private
+ * @param {string} name - Table name
+ * @param {Array<Column>} columns - Columns
+ * @param {Array<Array<*>>} tuples - Row values in column order
+ * @returns {Table} - Table (without indexes)
+ */
+function _createTable(name, columns, tuples) {
+  const table = new Table(name, columns);
+  table.rows = tuples.map(tuple => {
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column.name] = tuple[i];
+    });
+    return row;
+  });
+  return table;
+}
+
+/**
+ * Runs a CTE and stores its result in a temporary table
+ * @private
+ * @param {Object} cte - CTE { name, columns, query }
+ * @param {Database} scope - Scope holding the CTEs defined so far
+ * @returns {Table} - Temporary table
+ */
+function _materialize(cte, scope) {
+  const { shape, tuples } = _runQuery(cte.query, scope);
+  return _createTable(cte.name, _cteColumns(cte, shape, tuples), tuples);
+}
+
+/**
+ * Runs a recursive CTE and stores its result in a temporary table
+ * @private
+ * @param {Object} cte - CTE { name, columns, query }
+ * @param {Database} scope - Scope holding the CTEs defined so far
+ * @returns {Table} - Temporary table
+ * @throws {Error} - If the CTE is not of the recursive form, recurses too often or produces too many rows
+ */
+function _materializeRecursive(cte, scope) {
+  const { name, query } = cte;
+  if (query.type !== 'SET_OPERATION' || query.operator !== 'UNION' || _readsTable(query.left, name)) {
+    throw new Error(
+      `Recursive query "${name}" must have the form <non-recursive term> UNION [ALL] <recursive term>`
+    );
+  }
+  if (query.orderBy.length > 0 || query.limit !== null || query.offset !== null) {
+    throw new Error(`ORDER BY, LIMIT and OFFSET are not allowed in recursive query "${name}"`);
+  }
+
+  // UNION (without ALL) drops rows that were already produced, which also stops cycles
+  const seen = new Set();
+  const keepNew = tuples => (query.all ? tuples : tuples.filter(tuple => {
+    const key = tupleKey(tuple);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  }));
+
+  const anchor = _runQuery(query.left, scope);
+  const columns = _cteColumns(cte, anchor.shape, anchor.tuples);
+  let working = keepNew(anchor.tuples);
+  const results = [...working];
+
+  // Each step sees only the rows produced by the step before it
+  for (let iteration = 1; working.length > 0; iteration++) {
+    if (iteration > MAX_RECURSIVE_ITERATIONS) {
+      throw new Error(`Recursive query "${name}" exceeded ${MAX_RECURSIVE_ITERATIONS} iterations`);
+    }
+
+    scope.tables[name] = _createTable(name, columns, working);
+    const step = _runQuery(query.right, scope);
+    if (iteration === 1) {
+      validateShapes('UNION', anchor.shape, step.shape);
+    }
+
+    working = keepNew(step.tuples);
+    if (results.length + working.length > MAX_RECURSIVE_ROWS) {
+      throw new Error(`Recursive query "${name}" exceeded ${MAX_RECURSIVE_ROWS} rows`);
+    }
+    results.push(...working);
+  }
+
+  return _createTable(name, columns, results);
+}
+
+/**
+ * Executes a query with a WITH clause
+ * @param {WithNode} ast - WITH AST node
+ * @param {Database} database - Database instance
+ * @returns {Array<Object>} - Results of the main query
+ * @throws {Error} - If a CTE fails
+ */
+function executeWith(ast, database) {
+  // Required here to avoid a circular dependency with the SELECT executor
+  const { executeSelect } = require('./select');
+
+  return executeSelect(ast.query, _createScope(ast, database));
+}
+
+module.exports = { executeWith, MAX_RECURSIVE_ITERATIONS, MAX_RECURSIVE_ROWS };
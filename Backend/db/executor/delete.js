@@ -5,26 +5,36 @@
  * Handles row deletion, WHERE clauses, and index cleanup.
  */
 
+const { createSubqueryContext } = require('./subquery');
+const { projectRows, validateReturning } = require('./projection');
+
 /**
  * Executes a DELETE query
  * @param {DeleteNode} ast - DELETE AST node
  * @param {Database} database - Database instance
- * @returns {number} - Number of rows deleted
+ * @returns {Array<Object>} - Deleted rows (projected through RETURNING when present)
  * @throws {Error} - If deletion fails
  */
 function executeDelete(ast, database) {
-  const { tableName, where } = ast;
+  const { tableName, where, returning } = ast;
 
   // Get the table
   const table = database.getTable(tableName);
+  const sources = [{ alias: tableName, table }];
+  const context = createSubqueryContext(database, sources);
 
   // Validate that WHERE clause is provided (safety measure)
   if (!where) {
     throw new Error('DELETE without WHERE clause is not allowed for safety');
   }
 
+  if (returning) {
+    validateReturning(returning, sources);
+  }
+
   // Delete rows
-  return table.delete(where);
+  const rows = database.delete(tableName, where, context);
+  return returning ? projectRows(rows, returning.columns, returning.aliases, context) : rows;
 }
 
 module.exports = { executeDelete };
@@ -3,22 +3,87 @@
  * 
  * Executes INSERT queries against the database.
  * Handles value insertion, type validation, and constraint enforcement.
+ * All rows of a statement (VALUES tuples or SELECT results) are inserted
+ * atomically: if one fails, none are kept. ON CONFLICT turns rows that
+ * duplicate a PRIMARY KEY or UNIQUE value into no-ops or updates.
  */
 
+const { describeFunctionCall, evaluateValue, getConditionColumns } = require('../engine/expression');
+const { createSubqueryContext } = require('./subquery');
+const { projectRows, validateReturning } = require('./projection');
+
 /**
  * Executes an INSERT query
  * @param {InsertNode} ast - INSERT AST node
  * @param {Database} database - Database instance
- * @returns {Object} - Inserted row
+ * @returns {Array<Object>} - Inserted or updated rows (projected through RETURNING when present)
  * @throws {Error} - If insertion fails
  */
 function executeInsert(ast, database) {
-  const { tableName, columns, values } = ast;
+  const { tableName, columns, select, onConflict, returning } = ast;
 
   // Get the table
   const table = database.getTable(tableName);
+  const sources = [{ alias: tableName, table }];
+
+  if (returning) {
+    validateReturning(returning, sources);
+  }
+
+  // Rows come from the VALUES tuples or from the SELECT, read in select list order
+  let values;
+  if (select) {
+    // Required here to avoid a circular dependency with the SELECT executor
+    const { executeSelect } = require('./select');
+    values = executeSelect(select, database).map(row => Object.values(row));
+  } else {
+    values = _evaluateValues(ast.values, createSubqueryContext(database, []));
+  }
+
+  // Build row objects before inserting anything, so count errors leave the table untouched
+  const rows = values.map(tuple => _buildRow(table, columns, tuple));
+
+  // Insert rows
+  const inserted = database.insert(tableName, rows, onConflict);
+  if (!returning) {
+    return inserted;
+  }
+  return projectRows(inserted, returning.columns, returning.aliases, createSubqueryContext(database, sources));
+}
 
-  // Build row object
+/**
+ * Evaluates the expressions of VALUES tuples
+ * Every tuple is checked before any is evaluated, so a bad expression inserts nothing.
+ * @private
+ * @param {Array<Array<*>>} tuples - VALUES tuples (literal values or expression nodes)
+ * @param {Object} context - Evaluation context for subqueries
+ * @returns {Array<Array<*>>} - Tuples of values
+ * @throws {Error} - If an expression refers to a column or uses an aggregate
+ */
+function _evaluateValues(tuples, context) {
+  for (const value of tuples.flat()) {
+    // Strings are literal values here, only nodes can refer to columns
+    const [ref] = value !== null && typeof value === 'object' ? getConditionColumns(value) : [];
+    if (typeof ref === 'string') {
+      throw new Error(`Column "${ref}" cannot be used in VALUES`);
+    }
+    if (ref) {
+      throw new Error(`${describeFunctionCall(ref)} is not allowed in VALUES`);
+    }
+  }
+  return tuples.map(tuple => tuple.map(value => evaluateValue(value, {}, context)));
+}
+
+/**
+ * Builds a row object from a tuple of values
+ * @private
+ * @param {Table} table - Target table
+ * @param {Array<string>} columns - Target column names (empty for all columns in table order)
+ * @param {Array<*>} values - Values, one per target column
+ * @returns {Object} - Row object
+ * @throws {Error} - If the number of values does not match the columns
+ */
+function _buildRow(table, columns, values) {
   const row = {};
 
   if (columns.length === 0) {
@@ -44,8 +109,7 @@ function executeInsert(ast, database) {
     }
   }
 
-  // Insert row
-  return table.insert(row);
+  return row;
 }
 
 module.exports = { executeInsert };
@@ -1,182 +1,181 @@
 /**
  * JOIN Executor Module
- * 
- * Executes JOIN operations between tables.
+ *
+ * Executes JOIN operations between tables (INNER, LEFT, RIGHT and FULL OUTER).
+ * Chains of joins are evaluated left-deep: each JOIN combines the rows built
+ * so far with one more table. Columns are keyed by the alias the query gives
+ * each table, so a table may be joined with itself under different aliases.
  * Implements nested loop join and index join strategies.
  */
 
+const { describeFunctionCall, evaluateCondition, getConditionColumns, resolveColumn } = require('../engine/expression');
+const { getSources, findColumn } = require('./columns');
+
 /**
- * Executes a JOIN query
+ * Executes the JOINs of a SELECT query
+ * Ordering, grouping and projection are left to the SELECT executor.
  * @param {SelectNode} ast - SELECT AST node with join information
  * @param {Database} database - Database instance
- * @returns {Array<Object>} - Joined query results
+ * @param {Object} context - Evaluation context for subqueries in WHERE (optional)
+ * @returns {Array<Object>} - Joined rows keyed by "alias.column" that match the WHERE clause
  * @throws {Error} - If join fails
  */
-function executeJoin(ast, database) {
-  const { tableName, columns, where, join } = ast;
+function executeJoin(ast, database, context = {}) {
+  const { where, joins } = ast;
 
-  if (!join) {
+  if (!joins || joins.length === 0) {
     throw new Error('No JOIN clause found');
   }
 
-  // Get both tables
-  const leftTable = database.getTable(tableName);
-  const rightTable = database.getTable(join.table);
+  // Get every table up front so errors surface before any work is done
+  const sources = getSources(ast, database);
+
+  // Validate WHERE columns before touching any rows
+  _validateWhereColumns(where, sources);
 
-  // Get join condition columns
-  const { left: leftColumn, right: rightColumn } = join.on;
+  // Start from the first table, then join the others one by one
+  let rows = sources[0].table.find(null).map(row => _createJoinedRow([sources[0]], [row]));
+  for (let i = 0; i < joins.length; i++) {
+    rows = _joinStep(rows, sources.slice(0, i + 1), sources[i + 1], joins[i]);
+  }
+
+  // Apply WHERE clause if present (after all joins, so outer joins keep their NULL rows)
+  return where ? rows.filter(row => evaluateCondition(where, row, context)) : rows;
+}
+
+/**
+ * Joins the rows built so far with one more table
+ * @private
+ * @param {Array<Object>} leftRows - Joined rows so far
+ * @param {Array<Object>} leftSources - Sources { alias, table } already joined
+ * @param {Object} rightSource - Source { alias, table } to join
+ * @param {Object} join - JOIN clause { type, table, alias, on: { left, right } }
+ * @returns {Array<Object>} - Joined rows
+ * @throws {Error} - If an ON column is not found
+ */
+function _joinStep(leftRows, leftSources, rightSource, join) {
+  const rightTable = rightSource.table;
 
-  // Extract column names (handle table.column syntax)
-  const leftColName = leftColumn.includes('.') ? leftColumn.split('.').pop() : leftColumn;
+  // Get join condition columns, accepting them in either order
+  let { left: leftColumn, right: rightColumn } = join.on;
+  if (_prefixOf(leftColumn) === rightSource.alias && _prefixOf(rightColumn) !== rightSource.alias) {
+    [leftColumn, rightColumn] = [rightColumn, leftColumn];
+  }
+
+  // Extract the right column name (handle alias.column syntax)
   const rightColName = rightColumn.includes('.') ? rightColumn.split('.').pop() : rightColumn;
 
   // Validate columns exist
-  if (!leftTable.getColumn(leftColName)) {
-    throw new Error(`Column "${leftColName}" not found in table "${tableName}"`);
+  if (!findColumn(leftSources, leftColumn)) {
+    const scope = leftSources.length === 1 ? `table "${leftSources[0].alias}"` : 'joined tables';
+    throw new Error(`Column "${leftColumn}" not found in ${scope}`);
   }
-  if (!rightTable.getColumn(rightColName)) {
-    throw new Error(`Column "${rightColName}" not found in table "${join.table}"`);
+  const rightPrefix = _prefixOf(rightColumn);
+  if ((rightPrefix && rightPrefix !== rightSource.alias) || !rightTable.getColumn(rightColName)) {
+    throw new Error(`Column "${rightColName}" not found in table "${rightSource.alias}"`);
   }
 
-  // Get all rows from both tables
-  const leftRows = leftTable.find(null); // Get all rows
   const rightRows = rightTable.find(null); // Get all rows
 
   // Check if we can use index join
-  const useIndexJoin = rightTable.indexes[rightColumn] !== undefined;
-
-  const results = [];
-
-  if (useIndexJoin) {
-    // Index join: O(n) where n is number of left rows
-    for (const leftRow of leftRows) {
-      const leftValue = leftRow[leftColName];
-      const matchingRightIndices = rightTable.indexes[rightColName].find(leftValue);
-      
-      for (const rightIdx of matchingRightIndices) {
-        const rightRow = rightRows[rightIdx];
-        const joinedRow = _createJoinedRow(leftRow, rightRow, tableName, join.table);
-        
-        // Apply WHERE clause if present
-        if (!where || _matchesWhere(joinedRow, where)) {
-          results.push(_projectColumns(joinedRow, columns, tableName, join.table));
-        }
-      }
-    }
-  } else {
-    // Nested loop join: O(n*m) where n and m are row counts
-    for (const leftRow of leftRows) {
-      for (const rightRow of rightRows) {
-        if (leftRow[leftColName] === rightRow[rightColName]) {
-          const joinedRow = _createJoinedRow(leftRow, rightRow, tableName, join.table);
-          
-          // Apply WHERE clause if present
-          if (!where || _matchesWhere(joinedRow, where)) {
-            results.push(_projectColumns(joinedRow, columns, tableName, join.table));
+  const rightIndex = rightTable.getColumnIndex(rightColName);
+
+  const keepLeft = join.type === 'LEFT' || join.type === 'FULL';
+  const keepRight = join.type === 'RIGHT' || join.type === 'FULL';
+  const matchedRight = new Set();
+  const joinedRows = [];
+
+  for (const leftRow of leftRows) {
+    const leftValue = resolveColumn(leftRow, leftColumn);
+    let matchingRightIndices = [];
+
+    // NULL never equals anything, so it joins no rows
+    if (leftValue !== null && leftValue !== undefined) {
+      if (rightIndex) {
+        // Index join: O(n) where n is number of left rows
+        // (matches of a non-unique index are put back in table order)
+        matchingRightIndices = rightIndex.findPrefix([leftValue]).sort((a, b) => a - b);
+      } else {
+        // Nested loop join: O(n*m) where n and m are row counts
+        rightRows.forEach((rightRow, rightIdx) => {
+          if (rightRow[rightColName] === leftValue) {
+            matchingRightIndices.push(rightIdx);
           }
-        }
+        });
       }
     }
+
+    for (const rightIdx of matchingRightIndices) {
+      matchedRight.add(rightIdx);
+      joinedRows.push({ ...leftRow, ..._createJoinedRow([rightSource], [rightRows[rightIdx]]) });
+    }
+
+    // LEFT / FULL: keep unmatched left rows, padded with NULLs
+    if (matchingRightIndices.length === 0 && keepLeft) {
+      joinedRows.push({ ...leftRow, ..._createJoinedRow([rightSource], [null]) });
+    }
   }
 
-  return results;
+  // RIGHT / FULL: keep unmatched right rows, padded with NULLs for every earlier table
+  if (keepRight) {
+    const nullLeft = _createJoinedRow(leftSources, leftSources.map(() => null));
+    rightRows.forEach((rightRow, rightIdx) => {
+      if (!matchedRight.has(rightIdx)) {
+        joinedRows.push({ ...nullLeft, ..._createJoinedRow([rightSource], [rightRow]) });
+      }
+    });
+  }
+
+  return joinedRows;
 }
 
 /**
- * Creates a joined row from left and right rows
+ * Gets the table prefix of a column reference
  * @private
- * @param {Object} leftRow - Row from left table
- * @param {Object} rightRow - Row from right table
- * @param {string} leftTableName - Left table name
- * @param {string} rightTableName - Right table name
- * @returns {Object} - Joined row with prefixed column names
+ * @param {string} columnRef - Column reference
+ * @returns {string|null} - Table name or alias, or null for a bare column
  */
-function _createJoinedRow(leftRow, rightRow, leftTableName, rightTableName) {
-  const joined = {};
-  
-  // Add left table columns with table prefix
-  for (const key in leftRow) {
-    joined[`${leftTableName}.${key}`] = leftRow[key];
-  }
-  
-  // Add right table columns with table prefix
-  for (const key in rightRow) {
-    joined[`${rightTableName}.${key}`] = rightRow[key];
-  }
-  
-  return joined;
+function _prefixOf(columnRef) {
+  return columnRef.includes('.') ? columnRef.split('.')[0] : null;
 }
 
 /**
- * Projects columns from a joined row
+ * Creates a joined row from one row per table
+ * A missing row (outer joins) contributes NULL for each of its table's columns.
  * @private
- * @param {Object} joinedRow - Joined row
- * @param {Array<string>} columns - Column names to project
- * @param {string} leftTableName - Left table name
- * @param {string} rightTableName - Right table name
- * @returns {Object} - Projected row
+ * @param {Array<Object>} sources - Sources { alias, table } the rows come from
+ * @param {Array<Object|null>} rows - One row (or null) per source
+ * @returns {Object} - Joined row with alias-prefixed column names
  */
-function _projectColumns(joinedRow, columns, leftTableName, rightTableName) {
-  if (columns.includes('*')) {
-    return { ...joinedRow };
-  }
+function _createJoinedRow(sources, rows) {
+  const joined = {};
 
-  const projected = {};
-  for (const col of columns) {
-    // Try with table prefix first
-    let value = null;
-    if (col.includes('.')) {
-      // Column already has table prefix
-      value = joinedRow[col];
-    } else {
-      // Try both table prefixes
-      value = joinedRow[`${leftTableName}.${col}`] || joinedRow[`${rightTableName}.${col}`];
-    }
-    
-    if (value !== undefined) {
-      projected[col] = value;
-    } else {
-      throw new Error(`Column "${col}" not found in joined result`);
+  sources.forEach(({ alias, table }, i) => {
+    const row = rows[i];
+    // Add columns with alias prefix
+    for (const column of table.columns) {
+      joined[`${alias}.${column.name}`] = row && column.name in row ? row[column.name] : null;
     }
-  }
-  return projected;
+  });
+
+  return joined;
 }
 
 /**
- * Checks if a row matches a WHERE condition
+ * Validates that every column referenced by a WHERE condition exists in one of the joined tables
  * @private
- * @param {Object} row - Row to check
- * @param {Object} where - WHERE condition
- * @returns {boolean} - True if row matches
+ * @param {Object} where - WHERE condition tree
+ * @param {Array<Object>} sources - Joined sources { alias, table }
+ * @throws {Error} - If a column is not found
  */
-function _matchesWhere(row, where) {
-  const { column, operator, value } = where;
-  
-  // Handle table-prefixed columns
-  let rowValue = row[column];
-  if (rowValue === undefined) {
-    // Try without prefix
-    const parts = column.split('.');
-    if (parts.length === 2) {
-      rowValue = row[column];
+function _validateWhereColumns(where, sources) {
+  for (const column of getConditionColumns(where)) {
+    if (typeof column !== 'string') {
+      throw new Error(`${describeFunctionCall(column)} is not allowed in WHERE`);
+    }
+    if (!findColumn(sources, column)) {
+      throw new Error(`Column "${column}" not found in joined result`);
     }
-  }
-
-  switch (operator) {
-    case '=':
-      return rowValue === value;
-    case '!=':
-      return rowValue !== value;
-    case '>':
-      return rowValue > value;
-    case '<':
-      return rowValue < value;
-    case '>=':
-      return rowValue >= value;
-    case '<=':
-      return rowValue <= value;
-    default:
-      return false;
   }
 }
 
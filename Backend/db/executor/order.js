@@ -0,0 +1,90 @@
+/**
+ * ORDER BY / LIMIT Executor Module
+ *
+ * Sorts and pages query results.
+ * Shared by the SELECT and JOIN executors.
+ */
+
+const Column = require('../engine/column');
+const { resolveColumn } = require('../engine/expression');
+
+/**
+ * Checks whether an ORDER BY term is a position in the select list (ORDER BY 2)
+ * Only an integer written as such counts: 2.0 stays a constant.
+ * @private
+ * @param {string|Object} expr - Term expression
+ * @returns {boolean} - True for integer literals
+ */
+function _isPosition(expr) {
+  return typeof expr === 'object' && expr !== null && expr.type === 'LITERAL' &&
+    Number.isInteger(expr.value) && !/[.e]/i.test(expr.text || '');
+}
+
+/**
+ * Replaces ORDER BY positions with the result columns they number (from 1)
+ * @param {Array<Object>} orderBy - Array of { column, direction } terms
+ * @param {Array<string|Object>} items - Select list items or result column names, in order
+ * @returns {Array<Object>} - Terms with every position replaced by its item
+ * @throws {Error} - If a position is out of range
+ */
+function resolvePositions(orderBy, items) {
+  return (orderBy || []).map(term => {
+    if (!_isPosition(term.column)) {
+      return term;
+    }
+    const position = term.column.value;
+    if (position < 1 || position > items.length) {
+      throw new Error(`ORDER BY position ${position} is not in the select list (1 to ${items.length})`);
+    }
+    return { ...term, column: items[position - 1] };
+  });
+}
+
+/**
+ * Sorts rows by ORDER BY terms
+ * @param {Array<Object>} rows - Rows to sort (sorted in place)
+ * @param {Array<Object>} orderBy - Array of { column, direction } terms
+ * @param {Function} getColumn - Maps a column reference to its Column (or undefined)
+ * @param {Function} getValue - Reads a term's value from a row (defaults to column lookup)
+ * @returns {Array<Object>} - Sorted rows
+ */
+function orderRows(rows, orderBy, getColumn, getValue = resolveColumn) {
+  if (!orderBy || orderBy.length === 0) {
+    return rows;
+  }
+
+  const terms = orderBy.map(term => {
+    const column = getColumn(term.column);
+    return {
+      column: term.column,
+      compare: column ? (a, b) => column.compare(a, b) : Column.compareValues,
+      sign: term.direction === 'DESC' ? -1 : 1
+    };
+  });
+
+  // Array.prototype.sort is stable, so ties keep their original order
+  return rows.sort((a, b) => {
+    for (const term of terms) {
+      const result = term.compare(getValue(a, term.column), getValue(b, term.column));
+      if (result !== 0) {
+        return result * term.sign;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Applies OFFSET and LIMIT to rows
+ * @param {Array<Object>} rows - Rows to page
+ * @param {number|null} limit - Maximum number of rows, or null for no limit
+ * @param {number|null} offset - Number of rows to skip, or null
+ * @returns {Array<Object>} - Paged rows
+ */
+function limitRows(rows, limit, offset) {
+  const start = offset || 0;
+  const end = limit === null || limit === undefined ? undefined : start + limit;
+  return start === 0 && end === undefined ? rows : rows.slice(start, end);
+}
+
+module.exports = { orderRows, limitRows, resolvePositions };
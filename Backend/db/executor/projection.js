@@ -0,0 +1,122 @@
+/**
+ * Projection Module
+ *
+ * Turns query rows into result rows: evaluates the items of a select list
+ * (or RETURNING list) and names each result column.
+ * Shared by the SELECT, set operation and WITH executors and the RETURNING
+ * clause of mutations.
+ */
+
+const { describeFunctionCall, evaluateExpression, getConditionColumns } = require('../engine/expression');
+const { checkTypes, inferType } = require('../engine/functions');
+const { formatExpression } = require('../sql/ast');
+const { getSources, findColumn } = require('./columns');
+
+/**
+ * Gets the result column name of an unaliased select list item
+ * @private
+ * @param {string|Object} col - Column reference or expression node
+ * @returns {string} - The item as written (e.g., "price * qty"), or "?column?" for subqueries
+ */
+function _defaultName(col) {
+  return col.type === 'SUBQUERY' ? '?column?' : formatExpression(col);
+}
+
+/**
+ * Gets the result column names of a select list
+ * Result rows are keyed by these names, so they must differ.
+ * @param {Array<string|Object>} columns - Select list items (not ['*'])
+ * @param {Array<string|null>} aliases - Output alias of each item (null when none was given)
+ * @returns {Array<string>} - Alias of each item, or the item as written
+ * @throws {Error} - If two items get the same name
+ */
+function outputNames(columns, aliases) {
+  const names = columns.map((col, i) => (aliases && aliases[i]) || _defaultName(col));
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate !== undefined) {
+    throw new Error(`Result column "${duplicate}" is named more than once; give the columns different aliases`);
+  }
+  return names;
+}
+
+/**
+ * Works out the result columns of a query without running it
+ * @param {SelectNode|SetOperationNode} ast - Query AST node
+ * @param {Database} database - Database instance
+ * @returns {Object} - { names, types }: name and type (or null if unknown) of each result column
+ */
+function outputShape(ast, database) {
+  if (ast.type === 'SET_OPERATION') {
+    return outputShape(ast.left, database);
+  }
+
+  const sources = getSources(ast, database);
+
+  // SELECT * returns every column; joined rows key them by alias
+  if (ast.columns.includes('*')) {
+    const columns = sources.flatMap(({ alias, table }) => table.columns.map(column => ({
+      name: sources.length > 1 ? `${alias}.${column.name}` : column.name,
+      type: column.type
+    })));
+    return { names: columns.map(column => column.name), types: columns.map(column => column.type) };
+  }
+
+  const getColumnType = ref => {
+    const column = findColumn(sources, ref);
+    return column ? column.type : null;
+  };
+  return {
+    names: outputNames(ast.columns, ast.aliases),
+    types: ast.columns.map(col => inferType(col, getColumnType))
+  };
+}
+
+/**
+ * Projects rows through a select list
+ * @param {Array<Object>} rows - Rows to project
+ * @param {Array<string|Object>} columns - Select list items, or ['*'] for whole rows
+ * @param {Array<string|null>} aliases - Output alias of each item (null when none was given)
+ * @param {Object} context - Evaluation context for subqueries
+ * @returns {Array<Object>} - Result rows, keyed by alias or by the item as written
+ */
+function projectRows(rows, columns, aliases, context) {
+  if (columns.includes('*')) {
+    // Return all columns
+    return rows;
+  }
+
+  // Return only specified columns, under their alias or as written (aggregates under their result name)
+  const keys = outputNames(columns, aliases);
+  return rows.map(row => {
+    const projected = {};
+    columns.forEach((col, i) => {
+      projected[keys[i]] = evaluateExpression(col, row, context);
+    });
+    return projected;
+  });
+}
+
+/**
+ * Validates the RETURNING list of an INSERT, UPDATE or DELETE
+ * Called before the statement changes anything, so a bad list leaves the table untouched.
+ * @param {Object} returning - { columns, aliases }
+ * @param {Array<Object>} sources - The target table as [{ alias, table }]
+ * @throws {Error} - If a column is not found, an aggregate is used or two columns get the same name
+ */
+function validateReturning(returning, sources) {
+  for (const ref of returning.columns.flatMap(getConditionColumns)) {
+    if (typeof ref !== 'string') {
+      throw new Error(`${describeFunctionCall(ref)} is not allowed in RETURNING`);
+    }
+    if (ref !== '*' && !findColumn(sources, ref)) {
+      throw new Error(`Column "${ref}" not found in table "${sources[0].alias}"`);
+    }
+  }
+
+  for (const col of returning.columns) {
+    checkTypes(col, ref => findColumn(sources, ref).type);
+  }
+  outputNames(returning.columns, returning.aliases);
+}
+
+module.exports = { projectRows, outputNames, outputShape, validateReturning };
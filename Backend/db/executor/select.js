@@ -2,48 +2,134 @@
  * SELECT Executor Module
  * 
  * Executes SELECT queries against the database.
- * Handles column projection, WHERE clauses, and basic result formatting.
+ * Runs the query pipeline: source rows (table scan or JOIN), WHERE, grouping,
+ * window functions, ordering, paging and column projection.
  */
 
+const { executeJoin } = require('./join');
+const { isAggregateQuery, groupRows } = require('./aggregate');
+const { orderRows, limitRows, resolvePositions } = require('./order');
+const { evaluateExpression, getConditionColumns } = require('../engine/expression');
+const { checkTypes } = require('../engine/functions');
+const { getSources, findColumn } = require('./columns');
+const { createSubqueryContext } = require('./subquery');
+const { projectRows, outputShape } = require('./projection');
+const { executeSetOperation, distinctRows } = require('./setop');
+const { executeWith } = require('./cte');
+const { collectWindows, applyWindows } = require('./window');
+
 /**
- * Executes a SELECT query
- * @param {SelectNode} ast - SELECT AST node
+ * Executes a SELECT query (or a UNION, INTERSECT or EXCEPT of SELECTs, or a WITH query)
+ * @param {SelectNode|SetOperationNode|WithNode} ast - SELECT, set operation or WITH AST node
  * @param {Database} database - Database instance
  * @returns {Array<Object>} - Query results
  */
 function executeSelect(ast, database) {
-  const { tableName, columns, where, join } = ast;
+  if (ast.type === 'SET_OPERATION') {
+    return executeSetOperation(ast, database);
+  }
+  if (ast.type === 'WITH') {
+    return executeWith(ast, database);
+  }
+
+  const { tableName, columns, aliases, where, joins, limit, offset } = ast;
 
-  // Get the table
-  const table = database.getTable(tableName);
+  // Get the tables, each under the alias the query uses for it
+  const sources = getSources(ast, database);
+  const context = createSubqueryContext(database, sources);
+  const getColumn = columnRef => findColumn(sources, columnRef);
+
+  // ORDER BY 2 orders by the second result column (of SELECT *, the second table column)
+  const orderBy = resolvePositions(ast.orderBy, columns.includes('*') ? outputShape(ast, database).names : columns);
+
+  // Check function arguments against the column types (unknown columns are reported later)
+  const getColumnType = columnRef => {
+    const column = getColumn(columnRef);
+    return column ? column.type : null;
+  };
+  for (const expr of [...columns, where, ast.having, ...orderBy.map(term => term.column)]) {
+    checkTypes(expr, getColumnType);
+  }
 
-  // If there's a JOIN, handle it separately
-  if (join) {
-    // JOIN is handled by the join executor
-    const joinExecutor = require('./join');
-    return joinExecutor.executeJoin(ast, database);
+  // Source rows: JOIN output (keyed alias.column) or matching table rows
+  let rows;
+  let sorted = false;
+  if (joins.length > 0) {
+    rows = executeJoin(ast, database, context);
+  } else {
+    rows = _findInIndexOrder(ast, orderBy, sources[0], context);
+    sorted = rows !== null;
+    if (!sorted) {
+      rows = sources[0].table.find(where, sources[0].alias, context);
+    }
   }
 
-  // Find rows matching WHERE clause
-  const rows = table.find(where);
+  const scope = joins.length > 0 ? 'joined result' : `table "${tableName}"`;
 
-  // Project columns
-  if (columns.includes('*')) {
-    // Return all columns
-    return rows;
+  // Group and aggregate
+  if (isAggregateQuery(ast)) {
+    rows = groupRows(rows, ast, sources, context);
   } else {
-    // Return only specified columns
-    return rows.map(row => {
-      const projected = {};
-      for (const col of columns) {
-        if (col in row) {
-          projected[col] = row[col];
-        } else {
-          throw new Error(`Column "${col}" not found in table "${tableName}"`);
-        }
-      }
-      return projected;
-    });
+    _validateColumns(columns, getColumn, scope);
+  }
+
+  // Compute window functions over the grouped or filtered rows
+  const windows = collectWindows(ast);
+  if (windows.length > 0) {
+    rows = applyWindows(rows, windows, getColumn, context);
+  }
+
+  // Sort and page before projecting, so ORDER BY may use unselected columns
+  for (const ref of orderBy.flatMap(term => getConditionColumns(term.column))) {
+    if (typeof ref === 'string' && !getColumn(ref)) {
+      throw new Error(`Column "${ref}" not found in ${scope}`);
+    }
+  }
+  if (!sorted) {
+    const getValue = (row, ref) => evaluateExpression(ref, row, context);
+    rows = orderRows(rows, orderBy, getColumn, getValue);
+  }
+
+  // DISTINCT compares projected rows, so paging counts distinct rows
+  if (ast.distinct) {
+    return limitRows(distinctRows(projectRows(rows, columns, aliases, context)), limit, offset);
+  }
+
+  // Project columns
+  return projectRows(limitRows(rows, limit, offset), columns, aliases, context);
+}
+
+/**
+ * Reads a single-table SELECT's rows already in ORDER BY order, using an ordered index
+ * Applies when the query orders by one column of the table and does not group,
+ * since grouping builds new rows.
+ * @private
+ * @param {SelectNode} ast - SELECT AST node (without joins)
+ * @param {Array<Object>} orderBy - The query's ORDER BY terms, positions resolved
+ * @param {Object} source - { alias, table } the query reads from
+ * @param {Object} context - Evaluation context for subqueries
+ * @returns {Array<Object>|null} - Matching rows in order, or null if no index can supply the order
+ */
+function _findInIndexOrder(ast, orderBy, source, context) {
+  if (orderBy.length !== 1 || typeof orderBy[0].column !== 'string' || isAggregateQuery(ast)) {
+    return null;
+  }
+  return source.table.findOrdered(ast.where, orderBy[0].column, orderBy[0].direction, source.alias, context);
+}
+
+/**
+ * Validates that every column used by the select list exists
+ * @private
+ * @param {Array<string|Object>} columns - Selected columns (names, expressions) or ['*']
+ * @param {Function} getColumn - Maps a column reference to its Column (or undefined)
+ * @param {string} scope - Description of the queried source for error messages
+ * @throws {Error} - If a column is not found
+ */
+function _validateColumns(columns, getColumn, scope) {
+  for (const ref of columns.flatMap(getConditionColumns)) {
+    if (typeof ref === 'string' && ref !== '*' && !getColumn(ref)) {
+      throw new Error(`Column "${ref}" not found in ${scope}`);
+    }
   }
 }
 
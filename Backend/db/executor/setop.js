@@ -0,0 +1,174 @@
+/**
+ * Set Operation Executor Module
+ *
+ * Executes UNION, INTERSECT and EXCEPT between the results of two queries,
+ * and removes duplicate rows for SELECT DISTINCT.
+ * Both queries must produce the same number of columns with matching types
+ * (numeric types match each other); result columns take the names of the
+ * left-hand query.
+ */
+
+const Column = require('../engine/column');
+const { formatExpression } = require('../sql/ast');
+const { orderRows, limitRows, resolvePositions } = require('./order');
+const { outputShape } = require('./projection');
+
+/**
+ * Gets the key that identifies a tuple of values (NULLs compare equal here)
+ * @param {Array<*>} tuple - Row values
+ * @returns {string} - Key
+ */
+function tupleKey(tuple) {
+  return JSON.stringify(tuple);
+}
+
+/**
+ * Reads result rows as tuples of values in column order
+ * @param {Array<Object>} rows - Result rows
+ * @param {Array<string>} names - Result column names
+ * @returns {Array<Array<*>>} - One tuple per row
+ */
+function toTuples(rows, names) {
+  return rows.map(row => names.map(name => (name in row ? row[name] : null)));
+}
+
+/**
+ * Removes duplicate tuples, keeping the first occurrence of each
+ * @private
+ * @param {Array<Array<*>>} tuples - Row values
+ * @returns {Array<Array<*>>} - Distinct tuples
+ */
+function _distinctTuples(tuples) {
+  const seen = new Set();
+  return tuples.filter(tuple => {
+    const key = tupleKey(tuple);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Removes duplicate result rows, keeping the first occurrence of each
+ * @param {Array<Object>} rows - Projected result rows
+ * @returns {Array<Object>} - Distinct rows
+ */
+function distinctRows(rows) {
+  const seen = new Set();
+  return rows.filter(row => {
+    const key = tupleKey(Object.values(row));
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Checks that two queries produce compatible results
+ * @param {string} operator - UNION, INTERSECT or EXCEPT
+ * @param {Object} left - { names, types } of the left-hand query
+ * @param {Object} right - { names, types } of the right-hand query
+ * @throws {Error} - If the column counts or types differ
+ */
+function validateShapes(operator, left, right) {
+  if (left.names.length !== right.names.length) {
+    throw new Error(
+      `Each ${operator} query must have the same number of columns: ` +
+      `left query has ${left.names.length}, right query has ${right.names.length}`
+    );
+  }
+
+  left.types.forEach((type, i) => {
+    const other = right.types[i];
+    if (type && other && !Column.commonType(type, other)) {
+      throw new Error(`${operator} types ${type} and ${other} cannot be matched for column "${left.names[i]}"`);
+    }
+  });
+}
+
+/**
+ * Combines the tuples of two queries
+ * INTERSECT ALL and EXCEPT ALL match duplicates one for one (multiset semantics).
+ * @private
+ * @param {string} operator - UNION, INTERSECT or EXCEPT
+ * @param {boolean} all - True to keep duplicates
+ * @param {Array<Array<*>>} left - Tuples of the left-hand query
+ * @param {Array<Array<*>>} right - Tuples of the right-hand query
+ * @returns {Array<Array<*>>} - Combined tuples
+ */
+function _combine(operator, all, left, right) {
+  if (operator === 'UNION') {
+    const tuples = [...left, ...right];
+    return all ? tuples : _distinctTuples(tuples);
+  }
+
+  const counts = new Map();
+  for (const tuple of right) {
+    const key = tupleKey(tuple);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const keepMatches = operator === 'INTERSECT';
+  const tuples = [];
+  for (const tuple of left) {
+    const key = tupleKey(tuple);
+    const count = counts.get(key) || 0;
+    if ((count > 0) === keepMatches) {
+      tuples.push(tuple);
+    }
+    if (all && count > 0) {
+      counts.set(key, count - 1);
+    }
+  }
+  return all ? tuples : _distinctTuples(tuples);
+}
+
+/**
+ * Executes a UNION, INTERSECT or EXCEPT
+ * @param {SetOperationNode} ast - Set operation AST node
+ * @param {Database} database - Database instance
+ * @returns {Array<Object>} - Result rows, keyed by the left-hand query's column names
+ * @throws {Error} - If the queries are incompatible or ORDER BY names an unknown column
+ */
+function executeSetOperation(ast, database) {
+  // Required here to avoid a circular dependency with the SELECT executor
+  const { executeSelect } = require('./select');
+
+  const left = outputShape(ast.left, database);
+  const right = outputShape(ast.right, database);
+  validateShapes(ast.operator, left, right);
+
+  // ORDER BY can only name (or number) result columns
+  const orderBy = resolvePositions(ast.orderBy, left.names);
+  for (const term of orderBy) {
+    if (typeof term.column !== 'string' || !left.names.includes(term.column)) {
+      throw new Error(
+        `ORDER BY term "${formatExpression(term.column)}" must name a column of the ${ast.operator} result`
+      );
+    }
+  }
+
+  const tuples = _combine(
+    ast.operator,
+    ast.all,
+    toTuples(executeSelect(ast.left, database), left.names),
+    toTuples(executeSelect(ast.right, database), right.names)
+  );
+
+  const rows = tuples.map(tuple => {
+    const row = {};
+    left.names.forEach((name, i) => {
+      row[name] = tuple[i];
+    });
+    return row;
+  });
+
+  const getValue = (row, ref) => row[ref];
+  return limitRows(orderRows(rows, orderBy, () => undefined, getValue), ast.limit, ast.offset);
+}
+
+module.exports = { executeSetOperation, distinctRows, validateShapes, toTuples, tupleKey };
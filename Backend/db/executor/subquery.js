@@ -0,0 +1,185 @@
+/**
+ * Subquery Executor Module
+ *
+ * Runs the subqueries of IN (SELECT ...), EXISTS (SELECT ...) and scalar
+ * subqueries for the condition evaluator.
+ *
+ * A correlated subquery is bound to the outer row it is evaluated for: its
+ * references to the outer query's columns are replaced with that row's
+ * values, after which it runs like any other SELECT (and can use indexes).
+ * Subqueries that turn out not to be correlated run only once per statement.
+ */
+
+const { resolveColumn } = require('../engine/expression');
+const { LiteralNode } = require('../sql/ast');
+const { getSources, findColumn } = require('./columns');
+
+/**
+ * Operator to use when the two sides of a comparison are swapped
+ */
+const MIRRORED_OPERATORS = { '=': '=', '!=': '!=', '<': '>', '>': '<', '<=': '>=', '>=': '<=' };
+
+/**
+ * Creates the evaluation context for the conditions of a statement
+ * @param {Database} database - Database instance
+ * @param {Array<Object>} sources - Array of { alias, table } the statement reads from
+ * @returns {Object} - Context with runSubquery(subqueryNode, row) and nextval(name)
+ *   (see engine/expression.js)
+ */
+function createSubqueryContext(database, sources) {
+  const cache = new Map();
+
+  return {
+    runSubquery(subquery, row) {
+      if (cache.has(subquery)) {
+        return cache.get(subquery);
+      }
+
+      // Required here to avoid a circular dependency with the SELECT executor
+      const { executeSelect } = require('./select');
+
+      const outer = { sources, row, correlated: false };
+      const rows = executeSelect(_bindSelect(subquery.select, database, [], outer), database);
+      if (!outer.correlated) {
+        cache.set(subquery, rows);
+      }
+      return rows;
+    },
+
+    nextval(name) {
+      return database.nextval(name);
+    }
+  };
+}
+
+/**
+ * Copies a SELECT, replacing its references to the outer query with the outer row's values
+ * @private
+ * @param {SelectNode|SetOperationNode|WithNode} select - SELECT, set operation or WITH AST node
+ * @param {Database} database - Database instance
+ * @param {Array<Array<Object>>} enclosingSources - Sources of the subqueries between this one
+ *   and the outer query (their columns stay references)
+ * @param {Object} outer - { sources, row, correlated } of the outer query; correlated is set
+ *   to true when a reference is replaced
+ * @returns {Object} - Bound copy of the SELECT
+ */
+function _bindSelect(select, database, enclosingSources, outer) {
+  if (select.type === 'SET_OPERATION') {
+    return {
+      ...select,
+      left: _bindSelect(select.left, database, enclosingSources, outer),
+      right: _bindSelect(select.right, database, enclosingSources, outer)
+    };
+  }
+
+  // The CTEs of a WITH only exist while it runs, so it cannot refer to the outer query
+  if (select.type === 'WITH') {
+    return select;
+  }
+
+  const scopes = [getSources(select, database), ...enclosingSources];
+
+  const bindColumn = ref => {
+    const isOuter = typeof ref === 'string' &&
+      !scopes.some(sources => findColumn(sources, ref)) &&
+      findColumn(outer.sources, ref);
+    if (!isOuter) {
+      return ref;
+    }
+    outer.correlated = true;
+    return new LiteralNode(resolveColumn(outer.row, ref));
+  };
+
+  const bindSubquery = subquery => ({
+    ...subquery,
+    select: _bindSelect(subquery.select, database, scopes, outer)
+  });
+
+  // Value-side expressions: strings are literals, and bound constants become plain values
+  const bindValue = value => {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    const bound = bindExpression(value);
+    return bound && bound.type === 'LITERAL' ? bound.value : bound;
+  };
+
+  // Column-side expressions: a string names a column
+  const bindExpression = expr => {
+    if (typeof expr === 'string') {
+      return bindColumn(expr);
+    }
+    if (!expr || typeof expr !== 'object') {
+      return expr;
+    }
+
+    switch (expr.type || 'COMPARISON') {
+      case 'COLUMN': {
+        const bound = bindColumn(expr.name);
+        return bound === expr.name ? expr : bound;
+      }
+      case 'SUBQUERY':
+        return bindSubquery(expr);
+      case 'EXISTS':
+        return { ...expr, subquery: bindSubquery(expr.subquery) };
+      case 'AGGREGATE':
+        return expr.argument === '*' ? expr : { ...expr, argument: bindExpression(expr.argument) };
+      case 'WINDOW':
+        return {
+          ...expr,
+          args: expr.args.map(arg => (arg === '*' ? arg : bindExpression(arg))),
+          partitionBy: expr.partitionBy.map(bindExpression),
+          orderBy: expr.orderBy.map(term => ({ ...term, column: bindExpression(term.column) }))
+        };
+      case 'BINARY':
+      case 'LOGICAL':
+        return { ...expr, left: bindExpression(expr.left), right: bindExpression(expr.right) };
+      case 'UNARY':
+      case 'NOT':
+        return { ...expr, operand: bindExpression(expr.operand) };
+      case 'LIST':
+        return { ...expr, items: expr.items.map(bindValue) };
+      case 'FUNCTION':
+        return { ...expr, args: expr.args.map(bindExpression) };
+      case 'CAST':
+        return { ...expr, expression: bindExpression(expr.expression) };
+      case 'CASE':
+        return {
+          ...expr,
+          operand: bindExpression(expr.operand),
+          branches: expr.branches.map(branch => ({ when: bindExpression(branch.when), then: bindExpression(branch.then) })),
+          elseResult: bindExpression(expr.elseResult)
+        };
+      case 'BETWEEN':
+        return { ...expr, column: bindExpression(expr.column), low: bindValue(expr.low), high: bindValue(expr.high) };
+      case 'COMPARISON': {
+        const column = bindExpression(expr.column);
+        const value = bindValue(expr.value);
+
+        // Keep the column on the left so the bound value can use an index
+        const mirrored = MIRRORED_OPERATORS[expr.operator];
+        if (mirrored && column && column.type === 'LITERAL' && value && value.type === 'COLUMN') {
+          return { ...expr, column: value.name, operator: mirrored, value: column.value };
+        }
+        return { ...expr, column, value };
+      }
+      default:
+        return expr;
+    }
+  };
+
+  const columns = select.columns.map(bindExpression);
+
+  return {
+    ...select,
+    columns,
+    // An outer column in the select list keeps its name as written
+    aliases: columns.map((col, i) => (select.aliases && select.aliases[i]) ||
+      (col !== select.columns[i] && typeof select.columns[i] === 'string' ? select.columns[i] : null)),
+    where: bindExpression(select.where),
+    having: bindExpression(select.having),
+    orderBy: (select.orderBy || []).map(term => ({ ...term, column: bindExpression(term.column) }))
+  };
+}
+
+module.exports = { createSubqueryContext };
@@ -5,26 +5,36 @@
  * Handles row updates, WHERE clauses, and constraint enforcement.
  */
 
+const { createSubqueryContext } = require('./subquery');
+const { projectRows, validateReturning } = require('./projection');
+
 /**
  * Executes an UPDATE query
  * @param {UpdateNode} ast - UPDATE AST node
  * @param {Database} database - Database instance
- * @returns {number} - Number of rows updated
+ * @returns {Array<Object>} - Updated rows (projected through RETURNING when present)
  * @throws {Error} - If update fails
  */
 function executeUpdate(ast, database) {
-  const { tableName, updates, where } = ast;
+  const { tableName, updates, where, returning } = ast;
 
   // Get the table
   const table = database.getTable(tableName);
+  const sources = [{ alias: tableName, table }];
+  const context = createSubqueryContext(database, sources);
 
   // Validate that WHERE clause is provided (safety measure)
   if (!where) {
     throw new Error('UPDATE without WHERE clause is not allowed for safety');
   }
 
+  if (returning) {
+    validateReturning(returning, sources);
+  }
+
   // Update rows
-  return table.update(updates, where);
+  const rows = database.update(tableName, updates, where, context);
+  return returning ? projectRows(rows, returning.columns, returning.aliases, context) : rows;
 }
 
 module.exports = { executeUpdate };
@@ -0,0 +1,213 @@
+/**
+ * Window Function Executor Module
+ *
+ * Implements the window stage of SELECT: ROW_NUMBER, RANK, DENSE_RANK, LAG,
+ * LEAD and aggregates computed OVER (PARTITION BY ... ORDER BY ...).
+ * Runs after WHERE and grouping, before ORDER BY and LIMIT. Each window's
+ * value is stored on the row under the window's name, like aggregates.
+ *
+ * An aggregate window with ORDER BY is a running aggregate: it covers the
+ * partition's rows up to the current row and the rows that sort equal to it.
+ * Without ORDER BY it covers the whole partition.
+ */
+
+const Column = require('../engine/column');
+const { describeFunctionCall, evaluateExpression, getConditionColumns } = require('../engine/expression');
+const { decimalArithmetic } = require('../engine/types');
+const { orderRows } = require('./order');
+
+/**
+ * Checks whether a column reference is a window function call
+ * @private
+ * @param {string|Object} ref - Column reference or node
+ * @returns {boolean} - True for window nodes
+ */
+function _isWindow(ref) {
+  return typeof ref === 'object' && ref !== null && ref.type === 'WINDOW';
+}
+
+/**
+ * Collects the distinct windows a SELECT computes (select list and ORDER BY)
+ * @param {SelectNode} ast - SELECT AST node
+ * @returns {Array<WindowNode>} - Windows, one per result name
+ * @throws {Error} - If a window is used in WHERE or HAVING, or windows are nested
+ */
+function collectWindows(ast) {
+  for (const [clause, condition] of [['WHERE', ast.where], ['HAVING', ast.having]]) {
+    const window = getConditionColumns(condition).find(_isWindow);
+    if (window) {
+      throw new Error(`${describeFunctionCall(window)} is not allowed in ${clause}`);
+    }
+  }
+
+  const refs = [
+    ...ast.columns.flatMap(getConditionColumns),
+    ...(ast.orderBy || []).flatMap(term => getConditionColumns(term.column))
+  ];
+
+  const windows = new Map();
+  for (const window of refs.filter(_isWindow)) {
+    // getConditionColumns lists a window's own references after it
+    if (getConditionColumns(window).slice(1).some(_isWindow)) {
+      throw new Error(`Window function calls cannot be nested: ${window.name}`);
+    }
+    if (!windows.has(window.name)) {
+      windows.set(window.name, window);
+    }
+  }
+  return Array.from(windows.values());
+}
+
+/**
+ * Splits rows into the partitions of a window, keeping first-seen order
+ * @private
+ * @param {Array<Object>} rows - Rows
+ * @param {WindowNode} window - Window node
+ * @param {Object} context - Evaluation context for subqueries
+ * @returns {Array<Array<Object>>} - Partitions
+ */
+function _partition(rows, window, context) {
+  const partitions = new Map();
+  for (const row of rows) {
+    const key = JSON.stringify(window.partitionBy.map(expr => evaluateExpression(expr, row, context)));
+    if (!partitions.has(key)) {
+      partitions.set(key, []);
+    }
+    partitions.get(key).push(row);
+  }
+  return Array.from(partitions.values());
+}
+
+/**
+ * Computes a running aggregate over an ordered partition
+ * @private
+ * @param {WindowNode} window - Window node with an aggregate function
+ * @param {Array<Object>} rows - Partition rows in window order
+ * @param {Array<string>} peerKeys - ORDER BY key of each row (equal keys are peers)
+ * @param {Function} getColumn - Maps a column reference to its Column (or undefined)
+ * @param {Object} context - Evaluation context for subqueries
+ * @returns {Array<*>} - Value for each row
+ * @throws {Error} - If SUM or AVG meets a non-numeric value
+ */
+function _runningAggregate(window, rows, peerKeys, getColumn, context) {
+  const [argument] = window.args;
+  const column = getColumn(argument);
+  const compare = column ? (a, b) => column.compare(a, b) : Column.compareValues;
+
+  let count = 0;
+  let sum = 0;
+  let best = null;
+  const running = rows.map(row => {
+    const value = argument === '*' ? true : evaluateExpression(argument, row, context);
+    if (value !== null && value !== undefined) {
+      if ((window.func === 'SUM' || window.func === 'AVG') && typeof value !== 'number') {
+        throw new Error(`${window.func} requires numeric values: ${window.name}`);
+      }
+      count++;
+      if (typeof value === 'number') {
+        sum = decimalArithmetic('+', sum, value);
+      }
+      if (best === null || compare(value, best) * (window.func === 'MIN' ? -1 : 1) > 0) {
+        best = value;
+      }
+    }
+
+    switch (window.func) {
+      case 'COUNT':
+        return count;
+      case 'SUM':
+        return count === 0 ? null : sum;
+      case 'AVG':
+        return count === 0 ? null : sum / count;
+      default:
+        return best;
+    }
+  });
+
+  // Peers share the value reached at the last of them
+  const values = new Array(rows.length);
+  for (let end = rows.length - 1; end >= 0;) {
+    let start = end;
+    while (start > 0 && peerKeys[start - 1] === peerKeys[end]) {
+      start--;
+    }
+    values.fill(running[end], start, end + 1);
+    end = start - 1;
+  }
+  return values;
+}
+
+/**
+ * Computes a window function over one ordered partition
+ * @private
+ * @param {WindowNode} window - Window node
+ * @param {Array<Object>} rows - Partition rows in window order
+ * @param {Function} getColumn - Maps a column reference to its Column (or undefined)
+ * @param {Object} context - Evaluation context for subqueries
+ * @returns {Array<*>} - Value for each row
+ */
+function _computeWindow(window, rows, getColumn, context) {
+  const peerKeys = rows.map(row => JSON.stringify(
+    window.orderBy.map(term => evaluateExpression(term.column, row, context))
+  ));
+
+  switch (window.func) {
+    case 'ROW_NUMBER':
+      return rows.map((row, i) => i + 1);
+    case 'RANK':
+    case 'DENSE_RANK': {
+      // Peers share a rank; RANK then skips past them, DENSE_RANK does not
+      const ranks = [];
+      let distinct = 0;
+      peerKeys.forEach((key, i) => {
+        const isPeer = i > 0 && key === peerKeys[i - 1];
+        if (!isPeer) {
+          distinct++;
+        }
+        ranks.push(isPeer ? ranks[i - 1] : (window.func === 'RANK' ? i + 1 : distinct));
+      });
+      return ranks;
+    }
+    case 'LAG':
+    case 'LEAD': {
+      const [expr, offset, fallback] = window.args;
+      const step = (offset ? offset.value : 1) * (window.func === 'LAG' ? -1 : 1);
+      return rows.map((row, i) => {
+        const target = rows[i + step];
+        if (target) {
+          return evaluateExpression(expr, target, context);
+        }
+        return fallback === undefined ? null : evaluateExpression(fallback, row, context);
+      });
+    }
+    default:
+      return _runningAggregate(window, rows, peerKeys, getColumn, context);
+  }
+}
+
+/**
+ * Computes the windows of a SELECT for every row
+ * @param {Array<Object>} rows - Rows that passed WHERE (and grouping)
+ * @param {Array<WindowNode>} windows - Windows to compute (see collectWindows)
+ * @param {Function} getColumn - Maps a column reference to its Column (or undefined)
+ * @param {Object} context - Evaluation context for subqueries
+ * @returns {Array<Object>} - Copies of the rows, in the same order, with one entry per window
+ */
+function applyWindows(rows, windows, getColumn, context) {
+  const results = rows.map(row => ({ ...row }));
+  const getValue = (row, ref) => evaluateExpression(ref, row, context);
+
+  for (const window of windows) {
+    for (const partition of _partition(results, window, context)) {
+      const ordered = orderRows(partition, window.orderBy, getColumn, getValue);
+      const values = _computeWindow(window, ordered, getColumn, context);
+      ordered.forEach((row, i) => {
+        row[window.name] = values[i];
+      });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { collectWindows, applyWindows };
@@ -13,6 +13,11 @@ const { executeInsert } = require('./executor/insert');
 const { executeUpdate } = require('./executor/update');
 const { executeDelete } = require('./executor/delete');
 
+/**
+ * Statement types that read without writing (though a query may still advance a sequence)
+ */
+const QUERY_TYPES = ['SELECT', 'SET_OPERATION', 'WITH'];
+
 class DB {
   /**
    * Creates a new database instance
@@ -33,6 +38,11 @@ class DB {
 
   /**
    * Executes a SQL query
+   *
+   * SELECT returns its result rows. INSERT, UPDATE and DELETE return a
+   * { message } summary, or the affected rows when they have a RETURNING clause.
+   * CREATE, DROP and ALTER TABLE, CREATE and DROP INDEX, and CREATE and DROP SEQUENCE,
+   * return a { message }.
    * @param {string} sql - SQL query string
    * @returns {*} - Query result (varies by query type)
    * @throws {Error} - If query execution fails
@@ -46,40 +56,107 @@ class DB {
     const parser = new Parser(sql);
     const ast = parser.parse();
 
+    // Every other statement may change what is saved, even when it fails part way
+    if (!QUERY_TYPES.includes(ast.type)) {
+      this.database.dirty = true;
+    }
+
     // Execute based on AST type
     switch (ast.type) {
       case 'CREATE_TABLE': {
-        const { tableName, columns } = ast;
-        
+        const { tableName, columns, constraints } = ast;
+        if (ast.ifNotExists && this.database.hasTable(tableName)) {
+          return { message: `Table "${tableName}" already exists, skipped` };
+        }
+
         // Convert column definitions to format expected by Database
         const columnDefs = columns.map(col => ({
           name: col.name,
           type: col.type,
-          constraints: col.constraints
+          constraints: col.constraints,
+          references: col.references,
+          defaultValue: col.defaultValue,
+          check: col.check
         }));
 
-        this.database.createTable(tableName, columnDefs);
+        this.database.createTable(tableName, columnDefs, constraints, { strict: ast.strict });
         return { message: `Table "${tableName}" created successfully` };
       }
 
-      case 'SELECT': {
+      case 'DROP_TABLE': {
+        const { tableName } = ast;
+        if (ast.ifExists && !this.database.hasTable(tableName)) {
+          return { message: `Table "${tableName}" does not exist, skipped` };
+        }
+        this.database.dropTable(tableName);
+        return { message: `Table "${tableName}" dropped successfully` };
+      }
+
+      case 'ALTER_TABLE':
+        return this._alterTable(ast);
+
+      case 'CREATE_INDEX': {
+        const { indexName, tableName, columnNames, unique, method } = ast;
+        if (ast.ifNotExists && this.database.hasIndex(indexName)) {
+          return { message: `Index "${indexName}" already exists, skipped` };
+        }
+        this.database.createIndex(indexName, tableName, columnNames, unique, method === 'BTREE');
+        return { message: `Index "${indexName}" created successfully` };
+      }
+
+      case 'DROP_INDEX': {
+        const { indexName } = ast;
+        if (ast.ifExists && !this.database.hasIndex(indexName)) {
+          return { message: `Index "${indexName}" does not exist, skipped` };
+        }
+        this.database.dropIndex(indexName);
+        return { message: `Index "${indexName}" dropped successfully` };
+      }
+
+      case 'CREATE_SEQUENCE': {
+        const { sequenceName, start, increment } = ast;
+        if (ast.ifNotExists && this.database.hasSequence(sequenceName)) {
+          return { message: `Sequence "${sequenceName}" already exists, skipped` };
+        }
+        this.database.createSequence(sequenceName, { start, increment });
+        return { message: `Sequence "${sequenceName}" created successfully` };
+      }
+
+      case 'DROP_SEQUENCE': {
+        const { sequenceName } = ast;
+        if (ast.ifExists && !this.database.hasSequence(sequenceName)) {
+          return { message: `Sequence "${sequenceName}" does not exist, skipped` };
+        }
+        this.database.dropSequence(sequenceName);
+        return { message: `Sequence "${sequenceName}" dropped successfully` };
+      }
+
+      case 'SELECT':
+      case 'SET_OPERATION':
+      case 'WITH': {
         const results = executeSelect(ast, this.database);
         return results;
       }
 
       case 'INSERT': {
-        const result = executeInsert(ast, this.database);
-        return { message: 'Row inserted successfully', row: result };
+        const rows = executeInsert(ast, this.database);
+        if (ast.returning) {
+          return rows;
+        }
+        if (rows.length === 1) {
+          return { message: 'Row inserted successfully', row: rows[0] };
+        }
+        return { message: `${rows.length} rows inserted successfully`, rows };
       }
 
       case 'UPDATE': {
-        const count = executeUpdate(ast, this.database);
-        return { message: `${count} row(s) updated` };
+        const rows = executeUpdate(ast, this.database);
+        return ast.returning ? rows : { message: `${rows.length} row(s) updated` };
       }
 
       case 'DELETE': {
-        const count = executeDelete(ast, this.database);
-        return { message: `${count} row(s) deleted` };
+        const rows = executeDelete(ast, this.database);
+        return ast.returning ? rows : { message: `${rows.length} row(s) deleted` };
       }
 
       default:
@@ -87,6 +164,34 @@ class DB {
     }
   }
 
+  /**
+   * Executes an ALTER TABLE statement
+   * @private
+   * @param {AlterTableNode} ast - ALTER TABLE AST node
+   * @returns {Object} - { message }
+   * @throws {Error} - If the change is not possible
+   */
+  _alterTable(ast) {
+    const { tableName, action } = ast;
+
+    switch (action.type) {
+      case 'ADD_COLUMN':
+        this.database.addColumn(tableName, action.column);
+        return { message: `Column "${action.column.name}" added to table "${tableName}"` };
+      case 'DROP_COLUMN':
+        this.database.dropColumn(tableName, action.column);
+        return { message: `Column "${action.column}" dropped from table "${tableName}"` };
+      case 'RENAME_COLUMN':
+        this.database.renameColumn(tableName, action.column, action.newName);
+        return { message: `Column "${action.column}" renamed to "${action.newName}"` };
+      case 'RENAME_TABLE':
+        this.database.renameTable(tableName, action.newName);
+        return { message: `Table "${tableName}" renamed to "${action.newName}"` };
+      default:
+        throw new Error(`Unsupported ALTER TABLE action: ${action.type}`);
+    }
+  }
+
   /**
    * Saves the database to disk
    * @returns {Promise<void>}
@@ -96,6 +201,17 @@ class DB {
       throw new Error('Database not initialized');
     }
     await this.storage.save(this.database);
+    this.database.dirty = false;
+  }
+
+  /**
+   * Checks whether the database has changes that are not saved yet
+   * Statements other than queries make it dirty, and so does a query that
+   * advances a sequence (SELECT nextval('s')).
+   * @returns {boolean} - True if there is something to save
+   */
+  isDirty() {
+    return !!this.database && this.database.dirty;
   }
 
   /**
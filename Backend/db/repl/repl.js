@@ -75,21 +75,23 @@ async function startREPL() {
             _printTable(result);
           }
         } else if (result && typeof result === 'object') {
-          // Other query result (INSERT, UPDATE, DELETE, CREATE TABLE)
+          // Other query result (INSERT, UPDATE, DELETE, CREATE / DROP / ALTER TABLE, CREATE / DROP INDEX)
           console.log(result.message || JSON.stringify(result, null, 2));
         } else {
           console.log(result);
         }
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+      }
 
-        // Auto-save after each mutation
-        if (sql.toUpperCase().startsWith('INSERT') ||
-            sql.toUpperCase().startsWith('UPDATE') ||
-            sql.toUpperCase().startsWith('DELETE') ||
-            sql.toUpperCase().startsWith('CREATE')) {
+      // Auto-save after anything that changed the database (including a failed
+      // statement that advanced a sequence)
+      if (db.isDirty()) {
+        try {
           await db.save();
+        } catch (error) {
+          console.error(`Error saving database: ${error.message}`);
         }
-      } catch (error) {
-        console.error(`Error: ${error.message}`);
       }
 
       rl.prompt();
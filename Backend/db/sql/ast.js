@@ -18,10 +18,89 @@ class ASTNode {
  * CREATE TABLE AST node
  */
 class CreateTableNode extends ASTNode {
-  constructor(tableName, columns) {
+  constructor(tableName, columns, ifNotExists = false, constraints = [], strict = false) {
     super('CREATE_TABLE');
     this.tableName = tableName;
     this.columns = columns; // Array of { name, type, constraints }
+    this.ifNotExists = ifNotExists; // True to skip an existing table instead of failing
+    // Table-level constraints: Array of { type: 'PRIMARY_KEY'|'UNIQUE', columns }
+    this.constraints = constraints;
+    this.strict = strict; // True for a STRICT table (no lossy type conversions)
+  }
+}
+
+/**
+ * DROP TABLE AST node
+ */
+class DropTableNode extends ASTNode {
+  constructor(tableName, ifExists = false) {
+    super('DROP_TABLE');
+    this.tableName = tableName;
+    this.ifExists = ifExists; // True to skip a missing table instead of failing
+  }
+}
+
+/**
+ * CREATE INDEX AST node
+ */
+class CreateIndexNode extends ASTNode {
+  constructor(indexName, tableName, columnNames, unique = false, ifNotExists = false, method = 'HASH') {
+    super('CREATE_INDEX');
+    this.indexName = indexName;
+    this.tableName = tableName;
+    this.columnNames = columnNames; // Indexed columns, in key order
+    this.unique = unique; // True for CREATE UNIQUE INDEX
+    this.ifNotExists = ifNotExists; // True to skip an existing index instead of failing
+    this.method = method; // 'HASH' or 'BTREE' (ordered)
+  }
+}
+
+/**
+ * DROP INDEX AST node
+ */
+class DropIndexNode extends ASTNode {
+  constructor(indexName, ifExists = false) {
+    super('DROP_INDEX');
+    this.indexName = indexName;
+    this.ifExists = ifExists; // True to skip a missing index instead of failing
+  }
+}
+
+/**
+ * CREATE SEQUENCE AST node
+ */
+class CreateSequenceNode extends ASTNode {
+  constructor(sequenceName, start = 1, increment = 1, ifNotExists = false) {
+    super('CREATE_SEQUENCE');
+    this.sequenceName = sequenceName;
+    this.start = start; // First value handed out
+    this.increment = increment; // Step between values (negative to count down)
+    this.ifNotExists = ifNotExists; // True to skip an existing sequence instead of failing
+  }
+}
+
+/**
+ * DROP SEQUENCE AST node
+ */
+class DropSequenceNode extends ASTNode {
+  constructor(sequenceName, ifExists = false) {
+    super('DROP_SEQUENCE');
+    this.sequenceName = sequenceName;
+    this.ifExists = ifExists; // True to skip a missing sequence instead of failing
+  }
+}
+
+/**
+ * ALTER TABLE AST node
+ */
+class AlterTableNode extends ASTNode {
+  constructor(tableName, action) {
+    super('ALTER_TABLE');
+    this.tableName = tableName;
+    // One of { type: 'ADD_COLUMN', column: { name, type, constraints } },
+    // { type: 'DROP_COLUMN', column }, { type: 'RENAME_COLUMN', column, newName }
+    // or { type: 'RENAME_TABLE', newName }
+    this.action = action;
   }
 }
 
@@ -29,12 +108,55 @@ class CreateTableNode extends ASTNode {
  * SELECT AST node
  */
 class SelectNode extends ASTNode {
-  constructor(tableName, columns, where, join) {
+  constructor(
+    tableName, columns, where, joins,
+    groupBy = [], having = null, orderBy = [], limit = null, offset = null,
+    alias = null, aliases = [], distinct = false
+  ) {
     super('SELECT');
     this.tableName = tableName;
-    this.columns = columns; // Array of column names or ['*']
-    this.where = where; // { column, operator, value } or null
-    this.join = join; // { type, table, on: { left, right } } or null
+    this.alias = alias; // Table alias or null
+    this.columns = columns; // Array of column names and AggregateNodes, or ['*']
+    this.aliases = aliases; // Output name for each entry of columns (null = default name)
+    this.where = where; // Condition tree (see ComparisonNode, LogicalNode, NotNode) or null
+    this.joins = joins; // Array of { type: INNER | LEFT | RIGHT | FULL, table, alias, on: { left, right } }, in order
+    this.groupBy = groupBy; // Array of column names
+    this.having = having; // Condition tree over groups or null
+    this.orderBy = orderBy; // Array of { column, direction: 'ASC' | 'DESC' }
+    this.limit = limit; // Maximum number of rows or null
+    this.offset = offset; // Number of rows to skip or null
+    this.distinct = distinct; // True for SELECT DISTINCT
+  }
+}
+
+/**
+ * WITH AST node (WITH [RECURSIVE] name [(columns)] AS (query), ... query)
+ * Each common table expression can be read as a table by the ones after it
+ * and by the main query.
+ */
+class WithNode extends ASTNode {
+  constructor(recursive, ctes, query) {
+    super('WITH');
+    this.recursive = recursive; // True for WITH RECURSIVE
+    this.ctes = ctes; // Array of { name, columns (array of names or null), query }
+    this.query = query; // SelectNode or SetOperationNode reading the CTEs
+  }
+}
+
+/**
+ * Set operation AST node (left UNION | INTERSECT | EXCEPT [ALL] right)
+ * ORDER BY, LIMIT and OFFSET apply to the combined result.
+ */
+class SetOperationNode extends ASTNode {
+  constructor(operator, all, left, right, orderBy = [], limit = null, offset = null) {
+    super('SET_OPERATION');
+    this.operator = operator; // UNION, INTERSECT or EXCEPT
+    this.all = all; // True to keep duplicate rows (UNION ALL, ...)
+    this.left = left; // SelectNode or SetOperationNode
+    this.right = right; // SelectNode or SetOperationNode
+    this.orderBy = orderBy; // Array of { column, direction } over the result's column names
+    this.limit = limit; // Maximum number of rows or null
+    this.offset = offset; // Number of rows to skip or null
   }
 }
 
@@ -42,11 +164,14 @@ class SelectNode extends ASTNode {
  * INSERT AST node
  */
 class InsertNode extends ASTNode {
-  constructor(tableName, columns, values) {
+  constructor(tableName, columns, values, select = null, onConflict = null, returning = null) {
     super('INSERT');
     this.tableName = tableName;
     this.columns = columns; // Array of column names
-    this.values = values; // Array of values
+    this.values = values; // Array of value tuples, one per row (empty for INSERT ... SELECT)
+    this.select = select; // SelectNode supplying the rows, or null
+    this.onConflict = onConflict; // { columns, action: 'NOTHING'|'UPDATE', updates } or null
+    this.returning = returning; // { columns, aliases } of the RETURNING list, or null
   }
 }
 
@@ -54,11 +179,12 @@ class InsertNode extends ASTNode {
  * UPDATE AST node
  */
 class UpdateNode extends ASTNode {
-  constructor(tableName, updates, where) {
+  constructor(tableName, updates, where, returning = null) {
     super('UPDATE');
     this.tableName = tableName;
     this.updates = updates; // Object with column: value pairs
-    this.where = where; // { column, operator, value } or null
+    this.where = where; // Condition tree or null
+    this.returning = returning; // { columns, aliases } of the RETURNING list, or null
   }
 }
 
@@ -66,18 +192,376 @@ class UpdateNode extends ASTNode {
  * DELETE AST node
  */
 class DeleteNode extends ASTNode {
-  constructor(tableName, where) {
+  constructor(tableName, where, returning = null) {
     super('DELETE');
     this.tableName = tableName;
-    this.where = where; // { column, operator, value } or null
+    this.where = where; // Condition tree or null
+    this.returning = returning; // { columns, aliases } of the RETURNING list, or null
+  }
+}
+
+/**
+ * Comparison condition node (column operator value)
+ */
+class ComparisonNode extends ASTNode {
+  constructor(column, operator, value) {
+    super('COMPARISON');
+    this.column = column; // Column name (may include table prefix) or expression node
+    this.operator = operator; // One of =, !=, >, <, >=, <=, LIKE, ILIKE, IN, IS or IS NOT
+    this.value = value; // Literal value or expression node (SubqueryNode or ListNode for IN, null for IS)
+  }
+}
+
+/**
+ * Range condition node (column BETWEEN low AND high)
+ */
+class BetweenNode extends ASTNode {
+  constructor(column, low, high) {
+    super('BETWEEN');
+    this.column = column; // Column name or expression node
+    this.low = low; // Literal value or expression node
+    this.high = high; // Literal value or expression node
+  }
+}
+
+/**
+ * Parenthesized list of values (the right side of IN (a, b, c))
+ */
+class ListNode extends ASTNode {
+  constructor(items) {
+    super('LIST');
+    this.items = items; // Literal values or expression nodes
+  }
+}
+
+/**
+ * Logical condition node (left AND right, left OR right)
+ */
+class LogicalNode extends ASTNode {
+  constructor(operator, left, right) {
+    super('LOGICAL');
+    this.operator = operator; // 'AND' or 'OR'
+    this.left = left; // Condition node
+    this.right = right; // Condition node
+  }
+}
+
+/**
+ * Negated condition node (NOT operand)
+ */
+class NotNode extends ASTNode {
+  constructor(operand) {
+    super('NOT');
+    this.operand = operand; // Condition node
+  }
+}
+
+/**
+ * Aggregate function call node (COUNT(*), SUM(column), ...)
+ */
+class AggregateNode extends ASTNode {
+  constructor(func, argument) {
+    super('AGGREGATE');
+    this.func = func; // COUNT, SUM, AVG, MIN or MAX
+    this.argument = argument; // Column name, expression node or '*'
+    this.name = `${func}(${formatExpression(argument)})`; // Result column name
+  }
+}
+
+/**
+ * Window function call node (ROW_NUMBER() OVER (...), SUM(column) OVER (...), ...)
+ */
+class WindowNode extends ASTNode {
+  constructor(func, args, partitionBy = [], orderBy = []) {
+    super('WINDOW');
+    this.func = func; // ROW_NUMBER, RANK, DENSE_RANK, LAG, LEAD or an aggregate function
+    this.args = args; // Column names, expression nodes or ['*'] for COUNT(*)
+    this.partitionBy = partitionBy; // Column names or expression nodes
+    this.orderBy = orderBy; // Array of { column, direction }
+
+    const over = [];
+    if (partitionBy.length > 0) {
+      over.push(`PARTITION BY ${partitionBy.map(expr => formatExpression(expr)).join(', ')}`);
+    }
+    if (orderBy.length > 0) {
+      const terms = orderBy.map(term => formatExpression(term.column) + (term.direction === 'DESC' ? ' DESC' : ''));
+      over.push(`ORDER BY ${terms.join(', ')}`);
+    }
+    this.name = `${func}(${args.map(arg => formatExpression(arg)).join(', ')}) OVER (${over.join(' ')})`; // Result column name
+  }
+}
+
+/**
+ * Arithmetic or concatenation node (left operator right)
+ * Checking the query against the schema records the operand types on it as
+ * operandTypes (see checkTypes in engine/functions.js).
+ */
+class BinaryNode extends ASTNode {
+  constructor(operator, left, right) {
+    super('BINARY');
+    this.operator = operator; // One of +, -, *, /, % or ||
+    this.left = left; // Expression node
+    this.right = right; // Expression node
+  }
+}
+
+/**
+ * Negation node (-operand)
+ */
+class UnaryNode extends ASTNode {
+  constructor(operator, operand) {
+    super('UNARY');
+    this.operator = operator; // '-'
+    this.operand = operand; // Expression node
+  }
+}
+
+/**
+ * Column reference used as a comparison value (e.g., posts.user_id = users.id)
+ */
+class ColumnRefNode extends ASTNode {
+  constructor(name) {
+    super('COLUMN');
+    this.name = name; // Column name (may include table prefix)
+  }
+}
+
+/**
+ * Constant operand node
+ * Stands in for an outer column once a correlated subquery is bound to an outer row.
+ */
+class LiteralNode extends ASTNode {
+  constructor(value, text = null) {
+    super('LITERAL');
+    this.value = value; // Literal value
+    this.text = text; // Number as written (e.g., "7.0"), or null for other literals
+  }
+}
+
+/**
+ * Parenthesized SELECT used as a value, an IN list or an EXISTS operand
+ */
+class SubqueryNode extends ASTNode {
+  constructor(select) {
+    super('SUBQUERY');
+    this.select = select; // SelectNode, SetOperationNode or WithNode
+  }
+}
+
+/**
+ * EXISTS condition node (EXISTS (SELECT ...))
+ */
+class ExistsNode extends ASTNode {
+  constructor(subquery) {
+    super('EXISTS');
+    this.subquery = subquery; // SubqueryNode
+  }
+}
+
+/**
+ * Scalar function call node (e.g., UPPER(name), COALESCE(a, b, 0))
+ */
+class FunctionNode extends ASTNode {
+  constructor(name, args) {
+    super('FUNCTION');
+    this.name = name; // Function name (upper case, see engine/functions.js)
+    this.args = args; // Argument expression nodes
+  }
+}
+
+/**
+ * Type conversion node (CAST(expression AS type))
+ */
+class CastNode extends ASTNode {
+  constructor(expression, targetType) {
+    super('CAST');
+    this.expression = expression; // Expression node
+    this.targetType = targetType; // Column type, with its parameters if any (e.g., DECIMAL(10, 2))
+  }
+}
+
+/**
+ * Conditional expression node
+ * Searched form: CASE WHEN condition THEN result ... [ELSE result] END
+ * Simple form: CASE operand WHEN value THEN result ... [ELSE result] END
+ */
+class CaseNode extends ASTNode {
+  constructor(operand, branches, elseResult) {
+    super('CASE');
+    this.operand = operand; // Expression node compared with each WHEN value, or null (searched form)
+    this.branches = branches; // Array of { when, then } expression nodes
+    this.elseResult = elseResult; // Expression node, or null (NULL when no branch matches)
+  }
+}
+
+/**
+ * Binding strength of each operator when printing expressions (higher binds tighter)
+ */
+const PRECEDENCE = {
+  OR: 1,
+  AND: 2,
+  NOT: 3,
+  COMPARISON: 4,
+  '+': 5,
+  '-': 5,
+  '||': 5,
+  '*': 6,
+  '/': 6,
+  '%': 6,
+  UNARY: 7
+};
+
+/**
+ * Prints a literal value as SQL
+ * @private
+ * @param {*} value - Literal value
+ * @returns {string} - SQL text
+ */
+function _formatLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `X'${value.toString('hex')}'`;
+  }
+  return String(value);
+}
+
+/**
+ * Gets the binding strength of an expression's top-level operator
+ * @private
+ * @param {*} expr - Expression
+ * @returns {number} - Precedence (Infinity for operands that never need parentheses)
+ */
+function _precedence(expr) {
+  if (!expr || typeof expr !== 'object') {
+    return Infinity;
+  }
+  switch (expr.type) {
+    case 'BINARY':
+    case 'LOGICAL':
+      return PRECEDENCE[expr.operator];
+    case 'COMPARISON':
+    case 'BETWEEN':
+      return PRECEDENCE.COMPARISON;
+    case 'NOT':
+    case 'UNARY':
+      return PRECEDENCE[expr.type];
+    default:
+      return Infinity;
+  }
+}
+
+/**
+ * Prints an expression as SQL, adding parentheses only where precedence requires them
+ * Used to name select-list columns that have no alias (e.g., "price * qty").
+ * @param {string|Object|*} expr - Column name, expression node or '*'
+ * @param {boolean} valueSide - True if strings are literal values rather than column names
+ * @returns {string} - SQL text
+ */
+function formatExpression(expr, valueSide = false) {
+  if (typeof expr === 'string' && !valueSide) {
+    return expr;
+  }
+  if (!expr || typeof expr !== 'object') {
+    return _formatLiteral(expr);
+  }
+
+  // Operands are wrapped when they bind looser than their operator (or equally, on the right)
+  const wrap = (operand, precedence, right = false, operandValueSide = false) => {
+    const text = formatExpression(operand, operandValueSide);
+    const inner = _precedence(operand);
+    return inner < precedence || (right && inner === precedence) ? `(${text})` : text;
+  };
+
+  switch (expr.type) {
+    case 'COLUMN':
+      return expr.name;
+    case 'LITERAL':
+      return expr.text === null || expr.text === undefined ? _formatLiteral(expr.value) : expr.text;
+    case 'AGGREGATE':
+    case 'WINDOW':
+      return expr.name;
+    case 'SUBQUERY':
+      return '(SELECT ...)';
+    case 'LIST':
+      return `(${expr.items.map(item => formatExpression(item, true)).join(', ')})`;
+    case 'FUNCTION':
+      return `${expr.name}(${expr.args.map(arg => formatExpression(arg)).join(', ')})`;
+    case 'CAST':
+      return `CAST(${formatExpression(expr.expression)} AS ${expr.targetType})`;
+    case 'CASE': {
+      const parts = ['CASE'];
+      if (expr.operand) {
+        parts.push(formatExpression(expr.operand));
+      }
+      for (const branch of expr.branches) {
+        parts.push(`WHEN ${formatExpression(branch.when)} THEN ${formatExpression(branch.then)}`);
+      }
+      if (expr.elseResult) {
+        parts.push(`ELSE ${formatExpression(expr.elseResult)}`);
+      }
+      parts.push('END');
+      return parts.join(' ');
+    }
+    case 'EXISTS':
+      return 'EXISTS (SELECT ...)';
+    case 'BINARY':
+    case 'LOGICAL': {
+      const precedence = PRECEDENCE[expr.operator];
+      return `${wrap(expr.left, precedence)} ${expr.operator} ${wrap(expr.right, precedence, true)}`;
+    }
+    case 'UNARY':
+      return `${expr.operator}${wrap(expr.operand, PRECEDENCE.UNARY)}`;
+    case 'NOT':
+      return `NOT ${wrap(expr.operand, PRECEDENCE.NOT)}`;
+    case 'BETWEEN': {
+      const precedence = PRECEDENCE.COMPARISON;
+      const low = wrap(expr.low, precedence, true, true);
+      const high = wrap(expr.high, precedence, true, true);
+      return `${wrap(expr.column, precedence)} BETWEEN ${low} AND ${high}`;
+    }
+    case 'COMPARISON':
+    default: {
+      const precedence = PRECEDENCE.COMPARISON;
+      return `${wrap(expr.column, precedence)} ${expr.operator} ${wrap(expr.value, precedence, true, true)}`;
+    }
   }
 }
 
 module.exports = {
   ASTNode,
   CreateTableNode,
+  DropTableNode,
+  AlterTableNode,
+  CreateIndexNode,
+  DropIndexNode,
+  CreateSequenceNode,
+  DropSequenceNode,
   SelectNode,
+  SetOperationNode,
+  WithNode,
   InsertNode,
   UpdateNode,
-  DeleteNode
+  DeleteNode,
+  ComparisonNode,
+  BetweenNode,
+  ListNode,
+  LogicalNode,
+  NotNode,
+  AggregateNode,
+  WindowNode,
+  ColumnRefNode,
+  LiteralNode,
+  SubqueryNode,
+  ExistsNode,
+  BinaryNode,
+  UnaryNode,
+  FunctionNode,
+  CastNode,
+  CaseNode,
+  formatExpression
 };
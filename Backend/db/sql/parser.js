@@ -6,7 +6,75 @@
  */
 
 const { Tokenizer, TokenType } = require('./tokenizer');
-const { CreateTableNode, SelectNode, InsertNode, UpdateNode, DeleteNode } = require('./ast');
+const { isFunction, inferType, validateCall, validateCastType } = require('../engine/functions');
+const {
+  CreateTableNode,
+  DropTableNode,
+  AlterTableNode,
+  CreateIndexNode,
+  DropIndexNode,
+  CreateSequenceNode,
+  DropSequenceNode,
+  SelectNode,
+  SetOperationNode,
+  WithNode,
+  InsertNode,
+  UpdateNode,
+  DeleteNode,
+  ComparisonNode,
+  BetweenNode,
+  ListNode,
+  LogicalNode,
+  NotNode,
+  AggregateNode,
+  WindowNode,
+  ColumnRefNode,
+  LiteralNode,
+  SubqueryNode,
+  ExistsNode,
+  BinaryNode,
+  UnaryNode,
+  FunctionNode,
+  CastNode,
+  CaseNode
+} = require('./ast');
+
+/**
+ * Aggregate functions accepted in select lists, HAVING and ORDER BY
+ */
+const AGGREGATE_FUNCTIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+/**
+ * Window-only functions and their [minimum, maximum] number of arguments
+ * Aggregate functions can also be used as window functions.
+ */
+const WINDOW_FUNCTIONS = {
+  ROW_NUMBER: [0, 0],
+  RANK: [0, 0],
+  DENSE_RANK: [0, 0],
+  LAG: [1, 3],
+  LEAD: [1, 3]
+};
+
+/**
+ * Comparison operators (<> is read as !=)
+ */
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '>', '<=', '>='];
+
+/**
+ * Index methods accepted by CREATE INDEX ... USING (HASH is the default)
+ */
+const INDEX_METHODS = ['HASH', 'BTREE'];
+
+/**
+ * Actions a FOREIGN KEY can take when the row it references is deleted or updated
+ */
+const REFERENTIAL_ACTIONS = ['RESTRICT', 'CASCADE', 'SET NULL', 'SET DEFAULT'];
+
+/**
+ * Words that start a column constraint, ending the type of a column definition
+ */
+const COLUMN_CONSTRAINTS = ['PRIMARY', 'KEY', 'UNIQUE', 'AUTOINCREMENT', 'NOT', 'NULL', 'DEFAULT', 'CHECK', 'REFERENCES'];
 
 class Parser {
   /**
@@ -21,261 +89,1418 @@ class Parser {
   }
 
   /**
-   * Advances to the next token
+   * Advances to the next token
+   * @private
+   */
+  _advance() {
+    this.position++;
+    this.currentToken = this.position < this.tokens.length 
+      ? this.tokens[this.position] 
+      : { type: TokenType.EOF, value: null };
+  }
+
+  /**
+   * Expects a specific token type and advances
+   * @private
+   * @param {string} expectedType - Expected token type
+   * @param {string} expectedValue - Expected token value (optional)
+   * @returns {Object} - The token
+   * @throws {Error} - If token doesn't match
+   */
+  _expect(expectedType, expectedValue = null) {
+    if (this.currentToken.type !== expectedType) {
+      throw new Error(
+        `Expected ${expectedType}, got ${this.currentToken.type} at position ${this.position}`
+      );
+    }
+    if (expectedValue && this.currentToken.value !== expectedValue) {
+      throw new Error(
+        `Expected ${expectedValue}, got ${this.currentToken.value} at position ${this.position}`
+      );
+    }
+    const token = this.currentToken;
+    this._advance();
+    return token;
+  }
+
+  /**
+   * Checks if current token matches
+   * @private
+   * @param {string} type - Token type
+   * @param {string} value - Token value (optional)
+   * @returns {boolean} - True if matches
+   */
+  _match(type, value = null) {
+    if (this.currentToken.type !== type) {
+      return false;
+    }
+    if (value && this.currentToken.value !== value) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Looks ahead without consuming tokens
+   * @private
+   * @param {number} offset - How many tokens ahead to look
+   * @returns {Object} - The token (EOF if past the end)
+   */
+  _peek(offset = 1) {
+    return this.tokens[this.position + offset] || { type: TokenType.EOF, value: null };
+  }
+
+  /**
+   * Reads a keyword or identifier as an upper case word, without consuming it
+   * @private
+   * @param {number} offset - How many tokens ahead to look
+   * @returns {string|null} - The word, or null if the token is not a keyword or identifier
+   */
+  _peekWord(offset = 0) {
+    const token = this._peek(offset);
+    return token.type === TokenType.KEYWORD || token.type === TokenType.IDENTIFIER
+      ? token.value.toUpperCase()
+      : null;
+  }
+
+  /**
+   * Checks if a token is the given word
+   * Unreserved keywords are identifier tokens, matched here in position.
+   * @private
+   * @param {string} word - Word in upper case
+   * @param {number} offset - How many tokens ahead to look
+   * @returns {boolean} - True if matches
+   */
+  _matchWord(word, offset = 0) {
+    return this._peekWord(offset) === word;
+  }
+
+  /**
+   * Expects the given word and advances
+   * @private
+   * @param {string} word - Word in upper case
+   * @throws {Error} - If the current token is not the word
+   */
+  _expectWord(word) {
+    if (!this._matchWord(word)) {
+      throw new Error(`Expected ${word}, got ${this.currentToken.value} at position ${this.position}`);
+    }
+    this._advance();
+  }
+
+  /**
+   * Parses a SELECT list (e.g., "name, COUNT(*) AS total" or "*")
+   * @private
+   * @returns {Object} - { columns, aliases }: column names and expression nodes
+   *   (or ['*']), and the output alias of each (null when none was given)
+   */
+  _parseSelectList() {
+    if (this._match(TokenType.PUNCTUATION, '*')) {
+      this._advance();
+      return { columns: ['*'], aliases: [null] };
+    }
+
+    const columns = [];
+    const aliases = [];
+    do {
+      if (columns.length > 0) {
+        this._advance(); // Skip comma
+      }
+      columns.push(this._asColumn(this._parseExpression()));
+      aliases.push(this._parseAlias());
+    } while (this._match(TokenType.PUNCTUATION, ','));
+
+    return { columns, aliases };
+  }
+
+  /**
+   * Parses an optional alias ("AS name" or just "name")
+   * @private
+   * @returns {string|null} - Alias or null if absent
+   */
+  _parseAlias() {
+    if (this._match(TokenType.KEYWORD, 'AS')) {
+      this._advance(); // Skip AS
+      return this._expect(TokenType.IDENTIFIER).value;
+    }
+    if (this._match(TokenType.IDENTIFIER)) {
+      return this._expect(TokenType.IDENTIFIER).value;
+    }
+    return null;
+  }
+
+  /**
+   * Parses a table reference with an optional alias (e.g., "users", "users AS u", "users u")
+   * @private
+   * @returns {Object} - { table, alias } (alias is null when none was given)
+   */
+  _parseTableReference() {
+    const table = this._expect(TokenType.IDENTIFIER).value;
+    const alias = this._parseAlias();
+    return { table, alias };
+  }
+
+  /**
+   * Parses an aggregate function call (e.g., "COUNT(*)", "SUM(posts.views)" or "SUM(price * qty)")
+   * @private
+   * @returns {AggregateNode} - Aggregate node
+   * @throws {Error} - If * is used with anything but COUNT
+   */
+  _parseAggregate() {
+    const func = this._expect(TokenType.IDENTIFIER).value.toUpperCase();
+    this._expect(TokenType.PUNCTUATION, '(');
+
+    let argument;
+    if (this._match(TokenType.PUNCTUATION, '*')) {
+      if (func !== 'COUNT') {
+        throw new Error(`${func}(*) is not supported, only COUNT(*)`);
+      }
+      this._advance();
+      argument = '*';
+    } else {
+      argument = this._asColumn(this._parseExpression());
+    }
+
+    this._expect(TokenType.PUNCTUATION, ')');
+
+    // An aggregate followed by OVER is computed per row over its window
+    if (this._match(TokenType.KEYWORD, 'OVER')) {
+      return this._parseOver(func, [argument]);
+    }
+    return new AggregateNode(func, argument);
+  }
+
+  /**
+   * Parses a window function call (e.g., "RANK() OVER (ORDER BY score DESC)" or "LAG(price, 1, 0) OVER (...)")
+   * @private
+   * @returns {WindowNode} - Window node
+   * @throws {Error} - If the call has the wrong number of arguments or no OVER clause
+   */
+  _parseWindowFunction() {
+    const func = this._expect(TokenType.IDENTIFIER).value.toUpperCase();
+    this._expect(TokenType.PUNCTUATION, '(');
+
+    const args = [];
+    while (!this._match(TokenType.PUNCTUATION, ')')) {
+      if (args.length > 0) {
+        this._expect(TokenType.PUNCTUATION, ',');
+      }
+      args.push(this._asColumn(this._parseExpression()));
+    }
+    this._advance(); // Skip )
+
+    const [min, max] = WINDOW_FUNCTIONS[func];
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${max}` : `${min} to ${max}`;
+      throw new Error(`Function ${func} expects ${expected} argument(s), got ${args.length}`);
+    }
+
+    // LAG / LEAD offsets are fixed row counts
+    const offset = args[1];
+    if (offset !== undefined && !(offset.type === 'LITERAL' && Number.isInteger(offset.value) && offset.value >= 0)) {
+      throw new Error(`${func} offset must be a non-negative integer`);
+    }
+
+    if (!this._match(TokenType.KEYWORD, 'OVER')) {
+      throw new Error(`Window function ${func} requires an OVER clause`);
+    }
+    return this._parseOver(func, args);
+  }
+
+  /**
+   * Parses an OVER clause (e.g., "OVER (PARTITION BY team ORDER BY score DESC)")
+   * @private
+   * @param {string} func - Window function name
+   * @param {Array<string|Object>} args - Function arguments
+   * @returns {WindowNode} - Window node
+   */
+  _parseOver(func, args) {
+    this._expect(TokenType.KEYWORD, 'OVER');
+    this._expect(TokenType.PUNCTUATION, '(');
+
+    // Parse PARTITION BY (optional)
+    const partitionBy = [];
+    if (this._matchWord('PARTITION')) {
+      this._advance(); // Skip PARTITION
+      this._expect(TokenType.KEYWORD, 'BY');
+      do {
+        if (partitionBy.length > 0) {
+          this._advance(); // Skip comma
+        }
+        partitionBy.push(this._asColumn(this._parseExpression()));
+      } while (this._match(TokenType.PUNCTUATION, ','));
+    }
+
+    // Parse ORDER BY (optional)
+    const orderBy = this._parseOrderBy();
+
+    this._expect(TokenType.PUNCTUATION, ')');
+    return new WindowNode(func, args, partitionBy, orderBy);
+  }
+
+  /**
+   * Checks if the current token opens a subquery ("(" followed by SELECT or WITH)
+   * @private
+   * @returns {boolean} - True if a subquery starts here
+   */
+  _matchSubquery() {
+    const next = this._peek();
+    return this._match(TokenType.PUNCTUATION, '(') &&
+      next.type === TokenType.KEYWORD && (next.value === 'SELECT' || next.value === 'WITH');
+  }
+
+  /**
+   * Parses a parenthesized subquery (e.g., "(SELECT id FROM users)")
+   * @private
+   * @returns {SubqueryNode} - Subquery node
+   */
+  _parseSubquery() {
+    this._expect(TokenType.PUNCTUATION, '(');
+    const select = this._parseQuery();
+    this._expect(TokenType.PUNCTUATION, ')');
+    return new SubqueryNode(select);
+  }
+
+  /**
+   * Parses a column list (e.g., "id, name, email" or "*")
+   * @private
+   * @returns {Array<string>} - Array of column names or ['*']
+   */
+  _parseColumnList() {
+    const columns = [];
+
+    if (this._match(TokenType.PUNCTUATION, '*')) {
+      this._advance();
+      return ['*'];
+    }
+
+    // Parse first column (may be table.column)
+    const firstCol = this._parseColumnName();
+    columns.push(firstCol);
+
+    // Parse additional columns
+    while (this._match(TokenType.PUNCTUATION, ',')) {
+      this._advance(); // Skip comma
+      const col = this._parseColumnName();
+      columns.push(col);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Parses a column name, which may be a simple identifier or table.column
+   * @private
+   * @returns {string} - Column name (may include table prefix)
+   */
+  _parseColumnName() {
+    const firstPart = this._expect(TokenType.IDENTIFIER);
+    let columnName = firstPart.value;
+
+    // Check if followed by dot (table.column syntax)
+    if (this._match(TokenType.PUNCTUATION, '.')) {
+      this._advance(); // Skip dot
+      const secondPart = this._expect(TokenType.IDENTIFIER);
+      columnName = `${columnName}.${secondPart.value}`;
+    }
+
+    return columnName;
+  }
+
+  /**
+   * Parses a WHERE clause
+   * @private
+   * @returns {Object|null} - Condition tree or null
+   */
+  _parseWhere() {
+    if (!this._match(TokenType.KEYWORD, 'WHERE')) {
+      return null;
+    }
+
+    this._advance(); // Skip WHERE
+
+    return this._parseExpression();
+  }
+
+  /**
+   * Parses an expression (a condition or a value)
+   *
+   * Precedence from lowest to highest: OR, AND, NOT, comparisons and
+   * predicates (LIKE, IN, BETWEEN, IS NULL), + - ||,
+   * * / %, unary minus, then operands and parenthesized expressions.
+   * @private
+   * @returns {Object} - Expression tree
+   */
+  _parseExpression() {
+    let left = this._parseAndExpression();
+
+    while (this._match(TokenType.KEYWORD, 'OR')) {
+      this._advance(); // Skip OR
+      const right = this._parseAndExpression();
+      left = new LogicalNode('OR', left, right);
+    }
+
+    return left;
+  }
+
+  /**
+   * Parses a chain of expressions joined by AND
+   * @private
+   * @returns {Object} - Expression tree
+   */
+  _parseAndExpression() {
+    let left = this._parseNotExpression();
+
+    while (this._match(TokenType.KEYWORD, 'AND')) {
+      this._advance(); // Skip AND
+      const right = this._parseNotExpression();
+      left = new LogicalNode('AND', left, right);
+    }
+
+    return left;
+  }
+
+  /**
+   * Parses an optionally negated expression
+   * @private
+   * @returns {Object} - Expression tree
+   */
+  _parseNotExpression() {
+    if (this._match(TokenType.KEYWORD, 'NOT')) {
+      this._advance(); // Skip NOT
+      return new NotNode(this._parseNotExpression());
+    }
+
+    return this._parseComparison();
+  }
+
+  /**
+   * Parses a comparison or predicate: left operator right, left [NOT] LIKE|ILIKE pattern,
+   * left [NOT] IN (SELECT ...) or (a, b, ...), left [NOT] BETWEEN low AND high,
+   * or left IS [NOT] NULL
+   * Either side may be any arithmetic expression, including columns, aggregates
+   * (rejected outside HAVING at execution time) and scalar subqueries. Without
+   * an operator the operand itself is returned.
+   * @private
+   * @returns {Object} - ComparisonNode or BetweenNode (wrapped in a NotNode when
+   *   negated), or the operand
+   */
+  _parseComparison() {
+    const left = this._parseAdditive();
+    const column = this._asColumn(left);
+
+    if (this._match(TokenType.KEYWORD, 'IS')) {
+      this._advance(); // Skip IS
+      let operator = 'IS';
+      if (this._match(TokenType.KEYWORD, 'NOT')) {
+        this._advance(); // Skip NOT
+        operator = 'IS NOT';
+      }
+      this._expect(TokenType.KEYWORD, 'NULL');
+      return new ComparisonNode(column, operator, null);
+    }
+
+    // NOT in front of IN, LIKE, ILIKE or BETWEEN negates the whole predicate
+    const next = this._peek();
+    const negated = this._match(TokenType.KEYWORD, 'NOT') && next.type === TokenType.KEYWORD &&
+      ['IN', 'LIKE', 'ILIKE', 'BETWEEN'].includes(next.value);
+    if (negated) {
+      this._advance(); // Skip NOT
+    }
+
+    let predicate;
+    if (this._match(TokenType.KEYWORD, 'IN')) {
+      this._advance(); // Skip IN
+      predicate = new ComparisonNode(column, 'IN', this._parseInList());
+    } else if (this._match(TokenType.KEYWORD, 'LIKE') || this._match(TokenType.KEYWORD, 'ILIKE')) {
+      const operator = this.currentToken.value;
+      this._advance(); // Skip LIKE / ILIKE
+      predicate = new ComparisonNode(column, operator, this._asValue(this._parseAdditive()));
+    } else if (this._match(TokenType.KEYWORD, 'BETWEEN')) {
+      this._advance(); // Skip BETWEEN
+      const low = this._asValue(this._parseAdditive());
+      this._expect(TokenType.KEYWORD, 'AND');
+      const high = this._asValue(this._parseAdditive());
+      predicate = new BetweenNode(column, low, high);
+    } else if (this._match(TokenType.OPERATOR) && COMPARISON_OPERATORS.includes(this.currentToken.value)) {
+      const operator = this.currentToken.value === '<>' ? '!=' : this.currentToken.value;
+      this._advance(); // Skip operator
+      predicate = new ComparisonNode(column, operator, this._asValue(this._parseAdditive()));
+    } else {
+      return left;
+    }
+
+    return negated ? new NotNode(predicate) : predicate;
+  }
+
+  /**
+   * Parses the right side of IN: a subquery or a parenthesized list of values
+   * @private
+   * @returns {SubqueryNode|ListNode} - Subquery or value list
+   * @throws {Error} - If neither follows
+   */
+  _parseInList() {
+    if (this._matchSubquery()) {
+      return this._parseSubquery();
+    }
+    if (!this._match(TokenType.PUNCTUATION, '(')) {
+      throw new Error('Expected a subquery or a list of values after IN');
+    }
+
+    this._advance(); // Skip (
+    const items = [this._asValue(this._parseExpression())];
+    while (this._match(TokenType.PUNCTUATION, ',')) {
+      this._advance(); // Skip comma
+      items.push(this._asValue(this._parseExpression()));
+    }
+    this._expect(TokenType.PUNCTUATION, ')');
+
+    return new ListNode(items);
+  }
+
+  /**
+   * Parses a chain of additions, subtractions and concatenations
+   * @private
+   * @returns {Object} - Expression tree
+   */
+  _parseAdditive() {
+    let left = this._parseMultiplicative();
+
+    while (['+', '-', '||'].some(operator => this._match(TokenType.OPERATOR, operator))) {
+      const operator = this.currentToken.value;
+      this._advance(); // Skip operator
+      left = new BinaryNode(operator, left, this._parseMultiplicative());
+    }
+
+    return left;
+  }
+
+  /**
+   * Parses a chain of multiplications, divisions and remainders
+   * @private
+   * @returns {Object} - Expression tree
+   */
+  _parseMultiplicative() {
+    let left = this._parseUnary();
+
+    while (
+      this._match(TokenType.PUNCTUATION, '*') ||
+      this._match(TokenType.OPERATOR, '/') ||
+      this._match(TokenType.OPERATOR, '%')
+    ) {
+      const operator = this.currentToken.value;
+      this._advance(); // Skip operator
+      left = new BinaryNode(operator, left, this._parseUnary());
+    }
+
+    return left;
+  }
+
+  /**
+   * Parses an optionally negated operand
+   * A minus sign in front of a number is folded into the literal.
+   * @private
+   * @returns {Object} - Expression tree
+   */
+  _parseUnary() {
+    if (!this._match(TokenType.OPERATOR, '-')) {
+      return this._parsePrimary();
+    }
+
+    this._advance(); // Skip -
+    const operand = this._parseUnary();
+    if (operand.type === 'LITERAL' && typeof operand.value === 'number') {
+      const text = operand.text.startsWith('-') ? operand.text.slice(1) : `-${operand.text}`;
+      return new LiteralNode(-operand.value, text);
+    }
+    return new UnaryNode('-', operand);
+  }
+
+  /**
+   * Parses an operand: a literal, a column, a function or aggregate call, CAST,
+   * CASE, EXISTS, a scalar subquery or a parenthesized expression
+   * @private
+   * @returns {Object} - Expression node
+   * @throws {Error} - If no operand starts at the current token
+   */
+  _parsePrimary() {
+    if (this._matchSubquery()) {
+      return this._parseSubquery();
+    }
+
+    if (this._match(TokenType.PUNCTUATION, '(')) {
+      this._advance(); // Skip (
+      const expression = this._parseExpression();
+      this._expect(TokenType.PUNCTUATION, ')');
+      return expression;
+    }
+
+    if (this._match(TokenType.KEYWORD, 'EXISTS')) {
+      this._advance(); // Skip EXISTS
+      return new ExistsNode(this._parseSubquery());
+    }
+
+    if (this._match(TokenType.KEYWORD, 'CASE')) {
+      return this._parseCase();
+    }
+
+    if (this._match(TokenType.IDENTIFIER)) {
+      const next = this._peek();
+      if (next.type === TokenType.PUNCTUATION && next.value === '(') {
+        const name = this.currentToken.value.toUpperCase();
+        if (AGGREGATE_FUNCTIONS.includes(name)) {
+          return this._parseAggregate();
+        }
+        if (WINDOW_FUNCTIONS[name]) {
+          return this._parseWindowFunction();
+        }
+        if (name === 'CAST') {
+          return this._parseCast();
+        }
+        if (isFunction(name)) {
+          return this._parseFunctionCall();
+        }
+        throw new Error(`Unknown function: ${this.currentToken.value}`);
+      }
+      return new ColumnRefNode(this._parseColumnName());
+    }
+
+    if (this._match(TokenType.NUMBER)) {
+      const token = this._expect(TokenType.NUMBER);
+      return new LiteralNode(token.value, token.text);
+    }
+    if (this._match(TokenType.STRING) || this._match(TokenType.BLOB)) {
+      return new LiteralNode(this._expect(this.currentToken.type).value);
+    }
+    if (this._match(TokenType.KEYWORD, 'NULL')) {
+      this._advance();
+      return new LiteralNode(null);
+    }
+
+    throw new Error(`Unexpected token in expression: ${this.currentToken.type}`);
+  }
+
+  /**
+   * Parses a scalar function call (e.g., "UPPER(name)" or "ROUND(price / 3, 2)")
+   * Arity and the argument types known without a schema are checked here.
+   * @private
+   * @returns {FunctionNode} - Function node
+   * @throws {Error} - If the call does not match the function's signature
+   */
+  _parseFunctionCall() {
+    const name = this._expect(TokenType.IDENTIFIER).value.toUpperCase();
+    this._expect(TokenType.PUNCTUATION, '(');
+
+    const args = [];
+    while (!this._match(TokenType.PUNCTUATION, ')')) {
+      if (args.length > 0) {
+        this._expect(TokenType.PUNCTUATION, ',');
+      }
+      args.push(this._parseExpression());
+    }
+    this._expect(TokenType.PUNCTUATION, ')');
+
+    validateCall(name, args);
+    return new FunctionNode(name, args);
+  }
+
+  /**
+   * Parses a type conversion (e.g., "CAST(price AS TEXT)")
+   * @private
+   * @returns {CastNode} - Cast node
+   * @throws {Error} - If the target is not a column type
+   */
+  _parseCast() {
+    this._advance(); // Skip CAST
+    this._expect(TokenType.PUNCTUATION, '(');
+    const expression = this._parseExpression();
+    this._expect(TokenType.KEYWORD, 'AS');
+
+    const targetType = validateCastType(this._parseTypeName());
+
+    this._expect(TokenType.PUNCTUATION, ')');
+    return new CastNode(expression, targetType);
+  }
+
+  /**
+   * Parses a CASE expression, in searched (CASE WHEN cond THEN ...) or simple
+   * (CASE x WHEN value THEN ...) form
+   * @private
+   * @returns {CaseNode} - Case node
+   * @throws {Error} - If there is no WHEN clause or the results have different types
+   */
+  _parseCase() {
+    this._expect(TokenType.KEYWORD, 'CASE');
+    const operand = this._match(TokenType.KEYWORD, 'WHEN') ? null : this._parseExpression();
+
+    const branches = [];
+    while (this._match(TokenType.KEYWORD, 'WHEN')) {
+      this._advance(); // Skip WHEN
+      const when = this._parseExpression();
+      this._expect(TokenType.KEYWORD, 'THEN');
+      branches.push({ when, then: this._parseExpression() });
+    }
+    if (branches.length === 0) {
+      throw new Error('CASE requires at least one WHEN clause');
+    }
+
+    let elseResult = null;
+    if (this._match(TokenType.KEYWORD, 'ELSE')) {
+      this._advance(); // Skip ELSE
+      elseResult = this._parseExpression();
+    }
+    this._expectWord('END');
+
+    const node = new CaseNode(operand, branches, elseResult);
+    inferType(node); // Rejects results of different types
+    return node;
+  }
+
+  /**
+   * Converts an expression to its column-side form (a plain column becomes its name)
+   * Select lists, ORDER BY and the left side of comparisons store columns this way.
+   * @private
+   * @param {Object} expression - Expression node
+   * @returns {string|Object} - Column name or expression node
+   */
+  _asColumn(expression) {
+    return expression.type === 'COLUMN' ? expression.name : expression;
+  }
+
+  /**
+   * Converts an expression to its value-side form (a literal becomes its value)
+   * VALUES, SET and the right side of comparisons store constants this way.
+   * @private
+   * @param {Object} expression - Expression node
+   * @returns {*} - Literal value or expression node
+   */
+  _asValue(expression) {
+    return expression.type === 'LITERAL' ? expression.value : expression;
+  }
+
+  /**
+   * Parses a GROUP BY clause
+   * @private
+   * @returns {Array<string>} - Grouping column names (empty if absent)
+   */
+  _parseGroupBy() {
+    if (!this._match(TokenType.KEYWORD, 'GROUP')) {
+      return [];
+    }
+
+    this._advance(); // Skip GROUP
+    this._expect(TokenType.KEYWORD, 'BY');
+
+    const groupBy = [this._parseColumnName()];
+    while (this._match(TokenType.PUNCTUATION, ',')) {
+      this._advance(); // Skip comma
+      groupBy.push(this._parseColumnName());
+    }
+
+    return groupBy;
+  }
+
+  /**
+   * Parses a HAVING clause
+   * @private
+   * @returns {Object|null} - Condition tree or null
+   */
+  _parseHaving() {
+    if (!this._match(TokenType.KEYWORD, 'HAVING')) {
+      return null;
+    }
+
+    this._advance(); // Skip HAVING
+
+    return this._parseExpression();
+  }
+
+  /**
+   * Parses an ORDER BY clause
+   * @private
+   * @returns {Array<Object>} - Array of { column, direction } terms (empty if absent)
+   */
+  _parseOrderBy() {
+    if (!this._match(TokenType.KEYWORD, 'ORDER')) {
+      return [];
+    }
+
+    this._advance(); // Skip ORDER
+    this._expect(TokenType.KEYWORD, 'BY');
+
+    const orderBy = [];
+    do {
+      if (orderBy.length > 0) {
+        this._advance(); // Skip comma
+      }
+
+      const column = this._asColumn(this._parseExpression());
+      let direction = 'ASC';
+      if (this._match(TokenType.KEYWORD, 'ASC') || this._match(TokenType.KEYWORD, 'DESC')) {
+        direction = this.currentToken.value;
+        this._advance();
+      }
+
+      orderBy.push({ column, direction });
+    } while (this._match(TokenType.PUNCTUATION, ','));
+
+    return orderBy;
+  }
+
+  /**
+   * Parses an optional LIMIT or OFFSET clause
+   * @private
+   * @param {string} keyword - 'LIMIT' or 'OFFSET'
+   * @returns {number|null} - Row count or null if absent
+   */
+  _parseRowCount(keyword) {
+    if (!this._match(TokenType.KEYWORD, keyword)) {
+      return null;
+    }
+
+    this._advance(); // Skip keyword
+
+    if (!this._match(TokenType.NUMBER)) {
+      throw new Error(`${keyword} expects a non-negative integer, got ${this.currentToken.type}`);
+    }
+    const count = this._expect(TokenType.NUMBER).value;
+    if (!Number.isInteger(count)) {
+      throw new Error(`${keyword} expects a non-negative integer, got ${count}`);
+    }
+    return count;
+  }
+
+  /**
+   * Parses a JOIN clause
+   * @private
+   * @returns {Object|null} - Join object or null
+   */
+  _parseJoin() {
+    // Parse join type: [INNER] JOIN, or LEFT | RIGHT | FULL [OUTER] JOIN
+    let type = 'INNER';
+    if (this._match(TokenType.KEYWORD, 'INNER')) {
+      this._advance();
+    } else if (
+      this._match(TokenType.KEYWORD, 'LEFT') ||
+      this._match(TokenType.KEYWORD, 'RIGHT') ||
+      this._match(TokenType.KEYWORD, 'FULL')
+    ) {
+      type = this.currentToken.value;
+      this._advance();
+      if (this._match(TokenType.KEYWORD, 'OUTER')) {
+        this._advance();
+      }
+    } else if (!this._match(TokenType.KEYWORD, 'JOIN')) {
+      return null;
+    }
+
+    this._expect(TokenType.KEYWORD, 'JOIN');
+
+    // Parse join table name and alias
+    const { table, alias } = this._parseTableReference();
+
+    // Parse ON clause
+    this._expect(TokenType.KEYWORD, 'ON');
+
+    // Parse left column (may be table.column)
+    const left = this._parseColumnName();
+
+    // Parse =
+    this._expect(TokenType.OPERATOR, '=');
+
+    // Parse right column (may be table.column)
+    const right = this._parseColumnName();
+
+    return {
+      type, // INNER, LEFT, RIGHT or FULL
+      table,
+      alias, // Alias or null
+      on: { left, right }
+    };
+  }
+
+  /**
+   * Parses an optional IF EXISTS or IF NOT EXISTS
+   * @private
+   * @param {boolean} negated - True to expect IF NOT EXISTS
+   * @returns {boolean} - True if the clause was present
+   */
+  _parseIfExists(negated) {
+    // Without NOT / EXISTS after it, IF is the name that follows
+    if (!this._matchWord('IF') || !this._matchWord(negated ? 'NOT' : 'EXISTS', 1)) {
+      return false;
+    }
+
+    this._advance(); // Skip IF
+    if (negated) {
+      this._expect(TokenType.KEYWORD, 'NOT');
+    }
+    this._expect(TokenType.KEYWORD, 'EXISTS');
+    return true;
+  }
+
+  /**
+   * Parses a type name with optional parameters (e.g., "INT", "VARCHAR(255)" or "DECIMAL(10, 2)")
+   * Only some type names are keywords; the Column class reports unknown types.
+   * @private
+   * @returns {string} - Type name in upper case, with its parameters
+   */
+  _parseTypeName() {
+    const name = (this._match(TokenType.IDENTIFIER)
+      ? this._expect(TokenType.IDENTIFIER)
+      : this._expect(TokenType.KEYWORD)).value.toUpperCase();
+    if (!this._match(TokenType.PUNCTUATION, '(')) {
+      return name;
+    }
+
+    this._advance(); // Skip (
+    const params = [];
+    do {
+      if (params.length > 0) {
+        this._advance(); // Skip ,
+      }
+      const param = this._expect(TokenType.NUMBER).value;
+      if (!Number.isInteger(param)) {
+        throw new Error(`Type parameters must be integers, got ${param}`);
+      }
+      params.push(param);
+    } while (this._match(TokenType.PUNCTUATION, ','));
+    this._expect(TokenType.PUNCTUATION, ')');
+
+    return `${name}(${params.join(', ')})`;
+  }
+
+  /**
+   * Parses a column definition (e.g., "id INT PRIMARY KEY", "id SERIAL PRIMARY KEY",
+   * "user_id INT REFERENCES users (id)" or "age INT NOT NULL DEFAULT 0 CHECK (age >= 0)")
+   * SERIAL is shorthand for INT NOT NULL AUTOINCREMENT.
+   * @private
+   * @returns {Object} - { name, type, constraints, references, defaultValue, check }
+   */
+  _parseColumnDefinition() {
+    // Parse column name
+    const colNameToken = this._expect(TokenType.IDENTIFIER);
+    const columnName = colNameToken.value;
+
+    // Parse column type
+    const typeName = this._parseTypeName();
+    const isSerial = typeName === 'SERIAL';
+    const columnType = isSerial ? 'INT' : typeName;
+
+    // Parse constraints (PRIMARY KEY, UNIQUE, [NOT] NULL, AUTOINCREMENT, DEFAULT, CHECK, REFERENCES)
+    const constraints = isSerial ? ['NOT NULL', 'AUTOINCREMENT'] : [];
+    let references;
+    let defaultValue;
+    let check;
+    while (COLUMN_CONSTRAINTS.includes(this._peekWord())) {
+      const keyword = this._peekWord();
+      if (keyword === 'PRIMARY' || keyword === 'KEY' || keyword === 'UNIQUE' || keyword === 'AUTOINCREMENT') {
+        constraints.push(keyword);
+        this._advance();
+      } else if (keyword === 'NOT') {
+        this._advance(); // Skip NOT
+        this._expect(TokenType.KEYWORD, 'NULL');
+        constraints.push('NOT NULL');
+      } else if (keyword === 'NULL') {
+        this._advance(); // Nullable is the default
+      } else if (keyword === 'DEFAULT') {
+        this._advance(); // Skip DEFAULT
+        defaultValue = this._asValue(this._parseAdditive());
+      } else if (keyword === 'CHECK') {
+        this._advance(); // Skip CHECK
+        this._expect(TokenType.PUNCTUATION, '(');
+        check = this._parseExpression();
+        this._expect(TokenType.PUNCTUATION, ')');
+      } else {
+        references = this._parseReferences();
+      }
+    }
+
+    return {
+      name: columnName,
+      type: columnType,
+      constraints: constraints.length > 0 ? constraints : undefined,
+      references,
+      defaultValue,
+      check
+    };
+  }
+
+  /**
+   * Parses the REFERENCES clause of a foreign key
+   * (e.g., "REFERENCES users (id) ON DELETE CASCADE ON UPDATE SET NULL")
+   * Without a column list the foreign key references the table's primary key.
+   * @private
+   * @returns {Object} - { table, columns (null for the primary key), onDelete, onUpdate }
+   */
+  _parseReferences() {
+    this._expect(TokenType.KEYWORD, 'REFERENCES');
+    const table = this._expect(TokenType.IDENTIFIER).value;
+    const columns = this._match(TokenType.PUNCTUATION, '(') ? this._parseIdentifierList() : null;
+
+    const actions = { DELETE: 'RESTRICT', UPDATE: 'RESTRICT' };
+    while (this._match(TokenType.KEYWORD, 'ON')) {
+      this._advance(); // Skip ON
+      const event = this.currentToken.value;
+      if (event !== 'DELETE' && event !== 'UPDATE') {
+        throw new Error(`Expected DELETE or UPDATE after ON, got ${event}`);
+      }
+      this._advance(); // Skip DELETE/UPDATE
+      actions[event] = this._parseReferentialAction();
+    }
+
+    return { table, columns, onDelete: actions.DELETE, onUpdate: actions.UPDATE };
+  }
+
+  /**
+   * Parses a referential action (RESTRICT, CASCADE, SET NULL or SET DEFAULT)
+   * @private
+   * @returns {string} - Action
+   * @throws {Error} - If the action is not supported
+   */
+  _parseReferentialAction() {
+    let action = this._peekWord();
+    this._advance();
+    if (action === 'SET') {
+      action = `SET ${this._peekWord()}`;
+      this._advance();
+    }
+    if (!REFERENTIAL_ACTIONS.includes(action)) {
+      throw new Error(
+        `Unsupported referential action: ${action}. Supported actions: ${REFERENTIAL_ACTIONS.join(', ')}`
+      );
+    }
+    return action;
+  }
+
+  /**
+   * Parses a CREATE TABLE statement
+   * @private
+   * @returns {CreateTableNode} - AST node
+   */
+  _parseCreateTable() {
+    this._expect(TokenType.KEYWORD, 'CREATE');
+    this._expect(TokenType.KEYWORD, 'TABLE');
+    const ifNotExists = this._parseIfExists(true);
+
+    // Parse table name
+    const tableNameToken = this._expect(TokenType.IDENTIFIER);
+    const tableName = tableNameToken.value;
+
+    // Parse opening parenthesis
+    this._expect(TokenType.PUNCTUATION, '(');
+
+    // Parse column definitions and table constraints
+    const columns = [];
+    const constraints = [];
+    let first = true;
+
+    while (!this._match(TokenType.PUNCTUATION, ')')) {
+      if (!first) {
+        this._expect(TokenType.PUNCTUATION, ',');
+      }
+      first = false;
+
+      if (this._match(TokenType.KEYWORD, 'PRIMARY')) {
+        // PRIMARY KEY (a, b)
+        this._advance(); // Skip PRIMARY
+        this._expectWord('KEY');
+        constraints.push({ type: 'PRIMARY_KEY', columns: this._parseIdentifierList() });
+      } else if (this._match(TokenType.KEYWORD, 'UNIQUE')) {
+        // UNIQUE (a, b)
+        this._advance(); // Skip UNIQUE
+        constraints.push({ type: 'UNIQUE', columns: this._parseIdentifierList() });
+      } else if (this._match(TokenType.KEYWORD, 'FOREIGN')) {
+        // FOREIGN KEY (a, b) REFERENCES t (x, y) [ON DELETE ...] [ON UPDATE ...]
+        this._advance(); // Skip FOREIGN
+        this._expectWord('KEY');
+        const columns = this._parseIdentifierList();
+        constraints.push({ type: 'FOREIGN_KEY', columns, references: this._parseReferences() });
+      } else {
+        columns.push(this._parseColumnDefinition());
+      }
+    }
+
+    this._expect(TokenType.PUNCTUATION, ')');
+
+    // STRICT rejects values that would lose information when converted
+    let strict = false;
+    if (this._matchWord('STRICT')) {
+      this._advance(); // Skip STRICT
+      strict = true;
+    }
+
+    return new CreateTableNode(tableName, columns, ifNotExists, constraints, strict);
+  }
+
+  /**
+   * Parses a parenthesized list of column names (e.g., "(user_id, group_id)")
    * @private
+   * @returns {Array<string>} - Column names
    */
-  _advance() {
-    this.position++;
-    this.currentToken = this.position < this.tokens.length 
-      ? this.tokens[this.position] 
-      : { type: TokenType.EOF, value: null };
+  _parseIdentifierList() {
+    this._expect(TokenType.PUNCTUATION, '(');
+    const names = [this._expect(TokenType.IDENTIFIER).value];
+    while (this._match(TokenType.PUNCTUATION, ',')) {
+      this._advance(); // Skip comma
+      names.push(this._expect(TokenType.IDENTIFIER).value);
+    }
+    this._expect(TokenType.PUNCTUATION, ')');
+    return names;
   }
 
   /**
-   * Expects a specific token type and advances
+   * Parses a DROP TABLE statement
    * @private
-   * @param {string} expectedType - Expected token type
-   * @param {string} expectedValue - Expected token value (optional)
-   * @returns {Object} - The token
-   * @throws {Error} - If token doesn't match
+   * @returns {DropTableNode} - AST node
    */
-  _expect(expectedType, expectedValue = null) {
-    if (this.currentToken.type !== expectedType) {
-      throw new Error(
-        `Expected ${expectedType}, got ${this.currentToken.type} at position ${this.position}`
-      );
-    }
-    if (expectedValue && this.currentToken.value !== expectedValue) {
-      throw new Error(
-        `Expected ${expectedValue}, got ${this.currentToken.value} at position ${this.position}`
-      );
-    }
-    const token = this.currentToken;
-    this._advance();
-    return token;
+  _parseDropTable() {
+    this._expect(TokenType.KEYWORD, 'DROP');
+    this._expect(TokenType.KEYWORD, 'TABLE');
+    const ifExists = this._parseIfExists(false);
+    const tableName = this._expect(TokenType.IDENTIFIER).value;
+
+    return new DropTableNode(tableName, ifExists);
   }
 
   /**
-   * Checks if current token matches
+   * Parses a CREATE [UNIQUE] INDEX statement
+   * (e.g., "CREATE INDEX idx_age ON users (age)" or "... ON users USING BTREE (age)")
+   * An index on several columns is ordered (BTREE) unless another method is given.
    * @private
-   * @param {string} type - Token type
-   * @param {string} value - Token value (optional)
-   * @returns {boolean} - True if matches
+   * @returns {CreateIndexNode} - AST node
+   * @throws {Error} - If the index method is not supported for the columns
    */
-  _match(type, value = null) {
-    if (this.currentToken.type !== type) {
-      return false;
+  _parseCreateIndex() {
+    this._expect(TokenType.KEYWORD, 'CREATE');
+    const unique = this._match(TokenType.KEYWORD, 'UNIQUE');
+    if (unique) {
+      this._advance(); // Skip UNIQUE
     }
-    if (value && this.currentToken.value !== value) {
-      return false;
+    this._expectWord('INDEX');
+    const ifNotExists = this._parseIfExists(true);
+    const indexName = this._expect(TokenType.IDENTIFIER).value;
+
+    this._expect(TokenType.KEYWORD, 'ON');
+    const tableName = this._expect(TokenType.IDENTIFIER).value;
+
+    let method = null;
+    if (this._matchWord('USING')) {
+      this._advance(); // Skip USING
+      method = this._expect(TokenType.IDENTIFIER).value.toUpperCase();
+      if (!INDEX_METHODS.includes(method)) {
+        throw new Error(`Unsupported index method: ${method}. Supported methods: ${INDEX_METHODS.join(', ')}`);
+      }
     }
-    return true;
+
+    const columnNames = this._parseIdentifierList();
+    if (columnNames.length > 1 && method === 'HASH') {
+      throw new Error('HASH indexes cannot have more than one column');
+    }
+    if (!method) {
+      method = columnNames.length > 1 ? 'BTREE' : 'HASH';
+    }
+
+    return new CreateIndexNode(indexName, tableName, columnNames, unique, ifNotExists, method);
   }
 
   /**
-   * Parses a column list (e.g., "id, name, email" or "*")
+   * Parses a DROP INDEX statement
    * @private
-   * @returns {Array<string>} - Array of column names or ['*']
+   * @returns {DropIndexNode} - AST node
    */
-  _parseColumnList() {
-    const columns = [];
-
-    if (this._match(TokenType.PUNCTUATION, '*')) {
-      this._advance();
-      return ['*'];
-    }
+  _parseDropIndex() {
+    this._expect(TokenType.KEYWORD, 'DROP');
+    this._expectWord('INDEX');
+    const ifExists = this._parseIfExists(false);
+    const indexName = this._expect(TokenType.IDENTIFIER).value;
 
-    // Parse first column (may be table.column)
-    const firstCol = this._parseColumnName();
-    columns.push(firstCol);
+    return new DropIndexNode(indexName, ifExists);
+  }
 
-    // Parse additional columns
-    while (this._match(TokenType.PUNCTUATION, ',')) {
-      this._advance(); // Skip comma
-      const col = this._parseColumnName();
-      columns.push(col);
+  /**
+   * Parses a CREATE SEQUENCE statement
+   * (e.g., "CREATE SEQUENCE order_numbers START WITH 1000 INCREMENT BY 10")
+   * @private
+   * @returns {CreateSequenceNode} - AST node
+   * @throws {Error} - If START or INCREMENT is not an integer
+   */
+  _parseCreateSequence() {
+    this._expect(TokenType.KEYWORD, 'CREATE');
+    this._expectWord('SEQUENCE');
+    const ifNotExists = this._parseIfExists(true);
+    const sequenceName = this._expect(TokenType.IDENTIFIER).value;
+
+    // START [WITH] n and INCREMENT [BY] n, in either order
+    const options = { START: 1, INCREMENT: 1 };
+    while (this._matchWord('START') || this._matchWord('INCREMENT')) {
+      const option = this._peekWord();
+      this._advance(); // Skip START/INCREMENT
+      const filler = option === 'START' ? 'WITH' : 'BY';
+      if (this._match(TokenType.KEYWORD, filler)) {
+        this._advance();
+      }
+      options[option] = this._parseSequenceNumber(option);
     }
 
-    return columns;
+    return new CreateSequenceNode(sequenceName, options.START, options.INCREMENT, ifNotExists);
   }
 
   /**
-   * Parses a column name, which may be a simple identifier or table.column
+   * Parses an optionally negative integer of a CREATE SEQUENCE option
    * @private
-   * @returns {string} - Column name (may include table prefix)
+   * @param {string} option - 'START' or 'INCREMENT' (for error messages)
+   * @returns {number} - Value
+   * @throws {Error} - If the value is not an integer
    */
-  _parseColumnName() {
-    const firstPart = this._expect(TokenType.IDENTIFIER);
-    let columnName = firstPart.value;
-
-    // Check if followed by dot (table.column syntax)
-    if (this._match(TokenType.PUNCTUATION, '.')) {
-      this._advance(); // Skip dot
-      const secondPart = this._expect(TokenType.IDENTIFIER);
-      columnName = `${columnName}.${secondPart.value}`;
+  _parseSequenceNumber(option) {
+    const negative = this._match(TokenType.OPERATOR, '-');
+    if (negative) {
+      this._advance(); // Skip -
     }
-
-    return columnName;
+    if (!this._match(TokenType.NUMBER)) {
+      throw new Error(`${option} expects an integer, got ${this.currentToken.type}`);
+    }
+    const value = this._expect(TokenType.NUMBER).value;
+    if (!Number.isInteger(value)) {
+      throw new Error(`${option} expects an integer, got ${value}`);
+    }
+    return negative ? -value : value;
   }
 
   /**
-   * Parses a WHERE clause
+   * Parses a DROP SEQUENCE statement
    * @private
-   * @returns {Object|null} - Condition object or null
+   * @returns {DropSequenceNode} - AST node
    */
-  _parseWhere() {
-    if (!this._match(TokenType.KEYWORD, 'WHERE')) {
-      return null;
-    }
+  _parseDropSequence() {
+    this._expect(TokenType.KEYWORD, 'DROP');
+    this._expectWord('SEQUENCE');
+    const ifExists = this._parseIfExists(false);
+    const sequenceName = this._expect(TokenType.IDENTIFIER).value;
 
-    this._advance(); // Skip WHERE
+    return new DropSequenceNode(sequenceName, ifExists);
+  }
 
-    // Parse column (may be table.column)
-    const column = this._parseColumnName();
+  /**
+   * Parses an ALTER TABLE statement
+   * (ADD [COLUMN], DROP [COLUMN], RENAME [COLUMN] ... TO ... or RENAME TO ...)
+   * @private
+   * @returns {AlterTableNode} - AST node
+   * @throws {Error} - If the action is not supported
+   */
+  _parseAlterTable() {
+    this._expect(TokenType.KEYWORD, 'ALTER');
+    this._expect(TokenType.KEYWORD, 'TABLE');
+    const tableName = this._expect(TokenType.IDENTIFIER).value;
 
-    // Parse operator
-    const operatorToken = this._expect(TokenType.OPERATOR);
-    const operator = operatorToken.value;
+    // COLUMN is optional after ADD, DROP and RENAME, and is only the keyword
+    // when a column name still follows it ("ADD COLUMN column INT")
+    const skipColumnKeyword = isKeyword => {
+      if (this._matchWord('COLUMN') && isKeyword) {
+        this._advance();
+      }
+    };
 
-    // Parse value
-    let value;
-    if (this._match(TokenType.NUMBER)) {
-      const numToken = this._expect(TokenType.NUMBER);
-      value = numToken.value;
-    } else if (this._match(TokenType.STRING)) {
-      const strToken = this._expect(TokenType.STRING);
-      value = strToken.value;
-    } else if (this._match(TokenType.KEYWORD, 'NULL')) {
-      this._advance();
-      value = null;
+    let action;
+    if (this._matchWord('ADD')) {
+      this._advance(); // Skip ADD
+      const type = this._peekWord(2);
+      skipColumnKeyword(type !== null && !COLUMN_CONSTRAINTS.includes(type));
+      action = { type: 'ADD_COLUMN', column: this._parseColumnDefinition() };
+    } else if (this._match(TokenType.KEYWORD, 'DROP')) {
+      this._advance(); // Skip DROP
+      skipColumnKeyword(this._peekWord(1) !== null);
+      action = { type: 'DROP_COLUMN', column: this._expect(TokenType.IDENTIFIER).value };
+    } else if (this._matchWord('RENAME')) {
+      this._advance(); // Skip RENAME
+      if (this._matchWord('TO') && this._peekWord(2) === null) {
+        this._advance(); // Skip TO
+        action = { type: 'RENAME_TABLE', newName: this._expect(TokenType.IDENTIFIER).value };
+      } else {
+        skipColumnKeyword(this._matchWord('TO', 2));
+        const column = this._expect(TokenType.IDENTIFIER).value;
+        this._expectWord('TO');
+        action = { type: 'RENAME_COLUMN', column, newName: this._expect(TokenType.IDENTIFIER).value };
+      }
     } else {
-      throw new Error(`Unexpected token in WHERE clause: ${this.currentToken.type}`);
+      throw new Error(`Unsupported ALTER TABLE action: ${this.currentToken.value}`);
     }
 
-    return { column, operator, value };
+    return new AlterTableNode(tableName, action);
   }
 
   /**
-   * Parses a JOIN clause
+   * Parses a query: a SELECT, possibly preceded by a WITH clause
    * @private
-   * @returns {Object|null} - Join object or null
+   * @returns {SelectNode|SetOperationNode|WithNode} - AST node
    */
-  _parseJoin() {
-    if (!this._match(TokenType.KEYWORD, 'JOIN')) {
-      return null;
-    }
+  _parseQuery() {
+    return this._match(TokenType.KEYWORD, 'WITH') ? this._parseWith() : this._parseSelect();
+  }
 
-    this._advance(); // Skip JOIN
+  /**
+   * Parses a WITH clause and the query that follows it
+   * (e.g., "WITH RECURSIVE tree (id) AS (SELECT ...) SELECT * FROM tree")
+   * @private
+   * @returns {WithNode} - AST node
+   */
+  _parseWith() {
+    this._expect(TokenType.KEYWORD, 'WITH');
 
-    // Parse join table name
-    const tableToken = this._expect(TokenType.IDENTIFIER);
-    const table = tableToken.value;
+    // WITH recursive AS (...) names a query "recursive"
+    const recursive = this._matchWord('RECURSIVE') && this._peek().type === TokenType.IDENTIFIER;
+    if (recursive) {
+      this._advance();
+    }
 
-    // Parse ON clause
-    this._expect(TokenType.KEYWORD, 'ON');
+    const ctes = [];
+    do {
+      if (ctes.length > 0) {
+        this._advance(); // Skip comma
+      }
 
-    // Parse left column (may be table.column)
-    const left = this._parseColumnName();
+      const name = this._expect(TokenType.IDENTIFIER).value;
+      if (ctes.some(cte => cte.name === name)) {
+        throw new Error(`WITH query name "${name}" specified more than once`);
+      }
 
-    // Parse =
-    this._expect(TokenType.OPERATOR, '=');
+      // Parse column names (optional)
+      let columns = null;
+      if (this._match(TokenType.PUNCTUATION, '(')) {
+        this._advance(); // Skip (
+        columns = [this._expect(TokenType.IDENTIFIER).value];
+        while (this._match(TokenType.PUNCTUATION, ',')) {
+          this._advance(); // Skip comma
+          columns.push(this._expect(TokenType.IDENTIFIER).value);
+        }
+        this._expect(TokenType.PUNCTUATION, ')');
+      }
 
-    // Parse right column (may be table.column)
-    const right = this._parseColumnName();
+      this._expect(TokenType.KEYWORD, 'AS');
+      this._expect(TokenType.PUNCTUATION, '(');
+      const query = this._parseQuery();
+      this._expect(TokenType.PUNCTUATION, ')');
 
-    return {
-      type: 'INNER', // We only support INNER JOIN for now
-      table,
-      on: { left, right }
-    };
+      ctes.push({ name, columns, query });
+    } while (this._match(TokenType.PUNCTUATION, ','));
+
+    return new WithNode(recursive, ctes, this._parseSelect());
   }
 
   /**
-   * Parses a CREATE TABLE statement
+   * Parses a SELECT statement, possibly combined with others by UNION, INTERSECT or EXCEPT
+   * INTERSECT binds tighter than UNION and EXCEPT; a trailing ORDER BY, LIMIT
+   * and OFFSET apply to the combined result.
    * @private
-   * @returns {CreateTableNode} - AST node
+   * @returns {SelectNode|SetOperationNode} - AST node
    */
-  _parseCreateTable() {
-    this._expect(TokenType.KEYWORD, 'CREATE');
-    this._expect(TokenType.KEYWORD, 'TABLE');
-
-    // Parse table name
-    const tableNameToken = this._expect(TokenType.IDENTIFIER);
-    const tableName = tableNameToken.value;
-
-    // Parse opening parenthesis
-    this._expect(TokenType.PUNCTUATION, '(');
-
-    // Parse column definitions
-    const columns = [];
-    let first = true;
-
-    while (!this._match(TokenType.PUNCTUATION, ')')) {
-      if (!first) {
-        this._expect(TokenType.PUNCTUATION, ',');
-      }
-      first = false;
+  _parseSelect() {
+    let query = this._parseIntersection();
+    while (this._match(TokenType.KEYWORD, 'UNION') || this._match(TokenType.KEYWORD, 'EXCEPT')) {
+      const operator = this.currentToken.value;
+      this._advance(); // Skip UNION / EXCEPT
+      const all = this._parseSetQuantifier();
+      query = new SetOperationNode(operator, all, query, this._parseIntersection());
+    }
 
-      // Parse column name
-      const colNameToken = this._expect(TokenType.IDENTIFIER);
-      const columnName = colNameToken.value;
-
-      // Parse column type
-      const colTypeToken = this._expect(TokenType.KEYWORD);
-      const columnType = colTypeToken.value;
-
-      // Parse constraints (PRIMARY KEY, UNIQUE)
-      const constraints = [];
-      while (this._match(TokenType.KEYWORD)) {
-        const keyword = this.currentToken.value;
-        if (keyword === 'PRIMARY' || keyword === 'KEY' || keyword === 'UNIQUE') {
-          constraints.push(keyword);
-          this._advance();
-        } else {
-          break;
+    // Parse ORDER BY, LIMIT and OFFSET (optional)
+    const orderBy = this._parseOrderBy();
+    const limit = this._parseRowCount('LIMIT');
+    const offset = this._parseRowCount('OFFSET');
+
+    // ORDER BY may name a select list alias instead of repeating the column
+    if (query.type === 'SELECT') {
+      for (const term of orderBy) {
+        const index = typeof term.column === 'string' ? query.aliases.indexOf(term.column) : -1;
+        if (index !== -1) {
+          term.column = query.columns[index];
         }
       }
-
-      columns.push({
-        name: columnName,
-        type: columnType,
-        constraints: constraints.length > 0 ? constraints : undefined
-      });
     }
 
-    this._expect(TokenType.PUNCTUATION, ')');
+    query.orderBy = orderBy;
+    query.limit = limit;
+    query.offset = offset;
+    return query;
+  }
+
+  /**
+   * Parses SELECTs joined by INTERSECT
+   * @private
+   * @returns {SelectNode|SetOperationNode} - AST node
+   */
+  _parseIntersection() {
+    let query = this._parseSelectCore();
+    while (this._match(TokenType.KEYWORD, 'INTERSECT')) {
+      this._advance(); // Skip INTERSECT
+      const all = this._parseSetQuantifier();
+      query = new SetOperationNode('INTERSECT', all, query, this._parseSelectCore());
+    }
+    return query;
+  }
 
-    return new CreateTableNode(tableName, columns);
+  /**
+   * Parses the optional ALL / DISTINCT after a set operator
+   * @private
+   * @returns {boolean} - True for ALL (keep duplicates)
+   */
+  _parseSetQuantifier() {
+    if (this._matchWord('ALL')) {
+      this._advance();
+      return true;
+    }
+    if (this._match(TokenType.KEYWORD, 'DISTINCT')) {
+      this._advance();
+    }
+    return false;
   }
 
   /**
-   * Parses a SELECT statement
+   * Parses a single SELECT up to HAVING (no ORDER BY, LIMIT or OFFSET)
    * @private
    * @returns {SelectNode} - AST node
    */
-  _parseSelect() {
+  _parseSelectCore() {
     this._expect(TokenType.KEYWORD, 'SELECT');
 
+    // Parse DISTINCT / ALL (optional); ALL followed by FROM, AS, a comma or
+    // an operator is a column
+    const distinct = this._match(TokenType.KEYWORD, 'DISTINCT');
+    const next = this._peek();
+    const allColumn = next.type === TokenType.OPERATOR ||
+      (next.type === TokenType.PUNCTUATION && (next.value === ',' || next.value === '.')) ||
+      this._matchWord('FROM', 1) || this._matchWord('AS', 1);
+    if (distinct || (this._matchWord('ALL') && !allColumn)) {
+      this._advance();
+    }
+
     // Parse column list
-    const columns = this._parseColumnList();
+    const { columns, aliases } = this._parseSelectList();
 
     // Parse FROM
     this._expect(TokenType.KEYWORD, 'FROM');
 
-    // Parse table name
-    const tableNameToken = this._expect(TokenType.IDENTIFIER);
-    const tableName = tableNameToken.value;
+    // Parse table name and alias
+    const { table: tableName, alias } = this._parseTableReference();
 
-    // Parse JOIN (optional)
-    let join = null;
-    if (this._match(TokenType.KEYWORD, 'JOIN')) {
-      join = this._parseJoin();
+    // Parse JOIN clauses (optional, any number)
+    const joins = [];
+    let join;
+    while ((join = this._parseJoin()) !== null) {
+      joins.push(join);
     }
 
     // Parse WHERE (optional)
     const where = this._parseWhere();
 
-    return new SelectNode(tableName, columns, where, join);
+    // Parse GROUP BY and HAVING (optional)
+    const groupBy = this._parseGroupBy();
+    const having = this._parseHaving();
+
+    return new SelectNode(
+      tableName, columns, where, joins, groupBy, having, [], null, null, alias, aliases, distinct
+    );
   }
 
   /**
@@ -299,11 +1524,93 @@ class Parser {
       this._expect(TokenType.PUNCTUATION, ')');
     }
 
-    // Parse VALUES
-    this._expect(TokenType.KEYWORD, 'VALUES');
+    // Parse INSERT ... SELECT, or VALUES with one parenthesized tuple per row
+    const values = [];
+    let select = null;
+    if (this._match(TokenType.KEYWORD, 'SELECT') || this._match(TokenType.KEYWORD, 'WITH')) {
+      select = this._parseQuery();
+    } else {
+      this._expect(TokenType.KEYWORD, 'VALUES');
+      do {
+        if (values.length > 0) {
+          this._advance(); // Skip comma
+        }
+        values.push(this._parseValueTuple());
+      } while (this._match(TokenType.PUNCTUATION, ','));
+    }
+
+    // Parse ON CONFLICT and RETURNING (optional)
+    const onConflict = this._parseOnConflict();
+    const returning = this._parseReturning();
+
+    return new InsertNode(tableName, columns, values, select, onConflict, returning);
+  }
+
+  /**
+   * Parses a RETURNING clause (e.g., "RETURNING *" or "RETURNING id, name AS label")
+   * @private
+   * @returns {Object|null} - { columns, aliases } like a select list, or null if absent
+   */
+  _parseReturning() {
+    if (!this._match(TokenType.KEYWORD, 'RETURNING')) {
+      return null;
+    }
+
+    this._advance(); // Skip RETURNING
+    return this._parseSelectList();
+  }
+
+  /**
+   * Parses an ON CONFLICT clause
+   * (e.g., "ON CONFLICT (id) DO NOTHING" or "ON CONFLICT (id) DO UPDATE SET name = excluded.name")
+   * @private
+   * @returns {Object|null} - { columns, action: 'NOTHING'|'UPDATE', updates } or null if absent
+   */
+  _parseOnConflict() {
+    if (!this._match(TokenType.KEYWORD, 'ON')) {
+      return null;
+    }
+
+    this._advance(); // Skip ON
+    this._expectWord('CONFLICT');
+
+    // Conflict target (optional for DO NOTHING)
+    const columns = this._match(TokenType.PUNCTUATION, '(') ? this._parseIdentifierList() : [];
+
+    this._expectWord('DO');
+    if (this._matchWord('NOTHING')) {
+      this._advance(); // Skip NOTHING
+      return { columns, action: 'NOTHING', updates: {} };
+    }
+
+    this._expect(TokenType.KEYWORD, 'UPDATE');
+    this._expect(TokenType.KEYWORD, 'SET');
+
+    // Values are expressions over the existing and the proposed (excluded) row
+    const updates = {};
+    let first = true;
+    do {
+      if (!first) {
+        this._advance(); // Skip comma
+      }
+      first = false;
+
+      const column = this._expect(TokenType.IDENTIFIER).value;
+      this._expect(TokenType.OPERATOR, '=');
+      updates[column] = this._asValue(this._parseExpression());
+    } while (this._match(TokenType.PUNCTUATION, ','));
+
+    return { columns, action: 'UPDATE', updates };
+  }
+
+  /**
+   * Parses a parenthesized tuple of values (e.g., "(1, 'Alice')" or "(2, 10 * 3)")
+   * @private
+   * @returns {Array<*>} - Values
+   */
+  _parseValueTuple() {
     this._expect(TokenType.PUNCTUATION, '(');
 
-    // Parse values
     const values = [];
     let first = true;
     while (!this._match(TokenType.PUNCTUATION, ')')) {
@@ -313,23 +1620,11 @@ class Parser {
       first = false;
 
       // Parse value
-      if (this._match(TokenType.NUMBER)) {
-        const numToken = this._expect(TokenType.NUMBER);
-        values.push(numToken.value);
-      } else if (this._match(TokenType.STRING)) {
-        const strToken = this._expect(TokenType.STRING);
-        values.push(strToken.value);
-      } else if (this._match(TokenType.KEYWORD, 'NULL')) {
-        this._advance();
-        values.push(null);
-      } else {
-        throw new Error(`Unexpected token in VALUES: ${this.currentToken.type}`);
-      }
+      values.push(this._asValue(this._parseExpression()));
     }
 
     this._expect(TokenType.PUNCTUATION, ')');
-
-    return new InsertNode(tableName, columns, values);
+    return values;
   }
 
   /**
@@ -351,7 +1646,12 @@ class Parser {
     const updates = {};
     let first = true;
 
-    while (!this._match(TokenType.KEYWORD, 'WHERE') && this.currentToken.type !== TokenType.EOF) {
+    while (
+      !this._match(TokenType.KEYWORD, 'WHERE') &&
+      !this._match(TokenType.KEYWORD, 'RETURNING') &&
+      !this._match(TokenType.PUNCTUATION, ';') &&
+      this.currentToken.type !== TokenType.EOF
+    ) {
       if (!first) {
         this._expect(TokenType.PUNCTUATION, ',');
       }
@@ -365,27 +1665,14 @@ class Parser {
       this._expect(TokenType.OPERATOR, '=');
 
       // Parse value
-      let value;
-      if (this._match(TokenType.NUMBER)) {
-        const numToken = this._expect(TokenType.NUMBER);
-        value = numToken.value;
-      } else if (this._match(TokenType.STRING)) {
-        const strToken = this._expect(TokenType.STRING);
-        value = strToken.value;
-      } else if (this._match(TokenType.KEYWORD, 'NULL')) {
-        this._advance();
-        value = null;
-      } else {
-        throw new Error(`Unexpected token in SET clause: ${this.currentToken.type}`);
-      }
-
-      updates[column] = value;
+      updates[column] = this._asValue(this._parseExpression());
     }
 
-    // Parse WHERE (optional)
+    // Parse WHERE and RETURNING (optional)
     const where = this._parseWhere();
+    const returning = this._parseReturning();
 
-    return new UpdateNode(tableName, updates, where);
+    return new UpdateNode(tableName, updates, where, returning);
   }
 
   /**
@@ -401,10 +1688,11 @@ class Parser {
     const tableNameToken = this._expect(TokenType.IDENTIFIER);
     const tableName = tableNameToken.value;
 
-    // Parse WHERE (optional)
+    // Parse WHERE and RETURNING (optional)
     const where = this._parseWhere();
+    const returning = this._parseReturning();
 
-    return new DeleteNode(tableName, where);
+    return new DeleteNode(tableName, where, returning);
   }
 
   /**
@@ -423,20 +1711,57 @@ class Parser {
       throw new Error(`Expected SQL keyword, got ${firstToken.type}`);
     }
 
+    let ast;
     switch (firstToken.value) {
-      case 'CREATE':
-        return this._parseCreateTable();
+      case 'CREATE': {
+        const next = this._peekWord(1);
+        if (next === 'SEQUENCE') {
+          ast = this._parseCreateSequence();
+        } else {
+          ast = next === 'INDEX' || next === 'UNIQUE' ? this._parseCreateIndex() : this._parseCreateTable();
+        }
+        break;
+      }
+      case 'DROP': {
+        const next = this._peekWord(1);
+        if (next === 'SEQUENCE') {
+          ast = this._parseDropSequence();
+        } else {
+          ast = next === 'INDEX' ? this._parseDropIndex() : this._parseDropTable();
+        }
+        break;
+      }
+      case 'ALTER':
+        ast = this._parseAlterTable();
+        break;
       case 'SELECT':
-        return this._parseSelect();
+      case 'WITH':
+        ast = this._parseQuery();
+        break;
       case 'INSERT':
-        return this._parseInsert();
+        ast = this._parseInsert();
+        break;
       case 'UPDATE':
-        return this._parseUpdate();
+        ast = this._parseUpdate();
+        break;
       case 'DELETE':
-        return this._parseDelete();
+        ast = this._parseDelete();
+        break;
       default:
         throw new Error(`Unsupported SQL statement: ${firstToken.value}`);
     }
+
+    // Allow a single trailing semicolon, but nothing else
+    if (this._match(TokenType.PUNCTUATION, ';')) {
+      this._advance();
+    }
+    if (this.currentToken.type !== TokenType.EOF) {
+      throw new Error(
+        `Unexpected token ${this.currentToken.value} at position ${this.position}`
+      );
+    }
+
+    return ast;
   }
 }
 
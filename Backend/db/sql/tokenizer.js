@@ -13,6 +13,7 @@ const TokenType = {
   IDENTIFIER: 'IDENTIFIER',
   NUMBER: 'NUMBER',
   STRING: 'STRING',
+  BLOB: 'BLOB',
   OPERATOR: 'OPERATOR',
   PUNCTUATION: 'PUNCTUATION',
   EOF: 'EOF'
@@ -20,11 +21,18 @@ const TokenType = {
 
 /**
  * SQL keywords
+ * Words that only mean something in one position are not reserved: they
+ * are read as identifiers, which the parser matches in place, so they stay
+ * valid table and column names.
  */
 const KEYWORDS = [
   'SELECT', 'FROM', 'WHERE', 'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET',
-  'DELETE', 'CREATE', 'TABLE', 'PRIMARY', 'KEY', 'UNIQUE', 'INT', 'TEXT',
-  'BOOLEAN', 'JOIN', 'ON', 'AND', 'OR', 'NOT', 'NULL'
+  'DELETE', 'CREATE', 'TABLE', 'PRIMARY', 'UNIQUE', 'INT', 'TEXT',
+  'BOOLEAN', 'JOIN', 'ON', 'AND', 'OR', 'NOT', 'NULL', 'ORDER', 'BY', 'ASC',
+  'DESC', 'LIMIT', 'OFFSET', 'GROUP', 'HAVING', 'INNER', 'LEFT', 'RIGHT', 'FULL',
+  'OUTER', 'AS', 'IN', 'EXISTS', 'RETURNING', 'LIKE', 'ILIKE', 'BETWEEN', 'IS',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'DISTINCT', 'UNION', 'INTERSECT', 'EXCEPT',
+  'WITH', 'OVER', 'DROP', 'ALTER', 'FOREIGN', 'REFERENCES'
 ];
 
 /**
@@ -63,7 +71,7 @@ class Tokenizer {
   }
 
   /**
-   * Reads a number token
+   * Reads a number token (digits, optionally with a fraction and an exponent: 3.75, 1e3, 2.5E-2)
    * @private
    * @returns {string} - Number string
    */
@@ -73,11 +81,36 @@ class Tokenizer {
       number += this.currentChar;
       this._advance();
     }
+
+    // A fraction needs a digit after the point
+    if (this.currentChar === '.' && /[0-9]/.test(this.input[this.position + 1] || '')) {
+      number += this.currentChar;
+      this._advance();
+      while (this.currentChar && /[0-9]/.test(this.currentChar)) {
+        number += this.currentChar;
+        this._advance();
+      }
+    }
+
+    // An exponent needs a digit after the E (and its sign)
+    if (/^[eE][+-]?[0-9]/.test(this.input.slice(this.position, this.position + 3))) {
+      number += this.currentChar;
+      this._advance();
+      if (this.currentChar === '+' || this.currentChar === '-') {
+        number += this.currentChar;
+        this._advance();
+      }
+      while (this.currentChar && /[0-9]/.test(this.currentChar)) {
+        number += this.currentChar;
+        this._advance();
+      }
+    }
     return number;
   }
 
   /**
    * Reads a string literal
+   * A doubled quote inside the string ('it''s') stands for one quote character.
    * @private
    * @returns {string} - String value (without quotes)
    */
@@ -86,8 +119,14 @@ class Tokenizer {
     this._advance(); // Skip opening quote
     
     let string = '';
-    while (this.currentChar && this.currentChar !== quote) {
-      if (this.currentChar === '\\') {
+    while (this.currentChar) {
+      if (this.currentChar === quote) {
+        if (this.input[this.position + 1] !== quote) {
+          break;
+        }
+        this._advance(); // Skip the first of the two quotes
+        string += quote;
+      } else if (this.currentChar === '\\') {
         this._advance();
         // Handle escape sequences
         if (this.currentChar === 'n') {
@@ -137,7 +176,7 @@ class Tokenizer {
     // Check for two-character operators
     if (this.currentChar) {
       const twoChar = operator + this.currentChar;
-      if (['<=', '>=', '!=', '=='].includes(twoChar)) {
+      if (['<=', '>=', '!=', '==', '<>', '||'].includes(twoChar)) {
         this._advance();
         return twoChar;
       }
@@ -159,10 +198,10 @@ class Tokenizer {
       return { type: TokenType.EOF, value: null };
     }
 
-    // Number
+    // Number (text keeps it as written: 7.0 is a FLOAT even though its value is whole)
     if (/[0-9]/.test(this.currentChar)) {
       const number = this._readNumber();
-      return { type: TokenType.NUMBER, value: parseInt(number, 10) };
+      return { type: TokenType.NUMBER, value: Number(number), text: number };
     }
 
     // String literal
@@ -171,6 +210,16 @@ class Tokenizer {
       return { type: TokenType.STRING, value: string };
     }
 
+    // Hexadecimal BLOB literal: X'00FF' is the bytes 00 ff
+    if ((this.currentChar === 'x' || this.currentChar === 'X') && this.input[this.position + 1] === "'") {
+      this._advance(); // Skip X
+      const hex = this._readString();
+      if (!/^([0-9a-f]{2})*$/i.test(hex)) {
+        throw new Error(`Invalid hexadecimal literal: X'${hex}'`);
+      }
+      return { type: TokenType.BLOB, value: Buffer.from(hex, 'hex') };
+    }
+
     // Identifier or keyword
     if (/[a-zA-Z_]/.test(this.currentChar)) {
       const identifier = this._readIdentifier();
@@ -182,13 +231,14 @@ class Tokenizer {
       return { type: TokenType.IDENTIFIER, value: identifier };
     }
 
-    // Operators
-    if (['=', '<', '>', '!'].includes(this.currentChar)) {
+    // Operators (comparison, arithmetic and || concatenation; * is punctuation below)
+    const isConcat = this.currentChar === '|' && this.input[this.position + 1] === '|';
+    if (['=', '<', '>', '!', '+', '-', '/', '%'].includes(this.currentChar) || isConcat) {
       const operator = this._readOperator();
       return { type: TokenType.OPERATOR, value: operator };
     }
 
-    // Asterisk (for SELECT *)
+    // Asterisk (for SELECT * and multiplication)
     if (this.currentChar === '*') {
       this._advance();
       return { type: TokenType.PUNCTUATION, value: '*' };
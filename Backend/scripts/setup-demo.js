@@ -20,7 +20,7 @@ async function setupDemo() {
     console.log('Creating users table...');
     db.execute(`
       CREATE TABLE users (
-        id INT PRIMARY KEY,
+        id SERIAL PRIMARY KEY,
         name TEXT,
         email TEXT UNIQUE
       )
@@ -30,23 +30,29 @@ async function setupDemo() {
     console.log('Creating posts table...');
     db.execute(`
       CREATE TABLE posts (
-        id INT PRIMARY KEY,
-        user_id INT,
+        id SERIAL PRIMARY KEY,
+        user_id INT REFERENCES users (id) ON DELETE CASCADE,
         title TEXT,
         content TEXT
       )
     `);
 
-    // Insert sample users
+    // Insert sample users (ids 1 to 3 come from the SERIAL column)
     console.log('Inserting sample data...');
-    db.execute("INSERT INTO users (id, name, email) VALUES (1, 'Alice', 'alice@example.com')");
-    db.execute("INSERT INTO users (id, name, email) VALUES (2, 'Bob', 'bob@example.com')");
-    db.execute("INSERT INTO users (id, name, email) VALUES (3, 'Charlie', 'charlie@example.com')");
+    db.execute(`
+      INSERT INTO users (name, email) VALUES
+        ('Alice', 'alice@example.com'),
+        ('Bob', 'bob@example.com'),
+        ('Charlie', 'charlie@example.com')
+    `);
 
     // Insert sample posts
-    db.execute("INSERT INTO posts (id, user_id, title, content) VALUES (1, 1, 'Hello World', 'My first post!')");
-    db.execute("INSERT INTO posts (id, user_id, title, content) VALUES (2, 1, 'Second Post', 'Another post from Alice')");
-    db.execute("INSERT INTO posts (id, user_id, title, content) VALUES (3, 2, 'Bob\'s Post', 'Hello from Bob')");
+    db.execute(`
+      INSERT INTO posts (user_id, title, content) VALUES
+        (1, 'Hello World', 'My first post!'),
+        (1, 'Second Post', 'Another post from Alice'),
+        (2, 'Bob''s Post', 'Hello from Bob')
+    `);
 
     // Save database
     await db.save();
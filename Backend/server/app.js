@@ -52,6 +52,7 @@ app.get('/', (req, res) => {
       create: 'POST /api/:tableName',
       read: 'GET /api/:tableName',
       readOne: 'GET /api/:tableName?id=:id',
+      readPage: 'GET /api/:tableName?orderBy=:column&order=asc|desc&limit=:n&offset=:m',
       update: 'PUT /api/:tableName/:id',
       delete: 'DELETE /api/:tableName/:id'
     }
@@ -69,7 +70,9 @@ app.use((err, req, res, next) => {
   if (err.message.includes('not found') || err.message.includes('not exist')) {
     statusCode = 404;
     message = err.message;
-  } else if (err.message.includes('Duplicate') || err.message.includes('PRIMARY KEY') || err.message.includes('UNIQUE')) {
+  } else if (err.message.includes('Duplicate') || err.message.includes('PRIMARY KEY') || err.message.includes('UNIQUE') ||
+    err.message.includes('FOREIGN KEY') || err.message.includes('still referenced') ||
+    err.message.includes('NOT NULL') || err.message.includes('CHECK')) {
     statusCode = 409;
     message = err.message;
   } else if (err.message.includes('Type') || err.message.includes('Column') || err.message.includes('Invalid')) {
@@ -79,9 +82,15 @@ app.use((err, req, res, next) => {
     message = err.message || message;
   }
 
+  // Values a column could not take are reported with where they were given
+  const details = err.name === 'TypeCoercionError'
+    ? { table: err.table, column: err.column, value: err.value, row: err.row }
+    : undefined;
+
   res.status(statusCode).json({
     success: false,
-    error: message
+    error: message,
+    details
   });
 });
 
@@ -55,16 +55,16 @@ async function createRow(req, res, next) {
 async function getRows(req, res, next) {
   try {
     const { tableName } = req.params;
-    const { id } = req.query;
+    const { id, orderBy, order } = req.query;
 
     const db = req.app.get('db');
+    const database = db.getDatabase();
+    const table = database.getTable(tableName);
     
     // Build SELECT SQL
     let sql = `SELECT * FROM ${tableName}`;
     if (id) {
       // Get primary key column name
-      const database = db.getDatabase();
-      const table = database.getTable(tableName);
       const pkColumn = table.getPrimaryKeyColumn();
       
       if (pkColumn) {
@@ -77,11 +77,43 @@ async function getRows(req, res, next) {
       }
     }
 
+    // Ordering (?orderBy=column&order=asc|desc)
+    if (orderBy) {
+      if (!table.getColumn(orderBy)) {
+        return res.status(400).json({
+          success: false,
+          error: `Column "${orderBy}" not found in table "${tableName}"`
+        });
+      }
+      const direction = String(order || 'asc').toUpperCase();
+      if (direction !== 'ASC' && direction !== 'DESC') {
+        return res.status(400).json({
+          success: false,
+          error: 'order must be "asc" or "desc"'
+        });
+      }
+      sql += ` ORDER BY ${orderBy} ${direction}`;
+    }
+
+    // Paging (?limit=n&offset=m)
+    for (const param of ['limit', 'offset']) {
+      const value = req.query[param];
+      if (value === undefined) continue;
+      if (!/^\d+$/.test(value)) {
+        return res.status(400).json({
+          success: false,
+          error: `${param} must be a non-negative integer`
+        });
+      }
+      sql += ` ${param.toUpperCase()} ${value}`;
+    }
+
     const results = db.execute(sql);
 
     res.json({
       success: true,
       count: results.length,
+      total: id ? results.length : table.rows.length,
       data: results
     });
   } catch (error) {
@@ -126,15 +158,21 @@ async function updateRow(req, res, next) {
       }
     });
 
-    const sql = `UPDATE ${tableName} SET ${setClauses.join(', ')} WHERE ${pkColumn.name} = ${id}`;
+    const sql = `UPDATE ${tableName} SET ${setClauses.join(', ')} WHERE ${pkColumn.name} = ${id} RETURNING *`;
     
-    const result = db.execute(sql);
+    const rows = db.execute(sql);
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Row with ${pkColumn.name} = ${id} not found`
+      });
+    }
     await db.save();
 
     res.json({
       success: true,
-      message: result.message,
-      data: { id: parseInt(id) }
+      message: `${rows.length} row(s) updated`,
+      data: rows[0]
     });
   } catch (error) {
     next(error);
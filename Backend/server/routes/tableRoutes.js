@@ -18,12 +18,13 @@ router.post('/:tableName', tableController.createRow);
  * GET /:tableName
  * Get all rows from the specified table
  * Query param ?id=value to get a specific row by primary key
+ * Query params ?orderBy=column&order=asc|desc&limit=n&offset=m to sort and page
  */
 router.get('/:tableName', tableController.getRows);
 
 /**
  * PUT /:tableName/:id
- * Update a row in the specified table by primary key
+ * Update a row in the specified table by primary key and return the updated row
  */
 router.put('/:tableName/:id', tableController.updateRow);
 
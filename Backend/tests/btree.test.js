@@ -0,0 +1,59 @@
+/**
+ * B+Tree Tests
+ *
+ * Tests for the BTree class used by ordered indexes.
+ */
+
+const BTree = require('../db/engine/btree');
+
+describe('BTree', () => {
+  const compare = (a, b) => a - b;
+
+  test('should store and find values in key order', () => {
+    const tree = new BTree(compare, 3);
+    [50, 10, 40, 20, 30, 60, 70, 0].forEach(key => tree.set(key, `v${key}`));
+    tree.set(40, 'new');
+
+    expect(tree.size).toBe(8);
+    expect(tree.get(40)).toBe('new');
+    expect(tree.has(25)).toBe(false);
+    expect([...tree.keys()]).toEqual([0, 10, 20, 30, 40, 50, 60, 70]);
+  });
+
+  test('should iterate over ranges in both directions', () => {
+    const tree = new BTree(compare, 3);
+    for (let key = 0; key < 20; key++) {
+      tree.set(key, key);
+    }
+
+    const keys = options => [...tree.entries(options)].map(([key]) => key);
+    expect(keys({ low: 5, high: 8 })).toEqual([5, 6, 7, 8]);
+    expect(keys({ low: 5, high: 8, lowInclusive: false, highInclusive: false })).toEqual([6, 7]);
+    expect(keys({ low: 17 })).toEqual([17, 18, 19]);
+    expect(keys({ high: 2, descending: true })).toEqual([2, 1, 0]);
+    expect(keys({ low: 8, high: 5 })).toEqual([]);
+  });
+
+  test('should delete keys and keep the tree usable', () => {
+    const tree = new BTree(compare, 3);
+    for (let key = 0; key < 30; key++) {
+      tree.set(key, key);
+    }
+    for (let key = 0; key < 30; key++) {
+      if (key % 3 !== 0) {
+        expect(tree.delete(key)).toBe(true);
+      }
+    }
+
+    expect(tree.delete(1)).toBe(false);
+    expect(tree.size).toBe(10);
+    expect([...tree.entries({ low: 10, descending: true })].map(([key]) => key)).toEqual([27, 24, 21, 18, 15, 12]);
+
+    for (let key = 0; key < 30; key += 3) {
+      tree.delete(key);
+    }
+    expect(tree.size).toBe(0);
+    tree.set(5, 'again');
+    expect([...tree.entries()]).toEqual([[5, 'again']]);
+  });
+});
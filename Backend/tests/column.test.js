@@ -77,4 +77,100 @@ describe('Column', () => {
     expect(restored.type).toBe(col.type);
     expect(restored.unique).toBe(col.unique);
   });
+
+  test('should compare values by type with NULLs last', () => {
+    const intCol = new Column('age', 'INT');
+    expect(intCol.compare(2, 10)).toBeLessThan(0);
+    expect(intCol.compare(null, 10)).toBeGreaterThan(0);
+    expect(intCol.compare(null, null)).toBe(0);
+
+    const boolCol = new Column('active', 'BOOLEAN');
+    expect(boolCol.compare(false, true)).toBeLessThan(0);
+
+    const textCol = new Column('name', 'TEXT');
+    expect(textCol.compare('b', 'a')).toBeGreaterThan(0);
+  });
+
+  test('should keep NOT NULL, DEFAULT and CHECK through serialization', () => {
+    const check = { type: 'COMPARISON', column: 'qty', operator: '>=', value: 0 };
+    const column = new Column('qty', 'INT', { notNull: true, defaultValue: 1, check });
+    const restored = Column.fromJSON(JSON.parse(JSON.stringify(column.toJSON())));
+
+    expect(restored.notNull).toBe(true);
+    expect(restored.defaultValue).toBe(1);
+    expect(restored.check).toEqual(check);
+    expect(new Column('note', 'TEXT')).toMatchObject({ notNull: false, defaultValue: null, check: null });
+  });
+
+  test('should keep the AUTOINCREMENT counter through serialization', () => {
+    const column = new Column('id', 'INT', { autoIncrement: true });
+    expect([column.sequence.next(), column.sequence.next()]).toEqual([1, 2]);
+    column.sequence.advanceTo(10);
+    column.sequence.advanceTo(5);
+
+    const restored = Column.fromJSON(JSON.parse(JSON.stringify(column.toJSON())));
+    expect(restored.autoIncrement).toBe(true);
+    expect(restored.sequence.next()).toBe(11);
+    expect(new Column('name', 'TEXT').sequence).toBeNull();
+    expect(() => new Column('name', 'TEXT', { autoIncrement: true })).toThrow('must be of type INT');
+  });
+
+  test('should parse and coerce FLOAT, DECIMAL and VARCHAR', () => {
+    const price = new Column('price', 'DECIMAL(6, 2)');
+    expect(price).toMatchObject({ type: 'DECIMAL', precision: 6, scale: 2 });
+    expect(price.describeType()).toBe('DECIMAL(6, 2)');
+    expect(price.coerceType('1.005')).toBe(1.01);
+    expect(() => price.coerceType(12345.6)).toThrow('out of range for DECIMAL(6, 2)');
+    expect(new Column('n', 'INT').coerceType(3.7)).toBe(4);
+    expect(() => new Column('n', 'INT').coerceType('3.7')).toThrow('Cannot convert "3.7" to INT');
+    expect(() => new Column('n', 'INT').coerceType('12abc')).toThrow('Cannot convert "12abc" to INT');
+    expect(() => new Column('f', 'FLOAT').coerceType('1.5x')).toThrow('Cannot convert "1.5x" to FLOAT');
+    expect(new Column('f', 'FLOAT').coerceType(' -1.5e2 ')).toBe(-150);
+    expect(new Column('r', 'REAL').type).toBe('FLOAT');
+
+    const name = new Column('name', 'VARCHAR(3)');
+    expect(name).toMatchObject({ type: 'TEXT', length: 3 });
+    expect(name.coerceType('abc')).toBe('abc');
+    expect(() => name.coerceType('abcd')).toThrow('too long for VARCHAR(3)');
+    expect(() => new Column('a', 'DECIMAL(20, 2)')).toThrow('DECIMAL precision must be between 1 and 15');
+    expect(() => new Column('a', 'VARCHAR')).toThrow('expects 1 parameter(s)');
+  });
+
+  test('should coerce and serialize DATE, TIMESTAMP, JSON and BLOB', () => {
+    const born = new Column('born', 'DATE');
+    expect(born.coerceType('2024-02-29')).toBe('2024-02-29');
+    expect(() => born.coerceType('2023-02-29')).toThrow('Cannot convert');
+    expect(new Column('seen', 'TIMESTAMP').coerceType('2024-03-01T12:00:00+02:00')).toBe('2024-03-01T10:00:00.000Z');
+
+    const meta = new Column('meta', 'JSON');
+    expect(meta.coerceType('{"a": [1, 2]}')).toEqual({ a: [1, 2] });
+    expect(meta.coerceType('[null]')).toEqual([null]);
+    expect(() => meta.coerceType('{oops')).toThrow('Cannot convert');
+    expect(() => meta.coerceType('null')).toThrow('a JSON null cannot be told apart from NULL');
+
+    const data = new Column('data', 'BLOB');
+    const bytes = Buffer.from([0, 255]);
+    expect(data.coerceType(bytes)).toBe(bytes);
+    expect(data.encodeValue(bytes)).toBe('AP8=');
+    expect(data.decodeValue('AP8=')).toEqual(bytes);
+    // Text is never read as hexadecimal, nor bytes as text
+    expect(data.coerceType('\\x41')).toEqual(Buffer.from('\\x41'));
+    expect(() => data.coerceType('\\x41', true)).toThrow('cannot be stored as BLOB without losing information');
+    expect(() => new Column('t', 'TEXT').coerceType(bytes)).toThrow('Cannot convert binary data to TEXT');
+  });
+
+  test('should reject lossy conversions when strict', () => {
+    const count = new Column('count', 'INT');
+    expect(count.coerceType(3.7)).toBe(4);
+    expect(count.coerceType(' 12 ', true)).toBe(12);
+    expect(count.coerceType(3.0, true)).toBe(3);
+    expect(() => count.coerceType(3.7, true)).toThrow('FLOAT value 3.7 cannot be stored as INT without losing information');
+    expect(() => new Column('price', 'DECIMAL(6, 2)').coerceType('1.005', true)).toThrow('without losing information');
+    expect(() => new Column('name', 'TEXT').coerceType(12, true)).toThrow('INT value 12 cannot be stored as TEXT');
+
+    const day = new Column('day', 'DATE');
+    expect(day.coerceType('2024-01-02 00:00', true)).toBe('2024-01-02');
+    expect(() => day.coerceType('2024-01-02 10:00', true)).toThrow('without losing information');
+    expect(new Column('flag', 'BOOLEAN').coerceType('true', true)).toBe(true);
+  });
 });
@@ -72,6 +72,20 @@ describe('Database', () => {
     expect(db.hasTable('users')).toBe(false);
   });
 
+  test('should rename a table', () => {
+    const columnDefs = [
+      { name: 'id', type: 'INT', primaryKey: true }
+    ];
+
+    db.createTable('users', columnDefs);
+    db.createTable('posts', columnDefs);
+    db.renameTable('users', 'members');
+
+    expect(db.hasTable('users')).toBe(false);
+    expect(db.getTable('members').name).toBe('members');
+    expect(() => db.renameTable('members', 'posts')).toThrow('already exists');
+  });
+
   test('should list all tables', () => {
     const columnDefs = [
       { name: 'id', type: 'INT', primaryKey: true }
@@ -100,4 +114,38 @@ describe('Database', () => {
     expect(schema.columns[0].name).toBe('id');
     expect(schema.columns[0].primaryKey).toBe(true);
   });
+
+  test('should enforce foreign keys across tables', () => {
+    db.createTable('users', [{ name: 'id', type: 'INT', primaryKey: true }]);
+    db.createTable('posts', [
+      { name: 'id', type: 'INT', primaryKey: true },
+      { name: 'user_id', type: 'INT', references: { table: 'users', columns: null, onDelete: 'CASCADE' } }
+    ]);
+    expect(db.getTableSchema('posts').foreignKeys).toEqual([
+      { columns: ['user_id'], references: { table: 'users', columns: ['id'], onDelete: 'CASCADE', onUpdate: 'RESTRICT' } }
+    ]);
+
+    db.insert('users', [{ id: 1 }, { id: 2 }]);
+    db.insert('posts', [{ id: 10, user_id: 1 }, { id: 11, user_id: 2 }]);
+    expect(() => db.insert('posts', [{ id: 12, user_id: 3 }])).toThrow('is not present in table "users"');
+    expect(() => db.update('users', { id: 3 }, { column: 'id', operator: '=', value: 1 })).toThrow('is still referenced');
+
+    db.delete('users', { column: 'id', operator: '=', value: 1 });
+    expect(db.getTable('posts').rows).toEqual([{ id: 11, user_id: 2 }]);
+    expect(() => db.dropTable('users')).toThrow('referenced by a FOREIGN KEY of table "posts"');
+  });
+
+  test('should create, persist and drop sequences', () => {
+    db.createSequence('countdown', { start: 10, increment: -3 });
+    expect([db.nextval('countdown'), db.nextval('countdown')]).toEqual([10, 7]);
+    expect(() => db.createSequence('countdown')).toThrow('Sequence "countdown" already exists');
+    expect(() => db.createSequence('still', { increment: 0 })).toThrow('INCREMENT of a sequence cannot be zero');
+
+    const restored = Database.fromJSON(JSON.parse(JSON.stringify(db.toJSON())));
+    expect(restored.nextval('countdown')).toBe(4);
+
+    restored.dropSequence('countdown');
+    expect(restored.hasSequence('countdown')).toBe(false);
+    expect(() => restored.nextval('countdown')).toThrow('Sequence "countdown" not found');
+  });
 });
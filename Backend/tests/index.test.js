@@ -5,6 +5,7 @@
  */
 
 const Index = require('../db/engine/index');
+const Column = require('../db/engine/column');
 
 describe('Index', () => {
   test('should create a primary key index', () => {
@@ -54,6 +55,12 @@ describe('Index', () => {
     
     expect(index.find(null)).toEqual([0]);
     expect(index.has(null)).toBe(true);
+
+    // NULL never conflicts, so a unique index takes it any number of times
+    index.add(null, 1);
+    expect(index.find(null)).toEqual([0, 1]);
+    index.remove(null, 0);
+    expect(index.find(null)).toEqual([1]);
   });
 
   test('should serialize and deserialize', () => {
@@ -68,4 +75,41 @@ describe('Index', () => {
     expect(restored.isUnique).toBe(index.isUnique);
     expect(restored.find('test@example.com')).toEqual([0]);
   });
+
+  test('should answer range and ordered lookups in an ordered index', () => {
+    const index = new Index('score', false, false, 'idx_score', (a, b) => Column.compareValues(a, b));
+    [30, 10, null, 20, 10].forEach((value, rowIndex) => index.add(value, rowIndex));
+
+    expect(index.ordered).toBe(true);
+    expect(index.find(10)).toEqual([1, 4]);
+    expect(index.range(10, 20)).toEqual([1, 4, 3]);
+    expect(index.range(10, undefined, false)).toEqual([3, 0]);
+    expect(index.scan()).toEqual([1, 4, 3, 0, 2]);
+    expect(index.scan(true)).toEqual([2, 0, 3, 1, 4]);
+    expect(index.extreme()).toBe(10);
+    expect(index.extreme(true)).toBe(30);
+
+    index.remove(30, 0);
+    expect(index.extreme(true)).toBe(20);
+    expect(Index.fromJSON(index.toJSON()).ordered).toBe(true);
+  });
+
+  test('should index tuples of several columns', () => {
+    const compare = Index.tupleComparator([Column.compareValues, Column.compareValues]);
+    const index = new Index(['a', 'b'], false, true, 'idx_ab', compare);
+    index.add([1, 'x'], 0);
+    index.add([1, 'y'], 1);
+    index.add([2, 'x'], 2);
+
+    expect(index.columnName).toBe('a, b');
+    expect(index.keyOf({ a: 1, b: 'y' })).toEqual([1, 'y']);
+    expect(index.findPrefix([1])).toEqual([0, 1]);
+    expect(index.findPrefix([1, 'y'])).toEqual([1]);
+    expect(() => index.add([2, 'x'], 3)).toThrow('Duplicate value for UNIQUE columns (a, b): (2, x)');
+    index.add([2, null], 3);
+    index.add([2, null], 4);
+    expect(index.findPrefix([2])).toEqual([2, 3, 4]);
+    expect(() => new Index(['a', 'b'])).toThrow('A multi-column index must be ordered');
+    expect(Index.fromJSON(index.toJSON()).findPrefix([2, 'x'])).toEqual([2]);
+  });
 });
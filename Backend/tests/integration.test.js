@@ -5,6 +5,7 @@
  */
 
 const DB = require('../db/index');
+const { MAX_RECURSIVE_ITERATIONS, MAX_RECURSIVE_ROWS } = require('../db/executor/cte');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -143,4 +144,1500 @@ describe('Database Integration', () => {
     expect(results[0]['users.name']).toBe('Alice');
     expect(results[0]['posts.title']).toBe('Hello World');
   });
+
+  test('should filter with compound WHERE clauses', () => {
+    db.execute("CREATE TABLE users (id INT PRIMARY KEY, age INT, status TEXT, role TEXT)");
+    db.execute("INSERT INTO users (id, age, status, role) VALUES (1, 30, 'active', 'user')");
+    db.execute("INSERT INTO users (id, age, status, role) VALUES (2, 40, 'banned', 'admin')");
+    db.execute("INSERT INTO users (id, age, status, role) VALUES (3, 16, 'active', 'user')");
+    db.execute("INSERT INTO users (id, age, status, role) VALUES (4, 50, 'banned', 'user')");
+
+    const results = db.execute(
+      "SELECT id FROM users WHERE age > 18 AND (status = 'active' OR role = 'admin')"
+    );
+    expect(results).toEqual([{ id: 1 }, { id: 2 }]);
+
+    const updated = db.execute("UPDATE users SET role = 'guest' WHERE NOT status = 'active' AND age >= 50");
+    expect(updated.message).toBe('1 row(s) updated');
+
+    const deleted = db.execute("DELETE FROM users WHERE id = 3 OR role = 'guest'");
+    expect(deleted.message).toBe('2 row(s) deleted');
+    expect(db.execute('SELECT id FROM users')).toEqual([{ id: 1 }, { id: 2 }]);
+  });
+
+  test('should apply compound WHERE clauses to JOIN results', () => {
+    db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT)");
+    db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)");
+    db.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+    db.execute("INSERT INTO users (id, name) VALUES (2, 'Bob')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (1, 1, 'First')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (2, 1, 'Second')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (3, 2, 'Third')");
+
+    const results = db.execute(
+      "SELECT posts.title FROM users JOIN posts ON users.id = posts.user_id " +
+      "WHERE users.name = 'Alice' AND NOT (posts.id = 1 OR posts.id = 3)"
+    );
+    expect(results).toEqual([{ 'posts.title': 'Second' }]);
+  });
+
+  test('should order and page SELECT results', () => {
+    db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT, age INT)");
+    db.execute("INSERT INTO users (id, name, age) VALUES (1, 'Alice', 30)");
+    db.execute("INSERT INTO users (id, name, age) VALUES (2, 'Bob', NULL)");
+    db.execute("INSERT INTO users (id, name, age) VALUES (3, 'Carol', 25)");
+    db.execute("INSERT INTO users (id, name, age) VALUES (4, 'Dave', 30)");
+
+    const ascending = db.execute('SELECT id FROM users ORDER BY age, name DESC');
+    expect(ascending.map(row => row.id)).toEqual([3, 4, 1, 2]);
+
+    const descending = db.execute('SELECT name FROM users ORDER BY age DESC');
+    expect(descending[0].name).toBe('Bob'); // NULLs first when descending
+
+    const page = db.execute('SELECT id FROM users ORDER BY id LIMIT 2 OFFSET 1');
+    expect(page).toEqual([{ id: 2 }, { id: 3 }]);
+
+    expect(() => db.execute('SELECT * FROM users ORDER BY missing')).toThrow('not found');
+  });
+
+  test('should order and page JOIN results', () => {
+    db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT)");
+    db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)");
+    db.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+    db.execute("INSERT INTO users (id, name) VALUES (2, 'Bob')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (1, 1, 'B')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (2, 2, 'C')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (3, 1, 'A')");
+
+    const results = db.execute(
+      'SELECT posts.title FROM users JOIN posts ON users.id = posts.user_id ORDER BY title LIMIT 2'
+    );
+    expect(results).toEqual([{ 'posts.title': 'A' }, { 'posts.title': 'B' }]);
+  });
+
+  test('should order by select list positions', () => {
+    db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT)");
+    db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)");
+    db.execute("INSERT INTO users VALUES (1, 'Bob'), (2, 'Alice'), (3, 'Carol')");
+    db.execute("INSERT INTO posts VALUES (1, 1, 'B'), (2, 2, 'C'), (3, 1, 'A')");
+    const ids = rows => rows.map(row => row.id);
+
+    expect(ids(db.execute('SELECT id, name FROM users ORDER BY 2'))).toEqual([2, 1, 3]);
+    expect(ids(db.execute('SELECT * FROM users ORDER BY 2 DESC'))).toEqual([3, 1, 2]);
+    expect(ids(db.execute('SELECT id FROM users ORDER BY 1 DESC LIMIT 1'))).toEqual([3]);
+    expect(db.execute(
+      'SELECT users.name, posts.title FROM users JOIN posts ON users.id = posts.user_id ORDER BY 1, 2'
+    ).map(row => row['posts.title'])).toEqual(['C', 'A', 'B']);
+    expect(db.execute('SELECT user_id, COUNT(*) FROM posts GROUP BY user_id ORDER BY 2 DESC'))
+      .toEqual([{ user_id: 1, 'COUNT(*)': 2 }, { user_id: 2, 'COUNT(*)': 1 }]);
+    expect(db.execute('SELECT name FROM users UNION SELECT title FROM posts ORDER BY 1 LIMIT 3'))
+      .toEqual([{ name: 'A' }, { name: 'Alice' }, { name: 'B' }]);
+
+    expect(() => db.execute('SELECT id, name FROM users ORDER BY 3'))
+      .toThrow('ORDER BY position 3 is not in the select list (1 to 2)');
+    expect(() => db.execute('SELECT id FROM users ORDER BY 0')).toThrow('ORDER BY position 0 is not in the select list');
+    expect(() => db.execute('SELECT name FROM users UNION SELECT title FROM posts ORDER BY 2'))
+      .toThrow('ORDER BY position 2 is not in the select list');
+  });
+
+  test('should compute aggregates with GROUP BY and HAVING', () => {
+    db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, views INT)");
+    db.execute("INSERT INTO posts (id, user_id, views) VALUES (1, 1, 10)");
+    db.execute("INSERT INTO posts (id, user_id, views) VALUES (2, 1, 30)");
+    db.execute("INSERT INTO posts (id, user_id, views) VALUES (3, 2, 5)");
+    db.execute("INSERT INTO posts (id, user_id, views) VALUES (4, 2, NULL)");
+    db.execute("INSERT INTO posts (id, user_id, views) VALUES (5, 3, 7)");
+
+    const totals = db.execute('SELECT COUNT(*), COUNT(views), SUM(views), MIN(views), MAX(views) FROM posts');
+    expect(totals).toEqual([
+      { 'COUNT(*)': 5, 'COUNT(views)': 4, 'SUM(views)': 52, 'MIN(views)': 5, 'MAX(views)': 30 }
+    ]);
+
+    const grouped = db.execute(
+      'SELECT user_id, COUNT(*), AVG(views) FROM posts GROUP BY user_id HAVING COUNT(*) > 1 ORDER BY AVG(views)'
+    );
+    expect(grouped).toEqual([
+      { user_id: 2, 'COUNT(*)': 2, 'AVG(views)': 5 },
+      { user_id: 1, 'COUNT(*)': 2, 'AVG(views)': 20 }
+    ]);
+
+    const empty = db.execute('SELECT COUNT(*), SUM(views) FROM posts WHERE id > 100');
+    expect(empty).toEqual([{ 'COUNT(*)': 0, 'SUM(views)': null }]);
+  });
+
+  test('should reject invalid grouped queries', () => {
+    db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)");
+
+    expect(() => db.execute('SELECT title, COUNT(*) FROM posts GROUP BY user_id'))
+      .toThrow('must appear in the GROUP BY clause');
+    expect(() => db.execute('SELECT SUM(title) FROM posts')).toThrow('requires a numeric column');
+    expect(() => db.execute('SELECT * FROM posts WHERE COUNT(*) > 1')).toThrow('not allowed in WHERE');
+  });
+
+  test('should aggregate JOIN results', () => {
+    db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT)");
+    db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)");
+    db.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+    db.execute("INSERT INTO users (id, name) VALUES (2, 'Bob')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (1, 1, 'First')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (2, 1, 'Second')");
+    db.execute("INSERT INTO posts (id, user_id, title) VALUES (3, 2, 'Third')");
+
+    const results = db.execute(
+      'SELECT users.name, COUNT(posts.id) FROM users JOIN posts ON users.id = posts.user_id ' +
+      'GROUP BY users.name ORDER BY COUNT(posts.id) DESC'
+    );
+    expect(results).toEqual([
+      { 'users.name': 'Alice', 'COUNT(posts.id)': 2 },
+      { 'users.name': 'Bob', 'COUNT(posts.id)': 1 }
+    ]);
+  });
+
+  describe('outer joins', () => {
+    beforeEach(() => {
+      db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT)");
+      db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)");
+      db.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+      db.execute("INSERT INTO users (id, name) VALUES (2, 'Bob')");
+      db.execute("INSERT INTO posts (id, user_id, title) VALUES (1, 1, 'Hello')");
+      db.execute("INSERT INTO posts (id, user_id, title) VALUES (2, 9, 'Orphan')");
+    });
+
+    test('should pad unmatched left rows in LEFT JOIN', () => {
+      const results = db.execute(
+        'SELECT users.name, posts.title FROM users LEFT JOIN posts ON users.id = posts.user_id'
+      );
+      expect(results).toEqual([
+        { 'users.name': 'Alice', 'posts.title': 'Hello' },
+        { 'users.name': 'Bob', 'posts.title': null }
+      ]);
+    });
+
+    test('should find users with zero posts', () => {
+      const results = db.execute(
+        'SELECT users.name FROM users LEFT JOIN posts ON users.id = posts.user_id WHERE posts.id IS NULL'
+      );
+      expect(results).toEqual([{ 'users.name': 'Bob' }]);
+
+      // Comparing with NULL is unknown, never true
+      expect(db.execute(
+        'SELECT users.name FROM users LEFT JOIN posts ON users.id = posts.user_id WHERE posts.id = NULL'
+      )).toEqual([]);
+
+      const counts = db.execute(
+        'SELECT users.name, COUNT(posts.id) FROM users LEFT JOIN posts ON users.id = posts.user_id GROUP BY users.name'
+      );
+      expect(counts).toEqual([
+        { 'users.name': 'Alice', 'COUNT(posts.id)': 1 },
+        { 'users.name': 'Bob', 'COUNT(posts.id)': 0 }
+      ]);
+    });
+
+    test('should pad unmatched right rows in RIGHT JOIN', () => {
+      const results = db.execute(
+        'SELECT * FROM users RIGHT JOIN posts ON posts.user_id = users.id'
+      );
+      expect(results).toEqual([
+        { 'users.id': 1, 'users.name': 'Alice', 'posts.id': 1, 'posts.user_id': 1, 'posts.title': 'Hello' },
+        { 'users.id': null, 'users.name': null, 'posts.id': 2, 'posts.user_id': 9, 'posts.title': 'Orphan' }
+      ]);
+    });
+
+    test('should keep both sides in FULL OUTER JOIN', () => {
+      const results = db.execute(
+        'SELECT users.name, posts.title FROM users FULL OUTER JOIN posts ON users.id = posts.user_id'
+      );
+      expect(results).toEqual([
+        { 'users.name': 'Alice', 'posts.title': 'Hello' },
+        { 'users.name': 'Bob', 'posts.title': null },
+        { 'users.name': null, 'posts.title': 'Orphan' }
+      ]);
+    });
+  });
+
+  describe('multi-way joins', () => {
+    beforeEach(() => {
+      db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT)");
+      db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)");
+      db.execute("CREATE TABLE comments (id INT PRIMARY KEY, post_id INT, body TEXT)");
+      db.execute("INSERT INTO users (id, name) VALUES (1, 'Alice')");
+      db.execute("INSERT INTO users (id, name) VALUES (2, 'Bob')");
+      db.execute("INSERT INTO posts (id, user_id, title) VALUES (1, 1, 'Hello')");
+      db.execute("INSERT INTO posts (id, user_id, title) VALUES (2, 1, 'Again')");
+      db.execute("INSERT INTO comments (id, post_id, body) VALUES (1, 1, 'Nice')");
+      db.execute("INSERT INTO comments (id, post_id, body) VALUES (2, 1, 'Great')");
+    });
+
+    test('should join three tables', () => {
+      const results = db.execute(
+        'SELECT users.name, posts.title, comments.body FROM users ' +
+        'JOIN posts ON users.id = posts.user_id ' +
+        'JOIN comments ON comments.post_id = posts.id ORDER BY comments.id'
+      );
+      expect(results).toEqual([
+        { 'users.name': 'Alice', 'posts.title': 'Hello', 'comments.body': 'Nice' },
+        { 'users.name': 'Alice', 'posts.title': 'Hello', 'comments.body': 'Great' }
+      ]);
+    });
+
+    test('should use primary key indexes on the joined side', () => {
+      const results = db.execute(
+        'SELECT comments.body, users.name FROM comments ' +
+        'JOIN posts ON comments.post_id = posts.id ' +
+        'JOIN users ON posts.user_id = users.id'
+      );
+      expect(results).toEqual([
+        { 'comments.body': 'Nice', 'users.name': 'Alice' },
+        { 'comments.body': 'Great', 'users.name': 'Alice' }
+      ]);
+    });
+
+    test('should mix join types in a chain', () => {
+      const results = db.execute(
+        'SELECT users.name, posts.title, COUNT(comments.id) FROM users ' +
+        'LEFT JOIN posts ON users.id = posts.user_id ' +
+        'LEFT JOIN comments ON posts.id = comments.post_id ' +
+        'GROUP BY users.name, posts.title'
+      );
+      expect(results).toEqual([
+        { 'users.name': 'Alice', 'posts.title': 'Hello', 'COUNT(comments.id)': 2 },
+        { 'users.name': 'Alice', 'posts.title': 'Again', 'COUNT(comments.id)': 0 },
+        { 'users.name': 'Bob', 'posts.title': null, 'COUNT(comments.id)': 0 }
+      ]);
+    });
+
+    test('should pad every earlier table for unmatched RIGHT JOIN rows', () => {
+      db.execute("INSERT INTO comments (id, post_id, body) VALUES (3, 7, 'Lost')");
+
+      const results = db.execute(
+        'SELECT users.name, posts.title, comments.body FROM users ' +
+        'JOIN posts ON users.id = posts.user_id ' +
+        'RIGHT JOIN comments ON posts.id = comments.post_id WHERE comments.id = 3'
+      );
+      expect(results).toEqual([{ 'users.name': null, 'posts.title': null, 'comments.body': 'Lost' }]);
+    });
+  });
+
+  describe('aliases', () => {
+    beforeEach(() => {
+      db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT, manager_id INT)");
+      db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)");
+      db.execute("INSERT INTO users (id, name, manager_id) VALUES (1, 'Alice', NULL)");
+      db.execute("INSERT INTO users (id, name, manager_id) VALUES (2, 'Bob', 1)");
+      db.execute("INSERT INTO posts (id, user_id, title) VALUES (1, 2, 'Hello')");
+    });
+
+    test('should name output columns after AS aliases', () => {
+      const results = db.execute(
+        'SELECT u.name AS author, p.title FROM users u JOIN posts p ON u.id = p.user_id'
+      );
+      expect(results).toEqual([{ author: 'Bob', 'p.title': 'Hello' }]);
+    });
+
+    test('should use a table alias on a single-table SELECT', () => {
+      const results = db.execute("SELECT u.id AS user_key FROM users AS u WHERE u.name = 'Bob'");
+      expect(results).toEqual([{ user_key: 2 }]);
+      expect(() => db.execute("SELECT * FROM users u WHERE users.id = 1")).toThrow('not found');
+    });
+
+    test('should key joined rows by table alias in self-joins', () => {
+      const results = db.execute(
+        'SELECT e.name AS employee, m.name AS manager FROM users e LEFT JOIN users m ON e.manager_id = m.id ORDER BY employee'
+      );
+      expect(results).toEqual([
+        { employee: 'Alice', manager: null },
+        { employee: 'Bob', manager: 'Alice' }
+      ]);
+
+      const all = db.execute('SELECT * FROM users e JOIN users m ON e.manager_id = m.id');
+      expect(Object.keys(all[0])).toEqual([
+        'e.id', 'e.name', 'e.manager_id', 'm.id', 'm.name', 'm.manager_id'
+      ]);
+    });
+
+    test('should reject duplicate or ambiguous table references', () => {
+      expect(() => db.execute('SELECT * FROM users JOIN users ON users.id = users.manager_id'))
+        .toThrow('specified more than once');
+      expect(() => db.execute('SELECT name FROM users e JOIN users m ON e.manager_id = m.id'))
+        .toThrow('ambiguous');
+    });
+
+    test('should reject result columns with the same name', () => {
+      expect(() => db.execute('SELECT COUNT(*), COUNT(*) FROM users')).toThrow('Result column "COUNT(*)" is named more than once');
+      expect(() => db.execute('SELECT e.id AS x, m.id AS x FROM users e JOIN users m ON e.manager_id = m.id'))
+        .toThrow('Result column "x" is named more than once');
+      expect(db.execute('SELECT e.id AS x, m.id AS y FROM users e JOIN users m ON e.manager_id = m.id')).toEqual([{ x: 2, y: 1 }]);
+    });
+
+    test('should alias aggregates', () => {
+      const results = db.execute(
+        'SELECT u.name, COUNT(p.id) AS posts FROM users u LEFT JOIN posts p ON u.id = p.user_id GROUP BY u.name ORDER BY posts DESC'
+      );
+      expect(results).toEqual([
+        { 'u.name': 'Bob', posts: 1 },
+        { 'u.name': 'Alice', posts: 0 }
+      ]);
+    });
+  });
+
+  describe('subqueries', () => {
+    beforeEach(() => {
+      db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT, age INT)");
+      db.execute("CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, views INT)");
+      db.execute("INSERT INTO users (id, name, age) VALUES (1, 'Alice', 30)");
+      db.execute("INSERT INTO users (id, name, age) VALUES (2, 'Bob', 25)");
+      db.execute("INSERT INTO users (id, name, age) VALUES (3, 'Charlie', 35)");
+      db.execute("INSERT INTO posts (id, user_id, views) VALUES (1, 1, 10)");
+      db.execute("INSERT INTO posts (id, user_id, views) VALUES (2, 1, 50)");
+      db.execute("INSERT INTO posts (id, user_id, views) VALUES (3, 2, 5)");
+    });
+
+    test('should filter with IN and NOT IN subqueries', () => {
+      const authors = db.execute('SELECT name FROM users WHERE id IN (SELECT user_id FROM posts) ORDER BY id');
+      expect(authors).toEqual([{ name: 'Alice' }, { name: 'Bob' }]);
+
+      const others = db.execute('SELECT name FROM users WHERE id NOT IN (SELECT user_id FROM posts WHERE views > 20)');
+      expect(others).toEqual([{ name: 'Bob' }, { name: 'Charlie' }]);
+    });
+
+    test('should filter with correlated EXISTS', () => {
+      const results = db.execute(
+        'SELECT u.name FROM users u WHERE NOT EXISTS (SELECT * FROM posts p WHERE p.user_id = u.id)'
+      );
+      expect(results).toEqual([{ 'u.name': 'Charlie' }]);
+    });
+
+    test('should compare against scalar subqueries', () => {
+      const results = db.execute('SELECT name FROM users WHERE age > (SELECT AVG(age) FROM users)');
+      expect(results).toEqual([{ name: 'Charlie' }]);
+
+      const popular = db.execute(
+        'SELECT name FROM users u WHERE (SELECT SUM(views) FROM posts WHERE user_id = u.id) >= 10'
+      );
+      expect(popular).toEqual([{ name: 'Alice' }]);
+    });
+
+    test('should select correlated scalar subqueries', () => {
+      const results = db.execute(
+        'SELECT name, (SELECT COUNT(*) FROM posts WHERE posts.user_id = users.id) AS post_count FROM users ORDER BY post_count DESC, name'
+      );
+      expect(results).toEqual([
+        { name: 'Alice', post_count: 2 },
+        { name: 'Bob', post_count: 1 },
+        { name: 'Charlie', post_count: 0 }
+      ]);
+
+      const top = db.execute('SELECT (SELECT MAX(views) FROM posts) FROM users WHERE id = 1');
+      expect(top).toEqual([{ '?column?': 50 }]);
+    });
+
+    test('should resolve references to enclosing queries through nested subqueries', () => {
+      db.execute("CREATE TABLE likes (post_id INT, user_id INT)");
+      db.execute("INSERT INTO likes (post_id, user_id) VALUES (3, 1)");
+
+      // Users who liked a post of someone else (the innermost query reads u.id)
+      const results = db.execute(
+        'SELECT u.name FROM users u WHERE EXISTS (SELECT * FROM posts p WHERE p.user_id != u.id AND EXISTS (SELECT * FROM likes l WHERE l.post_id = p.id AND l.user_id = u.id))'
+      );
+      expect(results).toEqual([{ 'u.name': 'Alice' }]);
+    });
+
+    test('should use subqueries in UPDATE and DELETE', () => {
+      db.execute('UPDATE users SET age = 0 WHERE NOT EXISTS (SELECT * FROM posts WHERE posts.user_id = users.id)');
+      expect(db.execute('SELECT age FROM users WHERE id = 3')).toEqual([{ age: 0 }]);
+
+      // The subquery reads posts as it was before the statement started
+      db.execute('DELETE FROM posts WHERE views < (SELECT MAX(views) FROM posts)');
+      expect(db.execute('SELECT id FROM posts')).toEqual([{ id: 2 }]);
+    });
+
+    test('should reject subqueries with the wrong shape', () => {
+      expect(() => db.execute('SELECT name FROM users WHERE id = (SELECT user_id FROM posts)'))
+        .toThrow('Scalar subquery returned more than one row');
+      expect(() => db.execute('SELECT name FROM users WHERE id IN (SELECT * FROM posts)'))
+        .toThrow('Subquery must return exactly one column');
+      expect(() => db.execute('SELECT name FROM users WHERE id IN (SELECT missing FROM posts)'))
+        .toThrow('Column "missing" not found');
+    });
+  });
+
+  describe('multi-row inserts', () => {
+    beforeEach(() => {
+      db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT, email TEXT UNIQUE)");
+      db.execute("CREATE TABLE archive (id INT PRIMARY KEY, name TEXT)");
+    });
+
+    test('should insert several VALUES tuples', () => {
+      const result = db.execute(
+        "INSERT INTO users (id, name, email) VALUES (1, 'Alice', 'a@x.com'), (2, 'Bob', 'b@x.com'), (3, 'O''Brien', 'o@x.com')"
+      );
+      expect(result.message).toBe('3 rows inserted successfully');
+      expect(result.rows.map(row => row.id)).toEqual([1, 2, 3]);
+      expect(db.execute('SELECT name FROM users WHERE id = 3')).toEqual([{ name: "O'Brien" }]);
+    });
+
+    test('should insert the rows of a SELECT', () => {
+      db.execute("INSERT INTO users VALUES (1, 'Alice', 'a@x.com'), (2, 'Bob', 'b@x.com')");
+
+      const result = db.execute('INSERT INTO archive (id, name) SELECT id, name FROM users WHERE id > 1');
+      expect(result.row).toEqual({ id: 2, name: 'Bob' });
+
+      db.execute('INSERT INTO archive SELECT id, name FROM users WHERE id = 1');
+      expect(db.execute('SELECT * FROM archive ORDER BY id')).toEqual([
+        { id: 1, name: 'Alice' },
+        { id: 2, name: 'Bob' }
+      ]);
+
+      expect(() => db.execute('INSERT INTO archive (id) SELECT id, name FROM users'))
+        .toThrow('Column count mismatch');
+    });
+
+    test('should insert nothing when any row fails', () => {
+      db.execute("INSERT INTO users VALUES (1, 'Alice', 'a@x.com')");
+
+      const tuples = [];
+      for (let i = 2; i <= 60; i++) {
+        // Row 50 reuses Alice's email
+        tuples.push(`(${i}, 'User ${i}', '${i === 50 ? 'a' : `u${i}`}@x.com')`);
+      }
+      expect(() => db.execute(`INSERT INTO users VALUES ${tuples.join(', ')}`))
+        .toThrow('Duplicate UNIQUE value');
+
+      expect(db.execute('SELECT COUNT(*) FROM users')).toEqual([{ 'COUNT(*)': 1 }]);
+      expect(db.execute('SELECT * FROM users WHERE id = 2')).toEqual([]);
+    });
+  });
+
+  describe('upserts', () => {
+    beforeEach(() => {
+      db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT, email TEXT UNIQUE, visits INT)");
+      db.execute("INSERT INTO users VALUES (1, 'Alice', 'a@x.com', 1), (2, 'Bob', 'b@x.com', 1)");
+    });
+
+    test('should skip conflicting rows with DO NOTHING', () => {
+      const result = db.execute(
+        "INSERT INTO users VALUES (2, 'Robert', 'r@x.com', 0), (3, 'Carol', 'c@x.com', 0) ON CONFLICT (id) DO NOTHING"
+      );
+      expect(result.row.name).toBe('Carol');
+
+      // Without a target any PRIMARY KEY or UNIQUE conflict is skipped
+      db.execute("INSERT INTO users VALUES (4, 'Alias', 'a@x.com', 0) ON CONFLICT DO NOTHING");
+      expect(db.execute('SELECT id, name FROM users ORDER BY id')).toEqual([
+        { id: 1, name: 'Alice' },
+        { id: 2, name: 'Bob' },
+        { id: 3, name: 'Carol' }
+      ]);
+    });
+
+    test('should insert rows whose conflict target is NULL', () => {
+      // NULL never conflicts, so the row is inserted rather than skipped
+      db.execute("INSERT INTO users VALUES (3, 'Carol', NULL, 0) ON CONFLICT (email) DO NOTHING");
+      db.execute("INSERT INTO users VALUES (4, 'Dan', NULL, 0) ON CONFLICT (email) DO NOTHING");
+      db.execute("INSERT INTO users VALUES (5, 'Eve', NULL, 0) ON CONFLICT (email) DO UPDATE SET visits = 9");
+      expect(db.execute('SELECT id, visits FROM users WHERE email IS NULL ORDER BY id')).toEqual([
+        { id: 3, visits: 0 },
+        { id: 4, visits: 0 },
+        { id: 5, visits: 0 }
+      ]);
+    });
+
+    test('should update the existing row with DO UPDATE', () => {
+      const result = db.execute(
+        "INSERT INTO users VALUES (1, 'Alicia', 'a@x.com', 1), (5, 'Eve', 'e@x.com', 1) ON CONFLICT (id) DO UPDATE SET name = excluded.name, visits = visits"
+      );
+      expect(result.rows).toEqual([
+        { id: 1, name: 'Alicia', email: 'a@x.com', visits: 1 },
+        { id: 5, name: 'Eve', email: 'e@x.com', visits: 1 }
+      ]);
+
+      // Conflicts on the UNIQUE column resolve to the row holding that value
+      db.execute("INSERT INTO users VALUES (9, 'B', 'b@x.com', 7) ON CONFLICT (email) DO UPDATE SET visits = excluded.visits");
+      expect(db.execute("SELECT id, visits FROM users WHERE email = 'b@x.com'")).toEqual([{ id: 2, visits: 7 }]);
+    });
+
+    test('should roll back updates when a later row fails', () => {
+      expect(() => db.execute(
+        "INSERT INTO users VALUES (1, 'Changed', 'a@x.com', 5), (3, 'Dup', 'b@x.com', 0) ON CONFLICT (id) DO UPDATE SET name = excluded.name"
+      )).toThrow('Duplicate UNIQUE value');
+
+      expect(db.execute('SELECT name FROM users WHERE id = 1')).toEqual([{ name: 'Alice' }]);
+      expect(db.execute('SELECT COUNT(*) AS n FROM users')).toEqual([{ n: 2 }]);
+    });
+
+    test('should reject invalid conflict targets and repeated updates', () => {
+      expect(() => db.execute("INSERT INTO users VALUES (1, 'A', 'a@x.com', 1) ON CONFLICT (name) DO NOTHING"))
+        .toThrow('has no PRIMARY KEY or UNIQUE constraint');
+      expect(() => db.execute("INSERT INTO users VALUES (1, 'A', 'a@x.com', 1) ON CONFLICT DO UPDATE SET name = 'x'"))
+        .toThrow('requires a conflict target');
+      expect(() => db.execute(
+        "INSERT INTO users VALUES (1, 'A', 'a@x.com', 1), (1, 'B', 'a@x.com', 1) ON CONFLICT (id) DO UPDATE SET name = excluded.name"
+      )).toThrow('cannot affect the same row twice');
+      expect(db.execute('SELECT name FROM users WHERE id = 1')).toEqual([{ name: 'Alice' }]);
+    });
+  });
+
+  describe('RETURNING', () => {
+    beforeEach(() => {
+      db.execute("CREATE TABLE users (id INT PRIMARY KEY, name TEXT, email TEXT UNIQUE)");
+      db.execute("INSERT INTO users VALUES (1, 'Alice', 'a@x.com'), (2, 'Bob', 'b@x.com')");
+    });
+
+    test('should return inserted rows', () => {
+      expect(db.execute("INSERT INTO users VALUES (3, 'Carol', 'c@x.com') RETURNING *"))
+        .toEqual([{ id: 3, name: 'Carol', email: 'c@x.com' }]);
+
+      // Rows skipped by ON CONFLICT DO NOTHING are not returned
+      expect(db.execute(
+        "INSERT INTO users VALUES (3, 'Again', 'z@x.com'), (4, 'Dan', 'd@x.com') ON CONFLICT (id) DO NOTHING RETURNING id"
+      )).toEqual([{ id: 4 }]);
+    });
+
+    test('should return updated rows with their new values', () => {
+      expect(db.execute("UPDATE users SET name = 'Robert' WHERE id = 2 RETURNING id, name AS new_name"))
+        .toEqual([{ id: 2, new_name: 'Robert' }]);
+      expect(db.execute("UPDATE users SET name = 'Nobody' WHERE id = 9 RETURNING *")).toEqual([]);
+      expect(db.execute("UPDATE users SET name = 'Al' WHERE id = 1")).toEqual({ message: '1 row(s) updated' });
+    });
+
+    test('should return deleted rows', () => {
+      expect(db.execute('DELETE FROM users WHERE id >= 1 RETURNING name')).toEqual([
+        { name: 'Alice' },
+        { name: 'Bob' }
+      ]);
+      expect(db.execute('SELECT * FROM users')).toEqual([]);
+    });
+
+    test('should reject bad RETURNING lists before changing anything', () => {
+      expect(() => db.execute("UPDATE users SET name = 'X' WHERE id = 1 RETURNING missing"))
+        .toThrow('Column "missing" not found');
+      expect(() => db.execute('DELETE FROM users WHERE id = 1 RETURNING COUNT(*)'))
+        .toThrow('not allowed in RETURNING');
+      expect(() => db.execute("UPDATE users SET name = 'X' WHERE id = 1 RETURNING id, name AS id"))
+        .toThrow('Result column "id" is named more than once');
+      expect(db.execute('SELECT name FROM users WHERE id = 1')).toEqual([{ name: 'Alice' }]);
+    });
+  });
+
+  describe('expressions', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE items (id INT PRIMARY KEY, name TEXT, price INT, qty INT, created_at INT, updated_at INT)');
+      db.execute("INSERT INTO items VALUES (1, 'pen', 3, 10, 1, 5), (2, 'ink', 20, 2 * 2, 4, 2), (3, 'pad', 7, 1 + 1, 3, 3)");
+    });
+
+    test('should compute expressions in the select list', () => {
+      expect(db.execute("SELECT id, price * qty, name || '!' AS shout FROM items WHERE id = 1"))
+        .toEqual([{ id: 1, 'price * qty': 30, shout: 'pen!' }]);
+      expect(db.execute('SELECT (price + 1) * 2 AS x, 7 / 2 AS half, -price AS neg FROM items WHERE id = 3'))
+        .toEqual([{ x: 16, half: 3, neg: -7 }]);
+    });
+
+    test('should type number literals as written', () => {
+      expect(db.execute('SELECT 7 / 2, 7.0 / 2, -7.0 / 2, 1e1 / 4 AS e FROM items WHERE id = 1'))
+        .toEqual([{ '7 / 2': 3, '7.0 / 2': 3.5, '-7.0 / 2': -3.5, e: 2.5 }]);
+      expect(db.execute('SELECT id FROM items WHERE price / 2.0 = 1.5')).toEqual([{ id: 1 }]);
+    });
+
+    test('should compare expressions and columns in WHERE and ORDER BY', () => {
+      expect(db.execute('SELECT id FROM items WHERE updated_at > created_at')).toEqual([{ id: 1 }]);
+      expect(db.execute('SELECT id FROM items WHERE price * qty >= 14 ORDER BY price * qty DESC'))
+        .toEqual([{ id: 2 }, { id: 1 }, { id: 3 }]);
+    });
+
+    test('should update rows from their current values', () => {
+      db.execute('UPDATE items SET qty = qty + 1, price = price * qty WHERE id <= 2');
+      expect(db.execute('SELECT id, price, qty FROM items')).toEqual([
+        { id: 1, price: 30, qty: 11 },
+        { id: 2, price: 80, qty: 5 },
+        { id: 3, price: 7, qty: 2 }
+      ]);
+    });
+
+    test('should aggregate expressions', () => {
+      expect(db.execute('SELECT SUM(price * qty) AS revenue, COUNT(*) + 1 AS n FROM items'))
+        .toEqual([{ revenue: 124, n: 4 }]);
+    });
+
+    test('should propagate NULL and reject invalid operands', () => {
+      db.execute("INSERT INTO items (id, name) VALUES (4, 'tbd')");
+      expect(db.execute('SELECT price * 2 AS p, name || NULL AS n FROM items WHERE id = 4'))
+        .toEqual([{ p: null, n: null }]);
+      expect(() => db.execute('SELECT name + 1 FROM items')).toThrow('requires numbers');
+      expect(() => db.execute('SELECT price / 0 FROM items')).toThrow('Division by zero');
+      expect(() => db.execute('UPDATE items SET qty = missing + 1 WHERE id = 1')).toThrow('Column "missing" not found');
+      expect(() => db.execute('INSERT INTO items (id, qty) VALUES (5, qty)')).toThrow('cannot be used in VALUES');
+    });
+  });
+
+  describe('predicates and NULL logic', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE people (id INT PRIMARY KEY, name TEXT, age INT, manager_id INT)');
+      db.execute(`INSERT INTO people VALUES
+        (1, 'Alice', 30, NULL), (2, 'alan', 25, 1), (3, 'Bob', NULL, 1), (4, 'Beth_2', 41, 2)`);
+    });
+
+    const ids = rows => rows.map(row => row.id);
+
+    test('should match LIKE and ILIKE patterns', () => {
+      expect(ids(db.execute("SELECT id FROM people WHERE name LIKE 'Al%'"))).toEqual([1]);
+      expect(ids(db.execute("SELECT id FROM people WHERE name ILIKE 'al%'"))).toEqual([1, 2]);
+      expect(ids(db.execute("SELECT id FROM people WHERE name LIKE '_ob'"))).toEqual([3]);
+      expect(ids(db.execute("SELECT id FROM people WHERE name LIKE '%\\_2'"))).toEqual([4]);
+      expect(ids(db.execute("SELECT id FROM people WHERE name NOT LIKE '%l%'"))).toEqual([3, 4]);
+      expect(() => db.execute("SELECT id FROM people WHERE age LIKE '3%'")).toThrow('requires text');
+    });
+
+    test('should match IN lists and BETWEEN ranges', () => {
+      expect(ids(db.execute('SELECT id FROM people WHERE id IN (4, 2, 9)'))).toEqual([2, 4]);
+      expect(ids(db.execute('SELECT id FROM people WHERE age BETWEEN 25 AND 30 + 1'))).toEqual([1, 2]);
+      expect(ids(db.execute('SELECT id FROM people WHERE age NOT BETWEEN 25 AND 30'))).toEqual([4]);
+    });
+
+    test('should test for NULL with IS [NOT] NULL', () => {
+      expect(ids(db.execute('SELECT id FROM people WHERE age IS NULL'))).toEqual([3]);
+      expect(ids(db.execute('SELECT id FROM people WHERE manager_id IS NOT NULL'))).toEqual([2, 3, 4]);
+      expect(db.execute('SELECT id FROM people WHERE age = NULL OR age != NULL')).toEqual([]);
+    });
+
+    test('should apply three-valued logic to NOT, AND, OR and NOT IN', () => {
+      // Bob's age is NULL: age > 28 is unknown, and so is its negation
+      expect(ids(db.execute('SELECT id FROM people WHERE NOT age > 28'))).toEqual([2]);
+      expect(ids(db.execute('SELECT id FROM people WHERE age > 28 OR id = 3'))).toEqual([1, 3, 4]);
+      expect(ids(db.execute('SELECT id FROM people WHERE id NOT IN (1, NULL)'))).toEqual([]);
+      expect(ids(db.execute('SELECT id FROM people WHERE manager_id NOT IN (SELECT id FROM people WHERE id > 1)')))
+        .toEqual([2, 3]);
+    });
+
+    test('should use three-valued logic in UPDATE and DELETE', () => {
+      expect(db.execute('UPDATE people SET age = 0 WHERE age < 35')).toEqual({ message: '2 row(s) updated' });
+      expect(db.execute('DELETE FROM people WHERE NOT (age >= 1)')).toEqual({ message: '2 row(s) deleted' });
+      expect(ids(db.execute('SELECT id FROM people'))).toEqual([3, 4]);
+    });
+  });
+
+  describe('built-in functions', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE people (id INT PRIMARY KEY, name TEXT, score INT)');
+      db.execute("INSERT INTO people VALUES (1, '  Alice ', 10), (2, 'bob', NULL), (3, NULL, -7)");
+    });
+
+    test('should apply string functions', () => {
+      expect(db.execute(
+        "SELECT UPPER(TRIM(name)) AS up, LENGTH(name) AS len, SUBSTR(TRIM(name), 2, 3) AS sub, REPLACE(name, 'b', 'B') AS rep FROM people"
+      )).toEqual([
+        { up: 'ALICE', len: 8, sub: 'lic', rep: '  Alice ' },
+        { up: 'BOB', len: 3, sub: 'ob', rep: 'BoB' },
+        { up: null, len: null, sub: null, rep: null }
+      ]);
+      expect(db.execute("SELECT id FROM people WHERE LOWER(name) LIKE '%ali%'")).toEqual([{ id: 1 }]);
+    });
+
+    test('should apply NULL handling and numeric functions', () => {
+      expect(db.execute('SELECT COALESCE(score, 0) AS s, NULLIF(score, 10) AS n, ABS(score) AS a, ROUND(score / 2) AS r FROM people'))
+        .toEqual([
+          { s: 10, n: null, a: 10, r: 5 },
+          { s: 0, n: null, a: null, r: null },
+          { s: -7, n: -7, a: 7, r: -3 }
+        ]);
+      expect(db.execute('SELECT ROUND(AVG(score), 1) AS avg FROM people')).toEqual([{ avg: 1.5 }]);
+    });
+
+    test('should evaluate CAST and CASE', () => {
+      expect(db.execute(
+        "SELECT CAST(score AS TEXT) AS s, CASE WHEN score > 0 THEN 'pos' WHEN score < 0 THEN 'neg' END AS sign, CASE id WHEN 1 THEN 'one' ELSE 'other' END AS word FROM people"
+      )).toEqual([
+        { s: '10', sign: 'pos', word: 'one' },
+        { s: null, sign: null, word: 'other' },
+        { s: '-7', sign: 'neg', word: 'other' }
+      ]);
+      expect(() => db.execute("SELECT CAST(name AS INT) FROM people")).toThrow('Cannot convert');
+    });
+
+    test('should use functions in SET and check column types before running', () => {
+      db.execute('UPDATE people SET name = UPPER(name), score = COALESCE(score, 0) + 1 WHERE id = 2');
+      expect(db.execute('SELECT name, score FROM people WHERE id = 2')).toEqual([{ name: 'BOB', score: 1 }]);
+
+      expect(() => db.execute('SELECT UPPER(score) FROM people')).toThrow('expects TEXT for argument 1, got INT');
+      expect(() => db.execute("SELECT COALESCE(score, 'none') FROM people")).toThrow('cannot be matched');
+      expect(() => db.execute('UPDATE people SET name = LOWER(score) WHERE id = 1')).toThrow('expects TEXT');
+      expect(db.execute('SELECT name FROM people WHERE id = 1')).toEqual([{ name: '  Alice ' }]);
+    });
+  });
+
+  describe('DISTINCT and set operations', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE customers (id INT PRIMARY KEY, city TEXT)');
+      db.execute('CREATE TABLE suppliers (id INT PRIMARY KEY, city TEXT)');
+      db.execute("INSERT INTO customers VALUES (1, 'Oslo'), (2, 'Rome'), (3, 'Oslo'), (4, NULL), (5, NULL)");
+      db.execute("INSERT INTO suppliers VALUES (1, 'Rome'), (2, 'Lima'), (3, 'Rome')");
+    });
+
+    const cities = rows => rows.map(row => row.city);
+
+    test('should remove duplicate rows with DISTINCT before paging', () => {
+      expect(cities(db.execute('SELECT DISTINCT city FROM customers ORDER BY city'))).toEqual(['Oslo', 'Rome', null]);
+      expect(cities(db.execute('SELECT DISTINCT city FROM customers ORDER BY city LIMIT 2 OFFSET 1'))).toEqual(['Rome', null]);
+    });
+
+    test('should combine results with UNION and UNION ALL', () => {
+      expect(cities(db.execute('SELECT city FROM customers UNION SELECT city FROM suppliers ORDER BY city')))
+        .toEqual(['Lima', 'Oslo', 'Rome', null]);
+      expect(db.execute('SELECT city FROM customers UNION ALL SELECT city FROM suppliers')).toHaveLength(8);
+    });
+
+    test('should apply INTERSECT and EXCEPT, keeping duplicates with ALL', () => {
+      expect(cities(db.execute('SELECT city FROM customers INTERSECT SELECT city FROM suppliers'))).toEqual(['Rome']);
+      expect(cities(db.execute('SELECT city FROM customers EXCEPT SELECT city FROM suppliers'))).toEqual(['Oslo', null]);
+      expect(cities(db.execute('SELECT city FROM suppliers EXCEPT ALL SELECT city FROM customers')))
+        .toEqual(['Lima', 'Rome']);
+    });
+
+    test('should use set operations in subqueries and INSERT ... SELECT', () => {
+      expect(db.execute(
+        "SELECT id FROM customers WHERE city IN (SELECT city FROM suppliers WHERE id = 1 UNION SELECT 'Oslo' FROM suppliers)"
+      )).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+      db.execute('CREATE TABLE places (name TEXT)');
+      db.execute('INSERT INTO places SELECT city FROM customers WHERE id < 3 UNION SELECT city FROM suppliers');
+      expect(db.execute('SELECT name FROM places ORDER BY name')).toEqual([{ name: 'Lima' }, { name: 'Oslo' }, { name: 'Rome' }]);
+    });
+
+    test('should reject queries with different result shapes', () => {
+      expect(() => db.execute('SELECT id, city FROM customers UNION SELECT city FROM suppliers'))
+        .toThrow('Each UNION query must have the same number of columns: left query has 2, right query has 1');
+      expect(() => db.execute('SELECT id FROM customers EXCEPT SELECT city FROM suppliers'))
+        .toThrow('EXCEPT types INT and TEXT cannot be matched');
+      expect(() => db.execute('SELECT city FROM customers UNION SELECT city FROM suppliers ORDER BY id'))
+        .toThrow('ORDER BY term "id" must name a column of the UNION result');
+    });
+  });
+
+  describe('common table expressions', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE categories (id INT PRIMARY KEY, name TEXT, parent_id INT)');
+      db.execute(`INSERT INTO categories VALUES
+        (1, 'root', NULL), (2, 'books', 1), (3, 'music', 1), (4, 'novels', 2), (5, 'poetry', 4), (6, 'other', NULL)`);
+    });
+
+    test('should read CTEs as tables, including earlier CTEs', () => {
+      expect(db.execute(
+        'WITH children (cid, label) AS (SELECT id, name FROM categories WHERE parent_id = 1), ' +
+        'named AS (SELECT label FROM children WHERE cid > 2) SELECT * FROM named'
+      )).toEqual([{ label: 'music' }]);
+
+      expect(db.execute(
+        'WITH parents AS (SELECT parent_id FROM categories WHERE parent_id IS NOT NULL) ' +
+        'SELECT c.name FROM categories c JOIN parents p ON p.parent_id = c.id WHERE c.id > 1'
+      )).toEqual([{ 'c.name': 'books' }, { 'c.name': 'novels' }]);
+    });
+
+    test('should walk a hierarchy with WITH RECURSIVE', () => {
+      expect(db.execute(
+        'WITH RECURSIVE tree AS (' +
+        'SELECT id, name, 0 AS depth FROM categories WHERE id = 2 ' +
+        'UNION ALL SELECT c.id, c.name, t.depth + 1 FROM categories c JOIN tree t ON c.parent_id = t.id' +
+        ') SELECT name, depth FROM tree ORDER BY depth'
+      )).toEqual([{ name: 'books', depth: 0 }, { name: 'novels', depth: 1 }, { name: 'poetry', depth: 2 }]);
+
+      expect(db.execute(
+        'WITH RECURSIVE ancestors (id, parent) AS (' +
+        'SELECT id, parent_id FROM categories WHERE id = 5 ' +
+        'UNION SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent' +
+        ') SELECT id FROM ancestors'
+      ).map(row => row.id)).toEqual([5, 4, 2, 1]);
+    });
+
+    test('should stop runaway recursion at the iteration cap', () => {
+      db.execute('UPDATE categories SET parent_id = 5 WHERE id = 1');
+      const walk = union => db.execute(
+        `WITH RECURSIVE tree AS (SELECT id FROM categories WHERE id = 1 ${union} ` +
+        'SELECT c.id FROM categories c JOIN tree t ON c.parent_id = t.id) SELECT COUNT(*) AS n FROM tree'
+      );
+
+      expect(() => walk('UNION ALL')).toThrow(`Recursive query "tree" exceeded ${MAX_RECURSIVE_ITERATIONS} iterations`);
+      expect(walk('UNION')).toEqual([{ n: 5 }]);
+    });
+
+    test('should stop a recursive query that fans out at the row cap', () => {
+      db.execute('CREATE TABLE links (k INT)');
+      db.execute('INSERT INTO links (k) VALUES (1), (1), (1), (1)');
+
+      // Every step joins each row to all four links
+      expect(() => db.execute(
+        'WITH RECURSIVE fan AS (SELECT k FROM links UNION ALL SELECT l.k FROM fan f JOIN links l ON l.k = f.k) ' +
+        'SELECT COUNT(*) AS n FROM fan'
+      )).toThrow(`Recursive query "fan" exceeded ${MAX_RECURSIVE_ROWS} rows`);
+    });
+
+    test('should reject malformed CTEs', () => {
+      expect(() => db.execute('WITH t (a) AS (SELECT id, name FROM categories) SELECT * FROM t'))
+        .toThrow('WITH query "t" has 2 columns available but 1 columns specified');
+      expect(() => db.execute(
+        'WITH RECURSIVE t AS (SELECT id FROM t UNION SELECT id FROM categories) SELECT * FROM t'
+      )).toThrow('must have the form <non-recursive term> UNION [ALL] <recursive term>');
+      expect(() => db.execute('WITH t AS (SELECT id FROM categories) SELECT * FROM t')).not.toThrow();
+      expect(() => db.execute('SELECT * FROM t')).toThrow('Table "t" not found');
+    });
+  });
+
+  describe('window functions', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE scores (id INT PRIMARY KEY, team TEXT, player TEXT, points INT)');
+      db.execute(`INSERT INTO scores VALUES
+        (1, 'red', 'ann', 10), (2, 'red', 'bob', 30), (3, 'red', 'cat', 30),
+        (4, 'blue', 'dan', 20), (5, 'blue', 'eve', 5), (6, 'blue', 'fay', NULL)`);
+    });
+
+    test('should number and rank rows within partitions', () => {
+      expect(db.execute(
+        'SELECT player, ROW_NUMBER() OVER (PARTITION BY team ORDER BY points DESC) AS rn, ' +
+        'RANK() OVER (ORDER BY points) AS r, DENSE_RANK() OVER (ORDER BY points) AS dr FROM scores WHERE points IS NOT NULL'
+      )).toEqual([
+        { player: 'ann', rn: 3, r: 2, dr: 2 },
+        { player: 'bob', rn: 1, r: 4, dr: 4 },
+        { player: 'cat', rn: 2, r: 4, dr: 4 },
+        { player: 'dan', rn: 1, r: 3, dr: 3 },
+        { player: 'eve', rn: 2, r: 1, dr: 1 }
+      ]);
+    });
+
+    test('should read neighbouring rows with LAG and LEAD', () => {
+      expect(db.execute(
+        'SELECT id, LAG(points) OVER (ORDER BY id) AS prev, LEAD(points, 2, 0) OVER (PARTITION BY team ORDER BY id) AS ahead FROM scores'
+      )).toEqual([
+        { id: 1, prev: null, ahead: 30 },
+        { id: 2, prev: 10, ahead: 0 },
+        { id: 3, prev: 30, ahead: 0 },
+        { id: 4, prev: 30, ahead: null },
+        { id: 5, prev: 20, ahead: 0 },
+        { id: 6, prev: 5, ahead: 0 }
+      ]);
+    });
+
+    test('should compute running and partition-wide aggregates', () => {
+      expect(db.execute(
+        'SELECT id, SUM(points) OVER (ORDER BY points) AS running, SUM(points) OVER (PARTITION BY team) AS total, ' +
+        'COUNT(*) OVER () AS n FROM scores WHERE team = \'red\''
+      )).toEqual([
+        { id: 1, running: 10, total: 70, n: 3 },
+        { id: 2, running: 70, total: 70, n: 3 },
+        { id: 3, running: 70, total: 70, n: 3 }
+      ]);
+    });
+
+    test('should run after grouping and before ORDER BY and LIMIT', () => {
+      expect(db.execute(
+        'SELECT team, SUM(points) AS total, RANK() OVER (ORDER BY SUM(points) DESC) AS place FROM scores GROUP BY team ORDER BY place'
+      )).toEqual([{ team: 'red', total: 70, place: 1 }, { team: 'blue', total: 25, place: 2 }]);
+      expect(db.execute(
+        'SELECT player FROM scores WHERE points IS NOT NULL ORDER BY ROW_NUMBER() OVER (ORDER BY points DESC) LIMIT 2'
+      )).toEqual([{ player: 'bob' }, { player: 'cat' }]);
+    });
+
+    test('should reject misplaced and invalid window functions', () => {
+      expect(() => db.execute('SELECT player FROM scores WHERE RANK() OVER (ORDER BY points) = 1'))
+        .toThrow('Window function RANK() OVER (ORDER BY points) is not allowed in WHERE');
+      expect(() => db.execute('SELECT SUM(RANK() OVER ()) OVER () FROM scores')).toThrow('Window function calls cannot be nested');
+      expect(() => db.execute("SELECT LAG(points, 1, 'none') OVER () FROM scores")).toThrow('LAG types INT and TEXT cannot be matched');
+      expect(() => db.execute('SELECT SUM(player) OVER () FROM scores')).toThrow('SUM requires numeric values');
+    });
+  });
+
+  describe('schema changes', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE users (id INT PRIMARY KEY, name TEXT)');
+      db.execute("INSERT INTO users VALUES (1, 'Alice'), (2, 'Bob')");
+    });
+
+    test('should skip existing and missing tables with IF [NOT] EXISTS', () => {
+      expect(db.execute('CREATE TABLE IF NOT EXISTS users (id INT)').message).toContain('already exists, skipped');
+      expect(() => db.execute('CREATE TABLE users (id INT)')).toThrow('already exists');
+
+      expect(db.execute('DROP TABLE users').message).toBe('Table "users" dropped successfully');
+      expect(db.execute('DROP TABLE IF EXISTS users').message).toContain('does not exist, skipped');
+      expect(() => db.execute('DROP TABLE users')).toThrow('Table "users" not found');
+    });
+
+    test('should alter tables and keep the changes across sessions', async () => {
+      db.execute('ALTER TABLE users ADD COLUMN age INT');
+      db.execute('UPDATE users SET age = 30 WHERE id = 1');
+      db.execute('ALTER TABLE users RENAME COLUMN name TO full_name');
+      db.execute('ALTER TABLE users RENAME TO members');
+      expect(db.execute('SELECT * FROM members ORDER BY id')).toEqual([
+        { id: 1, full_name: 'Alice', age: 30 },
+        { id: 2, full_name: 'Bob', age: null }
+      ]);
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      db2.execute('ALTER TABLE members DROP COLUMN full_name');
+      expect(db2.execute('SELECT * FROM members WHERE id = 2')).toEqual([{ id: 2, age: null }]);
+      expect(() => db2.execute('SELECT * FROM users')).toThrow('Table "users" not found');
+    });
+
+    test('should refuse changes that would break the table', () => {
+      expect(() => db.execute('ALTER TABLE users DROP COLUMN id')).toThrow('Cannot drop PRIMARY KEY column "id"');
+      expect(() => db.execute('ALTER TABLE users ADD COLUMN code INT PRIMARY KEY')).toThrow('at most one PRIMARY KEY');
+      expect(() => db.execute('ALTER TABLE users RENAME COLUMN name TO id')).toThrow('Column "id" already exists');
+      expect(() => db.execute('ALTER TABLE users DROP COLUMN nope')).toThrow('Column "nope" not found');
+      expect(db.execute('SELECT * FROM users WHERE id = 1')).toEqual([{ id: 1, name: 'Alice' }]);
+    });
+  });
+
+  describe('secondary indexes', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE users (id INT PRIMARY KEY, name TEXT, city TEXT)');
+      db.execute('CREATE TABLE orders (id INT PRIMARY KEY, user_id INT, total INT)');
+      db.execute("INSERT INTO users VALUES (1, 'Alice', 'Paris'), (2, 'Bob', 'Rome'), (3, 'Cara', 'Paris')");
+      db.execute('INSERT INTO orders VALUES (10, 2, 5), (11, 1, 7), (12, 2, 9)');
+    });
+
+    test('should look up and join through a created index', () => {
+      expect(db.execute('CREATE INDEX idx_city ON users (city)').message).toBe('Index "idx_city" created successfully');
+      db.execute('CREATE INDEX idx_user ON orders (user_id)');
+      expect(db.database.getTable('users').indexes.city.find('Paris')).toEqual([0, 2]);
+
+      db.execute("UPDATE users SET city = 'Rome' WHERE id = 1");
+      expect(db.execute("SELECT name FROM users WHERE city = 'Rome'")).toEqual([{ name: 'Alice' }, { name: 'Bob' }]);
+      expect(db.execute('SELECT u.name, o.total FROM users u JOIN orders o ON u.id = o.user_id')).toEqual([
+        { 'u.name': 'Alice', 'o.total': 7 },
+        { 'u.name': 'Bob', 'o.total': 5 },
+        { 'u.name': 'Bob', 'o.total': 9 }
+      ]);
+    });
+
+    test('should enforce unique indexes', () => {
+      expect(() => db.execute('CREATE UNIQUE INDEX idx_city ON users (city)')).toThrow('Duplicate value');
+      expect(db.execute('SELECT * FROM users WHERE id = 3')).toHaveLength(1);
+
+      db.execute('CREATE UNIQUE INDEX idx_name ON users (name)');
+      expect(() => db.execute("INSERT INTO users VALUES (4, 'Bob', 'Oslo')")).toThrow('Duplicate UNIQUE value for column "name"');
+      expect(() => db.execute("UPDATE users SET name = 'Alice' WHERE id = 2")).toThrow('Duplicate UNIQUE value');
+      db.execute("INSERT INTO users VALUES (2, 'Bo', 'Oslo') ON CONFLICT (id) DO NOTHING");
+      db.execute("INSERT INTO users VALUES (5, 'Bob', 'Oslo') ON CONFLICT (name) DO UPDATE SET city = excluded.city");
+      expect(db.execute("SELECT city FROM users WHERE name = 'Bob'")).toEqual([{ city: 'Oslo' }]);
+    });
+
+    test('should keep index definitions across sessions and drop them', async () => {
+      db.execute('CREATE UNIQUE INDEX idx_name ON users (name)');
+      db.execute('CREATE INDEX idx_city ON users (city)');
+      expect(() => db.execute('CREATE INDEX idx_city ON orders (total)')).toThrow('Index "idx_city" already exists');
+      expect(() => db.execute('CREATE INDEX idx_other ON users (city)')).toThrow('is already indexed');
+      expect(db.execute('CREATE INDEX IF NOT EXISTS idx_city ON users (city)').message).toContain('skipped');
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      const users = db2.database.getTable('users');
+      expect(users.indexes.city.name).toBe('idx_city');
+      expect(users.indexes.city.find('Paris')).toEqual([0, 2]);
+      expect(() => db2.execute("INSERT INTO users VALUES (4, 'Alice', 'Oslo')")).toThrow('Duplicate UNIQUE value');
+
+      expect(db2.execute('DROP INDEX idx_city').message).toBe('Index "idx_city" dropped successfully');
+      expect(users.indexes.city).toBeUndefined();
+      expect(db2.execute("SELECT id FROM users WHERE city = 'Paris'")).toEqual([{ id: 1 }, { id: 3 }]);
+      expect(db2.execute('DROP INDEX IF EXISTS idx_city').message).toContain('does not exist, skipped');
+      expect(() => db2.execute('DROP INDEX idx_city')).toThrow('Index "idx_city" not found');
+    });
+
+    test('should use ordered indexes for ranges, ORDER BY and MIN/MAX', async () => {
+      db.execute('INSERT INTO orders VALUES (13, 3, NULL), (14, 1, 7)');
+      const queries = [
+        'SELECT id FROM orders WHERE total > 5 AND total <= 9',
+        'SELECT id FROM orders WHERE total BETWEEN 6 AND 7',
+        'SELECT id, total FROM orders ORDER BY total DESC',
+        'SELECT id FROM orders WHERE user_id = 1 ORDER BY total',
+        'SELECT MIN(total), MAX(total) FROM orders'
+      ];
+      const unindexed = queries.map(sql => db.execute(sql));
+
+      db.execute('CREATE INDEX idx_total ON orders USING BTREE (total)');
+      const index = db.database.getTable('orders').indexes.total;
+      const range = jest.spyOn(index, 'range');
+      const scan = jest.spyOn(index, 'scan');
+
+      expect(queries.map(sql => db.execute(sql))).toEqual(unindexed);
+      expect(unindexed[2]).toEqual([
+        { id: 13, total: null }, { id: 12, total: 9 }, { id: 11, total: 7 }, { id: 14, total: 7 }, { id: 10, total: 5 }
+      ]);
+      expect(unindexed[4]).toEqual([{ 'MIN(total)': 5, 'MAX(total)': 9 }]);
+      expect(range).toHaveBeenCalledTimes(3);
+      expect(scan).toHaveBeenCalledTimes(2);
+
+      await db.save();
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      expect(db2.database.getTable('orders').indexes.total.ordered).toBe(true);
+      expect(db2.execute('SELECT id FROM orders WHERE total < 7')).toEqual([{ id: 10 }]);
+    });
+
+    test('should let an ordered index replace the PRIMARY KEY index', async () => {
+      expect(() => db.execute('CREATE INDEX idx_id ON orders (id)')).toThrow('is already indexed');
+      db.execute('CREATE INDEX idx_id ON orders USING BTREE (id)');
+      const index = db.database.getTable('orders').indexes.id;
+      expect(index).toMatchObject({ name: 'idx_id', ordered: true, isPrimaryKey: true });
+      const range = jest.spyOn(index, 'range');
+      const scan = jest.spyOn(index, 'scan');
+
+      expect(db.execute('SELECT id FROM orders WHERE id > 10 ORDER BY id DESC')).toEqual([{ id: 12 }, { id: 11 }]);
+      expect(db.execute('SELECT id FROM orders ORDER BY id DESC LIMIT 2')).toEqual([{ id: 12 }, { id: 11 }]);
+      expect(db.execute('SELECT MAX(id) AS top FROM orders')).toEqual([{ top: 12 }]);
+      expect(range).toHaveBeenCalled();
+      expect(scan).toHaveBeenCalled();
+      expect(() => db.execute('INSERT INTO orders VALUES (10, 1, 1)')).toThrow('Duplicate PRIMARY KEY value: 10');
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      const orders = db2.database.getTable('orders');
+      expect(orders.indexes.id).toMatchObject({ name: 'idx_id', ordered: true, isPrimaryKey: true });
+      db2.execute('DROP INDEX idx_id');
+      expect(orders.indexes.id).toMatchObject({ name: null, ordered: false, isPrimaryKey: true });
+      expect(() => db2.execute('INSERT INTO orders VALUES (10, 1, 1)')).toThrow('Duplicate PRIMARY KEY value: 10');
+    });
+  });
+
+  describe('multi-column keys', () => {
+    beforeEach(() => {
+      db.execute(
+        'CREATE TABLE members (user_id INT, group_id INT, role TEXT, email TEXT, PRIMARY KEY (user_id, group_id), UNIQUE (group_id, email))'
+      );
+      db.execute("INSERT INTO members VALUES (1, 10, 'admin', 'a@x'), (1, 11, 'user', 'a@x'), (2, 10, 'user', 'b@x')");
+    });
+
+    test('should enforce composite PRIMARY KEY and UNIQUE constraints', () => {
+      expect(() => db.execute("INSERT INTO members VALUES (1, 10, 'user', 'c@x')")).toThrow('Duplicate PRIMARY KEY value: (1, 10)');
+      expect(() => db.execute("INSERT INTO members VALUES (3, 10, 'user', 'a@x')"))
+        .toThrow('Duplicate UNIQUE value for columns (group_id, email): (10, a@x)');
+      expect(() => db.execute("INSERT INTO members (user_id, role) VALUES (3, 'user')")).toThrow('group_id');
+      expect(() => db.execute("INSERT INTO members VALUES (3, NULL, 'user', 'c@x')"))
+        .toThrow('NULL value in column "group_id" violates NOT NULL constraint');
+      expect(() => db.execute('INSERT INTO members (user_id, group_id) VALUES (NULL, NULL)')).toThrow('violates NOT NULL constraint');
+      expect(() => db.execute('UPDATE members SET user_id = NULL WHERE user_id = 2')).toThrow('violates NOT NULL constraint');
+      expect(() => db.execute('UPDATE members SET group_id = 10 WHERE user_id = 1 AND group_id = 11')).toThrow('Duplicate PRIMARY KEY value');
+
+      db.execute('UPDATE members SET group_id = 12 WHERE user_id = 1 AND group_id = 11');
+      db.execute("INSERT INTO members VALUES (2, 10, 'admin', 'b@x') ON CONFLICT (group_id, user_id) DO UPDATE SET role = excluded.role");
+      expect(() => db.execute("INSERT INTO members VALUES (2, 10, 'x', 'b@x') ON CONFLICT (user_id) DO NOTHING"))
+        .toThrow('ON CONFLICT column "user_id" has no PRIMARY KEY or UNIQUE constraint');
+      expect(db.execute('SELECT user_id, group_id, role FROM members ORDER BY user_id, group_id')).toEqual([
+        { user_id: 1, group_id: 10, role: 'admin' },
+        { user_id: 1, group_id: 12, role: 'user' },
+        { user_id: 2, group_id: 10, role: 'admin' }
+      ]);
+    });
+
+    test('should let keys holding NULL repeat under UNIQUE', () => {
+      db.execute("INSERT INTO members VALUES (3, 10, 'user', NULL), (4, 10, 'user', NULL)");
+      db.execute("UPDATE members SET email = NULL WHERE user_id = 2");
+      expect(() => db.execute("UPDATE members SET email = 'a@x' WHERE user_id = 3"))
+        .toThrow('Duplicate UNIQUE value for columns (group_id, email): (10, a@x)');
+      expect(db.execute('SELECT user_id FROM members WHERE group_id = 10 AND email IS NULL ORDER BY user_id')).toEqual([
+        { user_id: 2 },
+        { user_id: 3 },
+        { user_id: 4 }
+      ]);
+    });
+
+    test('should look up rows by a key prefix or the full key', () => {
+      db.execute("CREATE TABLE groups (id INT PRIMARY KEY, name TEXT)");
+      db.execute("INSERT INTO groups VALUES (1, 'one'), (2, 'two')");
+      db.execute('CREATE INDEX idx_role ON members (group_id, role)');
+      const members = db.database.getTable('members');
+      const primary = Object.values(members.indexes).find(index => index.isPrimaryKey);
+      const findPrefix = jest.spyOn(primary, 'findPrefix');
+
+      expect(db.execute('SELECT group_id FROM members WHERE user_id = 1')).toEqual([{ group_id: 10 }, { group_id: 11 }]);
+      expect(db.execute('SELECT role FROM members WHERE group_id = 11 AND user_id = 1')).toEqual([{ role: 'user' }]);
+      expect(db.execute('SELECT g.name, m.role FROM groups g JOIN members m ON g.id = m.user_id')).toEqual([
+        { 'g.name': 'one', 'm.role': 'admin' },
+        { 'g.name': 'one', 'm.role': 'user' },
+        { 'g.name': 'two', 'm.role': 'user' }
+      ]);
+      expect(findPrefix).toHaveBeenCalledWith([1]);
+      expect(findPrefix).toHaveBeenCalledWith([1, 11]);
+      expect(members.indexes['group_id, role'].findPrefix([10, 'user'])).toEqual([2]);
+    });
+
+    test('should keep composite keys across schema changes and sessions', async () => {
+      expect(() => db.execute('ALTER TABLE members DROP COLUMN group_id'))
+        .toThrow('Cannot drop column "group_id" of table "members": it is part of PRIMARY KEY (user_id, group_id)');
+      db.execute('ALTER TABLE members RENAME COLUMN group_id TO gid');
+      expect(() => db.execute('ALTER TABLE members DROP COLUMN email')).toThrow('it is part of UNIQUE (gid, email)');
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      expect(db2.database.getTableSchema('members').constraints).toEqual([
+        { type: 'PRIMARY_KEY', columns: ['user_id', 'gid'] },
+        { type: 'UNIQUE', columns: ['gid', 'email'] }
+      ]);
+      expect(() => db2.execute("INSERT INTO members VALUES (2, 10, 'user', 'c@x')")).toThrow('Duplicate PRIMARY KEY value: (2, 10)');
+      db2.execute("INSERT INTO members VALUES (2, 11, 'user', 'c@x')");
+      expect(db2.execute('SELECT gid FROM members WHERE user_id = 2')).toEqual([{ gid: 10 }, { gid: 11 }]);
+    });
+  });
+
+  describe('foreign keys', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE users (id INT PRIMARY KEY, name TEXT)');
+      db.execute('CREATE TABLE posts (id INT PRIMARY KEY, user_id INT REFERENCES users ON DELETE CASCADE ON UPDATE CASCADE)');
+      db.execute(
+        'CREATE TABLE likes (post_id INT, user_id INT, FOREIGN KEY (post_id) REFERENCES posts (id) ON DELETE SET NULL, ' +
+        'FOREIGN KEY (user_id) REFERENCES users (id))'
+      );
+      db.execute("INSERT INTO users VALUES (1, 'Alice'), (2, 'Bob'), (3, 'Cara')");
+      db.execute('INSERT INTO posts VALUES (10, 1), (11, 1), (12, 2)');
+      db.execute('INSERT INTO likes VALUES (10, 2), (12, 3)');
+    });
+
+    test('should reject rows that reference missing rows', () => {
+      expect(() => db.execute('INSERT INTO posts VALUES (13, 9)'))
+        .toThrow('FOREIGN KEY violation on table "posts": key (user_id) = (9) is not present in table "users"');
+      expect(() => db.execute('UPDATE likes SET user_id = 7 WHERE post_id = 10')).toThrow('FOREIGN KEY violation');
+      db.execute('INSERT INTO posts VALUES (13, NULL)');
+      expect(() => db.execute('CREATE TABLE bad (user_id TEXT REFERENCES users)')).toThrow('cannot reference "users.id" (INT)');
+      expect(() => db.execute('CREATE TABLE bad (name TEXT REFERENCES users (name))')).toThrow('have no PRIMARY KEY or UNIQUE constraint');
+    });
+
+    test('should apply ON DELETE and ON UPDATE actions', () => {
+      expect(() => db.execute('DELETE FROM users WHERE id = 3'))
+        .toThrow('Cannot delete from table "users": key (id) = (3) is still referenced from table "likes"');
+
+      db.execute('UPDATE users SET id = 5 WHERE id = 1');
+      expect(db.execute('SELECT id, user_id FROM posts')).toEqual([
+        { id: 10, user_id: 5 }, { id: 11, user_id: 5 }, { id: 12, user_id: 2 }
+      ]);
+
+      db.execute('DELETE FROM users WHERE id = 5');
+      expect(db.execute('SELECT id FROM posts')).toEqual([{ id: 12 }]);
+      expect(db.execute('SELECT * FROM likes')).toEqual([{ post_id: null, user_id: 2 }, { post_id: 12, user_id: 3 }]);
+
+      // The cascade reaches likes, whose RESTRICT key on users undoes the whole statement
+      expect(() => db.execute('DELETE FROM users WHERE id = 2')).toThrow('still referenced from table "likes"');
+      expect(db.execute('SELECT id FROM posts')).toEqual([{ id: 12 }]);
+      expect(db.execute('SELECT COUNT(*) AS n FROM users')).toEqual([{ n: 2 }]);
+    });
+
+    test('should cascade within a self-referencing table', () => {
+      db.execute('CREATE TABLE staff (id INT PRIMARY KEY, boss INT REFERENCES staff ON DELETE CASCADE)');
+      db.execute('INSERT INTO staff VALUES (1, NULL), (2, 1), (3, 2), (4, 1)');
+      expect(() => db.execute('INSERT INTO staff VALUES (5, 6)')).toThrow('FOREIGN KEY violation');
+
+      db.execute('DELETE FROM staff WHERE id = 2');
+      expect(db.execute('SELECT id FROM staff')).toEqual([{ id: 1 }, { id: 4 }]);
+    });
+
+    test('should keep foreign keys through schema changes and sessions', async () => {
+      expect(() => db.execute('DROP TABLE users')).toThrow('Cannot drop table "users"');
+      expect(() => db.execute('ALTER TABLE users DROP COLUMN id')).toThrow('referenced by a FOREIGN KEY of table "posts"');
+      expect(() => db.execute('ALTER TABLE posts DROP COLUMN user_id')).toThrow('it is part of FOREIGN KEY (user_id)');
+      db.execute('ALTER TABLE users RENAME TO people');
+      db.execute('ALTER TABLE people RENAME COLUMN id TO pid');
+      db.execute('ALTER TABLE posts ADD COLUMN editor INT REFERENCES people ON DELETE SET NULL');
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      expect(db2.database.getTableSchema('posts').foreignKeys.map(fk => fk.references)).toEqual([
+        { table: 'people', columns: ['pid'], onDelete: 'CASCADE', onUpdate: 'CASCADE' },
+        { table: 'people', columns: ['pid'], onDelete: 'SET NULL', onUpdate: 'RESTRICT' }
+      ]);
+      expect(() => db2.execute('INSERT INTO posts VALUES (13, 1, 9)')).toThrow('is not present in table "people"');
+      db2.execute('UPDATE posts SET editor = 3 WHERE id = 12');
+      db2.execute('DELETE FROM likes WHERE user_id = 3');
+      db2.execute('DELETE FROM people WHERE pid = 3');
+      expect(db2.execute('SELECT editor FROM posts WHERE id = 12')).toEqual([{ editor: null }]);
+    });
+  });
+
+  describe('column constraints', () => {
+    beforeEach(() => {
+      db.execute(
+        'CREATE TABLE items (id INT PRIMARY KEY, name TEXT NOT NULL, qty INT NOT NULL DEFAULT 0 CHECK (qty >= 0), ' +
+        'price INT DEFAULT 10 * 2 CHECK (price > qty), created TEXT DEFAULT NOW())'
+      );
+    });
+
+    test('should fill in DEFAULT values', () => {
+      const { row } = db.execute("INSERT INTO items (id, name) VALUES (1, 'pen')");
+      expect(row).toMatchObject({ id: 1, name: 'pen', qty: 0, price: 20 });
+      expect(new Date(row.created).toISOString()).toBe(row.created);
+      expect(db.execute("INSERT INTO items (id, name, price) VALUES (2, 'cap', NULL)").row.price).toBeNull();
+      expect(Object.keys(db.execute("INSERT INTO items (name, id) VALUES ('ink', 3)").row))
+        .toEqual(['id', 'name', 'qty', 'price', 'created']);
+      expect(() => db.execute("CREATE TABLE bad (a INT DEFAULT 'x')")).toThrow('Type error for DEFAULT of column "a"');
+      expect(() => db.execute('CREATE TABLE bad (a INT, b INT DEFAULT a)')).toThrow('must be a constant expression');
+    });
+
+    test('should enforce NOT NULL and CHECK on insert and update', () => {
+      db.execute("INSERT INTO items (id, name, qty) VALUES (1, 'pen', 5)");
+      expect(() => db.execute('INSERT INTO items (id) VALUES (2)'))
+        .toThrow('NULL value in column "name" violates NOT NULL constraint');
+      expect(() => db.execute("INSERT INTO items (id, name, qty) VALUES (2, 'cap', -1)"))
+        .toThrow('Row of table "items" violates the CHECK constraint of column "qty"');
+      expect(() => db.execute('UPDATE items SET qty = 30 WHERE id = 1')).toThrow('CHECK constraint of column "price"');
+      expect(() => db.execute('UPDATE items SET name = NULL WHERE id = 1')).toThrow('violates NOT NULL constraint');
+      expect(() => db.execute("INSERT INTO items (id, name) VALUES (1, 'pen') ON CONFLICT (id) DO UPDATE SET qty = -1"))
+        .toThrow('CHECK constraint of column "qty"');
+      expect(db.execute('SELECT name, qty FROM items')).toEqual([{ name: 'pen', qty: 5 }]);
+    });
+
+    test('should keep constraints through schema changes and sessions', async () => {
+      db.execute("INSERT INTO items (id, name) VALUES (1, 'pen')");
+      expect(() => db.execute('ALTER TABLE items ADD COLUMN stock INT NOT NULL')).toThrow('violates NOT NULL constraint');
+      db.execute('ALTER TABLE items ADD COLUMN stock INT NOT NULL DEFAULT 7 CHECK (stock > 1)');
+      expect(() => db.execute('ALTER TABLE items DROP COLUMN qty')).toThrow('it is used by the CHECK constraint of column "price"');
+      db.execute('ALTER TABLE items RENAME COLUMN qty TO quantity');
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      expect(db2.execute('SELECT stock FROM items')).toEqual([{ stock: 7 }]);
+      expect(() => db2.execute('UPDATE items SET quantity = 25 WHERE id = 1')).toThrow('CHECK constraint of column "price"');
+      expect(db2.execute("INSERT INTO items (id, name) VALUES (2, 'cap')").row).toMatchObject({ quantity: 0, price: 20, stock: 7 });
+    });
+
+    test('should set foreign keys to their DEFAULT', () => {
+      db.execute('CREATE TABLE users (id INT PRIMARY KEY)');
+      db.execute('INSERT INTO users VALUES (0), (1)');
+      db.execute('CREATE TABLE posts (id INT PRIMARY KEY, user_id INT DEFAULT 0 REFERENCES users ON DELETE SET DEFAULT)');
+      db.execute('INSERT INTO posts VALUES (1, 1)');
+
+      db.execute('DELETE FROM users WHERE id = 1');
+      expect(db.execute('SELECT user_id FROM posts')).toEqual([{ user_id: 0 }]);
+      expect(() => db.execute('DELETE FROM users WHERE id = 0')).toThrow('key (user_id) = (0) is not present in table "users"');
+    });
+  });
+
+  describe('sequences', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE orders (id SERIAL PRIMARY KEY, item TEXT)');
+    });
+
+    test('should number SERIAL rows without reusing ids', async () => {
+      const { rows } = db.execute("INSERT INTO orders (item) VALUES ('pen'), ('cap')");
+      expect(rows.map(row => row.id)).toEqual([1, 2]);
+      expect(db.execute("INSERT INTO orders (id, item) VALUES (NULL, 'ink')").row.id).toBe(3);
+      expect(db.execute('SELECT * FROM orders WHERE id = 1')).toEqual([{ id: 1, item: 'pen' }]);
+      expect(Object.keys(db.execute('SELECT * FROM orders WHERE id = 1')[0])).toEqual(['id', 'item']);
+
+      db.execute('DELETE FROM orders WHERE id >= 2');
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      expect(db2.execute("INSERT INTO orders (item) VALUES ('pad')").row.id).toBe(4);
+    });
+
+    test('should move past explicit ids', () => {
+      db.execute('CREATE TABLE tags (id INT PRIMARY KEY AUTOINCREMENT, name TEXT)');
+      db.execute("INSERT INTO tags (id, name) VALUES (10, 'a')");
+      expect(db.execute("INSERT INTO tags (name) VALUES ('b')").row.id).toBe(11);
+
+      db.execute("INSERT INTO orders (item) VALUES ('pen')");
+      db.execute('UPDATE orders SET id = 20 WHERE id = 1');
+      expect(db.execute("INSERT INTO orders (item) VALUES ('cap')").row.id).toBe(21);
+      expect(() => db.execute('CREATE TABLE bad (id TEXT AUTOINCREMENT)')).toThrow('must be of type INT');
+    });
+
+    test('should hand out values of standalone sequences', async () => {
+      db.execute('CREATE SEQUENCE order_numbers START WITH 1000 INCREMENT BY 10');
+      expect(db.execute('CREATE SEQUENCE IF NOT EXISTS order_numbers').message).toContain('already exists, skipped');
+      db.execute("INSERT INTO orders (id, item) VALUES (nextval('order_numbers'), 'pen'), (nextval('order_numbers'), 'cap')");
+      expect(db.execute('SELECT id FROM orders')).toEqual([{ id: 1000 }, { id: 1010 }]);
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      expect(db2.execute("SELECT nextval('order_numbers') AS n FROM orders WHERE id = 1000")).toEqual([{ n: 1020 }]);
+      expect(db2.execute("INSERT INTO orders (item) VALUES ('ink')").row.id).toBe(1011);
+
+      db2.execute('DROP SEQUENCE order_numbers');
+      expect(() => db2.execute("SELECT nextval('order_numbers') AS n FROM orders")).toThrow('Sequence "order_numbers" not found');
+      expect(() => db2.execute('DROP SEQUENCE order_numbers')).toThrow('Sequence "order_numbers" not found');
+      expect(db2.execute('DROP SEQUENCE IF EXISTS order_numbers').message).toContain('does not exist, skipped');
+    });
+
+    test('should count a query that advances a sequence as a change to save', async () => {
+      db.execute('CREATE SEQUENCE s');
+      db.execute("INSERT INTO orders (item) VALUES ('pen')");
+      expect(db.isDirty()).toBe(true);
+      await db.save();
+      expect(db.isDirty()).toBe(false);
+
+      db.execute('SELECT * FROM orders');
+      expect(db.isDirty()).toBe(false);
+      expect(db.execute("SELECT nextval('s') AS n FROM orders")).toEqual([{ n: 1 }]);
+      expect(db.isDirty()).toBe(true);
+    });
+
+    test('should keep the new keywords usable as column names', () => {
+      db.execute('CREATE TABLE ev (id INT PRIMARY KEY, start INT, end INT, key TEXT)');
+      db.execute("INSERT INTO ev (id, start, end, key) VALUES (1, 10, 20, 'a')");
+      expect(db.execute('SELECT end - start AS span, key FROM ev WHERE start < end')).toEqual([{ span: 10, key: 'a' }]);
+    });
+  });
+
+  describe('column types', () => {
+    beforeEach(() => {
+      db.execute(`CREATE TABLE items (
+        id SERIAL PRIMARY KEY, name VARCHAR(10), price DECIMAL(6, 2), weight FLOAT,
+        made DATE, seen TIMESTAMP, meta JSON, data BLOB
+      )`);
+    });
+
+    test('should store exact decimals and floats', () => {
+      db.execute("INSERT INTO items (name, price, weight) VALUES ('pen', '1.005', 2.5), ('cap', 0.1, 0.25), ('ink', 0.2, 1)");
+      expect(db.execute('SELECT SUM(price) AS total, AVG(weight) AS weight FROM items')).toEqual([{ total: 1.31, weight: 1.25 }]);
+      expect(db.execute('SELECT name FROM items WHERE weight > 0.5 ORDER BY weight')).toEqual([{ name: 'ink' }, { name: 'pen' }]);
+      expect(() => db.execute("INSERT INTO items (name) VALUES ('much too long')")).toThrow('too long for VARCHAR(10)');
+      expect(db.getDatabase().getTableSchema('items').columns[2].type).toBe('DECIMAL(6, 2)');
+    });
+
+    test('should compute exactly with decimals', () => {
+      db.execute("INSERT INTO items (name, price) VALUES ('cap', 0.1), ('ink', 0.2), ('pad', 0.7)");
+      expect(db.execute("SELECT price * 3 AS triple, price + 0.2 AS more, price - 0.3 AS less FROM items WHERE name = 'cap'"))
+        .toEqual([{ triple: 0.3, more: 0.3, less: -0.2 }]);
+      expect(db.execute('SELECT name FROM items WHERE price * 3 = 0.3')).toEqual([{ name: 'cap' }]);
+      expect(db.execute("SELECT SUM(price) AS total FROM items WHERE name != 'pad'")).toEqual([{ total: 0.3 }]);
+      expect(db.execute('SELECT name, SUM(price) OVER (ORDER BY name) AS running FROM items')).toEqual([
+        { name: 'cap', running: 0.1 },
+        { name: 'ink', running: 0.3 },
+        { name: 'pad', running: 1 }
+      ]);
+    });
+
+    test('should divide by the operand types, not the values', () => {
+      db.execute("INSERT INTO items (name, price, weight) VALUES ('pen', 7.00, 7), ('cap', NULL, NULL)");
+      expect(db.execute("SELECT price / 2 AS p, weight / 2 AS w, id / 2 AS i FROM items WHERE name = 'pen'"))
+        .toEqual([{ p: 3.5, w: 3.5, i: 0 }]);
+      expect(db.execute('SELECT name FROM items WHERE weight / 2 = 3.5')).toEqual([{ name: 'pen' }]);
+      db.execute("UPDATE items SET weight = weight / 4, price = price / 4 WHERE name = 'pen'");
+      expect(db.execute("SELECT price, weight FROM items WHERE name = 'pen'")).toEqual([{ price: 1.75, weight: 1.75 }]);
+      expect(db.execute("SELECT name, (SELECT MIN(id) FROM items) / 2 AS s FROM items WHERE name = 'cap'")).toEqual([{ name: 'cap', s: 0 }]);
+    });
+
+    test('should order dates and timestamps', () => {
+      db.execute(`INSERT INTO items (name, made, seen) VALUES
+        ('a', '2024-02-29', '2024-03-01 10:30'), ('b', '2023-12-31', '2024-03-01T12:00:00+02:00')`);
+      expect(db.execute('SELECT name, seen FROM items ORDER BY seen')).toEqual([
+        { name: 'b', seen: '2024-03-01T10:00:00.000Z' },
+        { name: 'a', seen: '2024-03-01T10:30:00.000Z' }
+      ]);
+      expect(db.execute("SELECT name FROM items WHERE made < '2024-01-01'")).toEqual([{ name: 'b' }]);
+      expect(() => db.execute("INSERT INTO items (made) VALUES ('2023-02-29')")).toThrow('Cannot convert');
+    });
+
+    test('should compare timestamps with literals written any way', () => {
+      db.execute("INSERT INTO items (name, made, seen) VALUES ('a', '2024-01-01', '2024-01-01 10:00:00'), ('b', '2024-01-02', '2024-01-02')");
+      const names = sql => db.execute(sql).map(row => row.name);
+      const check = () => {
+        expect(names("SELECT name FROM items WHERE seen = '2024-01-01 10:00:00'")).toEqual(['a']);
+        expect(names("SELECT name FROM items WHERE seen > '2024-01-01 12:00+02:00'")).toEqual(['b']);
+        expect(names("SELECT name FROM items WHERE '2024-01-01 10:00' = seen")).toEqual(['a']);
+        expect(names("SELECT name FROM items WHERE seen BETWEEN '2024-01-01 09:00' AND '2024-01-01 11:00'")).toEqual(['a']);
+        expect(names("SELECT name FROM items WHERE seen IN ('2024-01-02 00:00:00Z')")).toEqual(['b']);
+        expect(names("SELECT name FROM items WHERE made >= '2024-01-02T00:00'")).toEqual(['b']);
+      };
+      check();
+      db.execute('CREATE INDEX idx_seen ON items USING BTREE (seen)');
+      db.execute('CREATE INDEX idx_made ON items (made)');
+      check();
+      db.execute("DELETE FROM items WHERE seen = '2024-01-02 00:00'");
+      expect(names('SELECT name FROM items')).toEqual(['a']);
+      expect(() => db.execute("SELECT name FROM items WHERE seen < 'soon'")).toThrow('Cannot convert "soon" to TIMESTAMP');
+    });
+
+    test('should keep JSON and BLOB values through save and reload', async () => {
+      db.execute(`INSERT INTO items (name, meta, data) VALUES ('pen', '{"tags": ["a", "b"]}', X'00ff')`);
+      expect(db.execute("SELECT name FROM items WHERE data = X'00FF'")).toEqual([{ name: 'pen' }]);
+      expect(db.execute("SELECT name, CAST(data AS TEXT) AS hex FROM items WHERE data = x'00ff'")).toEqual([{ name: 'pen', hex: '\\x00ff' }]);
+      expect(db.execute("SELECT name FROM items WHERE data IN (X'cafe', X'00ff')")).toEqual([{ name: 'pen' }]);
+      expect(db.execute(`SELECT name FROM items WHERE meta NOT IN ('{"tags":["a","b"]}')`)).toEqual([]);
+      db.execute("UPDATE items SET data = X'cafe' WHERE name = 'pen'");
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      const [row] = db2.execute('SELECT meta, data FROM items');
+      expect(row.meta).toEqual({ tags: ['a', 'b'] });
+      expect(row.data).toEqual(Buffer.from([0xca, 0xfe]));
+      expect(() => db2.execute('CREATE INDEX idx_meta ON items (meta)')).toThrow('of type JSON cannot be indexed');
+    });
+
+    test('should keep BLOB literals apart from text', async () => {
+      db.execute("INSERT INTO items (name, data) VALUES ('\\\\x41', '\\\\x41'), ('b', X'41')");
+      expect(db.execute("SELECT data FROM items WHERE name = '\\\\x41'")).toEqual([{ data: Buffer.from('\\x41') }]);
+      expect(db.execute("SELECT name FROM items WHERE data = X'41'")).toEqual([{ name: 'b' }]);
+      expect(() => db.execute("SELECT name FROM items WHERE name = X'41'")).toThrow('Cannot compare TEXT with BLOB');
+      expect(() => db.execute("INSERT INTO items (name) VALUES (X'41')")).toThrow('Cannot convert binary data to TEXT');
+      expect(db.execute("SELECT CAST('\\\\x41' AS BLOB) AS b, X'41' FROM items WHERE name = 'b'"))
+        .toEqual([{ b: Buffer.from('A'), "X'41'": Buffer.from('A') }]);
+      expect(() => db.execute("INSERT INTO items (meta) VALUES ('null')")).toThrow('a JSON null cannot be told apart from NULL');
+
+      db.execute("CREATE TABLE files (id INT PRIMARY KEY, body BLOB DEFAULT X'cafe' CHECK (body != X'00'))");
+      await db.save();
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      expect(db2.execute('INSERT INTO files (id) VALUES (1)').row.body).toEqual(Buffer.from([0xca, 0xfe]));
+      expect(() => db2.execute("INSERT INTO files VALUES (2, X'00')")).toThrow('violates the CHECK constraint');
+    });
+  });
+
+  describe('strict tables', () => {
+    beforeEach(() => {
+      db.execute('CREATE TABLE items (id INT PRIMARY KEY, qty INT, price DECIMAL(6, 2), name TEXT) STRICT');
+      db.execute("INSERT INTO items VALUES (1, '2', '1.50', 'pen')");
+    });
+
+    test('should report lossy values with their column and row', () => {
+      let error = null;
+      try {
+        db.execute("INSERT INTO items (id, price) VALUES (2, '1.005')");
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toMatchObject({
+        name: 'TypeCoercionError',
+        table: 'items',
+        column: 'price',
+        value: '1.005',
+        row: { id: 2, price: '1.005' }
+      });
+      expect(error.message).toBe(
+        'Type error for column "price": TEXT value "1.005" cannot be stored as DECIMAL(6, 2) without losing information'
+      );
+
+      try {
+        db.execute('UPDATE items SET qty = qty * 0.75 WHERE id = 1');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toMatchObject({ column: 'qty', value: 1.5, row: { id: 1, qty: 2, price: 1.5, name: 'pen' } });
+
+      try {
+        db.execute('UPDATE items SET name = 7 WHERE id = 1');
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toMatchObject({ column: 'name', value: 7, row: { id: 1, qty: 2, price: 1.5, name: 'pen' } });
+      expect(() => db.execute('UPDATE items SET name = 7 WHERE id = 99')).toThrow('cannot be stored as TEXT');
+      expect(() => db.execute('INSERT INTO items (id, name) VALUES (3, 42)')).toThrow('cannot be stored as TEXT');
+      expect(() => db.execute('INSERT INTO items (id, qty) VALUES (3, 2.5)')).toThrow('without losing information');
+      expect(db.execute('SELECT * FROM items')).toEqual([{ id: 1, qty: 2, price: 1.5, name: 'pen' }]);
+    });
+
+    test('should stay strict after reload and leave other tables lenient', async () => {
+      db.execute('CREATE TABLE notes (id INT, body TEXT)');
+      expect(db.execute('INSERT INTO notes VALUES (6.5, 42)').row).toEqual({ id: 7, body: '42' });
+      await db.save();
+
+      const db2 = new DB(TEST_DB_PATH);
+      await db2.initialize();
+      expect(db2.getDatabase().getTableSchema('items').strict).toBe(true);
+      expect(() => db2.execute('INSERT INTO items (id, qty) VALUES (2, 2.5)')).toThrow('without losing information');
+      expect(db2.execute('INSERT INTO notes VALUES (7.5, 1)').row).toEqual({ id: 8, body: '1' });
+    });
+  });
 });
@@ -27,6 +27,18 @@ describe('Tokenizer', () => {
     expect(stringToken.value).toBe('Alice');
   });
 
+  test('should read doubled quotes inside string literals', () => {
+    const tokens = new Tokenizer("title = 'Bob''s Post'").tokenize();
+    expect(tokens[2]).toEqual({ type: TokenType.STRING, value: "Bob's Post" });
+  });
+
+  test('should read hexadecimal literals as BLOBs', () => {
+    const tokens = new Tokenizer("X'00fF', x''").tokenize();
+    expect(tokens[0]).toEqual({ type: TokenType.BLOB, value: Buffer.from([0, 255]) });
+    expect(tokens[2]).toEqual({ type: TokenType.BLOB, value: Buffer.alloc(0) });
+    expect(() => new Tokenizer("X'0g'").tokenize()).toThrow("Invalid hexadecimal literal: X'0g'");
+  });
+
   test('should tokenize numbers', () => {
     const tokenizer = new Tokenizer('id = 42');
     const tokens = tokenizer.tokenize();
@@ -36,6 +48,14 @@ describe('Tokenizer', () => {
     expect(numberToken.value).toBe(42);
   });
 
+  test('should keep numbers as written, with fractions and exponents', () => {
+    const tokens = new Tokenizer('7.0, 1e3, 2.5E-2 1e').tokenize();
+    expect(tokens[0]).toEqual({ type: TokenType.NUMBER, value: 7, text: '7.0' });
+    expect(tokens[2]).toEqual({ type: TokenType.NUMBER, value: 1000, text: '1e3' });
+    expect(tokens[4]).toEqual({ type: TokenType.NUMBER, value: 0.025, text: '2.5E-2' });
+    expect(tokens.slice(5, 7).map(token => token.value)).toEqual([1, 'e']);
+  });
+
   test('should tokenize operators', () => {
     const tokenizer = new Tokenizer('id >= 10');
     const tokens = tokenizer.tokenize();
@@ -86,7 +106,18 @@ describe('Parser', () => {
     expect(ast.type).toBe('INSERT');
     expect(ast.tableName).toBe('users');
     expect(ast.columns).toEqual(['id', 'name']);
-    expect(ast.values).toEqual([1, 'Alice']);
+    expect(ast.values).toEqual([[1, 'Alice']]);
+  });
+
+  test('should parse multi-row INSERT and INSERT ... SELECT', () => {
+    const multi = new Parser("INSERT INTO users (id, name) VALUES (1, 'Alice'), (2, 'Bob')").parse();
+    expect(multi.values).toEqual([[1, 'Alice'], [2, 'Bob']]);
+    expect(multi.select).toBeNull();
+
+    const fromSelect = new Parser('INSERT INTO archive (id, name) SELECT id, name FROM users WHERE id > 1').parse();
+    expect(fromSelect.values).toEqual([]);
+    expect(fromSelect.select.tableName).toBe('users');
+    expect(fromSelect.select.where.value).toBe(1);
   });
 
   test('should parse UPDATE', () => {
@@ -117,9 +148,396 @@ describe('Parser', () => {
     const parser = new Parser(sql);
     const ast = parser.parse();
     
-    expect(ast.join).toBeDefined();
-    expect(ast.join.table).toBe('posts');
-    expect(ast.join.on.left).toBe('users.id');
-    expect(ast.join.on.right).toBe('posts.user_id');
+    expect(ast.joins.length).toBe(1);
+    expect(ast.joins[0].table).toBe('posts');
+    expect(ast.joins[0].on.left).toBe('users.id');
+    expect(ast.joins[0].on.right).toBe('posts.user_id');
+  });
+
+  test('should parse compound WHERE with AND, OR and parentheses', () => {
+    const sql = "SELECT * FROM users WHERE age > 18 AND (status = 'active' OR role = 'admin')";
+    const parser = new Parser(sql);
+    const ast = parser.parse();
+
+    expect(ast.where.type).toBe('LOGICAL');
+    expect(ast.where.operator).toBe('AND');
+    expect(ast.where.left.column).toBe('age');
+    expect(ast.where.right.operator).toBe('OR');
+    expect(ast.where.right.left.value).toBe('active');
+    expect(ast.where.right.right.column).toBe('role');
+  });
+
+  test('should give AND higher precedence than OR', () => {
+    const ast = new Parser('SELECT * FROM users WHERE a = 1 OR b = 2 AND c = 3').parse();
+
+    expect(ast.where.operator).toBe('OR');
+    expect(ast.where.left.column).toBe('a');
+    expect(ast.where.right.operator).toBe('AND');
+  });
+
+  test('should parse NOT conditions', () => {
+    const ast = new Parser('DELETE FROM users WHERE NOT (id = 1 OR id = 2)').parse();
+
+    expect(ast.where.type).toBe('NOT');
+    expect(ast.where.operand.operator).toBe('OR');
+  });
+
+  test('should reject unbalanced parentheses and trailing tokens', () => {
+    expect(() => new Parser('SELECT * FROM users WHERE (id = 1').parse()).toThrow();
+    expect(() => new Parser('SELECT * FROM users WHERE id = 1)').parse()).toThrow('Unexpected token');
+  });
+
+  test('should parse ORDER BY, LIMIT and OFFSET', () => {
+    const ast = new Parser('SELECT * FROM users ORDER BY age DESC, name LIMIT 10 OFFSET 20').parse();
+
+    expect(ast.orderBy).toEqual([
+      { column: 'age', direction: 'DESC' },
+      { column: 'name', direction: 'ASC' }
+    ]);
+    expect(ast.limit).toBe(10);
+    expect(ast.offset).toBe(20);
+  });
+
+  test('should default to no ordering or paging', () => {
+    const ast = new Parser('SELECT * FROM users').parse();
+
+    expect(ast.orderBy).toEqual([]);
+    expect(ast.limit).toBeNull();
+    expect(ast.offset).toBeNull();
+  });
+
+  test('should parse aggregates with GROUP BY and HAVING', () => {
+    const ast = new Parser(
+      'SELECT user_id, COUNT(*), SUM(views) FROM posts GROUP BY user_id HAVING COUNT(*) > 1 ORDER BY SUM(views) DESC'
+    ).parse();
+
+    expect(ast.columns[0]).toBe('user_id');
+    expect(ast.columns[1]).toMatchObject({ type: 'AGGREGATE', func: 'COUNT', argument: '*', name: 'COUNT(*)' });
+    expect(ast.columns[2].name).toBe('SUM(views)');
+    expect(ast.groupBy).toEqual(['user_id']);
+    expect(ast.having.column.name).toBe('COUNT(*)');
+    expect(ast.having.value).toBe(1);
+    expect(ast.orderBy[0].column.func).toBe('SUM');
+  });
+
+  test('should only accept * inside COUNT', () => {
+    expect(() => new Parser('SELECT SUM(*) FROM posts').parse()).toThrow('only COUNT(*)');
+  });
+
+  test('should parse outer JOIN types', () => {
+    const types = {
+      'JOIN': 'INNER',
+      'INNER JOIN': 'INNER',
+      'LEFT JOIN': 'LEFT',
+      'LEFT OUTER JOIN': 'LEFT',
+      'RIGHT JOIN': 'RIGHT',
+      'FULL OUTER JOIN': 'FULL'
+    };
+
+    for (const [syntax, type] of Object.entries(types)) {
+      const ast = new Parser(`SELECT * FROM users ${syntax} posts ON users.id = posts.user_id`).parse();
+      expect(ast.joins[0].type).toBe(type);
+    }
+  });
+
+  test('should parse a chain of JOIN clauses', () => {
+    const ast = new Parser(
+      'SELECT * FROM users JOIN posts ON users.id = posts.user_id LEFT JOIN comments ON posts.id = comments.post_id'
+    ).parse();
+
+    expect(ast.joins.map(join => [join.type, join.table])).toEqual([
+      ['INNER', 'posts'],
+      ['LEFT', 'comments']
+    ]);
+  });
+
+  test('should parse table and column aliases', () => {
+    const ast = new Parser(
+      'SELECT u.name AS author, COUNT(*) total FROM users u JOIN posts AS p ON u.id = p.user_id ORDER BY total'
+    ).parse();
+
+    expect(ast.alias).toBe('u');
+    expect(ast.aliases).toEqual(['author', 'total']);
+    expect(ast.joins[0].table).toBe('posts');
+    expect(ast.joins[0].alias).toBe('p');
+    expect(ast.orderBy[0].column.name).toBe('COUNT(*)'); // alias resolved to the select item
+  });
+
+  test('should parse IN, EXISTS and scalar subqueries', () => {
+    const ast = new Parser(
+      'SELECT name, (SELECT COUNT(*) FROM posts WHERE posts.user_id = users.id) AS n FROM users WHERE id NOT IN (SELECT user_id FROM bans) AND EXISTS (SELECT * FROM posts)'
+    ).parse();
+
+    expect(ast.columns[1].type).toBe('SUBQUERY');
+    expect(ast.columns[1].select.where.value).toEqual({ type: 'COLUMN', name: 'users.id' });
+    expect(ast.where.left.type).toBe('NOT');
+    expect(ast.where.left.operand.operator).toBe('IN');
+    expect(ast.where.left.operand.value.select.tableName).toBe('bans');
+    expect(ast.where.right.type).toBe('EXISTS');
+    expect(ast.where.right.subquery.select.tableName).toBe('posts');
+  });
+
+  test('should parse a scalar subquery on either side of a comparison', () => {
+    const ast = new Parser('SELECT * FROM users WHERE ((SELECT MAX(age) FROM users) > age)').parse();
+    expect(ast.where.column.type).toBe('SUBQUERY');
+    expect(ast.where.value).toEqual({ type: 'COLUMN', name: 'age' });
+
+    expect(() => new Parser('SELECT * FROM users WHERE id IN 5').parse()).toThrow('Expected a subquery or a list of values after IN');
+  });
+
+  test('should parse ON CONFLICT clauses', () => {
+    const nothing = new Parser("INSERT INTO users (id, name) VALUES (1, 'Alice') ON CONFLICT DO NOTHING").parse();
+    expect(nothing.onConflict).toEqual({ columns: [], action: 'NOTHING', updates: {} });
+
+    const update = new Parser(
+      "INSERT INTO users (id, name) VALUES (1, 'Alice') ON CONFLICT (id) DO UPDATE SET name = excluded.name, visits = 0"
+    ).parse();
+    expect(update.onConflict.columns).toEqual(['id']);
+    expect(update.onConflict.action).toBe('UPDATE');
+    expect(update.onConflict.updates).toEqual({ name: { type: 'COLUMN', name: 'excluded.name' }, visits: 0 });
+  });
+
+  test('should parse RETURNING on INSERT, UPDATE and DELETE', () => {
+    const insert = new Parser("INSERT INTO users (id) VALUES (1) ON CONFLICT DO NOTHING RETURNING *").parse();
+    expect(insert.returning).toEqual({ columns: ['*'], aliases: [null] });
+
+    const update = new Parser("UPDATE users SET name = 'Bob' WHERE id = 1 RETURNING id, name AS new_name").parse();
+    expect(update.updates).toEqual({ name: 'Bob' });
+    expect(update.returning).toEqual({ columns: ['id', 'name'], aliases: [null, 'new_name'] });
+
+    const del = new Parser('DELETE FROM users WHERE id = 1 RETURNING id').parse();
+    expect(del.returning.columns).toEqual(['id']);
+    expect(new Parser('DELETE FROM users WHERE id = 1').parse().returning).toBeNull();
+  });
+
+  test('should parse arithmetic and concatenation with precedence', () => {
+    const ast = new Parser("SELECT price * qty AS total, 'a' || name FROM items WHERE count + 1 > 2 * -views").parse();
+    expect(ast.columns[0]).toEqual({
+      type: 'BINARY',
+      operator: '*',
+      left: { type: 'COLUMN', name: 'price' },
+      right: { type: 'COLUMN', name: 'qty' }
+    });
+    expect(ast.aliases).toEqual(['total', null]);
+    expect(ast.columns[1].operator).toBe('||');
+
+    expect(ast.where.column.operator).toBe('+');
+    expect(ast.where.value.operator).toBe('*');
+    expect(ast.where.value.right).toEqual({ type: 'UNARY', operator: '-', operand: { type: 'COLUMN', name: 'views' } });
+
+    // Plain columns and literals keep their simple forms
+    const update = new Parser('UPDATE posts SET views = views + 1, score = -5 WHERE updated_at <> created_at').parse();
+    expect(update.updates.views.type).toBe('BINARY');
+    expect(update.updates.score).toBe(-5);
+    expect(update.where).toMatchObject({ column: 'updated_at', operator: '!=', value: { type: 'COLUMN', name: 'created_at' } });
+  });
+
+  test('should parse LIKE, IN lists, BETWEEN and IS NULL', () => {
+    const ast = new Parser(
+      "SELECT * FROM users WHERE name NOT ILIKE 'a%' AND id IN (1, 2) AND age BETWEEN 18 AND 65 AND email IS NOT NULL"
+    ).parse();
+    const { left: { left: { left: like, right: inList }, right: between }, right: isNull } = ast.where;
+
+    expect(like).toEqual({ type: 'NOT', operand: { type: 'COMPARISON', column: 'name', operator: 'ILIKE', value: 'a%' } });
+    expect(inList).toEqual({ type: 'COMPARISON', column: 'id', operator: 'IN', value: { type: 'LIST', items: [1, 2] } });
+    expect(between).toEqual({ type: 'BETWEEN', column: 'age', low: 18, high: 65 });
+    expect(isNull).toEqual({ type: 'COMPARISON', column: 'email', operator: 'IS NOT', value: null });
+  });
+
+  test('should parse function calls, CAST and CASE', () => {
+    const ast = new Parser(
+      "SELECT UPPER(name), CAST(age AS TEXT), CASE WHEN age > 17 THEN 'adult' ELSE 'minor' END FROM users"
+    ).parse();
+    expect(ast.columns[0]).toEqual({ type: 'FUNCTION', name: 'UPPER', args: [{ type: 'COLUMN', name: 'name' }] });
+    expect(ast.columns[1]).toMatchObject({ type: 'CAST', targetType: 'TEXT' });
+    expect(ast.columns[2].branches).toHaveLength(1);
+    expect(ast.columns[2].elseResult).toEqual({ type: 'LITERAL', value: 'minor', text: null });
+  });
+
+  test('should check function arity and literal types at parse time', () => {
+    expect(() => new Parser('SELECT LENGTH(name, 2) FROM users').parse()).toThrow('expects 1 argument(s), got 2');
+    expect(() => new Parser('SELECT UPPER(42) FROM users').parse()).toThrow('expects TEXT for argument 1, got INT');
+    expect(() => new Parser("SELECT COALESCE(1, 'none') FROM users").parse()).toThrow('cannot be matched');
+    expect(() => new Parser("SELECT CASE WHEN a THEN 1 ELSE 'x' END FROM users").parse()).toThrow('cannot be matched');
+    expect(() => new Parser('SELECT CAST(age AS MONEY) FROM users').parse()).toThrow('Invalid column type');
+    expect(() => new Parser('SELECT FOO(age) FROM users').parse()).toThrow('Unknown function: FOO');
+  });
+
+  test('should parse DISTINCT and set operations', () => {
+    expect(new Parser('SELECT DISTINCT name FROM users').parse().distinct).toBe(true);
+
+    const ast = new Parser(
+      'SELECT id FROM a UNION ALL SELECT id FROM b INTERSECT SELECT id FROM c ORDER BY id LIMIT 5'
+    ).parse();
+    expect(ast).toMatchObject({
+      type: 'SET_OPERATION',
+      operator: 'UNION',
+      all: true,
+      left: { type: 'SELECT', tableName: 'a', orderBy: [], limit: null },
+      right: { type: 'SET_OPERATION', operator: 'INTERSECT', all: false },
+      orderBy: [{ column: 'id', direction: 'ASC' }],
+      limit: 5
+    });
+  });
+
+  test('should parse WITH and WITH RECURSIVE', () => {
+    const ast = new Parser(
+      'WITH RECURSIVE tree (id) AS (SELECT id FROM a UNION ALL SELECT a.id FROM a JOIN tree ON a.parent = tree.id), ' +
+      'top AS (SELECT id FROM tree) SELECT * FROM top'
+    ).parse();
+    expect(ast).toMatchObject({ type: 'WITH', recursive: true, query: { type: 'SELECT', tableName: 'top' } });
+    expect(ast.ctes.map(cte => [cte.name, cte.columns])).toEqual([['tree', ['id']], ['top', null]]);
+    expect(ast.ctes[0].query).toMatchObject({ type: 'SET_OPERATION', operator: 'UNION', all: true });
+
+    expect(() => new Parser('WITH t AS (SELECT id FROM a), t AS (SELECT id FROM b) SELECT * FROM t').parse())
+      .toThrow('WITH query name "t" specified more than once');
+  });
+
+  test('should parse window functions and OVER clauses', () => {
+    const ast = new Parser(
+      'SELECT RANK() OVER (PARTITION BY team ORDER BY score DESC), SUM(score) OVER (ORDER BY day), LAG(score, 2, 0) OVER () FROM games'
+    ).parse();
+    expect(ast.columns[0]).toMatchObject({
+      type: 'WINDOW',
+      func: 'RANK',
+      args: [],
+      partitionBy: ['team'],
+      orderBy: [{ column: 'score', direction: 'DESC' }],
+      name: 'RANK() OVER (PARTITION BY team ORDER BY score DESC)'
+    });
+    expect(ast.columns[1]).toMatchObject({ type: 'WINDOW', func: 'SUM', args: ['score'], name: 'SUM(score) OVER (ORDER BY day)' });
+    expect(ast.columns[2].name).toBe('LAG(score, 2, 0) OVER ()');
+
+    expect(() => new Parser('SELECT ROW_NUMBER() FROM games').parse()).toThrow('requires an OVER clause');
+    expect(() => new Parser('SELECT LEAD() OVER () FROM games').parse()).toThrow('expects 1 to 3 argument(s), got 0');
+    expect(() => new Parser('SELECT LAG(score, day) OVER () FROM games').parse()).toThrow('offset must be a non-negative integer');
+  });
+
+  test('should parse DROP TABLE and ALTER TABLE', () => {
+    expect(new Parser('CREATE TABLE IF NOT EXISTS users (id INT)').parse().ifNotExists).toBe(true);
+    expect(new Parser('DROP TABLE IF EXISTS users').parse()).toEqual({ type: 'DROP_TABLE', tableName: 'users', ifExists: true });
+
+    const action = sql => new Parser(sql).parse().action;
+    expect(action('ALTER TABLE users ADD COLUMN age INT UNIQUE')).toEqual({
+      type: 'ADD_COLUMN',
+      column: { name: 'age', type: 'INT', constraints: ['UNIQUE'] }
+    });
+    expect(action('ALTER TABLE users DROP age')).toEqual({ type: 'DROP_COLUMN', column: 'age' });
+    expect(action('ALTER TABLE users RENAME COLUMN age TO years')).toEqual({ type: 'RENAME_COLUMN', column: 'age', newName: 'years' });
+    expect(action('ALTER TABLE users RENAME TO members')).toEqual({ type: 'RENAME_TABLE', newName: 'members' });
+    expect(() => new Parser('ALTER TABLE users TRUNCATE').parse()).toThrow('Unsupported ALTER TABLE action');
+  });
+
+  test('should parse CREATE INDEX and DROP INDEX', () => {
+    expect(new Parser('CREATE INDEX idx_age ON users (age)').parse()).toEqual({
+      type: 'CREATE_INDEX',
+      indexName: 'idx_age',
+      tableName: 'users',
+      columnNames: ['age'],
+      unique: false,
+      ifNotExists: false,
+      method: 'HASH'
+    });
+    const unique = new Parser('CREATE UNIQUE INDEX IF NOT EXISTS idx_email ON users (email)').parse();
+    expect(unique.unique).toBe(true);
+    expect(unique.ifNotExists).toBe(true);
+    expect(new Parser('DROP INDEX IF EXISTS idx_age').parse()).toEqual({ type: 'DROP_INDEX', indexName: 'idx_age', ifExists: true });
+    expect(() => new Parser('CREATE INDEX idx_age ON users age').parse()).toThrow();
+    expect(new Parser('CREATE INDEX idx_age ON users USING btree (age)').parse().method).toBe('BTREE');
+    expect(() => new Parser('CREATE INDEX idx_age ON users USING gist (age)').parse()).toThrow('Unsupported index method: GIST');
+  });
+
+  test('should parse multi-column constraints and indexes', () => {
+    const ast = new Parser(
+      'CREATE TABLE members (user_id INT, group_id INT, role TEXT, PRIMARY KEY (user_id, group_id), UNIQUE (group_id, role))'
+    ).parse();
+    expect(ast.columns.map(col => col.name)).toEqual(['user_id', 'group_id', 'role']);
+    expect(ast.constraints).toEqual([
+      { type: 'PRIMARY_KEY', columns: ['user_id', 'group_id'] },
+      { type: 'UNIQUE', columns: ['group_id', 'role'] }
+    ]);
+
+    const index = new Parser('CREATE INDEX idx_member ON members (group_id, role)').parse();
+    expect(index.columnNames).toEqual(['group_id', 'role']);
+    expect(index.method).toBe('BTREE');
+    expect(() => new Parser('CREATE INDEX idx_member ON members USING HASH (group_id, role)').parse())
+      .toThrow('HASH indexes cannot have more than one column');
+  });
+
+  test('should parse foreign keys', () => {
+    const ast = new Parser(
+      'CREATE TABLE likes (user_id INT REFERENCES users ON DELETE CASCADE, post_id INT, ' +
+      'FOREIGN KEY (post_id) REFERENCES posts (id) ON UPDATE SET NULL ON DELETE SET DEFAULT)'
+    ).parse();
+    expect(ast.columns[0].references).toEqual({ table: 'users', columns: null, onDelete: 'CASCADE', onUpdate: 'RESTRICT' });
+    expect(ast.constraints).toEqual([{
+      type: 'FOREIGN_KEY',
+      columns: ['post_id'],
+      references: { table: 'posts', columns: ['id'], onDelete: 'SET DEFAULT', onUpdate: 'SET NULL' }
+    }]);
+    expect(() => new Parser('CREATE TABLE t (a INT REFERENCES u ON DELETE IGNORE)').parse())
+      .toThrow('Unsupported referential action: IGNORE');
+  });
+
+  test('should parse NOT NULL, DEFAULT and CHECK', () => {
+    const ast = new Parser(
+      "CREATE TABLE items (qty INT NOT NULL DEFAULT 0 CHECK (qty >= 0), note TEXT NULL DEFAULT 'none', created TEXT DEFAULT NOW())"
+    ).parse();
+    expect(ast.columns[0]).toMatchObject({
+      constraints: ['NOT NULL'],
+      defaultValue: 0,
+      check: { column: 'qty', operator: '>=', value: 0 }
+    });
+    expect(ast.columns[1].constraints).toBeUndefined();
+    expect(ast.columns[1].defaultValue).toBe('none');
+    expect(ast.columns[2].defaultValue).toMatchObject({ type: 'FUNCTION', name: 'NOW', args: [] });
+  });
+
+  test('should parse SERIAL, AUTOINCREMENT and sequences', () => {
+    const ast = new Parser('CREATE TABLE orders (id SERIAL PRIMARY KEY, ref INT AUTOINCREMENT UNIQUE)').parse();
+    expect(ast.columns[0]).toMatchObject({ type: 'INT', constraints: ['NOT NULL', 'AUTOINCREMENT', 'PRIMARY', 'KEY'] });
+    expect(ast.columns[1]).toMatchObject({ type: 'INT', constraints: ['AUTOINCREMENT', 'UNIQUE'] });
+
+    expect(new Parser('CREATE SEQUENCE IF NOT EXISTS numbers START WITH 100 INCREMENT BY -5').parse()).toMatchObject({
+      type: 'CREATE_SEQUENCE', sequenceName: 'numbers', start: 100, increment: -5, ifNotExists: true
+    });
+    expect(new Parser('CREATE SEQUENCE numbers').parse()).toMatchObject({ start: 1, increment: 1, ifNotExists: false });
+    expect(new Parser('DROP SEQUENCE IF EXISTS numbers').parse()).toMatchObject({
+      type: 'DROP_SEQUENCE', sequenceName: 'numbers', ifExists: true
+    });
+    expect(() => new Parser("CREATE SEQUENCE numbers START 'a'").parse()).toThrow('START expects an integer');
+  });
+
+  test('should parse parameterized types and fractional numbers', () => {
+    const ast = new Parser('CREATE TABLE items (name VARCHAR(255), price DECIMAL(10, 2), weight FLOAT)').parse();
+    expect(ast.columns.map(col => col.type)).toEqual(['VARCHAR(255)', 'DECIMAL(10, 2)', 'FLOAT']);
+
+    const select = new Parser('SELECT CAST(price AS NUMERIC(4, 1)) FROM items WHERE weight > 2.5').parse();
+    expect(select.columns[0]).toMatchObject({ type: 'CAST', targetType: 'DECIMAL(4, 1)' });
+    expect(select.where.value).toBe(2.5);
+    expect(() => new Parser('SELECT * FROM items LIMIT 1.5').parse()).toThrow('got 1.5');
+  });
+
+  test('should parse STRICT tables', () => {
+    expect(new Parser('CREATE TABLE items (id INT) STRICT').parse()).toMatchObject({ type: 'CREATE_TABLE', strict: true });
+    expect(new Parser('CREATE TABLE items (id INT)').parse().strict).toBe(false);
+  });
+
+  test('should accept unreserved keywords as table and column names', () => {
+    const ast = new Parser('CREATE TABLE index (key INT PRIMARY KEY, start INT DEFAULT 0, end INT CHECK (end > start))').parse();
+    expect(ast.tableName).toBe('index');
+    expect(ast.columns.map(col => col.name)).toEqual(['key', 'start', 'end']);
+    expect(ast.columns[0].constraints).toEqual(['PRIMARY', 'KEY']);
+
+    expect(new Parser('SELECT all, CASE WHEN end > 1 THEN start END AS span FROM index').parse().columns[0]).toBe('all');
+    expect(new Parser('SELECT ALL key FROM index').parse().columns).toEqual(['key']);
+    expect(new Parser('WITH recursive AS (SELECT 1 FROM index) SELECT * FROM recursive').parse().recursive).toBe(false);
+
+    const action = sql => new Parser(sql).parse().action;
+    expect(action('ALTER TABLE index ADD column INT')).toMatchObject({ column: { name: 'column', type: 'INT' } });
+    expect(action('ALTER TABLE index ADD COLUMN to INT NOT NULL')).toMatchObject({ column: { name: 'to', type: 'INT' } });
+    expect(action('ALTER TABLE index DROP column')).toEqual({ type: 'DROP_COLUMN', column: 'column' });
+    expect(action('ALTER TABLE index RENAME to TO end_at')).toEqual({ type: 'RENAME_COLUMN', column: 'to', newName: 'end_at' });
+    expect(new Parser('DROP TABLE if').parse()).toMatchObject({ tableName: 'if', ifExists: false });
   });
 });
@@ -39,6 +39,7 @@ describe('Table', () => {
     expect(() => {
       table.insert({ id: 1, name: 'Bob', email: 'bob@example.com' });
     }).toThrow('Duplicate PRIMARY KEY');
+    expect(() => table.insert({ id: null, name: 'Carol' })).toThrow('NULL value in column "id" violates NOT NULL constraint');
   });
 
   test('should enforce unique constraint', () => {
@@ -75,8 +76,8 @@ describe('Table', () => {
   test('should update rows', () => {
     table.insert({ id: 1, name: 'Alice', email: 'alice@example.com' });
     
-    const count = table.update({ name: 'Alice Smith' }, { column: 'id', operator: '=', value: 1 });
-    expect(count).toBe(1);
+    const updated = table.update({ name: 'Alice Smith' }, { column: 'id', operator: '=', value: 1 });
+    expect(updated).toEqual([{ id: 1, name: 'Alice Smith', email: 'alice@example.com' }]);
     expect(table.rows[0].name).toBe('Alice Smith');
   });
 
@@ -84,8 +85,8 @@ describe('Table', () => {
     table.insert({ id: 1, name: 'Alice', email: 'alice@example.com' });
     table.insert({ id: 2, name: 'Bob', email: 'bob@example.com' });
     
-    const count = table.delete({ column: 'id', operator: '=', value: 1 });
-    expect(count).toBe(1);
+    const deleted = table.delete({ column: 'id', operator: '=', value: 1 });
+    expect(deleted).toEqual([{ id: 1, name: 'Alice', email: 'alice@example.com' }]);
     expect(table.rows.length).toBe(1);
     expect(table.rows[0].id).toBe(2);
   });
@@ -98,4 +99,95 @@ describe('Table', () => {
     const results = table.find({ column: 'id', operator: '=', value: 1 });
     expect(results.length).toBe(1);
   });
+
+  test('should find rows matching compound conditions', () => {
+    table.insert({ id: 1, name: 'Alice', email: 'alice@example.com' });
+    table.insert({ id: 2, name: 'Bob', email: 'bob@example.com' });
+    table.insert({ id: 3, name: 'Carol', email: 'carol@example.com' });
+
+    const results = table.find({
+      type: 'LOGICAL',
+      operator: 'OR',
+      left: { type: 'COMPARISON', column: 'id', operator: '=', value: 1 },
+      right: {
+        type: 'NOT',
+        operand: { type: 'COMPARISON', column: 'id', operator: '<', value: 3 }
+      }
+    });
+    expect(results.map(row => row.name)).toEqual(['Alice', 'Carol']);
+  });
+
+  test('should throw for unknown columns in conditions', () => {
+    expect(() => {
+      table.find({ column: 'age', operator: '>', value: 1 });
+    }).toThrow('not found');
+  });
+
+  test('should insert many rows atomically', () => {
+    table.insert({ id: 1, name: 'Alice', email: 'alice@example.com' });
+
+    const inserted = table.insertMany([
+      { id: 2, name: 'Bob', email: 'bob@example.com' },
+      { id: 3, name: 'Carol', email: 'carol@example.com' }
+    ]);
+    expect(inserted.map(row => row.id)).toEqual([2, 3]);
+
+    expect(() => table.insertMany([
+      { id: 4, name: 'Dave', email: 'dave@example.com' },
+      { id: 5, name: 'Eve', email: 'alice@example.com' }
+    ])).toThrow('Duplicate UNIQUE value');
+
+    expect(table.rows).toHaveLength(3);
+    expect(table.find({ column: 'id', operator: '=', value: 4 })).toEqual([]);
+    // The rolled-back key is free again
+    table.insert({ id: 4, name: 'Dave', email: 'dave@example.com' });
+    expect(table.rows).toHaveLength(4);
+  });
+
+  test('should roll back the writes recorded in its undo log', () => {
+    table.insertMany([
+      { id: 1, name: 'Alice', email: 'alice@example.com' },
+      { id: 2, name: 'Bob', email: 'bob@example.com' },
+      { id: 3, name: 'Carol', email: 'carol@example.com' }
+    ]);
+    const before = table.rows.map(row => ({ ...row }));
+
+    table.startUndoLog();
+    table.update({ name: 'Robert' }, { column: 'id', operator: '=', value: 2 });
+    table.update({ name: 'Carol' }, { column: 'id', operator: '=', value: 3 });
+    table.insert({ id: 4, name: 'Dave', email: 'dave@example.com' });
+    expect(table.loggedChanges()).toEqual([
+      [before[1], { id: 2, name: 'Robert', email: 'bob@example.com' }],
+      [null, { id: 4, name: 'Dave', email: 'dave@example.com' }]
+    ]);
+    expect(table.undoLog.originals.size).toBe(2);
+
+    table.delete({ column: 'id', operator: '<=', value: 2 });
+    table.update({ email: 'alice@example.com' }, { column: 'id', operator: '=', value: 4 });
+    table.rollback();
+    expect(table.rows).toEqual(before);
+    expect(table.undoLog).toBeNull();
+    expect(table.find({ column: 'email', operator: '=', value: 'alice@example.com' })).toEqual([before[0]]);
+    expect(table.find({ column: 'id', operator: '=', value: 4 })).toEqual([]);
+  });
+
+  test('should add, rename and drop columns', () => {
+    table.insert({ id: 1, name: 'Alice', email: 'alice@example.com' });
+    table.insert({ id: 2, name: 'Bob', email: 'bob@example.com' });
+
+    table.addColumn(new Column('age', 'INT'));
+    expect(table.rows.map(row => row.age)).toEqual([null, null]);
+    expect(() => table.addColumn(new Column('nick', 'TEXT', { unique: true }))).toThrow('would all be NULL');
+
+    table.renameColumn('email', 'mail');
+    expect(table.rows[0]).toEqual({ id: 1, name: 'Alice', mail: 'alice@example.com', age: null });
+    expect(table.indexes.email).toBeUndefined();
+    expect(table.find({ column: 'mail', operator: '=', value: 'bob@example.com' })).toHaveLength(1);
+    expect(() => table.insert({ id: 3, mail: 'bob@example.com' })).toThrow('Duplicate UNIQUE value');
+
+    table.dropColumn('mail');
+    expect(table.rows[1]).toEqual({ id: 2, name: 'Bob', age: null });
+    expect(table.indexes.mail).toBeUndefined();
+    expect(() => table.dropColumn('id')).toThrow('Cannot drop PRIMARY KEY column "id"');
+  });
 });
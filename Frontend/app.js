@@ -9,6 +9,10 @@
 
 // Configuration
 const API_BASE_URL = 'http://localhost:3000/api';
+const PAGE_SIZE = 10;
+
+// Current page of the records list (0-based)
+let currentPage = 0;
 
 // DOM Elements
 const createForm = document.getElementById('createForm');
@@ -16,6 +20,9 @@ const refreshBtn = document.getElementById('refreshBtn');
 const recordsContainer = document.getElementById('recordsContainer');
 const statusMessage = document.getElementById('statusMessage');
 const tableNameInput = document.getElementById('tableName');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
+const pageInfo = document.getElementById('pageInfo');
 
 /**
  * Display status message to user
@@ -96,20 +103,32 @@ async function createRecord(tableName, recordData) {
 }
 
 /**
- * Load all records from a table (SELECT)
+ * Load one page of records from a table (SELECT ... LIMIT ... OFFSET)
  * @param {string} tableName - Table name
+ * @param {number} page - Page to load (0-based), defaults to the current page
  */
-async function loadRecords(tableName) {
+async function loadRecords(tableName, page = currentPage) {
     try {
         recordsContainer.innerHTML = '<p class="loading">Loading records...</p>';
         
-        const result = await apiRequest(`/${tableName}`, 'GET');
+        const offset = page * PAGE_SIZE;
+        const result = await apiRequest(`/${tableName}?limit=${PAGE_SIZE}&offset=${offset}`, 'GET');
         
         if (!result.success) {
             throw new Error(result.error || 'Failed to load records');
         }
 
         const records = result.data || [];
+        const total = result.total || 0;
+
+        // Step back if the page emptied (e.g. after deleting its last record)
+        if (records.length === 0 && page > 0 && offset >= total) {
+            await loadRecords(tableName, Math.max(0, Math.ceil(total / PAGE_SIZE) - 1));
+            return;
+        }
+
+        currentPage = page;
+        renderPagination(total);
         
         if (records.length === 0) {
             recordsContainer.innerHTML = '<p class="empty">No records found. Create one above!</p>';
@@ -118,11 +137,23 @@ async function loadRecords(tableName) {
 
         renderRecords(tableName, records);
     } catch (error) {
+        renderPagination(0);
         recordsContainer.innerHTML = `<p class="empty" style="color: #e74c3c;">Error loading records: ${error.message}</p>`;
         console.error('Load error:', error);
     }
 }
 
+/**
+ * Update the pagination controls
+ * @param {number} total - Total number of records in the table
+ */
+function renderPagination(total) {
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    pageInfo.textContent = `Page ${currentPage + 1} of ${pageCount}`;
+    prevPageBtn.disabled = currentPage === 0;
+    nextPageBtn.disabled = currentPage + 1 >= pageCount;
+}
+
 /**
  * Render records in a table
  * @param {string} tableName - Table name
@@ -267,6 +298,17 @@ refreshBtn.addEventListener('click', async () => {
     await loadRecords(tableName);
 });
 
+// Pagination buttons
+prevPageBtn.addEventListener('click', async () => {
+    const tableName = tableNameInput.value.trim() || 'users';
+    await loadRecords(tableName, Math.max(0, currentPage - 1));
+});
+
+nextPageBtn.addEventListener('click', async () => {
+    const tableName = tableNameInput.value.trim() || 'users';
+    await loadRecords(tableName, currentPage + 1);
+});
+
 // Load records on page load
 window.addEventListener('DOMContentLoaded', async () => {
     const tableName = tableNameInput.value.trim() || 'users';